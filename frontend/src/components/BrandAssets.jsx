@@ -0,0 +1,87 @@
+/**
+ * BrandAssets Component
+ * Shows the captured logo, icons and social image with download links
+ */
+
+import { API_BASE_URL } from '../utils/api';
+
+const KIND_LABELS = {
+  logo: 'Logo',
+  favicon: 'Favicon',
+  apple_touch_icon: 'Apple Touch Icon',
+  mask_icon: 'Mask Icon',
+  manifest_icon: 'App Icon',
+  social_image: 'Social Image'
+};
+
+export default function BrandAssets({ assets, brandId }) {
+  if (!assets) return null;
+
+  const assetUrl = (asset) => `${API_BASE_URL}/data/brands/${brandId}/${asset.path}`;
+  const icons = assets.icons || [];
+
+  return (
+    <section className="bg-white rounded-3xl shadow-[0_4px_20px_-2px_rgba(0,0,0,0.05)] border border-gray-100 p-8">
+      <h2 className="text-3xl font-bold text-[#1f1f1f] mb-6 tracking-tight">Brand Assets</h2>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Logo */}
+        {assets.logo && (
+          <AssetTile asset={assets.logo} url={assetUrl(assets.logo)} large />
+        )}
+
+        {/* Social Image */}
+        {assets.social_image && (
+          <AssetTile asset={assets.social_image} url={assetUrl(assets.social_image)} large />
+        )}
+      </div>
+
+      {/* Icons */}
+      {icons.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">Icons</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {icons.map((icon) => (
+              <AssetTile key={icon.path} asset={icon} url={assetUrl(icon)} />
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Single asset preview with format, size and a download link
+ */
+function AssetTile({ asset, url, large = false }) {
+  const fileName = asset.path.split('/').pop();
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 flex flex-col">
+      <div className={`flex items-center justify-center bg-white rounded-md border border-gray-100 ${large ? 'h-40' : 'h-20'} p-4`}>
+        <img
+          src={url}
+          alt={asset.alt || KIND_LABELS[asset.kind] || asset.kind}
+          className="max-h-full max-w-full object-contain"
+        />
+      </div>
+      <div className="flex items-center justify-between mt-3">
+        <div>
+          <p className="text-sm font-semibold text-gray-900">{KIND_LABELS[asset.kind] || asset.kind}</p>
+          <p className="text-xs text-gray-500">
+            {asset.format.toUpperCase()}
+            {asset.width && asset.height ? ` · ${asset.width}×${asset.height}` : ''}
+          </p>
+        </div>
+        <a
+          href={url}
+          download={fileName}
+          className="text-xs font-medium text-gray-700 hover:text-gray-900 border border-gray-300 rounded-md px-3 py-1"
+        >
+          Download
+        </a>
+      </div>
+    </div>
+  );
+}
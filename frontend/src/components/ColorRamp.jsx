@@ -0,0 +1,33 @@
+/**
+ * Color Ramp Component
+ * Shows a 50-950 tonal ramp with the paired text color on each step
+ */
+
+export default function ColorRamp({ name, ramp }) {
+  if (!ramp?.steps) return null;
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between mb-2">
+        <p className="text-sm font-medium text-gray-900 capitalize">{name}</p>
+        <p className="text-xs text-gray-500 font-mono">anchored at {ramp.anchor_step} ({ramp.anchor})</p>
+      </div>
+      <div className="grid grid-cols-11 rounded-lg overflow-hidden border border-gray-200">
+        {Object.entries(ramp.steps).map(([step, value]) => {
+          const pairing = ramp.text_pairings?.[step];
+          return (
+            <div
+              key={step}
+              className={`h-16 flex flex-col items-center justify-center text-xs font-mono ${step === ramp.anchor_step ? 'ring-2 ring-inset ring-black/40' : ''}`}
+              style={{ backgroundColor: value, color: pairing?.text }}
+              title={pairing ? `${value} · text ${pairing.text} (${pairing.contrast_ratio}:1, ${pairing.wcag})` : value}
+            >
+              <span className="font-semibold">{step}</span>
+              {pairing && <span className="opacity-80">{pairing.wcag}</span>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
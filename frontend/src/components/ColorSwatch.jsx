@@ -3,6 +3,8 @@
  * Displays a color with hex code and metadata
  */
 
+import { isLowConfidence, SOURCE_LABELS } from '../utils/confidence';
+
 export default function ColorSwatch({ color, name, role, showDetails = true }) {
   const hexValue = color?.value || color;
   const colorName = name || color?.name || '';
@@ -50,6 +52,17 @@ export default function ColorSwatch({ color, name, role, showDetails = true }) {
           {colorRole && (
             <p className="text-xs text-gray-500">{colorRole}</p>
           )}
+          {typeof color?.coverage === 'number' && (
+            <p className="text-xs text-gray-400">{color.coverage}% of screen</p>
+          )}
+          {isLowConfidence(color) && (
+            <p
+              className="text-xs text-orange-600"
+              title={`Confidence ${color.provenance.confidence}`}
+            >
+              ⚠ {SOURCE_LABELS[color.provenance.source] || color.provenance.source}
+            </p>
+          )}
         </div>
       )}
     </div>
@@ -137,10 +137,18 @@ export default function EnhancedComponentCard({ component, design_tokens }) {
             Component States
           </h5>
           <div className="text-sm text-gray-600 space-y-1">
-            {Object.entries(states).map(([state, description]) => (
+            {Object.entries(states).map(([state, stateData]) => (
               <div key={state} className="flex items-start gap-2">
                 <span className="font-medium text-gray-900 capitalize">{state}:</span>
-                <span>{description}</span>
+                {typeof stateData === 'object' && stateData !== null ? (
+                  <span className="font-mono text-xs">
+                    {Object.entries(stateData)
+                      .map(([key, value]) => (key === 'description' ? value : `${key.replace(/_/g, '-')}: ${value}`))
+                      .join('; ')}
+                  </span>
+                ) : (
+                  <span>{stateData}</span>
+                )}
               </div>
             ))}
           </div>
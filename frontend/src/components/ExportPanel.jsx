@@ -0,0 +1,58 @@
+/**
+ * ExportPanel Component
+ * Pick token formats and download them as a ZIP bundle
+ */
+
+import { useState } from 'react';
+import { EXPORT_FORMATS, getExportUrl } from '../utils/api';
+
+export default function ExportPanel({ brandId }) {
+  const [selected, setSelected] = useState(EXPORT_FORMATS.map(format => format.id));
+
+  const toggle = (id) => {
+    setSelected(current => current.includes(id)
+      ? current.filter(format => format !== id)
+      : EXPORT_FORMATS.map(format => format.id).filter(format => format === id || current.includes(format)));
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-[#f4f2ef] rounded-2xl border border-[#e9d5c4]/50">
+      <div className="flex items-start justify-between gap-6 flex-wrap">
+        <div>
+          <h3 className="text-lg font-semibold text-[#1f1f1f] mb-1">Export Tokens</h3>
+          <p className="text-sm text-gray-600">
+            Download the design tokens as a ZIP for your codebase or design tools
+          </p>
+        </div>
+        <a
+          href={selected.length > 0 ? getExportUrl(brandId, selected) : undefined}
+          aria-disabled={selected.length === 0}
+          className={`px-5 py-2.5 text-sm font-semibold rounded-xl transition-all duration-200 ${
+            selected.length > 0
+              ? 'bg-[#1f1f1f] text-white shadow-lg shadow-black/10 hover:bg-black'
+              : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+          }`}
+        >
+          Download ZIP
+        </a>
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-3">
+        {EXPORT_FORMATS.map((format) => (
+          <label
+            key={format.id}
+            className="flex items-center gap-2 px-3 py-2 bg-white rounded-xl border border-gray-200 text-sm text-gray-700 cursor-pointer"
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(format.id)}
+              onChange={() => toggle(format.id)}
+              className="accent-[#1f1f1f]"
+            />
+            {format.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -136,6 +136,8 @@ export default function StyleShowcase({ brandSpec }) {
                     fontSize: props.font_size,
                     lineHeight: props.line_height,
                     fontWeight: props.font_weight,
+                    letterSpacing: props.letter_spacing,
+                    textTransform: props.text_transform,
                     fontFamily: typography.font_families?.primary?.name || 'sans-serif'
                   }}
                 >
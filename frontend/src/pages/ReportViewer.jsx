@@ -6,9 +6,11 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { getBrandById, formatDate, formatDuration } from '../utils/api';
+import { applyColorTheme, hasDarkTheme } from '../utils/theme';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import ColorSwatch from '../components/ColorSwatch';
+import ColorRamp from '../components/ColorRamp';
 import TypographyPreview from '../components/TypographyPreview';
 import ComponentPreview from '../components/ComponentPreview';
 import ScoreBadge from '../components/ScoreBadge';
@@ -16,6 +18,9 @@ import StyleShowcase from '../components/StyleShowcase';
 import HeroSection from '../components/HeroSection';
 import VisualBrandEssence from '../components/VisualBrandEssence';
 import BrandInAction from '../components/BrandInAction';
+import BrandAssets from '../components/BrandAssets';
+import ExportPanel from '../components/ExportPanel';
+import { collectLowConfidenceTokens, SOURCE_LABELS, LOW_CONFIDENCE } from '../utils/confidence';
 
 // Utility function to clean URLs by removing query parameters
 const cleanUrl = (url) => {
@@ -158,6 +163,7 @@ export default function ReportViewer() {
           <StyleGuideTab brandSpec={brand_spec} metadata={metadata} />
         ) : (
           <DiagnosticsTab
+            brandSpec={brand_spec}
             evaluation={evaluation}
             executionTrace={execution_trace}
             metadata={metadata}
@@ -173,7 +179,7 @@ export default function ReportViewer() {
  * Brand Identity Tab - Beautiful Visual Report
  */
 function BrandIdentityTab({ brandSpec, metadata }) {
-  const { brand_essence, design_tokens, components, patterns } = brandSpec;
+  const { brand_essence, design_tokens, components, patterns, brand_assets } = brandSpec;
 
   return (
     <div className="space-y-8">
@@ -192,6 +198,9 @@ function BrandIdentityTab({ brandSpec, metadata }) {
         brandName={metadata.brand_name}
       />
 
+      {/* Logo, icons and social image */}
+      <BrandAssets assets={brand_assets} brandId={metadata.brand_id} />
+
       {/* Colors Section */}
       {design_tokens?.colors && (
         <section className="bg-white rounded-3xl shadow-[0_4px_20px_-2px_rgba(0,0,0,0.05)] border border-gray-100 p-8">
@@ -223,6 +232,18 @@ function BrandIdentityTab({ brandSpec, metadata }) {
               </div>
             )}
 
+            {/* Tonal Ramps */}
+            {design_tokens.colors.ramps && Object.keys(design_tokens.colors.ramps).length > 0 && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4">Tonal Ramps</h3>
+                <div className="space-y-4">
+                  {Object.entries(design_tokens.colors.ramps).map(([key, ramp]) => (
+                    <ColorRamp key={key} name={key} ramp={ramp} />
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Semantic Colors */}
             {design_tokens.colors.semantic && (
               <div>
@@ -255,6 +276,15 @@ function BrandIdentityTab({ brandSpec, metadata }) {
                     {font.fallback && (
                       <p className="text-xs text-gray-500 mt-1">Fallback: {font.fallback}</p>
                     )}
+                    {font.source && (
+                      <p className="text-xs text-gray-500 mt-1">Source: {font.source}</p>
+                    )}
+                    {font.weights?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1">Weights: {font.weights.join(', ')}</p>
+                    )}
+                    {font.license_hint && (
+                      <p className="text-xs text-gray-400 mt-2 italic">{font.license_hint}</p>
+                    )}
                   </div>
                 ))}
               </div>
@@ -265,6 +295,12 @@ function BrandIdentityTab({ brandSpec, metadata }) {
           {design_tokens.typography.scale && (
             <div>
               <h3 className="text-lg font-semibold text-gray-800 mb-4">Type Scale</h3>
+              {design_tokens.typography.modular_scale && (
+                <p className="text-sm text-gray-500 mb-4">
+                  Measured sizes follow a {design_tokens.typography.modular_scale.name} scale
+                  (×{design_tokens.typography.modular_scale.ratio} from {design_tokens.typography.modular_scale.base_size})
+                </p>
+              )}
               <TypographyPreview
                 scale={design_tokens.typography.scale}
                 fontFamily={design_tokens.typography.font_families?.primary?.name}
@@ -395,15 +431,40 @@ function BrandIdentityTab({ brandSpec, metadata }) {
  * Style Guide Tab - Comprehensive Visual Style Guide
  */
 function StyleGuideTab({ brandSpec, metadata }) {
+  const [theme, setTheme] = useState('light'); // 'light' or 'dark'
+  const themedSpec = applyColorTheme(brandSpec, theme);
+
   return (
     <div className="bg-white rounded-3xl shadow-[0_4px_20px_-2px_rgba(0,0,0,0.05)] border border-gray-100 p-8">
-      <div className="mb-8">
-        <h2 className="text-3xl font-bold text-[#1f1f1f] mb-2 tracking-tight">Style Guide</h2>
-        <p className="text-gray-600">
-          Complete visual design system with live examples using extracted design tokens
-        </p>
+      <div className="mb-8 flex items-start justify-between gap-6">
+        <div>
+          <h2 className="text-3xl font-bold text-[#1f1f1f] mb-2 tracking-tight">Style Guide</h2>
+          <p className="text-gray-600">
+            Complete visual design system with live examples using extracted design tokens
+          </p>
+        </div>
+
+        {/* Theme toggle - only when a dark theme was captured */}
+        {hasDarkTheme(brandSpec) && (
+          <div className="flex gap-1 p-1 bg-[#f4f2ef] rounded-2xl flex-shrink-0">
+            {['light', 'dark'].map((option) => (
+              <button
+                key={option}
+                onClick={() => setTheme(option)}
+                className={`px-4 py-2 text-sm font-semibold rounded-xl capitalize transition-all duration-200 ${
+                  theme === option
+                    ? 'bg-[#1f1f1f] text-white shadow-lg shadow-black/10'
+                    : 'text-gray-600 hover:bg-[#e9d5c4]/50'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
-      <StyleShowcase brandSpec={brandSpec} />
+      <ExportPanel brandId={metadata.brand_id} />
+      <StyleShowcase brandSpec={themedSpec} />
     </div>
   );
 }
@@ -411,7 +472,9 @@ function StyleGuideTab({ brandSpec, metadata }) {
 /**
  * Diagnostics Tab - Technical Details
  */
-function DiagnosticsTab({ evaluation, executionTrace, metadata, brandId }) {
+function DiagnosticsTab({ brandSpec, evaluation, executionTrace, metadata, brandId }) {
+  const lowConfidenceTokens = collectLowConfidenceTokens(brandSpec);
+
   return (
     <div className="space-y-8">
       {/* Evaluation Scores */}
@@ -426,6 +489,11 @@ function DiagnosticsTab({ evaluation, executionTrace, metadata, brandId }) {
               <p className="text-sm text-gray-600">
                 Rubric Version: {evaluation.rubric_version || 'N/A'}
               </p>
+              {metadata.evaluation_stale && (
+                <p className="text-sm text-yellow-800 mt-1">
+                  Scored before the token edits imported on {formatDate(metadata.edited_at)}. Rerun from evaluate to update the score.
+                </p>
+              )}
             </div>
             <ScoreBadge
               score={evaluation.overall_score}
@@ -538,6 +606,44 @@ function DiagnosticsTab({ evaluation, executionTrace, metadata, brandId }) {
         </section>
       )}
 
+      {/* Low-confidence tokens */}
+      {lowConfidenceTokens.length > 0 && (
+        <section className="bg-white rounded-3xl shadow-[0_4px_20px_-2px_rgba(0,0,0,0.05)] border border-gray-100 p-8">
+          <h2 className="text-3xl font-bold text-[#1f1f1f] mb-2 tracking-tight">Low-Confidence Tokens</h2>
+          <p className="text-sm text-gray-600 mb-6">
+            {lowConfidenceTokens.length} tokens below {LOW_CONFIDENCE} confidence were estimated or filled with defaults. Verify them against the site before use.
+          </p>
+          <div className="space-y-3">
+            {lowConfidenceTokens.map(({ path, value, provenance }) => (
+              <div key={path} className="p-4 bg-orange-50 border border-orange-100 rounded-lg">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <div className="font-mono text-sm text-gray-900">{path}</div>
+                    <div className="text-sm text-gray-600 mt-1">{value}</div>
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <div className="text-sm font-semibold text-orange-700">
+                      {SOURCE_LABELS[provenance.source] || provenance.source}
+                    </div>
+                    <div className="text-xs text-gray-500">Confidence {provenance.confidence}</div>
+                  </div>
+                </div>
+                {provenance.evidence?.length > 0 && (
+                  <ul className="mt-2 text-xs text-gray-500 font-mono space-y-1">
+                    {provenance.evidence.map((item, i) => (
+                      <li key={i}>
+                        {[item.selector, item.css_variable, item.screenshot].filter(Boolean).join(' · ')}
+                        {item.bounding_box && ` @ ${item.bounding_box.x},${item.bounding_box.y} ${item.bounding_box.width}×${item.bounding_box.height}`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
       {/* Execution Timeline */}
       <section className="bg-white rounded-3xl shadow-[0_4px_20px_-2px_rgba(0,0,0,0.05)] border border-gray-100 p-8">
         <h2 className="text-3xl font-bold text-[#1f1f1f] mb-6 tracking-tight">Execution Timeline</h2>
@@ -46,6 +46,30 @@ export async function getBrandById(brandId) {
   return response.data;
 }
 
+/**
+ * Token export formats offered by GET /api/brands/:id/export
+ */
+export const EXPORT_FORMATS = [
+  { id: 'css', label: 'CSS variables' },
+  { id: 'scss', label: 'SCSS variables and maps' },
+  { id: 'tailwind', label: 'Tailwind theme' },
+  { id: 'style-dictionary', label: 'Style Dictionary source' },
+  { id: 'ios', label: 'iOS (Xcode assets + SwiftUI)' },
+  { id: 'android', label: 'Android (XML + Compose)' },
+  { id: 'dtcg', label: 'DTCG tokens' },
+  { id: 'tokens-studio', label: 'Tokens Studio (Figma)' }
+];
+
+/**
+ * Download URL for a ZIP of the brand's design tokens
+ * @param {string} brandId
+ * @param {string[]} formats - Format ids from EXPORT_FORMATS
+ * @returns {string}
+ */
+export function getExportUrl(brandId, formats) {
+  return `${API_BASE_URL}/api/brands/${brandId}/export?format=${encodeURIComponent(formats.join(','))}`;
+}
+
 /**
  * Get design inspirations
  * @returns {Promise<Object>}
@@ -0,0 +1,66 @@
+/**
+ * Token confidence helpers
+ * Reads the provenance recorded on design tokens during synthesis
+ */
+
+// Tokens below this confidence are guesses or unmatched model estimates
+export const LOW_CONFIDENCE = 0.5;
+
+export const SOURCE_LABELS = {
+  css_measured: 'Measured from CSS',
+  screenshot_measured: 'Measured from screenshots',
+  model_observed: 'Model estimate',
+  default_fallback: 'Default value',
+  user_edited: 'Edited by hand'
+};
+
+export function isLowConfidence(token) {
+  return typeof token?.provenance?.confidence === 'number' && token.provenance.confidence < LOW_CONFIDENCE;
+}
+
+/**
+ * List every design token below LOW_CONFIDENCE as { path, value, provenance },
+ * lowest confidence first
+ */
+export function collectLowConfidenceTokens(brandSpec) {
+  const tokens = brandSpec?.design_tokens;
+  if (!tokens) return [];
+
+  const results = [];
+  const add = (path, value, provenance) => {
+    if (provenance && provenance.confidence < LOW_CONFIDENCE) {
+      results.push({ path, value, provenance });
+    }
+  };
+
+  const colors = tokens.colors || {};
+  ['primary', 'secondary', 'accent'].forEach(role => {
+    add(`colors.${role}`, colors[role]?.value, colors[role]?.provenance);
+  });
+  add('colors.neutrals.white', colors.neutrals?.white?.value, colors.neutrals?.white?.provenance);
+  add('colors.neutrals.black', colors.neutrals?.black?.value, colors.neutrals?.black?.provenance);
+  Object.entries(colors.neutrals?.gray || {}).forEach(([step, token]) => {
+    add(`colors.neutrals.gray.${step}`, token.value, token.provenance);
+  });
+  Object.entries(colors.semantic || {}).forEach(([name, token]) => {
+    add(`colors.semantic.${name}`, token.value, token.provenance);
+  });
+
+  Object.entries(tokens.typography?.font_families || {}).forEach(([role, font]) => {
+    add(`typography.font_families.${role}`, font.name, font.provenance);
+  });
+  Object.entries(tokens.typography?.scale || {}).forEach(([level, style]) => {
+    add(`typography.scale.${level}`, `${style.font_size} / ${style.font_weight}`, style.provenance);
+  });
+
+  if (tokens.spacing) {
+    add('spacing.scale', (tokens.spacing.scale || []).join(', '), tokens.spacing.provenance);
+  }
+
+  (tokens.effects?.shadows || []).forEach(shadow => {
+    add(`effects.shadows.${shadow.name}`, shadow.value, shadow.provenance);
+  });
+  add('effects.border_radius', Object.values(tokens.effects?.border_radius || {}).join(', '), tokens.effects?.border_radius_provenance);
+
+  return results.sort((a, b) => a.provenance.confidence - b.provenance.confidence);
+}
@@ -38,6 +38,13 @@ export function generateCSSVariables(design_tokens) {
       });
     }
 
+    // Tonal ramps (e.g. --color-primary-500)
+    Object.entries(design_tokens.colors.ramps || {}).forEach(([name, ramp]) => {
+      Object.entries(ramp.steps || {}).forEach(([step, value]) => {
+        lines.push(`  --color-${name}-${step}: ${value};`);
+      });
+    });
+
     lines.push('');
   }
 
@@ -70,8 +77,9 @@ export function generateCSSVariables(design_tokens) {
   // Spacing
   if (design_tokens.spacing?.scale) {
     lines.push('  /* Spacing */');
-    design_tokens.spacing.scale.forEach((value, index) => {
-      lines.push(`  --space-${index}: ${value}px;`);
+    // Named by pixel value to match the server-side export (--space-16: 16px)
+    design_tokens.spacing.scale.forEach((value) => {
+      lines.push(`  --space-${value}: ${value}px;`);
     });
     lines.push('');
   }
@@ -151,23 +159,33 @@ export function generateComponentCSS(component, design_tokens) {
   lines.push('  transition: all 0.2s ease;');
   lines.push('}');
 
-  // Hover state if available
-  if (component.states?.hover) {
-    lines.push('');
-    lines.push(`.${className}:hover {`);
-    lines.push('  transform: translateY(-1px);');
-    lines.push('  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);');
-    lines.push('}');
-  }
+  // Interactive states: prefer measured CSS deltas, fall back to generic styles
+  const stateSelectors = {
+    hover: ':hover',
+    focus: ':focus-visible',
+    active: ':active',
+    disabled: ':disabled'
+  };
+  const fallbackDeclarations = {
+    hover: ['transform: translateY(-1px);', 'box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);'],
+    disabled: ['opacity: 0.5;', 'cursor: not-allowed;']
+  };
+
+  Object.entries(stateSelectors).forEach(([state, pseudo]) => {
+    const stateData = component.states?.[state];
+    if (!stateData) return;
+
+    const measured = Object.entries(stateData)
+      .filter(([property]) => property !== 'description')
+      .map(([property, value]) => `${property.replace(/_/g, '-')}: ${value};`);
+    const declarations = measured.length > 0 ? measured : fallbackDeclarations[state];
+    if (!declarations) return;
 
-  // Disabled state
-  if (component.states?.disabled) {
     lines.push('');
-    lines.push(`.${className}:disabled {`);
-    lines.push('  opacity: 0.5;');
-    lines.push('  cursor: not-allowed;');
+    lines.push(`.${className}${pseudo} {`);
+    declarations.forEach(declaration => lines.push(`  ${declaration}`));
     lines.push('}');
-  }
+  });
 
   return lines.join('\n');
 }
@@ -0,0 +1,31 @@
+/**
+ * Theme helpers
+ * Swaps the dark theme token set into a brand spec for previewing
+ */
+
+export function hasDarkTheme(brandSpec) {
+  return Boolean(brandSpec?.design_tokens?.colors?.dark);
+}
+
+export function applyColorTheme(brandSpec, theme) {
+  if (theme !== 'dark' || !hasDarkTheme(brandSpec)) return brandSpec;
+
+  const colors = brandSpec.design_tokens.colors;
+  const dark = colors.dark;
+
+  return {
+    ...brandSpec,
+    design_tokens: {
+      ...brandSpec.design_tokens,
+      colors: {
+        ...colors,
+        primary: dark.primary || colors.primary,
+        neutrals: {
+          white: dark.background,
+          black: dark.text,
+          gray: dark.neutrals || {}
+        }
+      }
+    }
+  };
+}
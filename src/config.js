@@ -13,10 +13,44 @@ const __dirname = path.dirname(__filename);
 // Load .env file from project root
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
+// Responsive capture takes a full-page screenshot per viewport, so the number
+// and size of viewports are bounded
+export const VIEWPORT_LIMITS = { minWidth: 240, maxWidth: 3840, maxCount: 6 };
+
+/**
+ * Parse viewport profiles from a list of widths (e.g. "375,768,1440,1920")
+ * Profiles are named after the device class and width, e.g. "mobile_375";
+ * widths outside VIEWPORT_LIMITS are dropped
+ */
+export function parseViewportProfiles(widths) {
+  const list = Array.isArray(widths) ? widths : String(widths || '').split(',');
+
+  return list
+    .map(width => parseInt(width, 10))
+    .filter(width => Number.isFinite(width) && width >= VIEWPORT_LIMITS.minWidth && width <= VIEWPORT_LIMITS.maxWidth)
+    .slice(0, VIEWPORT_LIMITS.maxCount)
+    .map(width => {
+      if (width < 600) return { name: `mobile_${width}`, width, height: 812 };
+      if (width < 1024) return { name: `tablet_${width}`, width, height: 1024 };
+      return { name: `desktop_${width}`, width, height: 1080 };
+    });
+}
+
 export const config = {
   // API Configuration
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
 
+  // LLM Provider ('anthropic', or 'mock' to replay recorded fixtures offline)
+  llmProvider: process.env.LLM_PROVIDER || 'anthropic',
+  llmFixturesDir: process.env.LLM_FIXTURES_DIR || './data/fixtures/llm',
+  // Save every live response as a mock fixture
+  llmRecordFixtures: process.env.LLM_RECORD_FIXTURES === 'true',
+  // Re-prompts with validation errors before a structured response is rejected
+  llmMaxRepairs: parseInt(process.env.LLM_MAX_REPAIRS || '2', 10),
+  // Reuse responses to identical requests (same screenshots, prompt and model)
+  llmCache: process.env.LLM_CACHE !== 'false',
+  llmCacheDir: process.env.LLM_CACHE_DIR || path.join(process.env.DATA_DIR || './data', 'cache', 'llm'),
+
   // Server Configuration
   port: parseInt(process.env.PORT || '3000', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -24,16 +58,43 @@ export const config = {
   // Data Storage
   dataDir: process.env.DATA_DIR || './data',
 
+  // Job Queue: extractions running at once (each launches its own browser)
+  jobConcurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+
   // Capture Configuration
   captureTimeoutMs: parseInt(process.env.CAPTURE_TIMEOUT_MS || '30000', 10),
   captureViewport: {
     width: 1920,
     height: 1080
   },
+  // Responsive capture profiles (opt-in, e.g. CAPTURE_VIEWPORTS=375,768,1440,1920)
+  captureViewports: parseViewportProfiles(process.env.CAPTURE_VIEWPORTS || ''),
+  // Second capture pass with prefers-color-scheme: dark
+  captureDarkMode: process.env.CAPTURE_DARK_MODE === 'true',
+  // Hover/focus/active/disabled style capture for buttons, links and inputs (opt-in)
+  captureInteractiveStates: process.env.CAPTURE_STATES === 'true',
+
+  // Crawl Configuration (multi-page capture, disabled by default)
+  crawl: {
+    enabled: process.env.CRAWL_ENABLED === 'true',
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES || '5', 10),
+    maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '1', 10),
+    // Upper bounds for crawl overrides sent with an extraction request
+    maxPagesLimit: parseInt(process.env.CRAWL_MAX_PAGES_LIMIT || '20', 10),
+    maxDepthLimit: parseInt(process.env.CRAWL_MAX_DEPTH_LIMIT || '3', 10)
+  },
 
   // Analysis Configuration
+  // 'llm' analyzes screenshots with a model; 'heuristic' builds tokens from
+  // captured styles, DOM and pixels only and scores them with fixed rules
+  analysisMode: process.env.ANALYSIS_MODE || 'llm',
   analyzeModel: process.env.ANALYZE_MODEL || 'claude-3-5-haiku-20241022',
   analyzeMaxTokens: parseInt(process.env.ANALYZE_MAX_TOKENS || '8000', 10),
+  // full_page.png is tiled into slices of this height (0 disables tiling);
+  // each request analyzes up to ANALYZE_TILES_PER_CALL slices
+  analyzeTileHeight: parseInt(process.env.ANALYZE_TILE_HEIGHT || '1600', 10),
+  analyzeMaxTiles: parseInt(process.env.ANALYZE_MAX_TILES || '12', 10),
+  analyzeTilesPerCall: parseInt(process.env.ANALYZE_TILES_PER_CALL || '4', 10),
 
   // Evaluation Configuration
   evaluationModel: process.env.EVALUATION_MODEL || 'claude-3-5-haiku-20241022',
@@ -45,7 +106,17 @@ export const config = {
   debug: process.env.DEBUG === 'true'
 };
 
-// Validate required configuration
-if (!config.anthropicApiKey) {
-  throw new Error('ANTHROPIC_API_KEY environment variable is required');
+/**
+ * Return configuration problems that would make the pipeline fail at runtime.
+ * The API key is only required by the anthropic provider, so it is checked
+ * here rather than at import time.
+ */
+export function getConfigWarnings() {
+  const warnings = [];
+
+  if (config.analysisMode !== 'heuristic' && config.llmProvider === 'anthropic' && !config.anthropicApiKey) {
+    warnings.push('ANTHROPIC_API_KEY is not set; analysis will fail (set LLM_PROVIDER=mock to run offline)');
+  }
+
+  return warnings;
 }
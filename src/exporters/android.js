@@ -0,0 +1,297 @@
+/**
+ * Android export
+ * View-system resources (colors.xml with a values-night variant, dimens.xml,
+ * type.xml text appearances) and a Jetpack Compose Theme.kt
+ */
+
+import { collectTokens, getBanner, toIdentifier, toName, toPx, toLineHeightRatio, toRgba } from './tokens.js';
+import { contrastRatio, normalizeHex } from '../utils/color-utils.js';
+
+const RESOURCE_PREFIX = 'brand';
+
+const COMPOSE_PACKAGE = 'com.brand.theme';
+
+const GENERIC_FAMILIES = {
+  'sans-serif': { xml: 'sans-serif', compose: 'FontFamily.SansSerif' },
+  serif: { xml: 'serif', compose: 'FontFamily.Serif' },
+  monospace: { xml: 'monospace', compose: 'FontFamily.Monospace' }
+};
+
+// Material 3 text styles filled from the brand's levels
+const MATERIAL_TEXT_STYLES = {
+  h1: 'displayLarge',
+  h2: 'headlineLarge',
+  h3: 'headlineMedium',
+  h4: 'titleLarge',
+  body: 'bodyLarge',
+  small: 'bodySmall'
+};
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function exportAndroid(brandSpec) {
+  const tokens = collectTokens(brandSpec);
+  const colors = listColors(tokens);
+  const typography = listTextStyles(tokens);
+
+  const files = [
+    { path: 'android/res/values/colors.xml', content: buildColorsXml(brandSpec, colors, 'value') },
+    { path: 'android/res/values/dimens.xml', content: buildDimensXml(brandSpec, tokens, typography) },
+    { path: 'android/res/values/type.xml', content: buildTypeXml(brandSpec, tokens, typography) },
+    { path: 'android/compose/Theme.kt', content: buildComposeTheme(brandSpec, tokens, colors, typography) }
+  ];
+
+  // values-night only overrides the colors that have a dark theme value
+  if (colors.some(color => color.dark)) {
+    files.splice(1, 0, {
+      path: 'android/res/values-night/colors.xml',
+      content: buildColorsXml(brandSpec, colors.filter(color => color.dark), 'dark')
+    });
+  }
+
+  return files;
+}
+
+function listColors(tokens) {
+  const colors = tokens.colors.map(color => ({
+    name: color.name,
+    value: toAndroidColor(color.value),
+    dark: color.dark ? toAndroidColor(color.dark) : null,
+    hex: normalizeHex(color.value),
+    darkHex: color.dark ? normalizeHex(color.dark) : null,
+    description: color.description
+  }));
+  Object.entries(tokens.ramps).forEach(([name, steps]) => {
+    Object.entries(steps).forEach(([step, value]) => {
+      colors.push({ name: `${name}-${step}`, value: toAndroidColor(value), dark: null, hex: normalizeHex(value), darkHex: null });
+    });
+  });
+  return colors.filter(color => color.value);
+}
+
+function listTextStyles(tokens) {
+  return tokens.typography
+    .map(style => {
+      const size = toPx(style.fontSize);
+      if (size === null) return null;
+      const letterSpacing = String(style.letterSpacing || '').match(/^(-?[\d.]+)(px|em)$/);
+      return {
+        name: style.name,
+        size,
+        weight: Math.min(900, Math.max(100, Math.round((parseInt(style.fontWeight, 10) || 400) / 100) * 100)),
+        lineHeight: toLineHeightRatio(style.lineHeight, size),
+        // Android and Compose both take letter spacing in em
+        letterSpacing: letterSpacing
+          ? Math.round((letterSpacing[2] === 'em' ? parseFloat(letterSpacing[1]) : parseFloat(letterSpacing[1]) / size) * 1000) / 1000
+          : 0,
+        uppercase: style.textTransform === 'uppercase',
+        description: style.description
+      };
+    })
+    .filter(Boolean);
+}
+
+function buildColorsXml(brandSpec, colors, key) {
+  const lines = [xmlHeader(brandSpec), '<resources>'];
+  colors.forEach(color => {
+    if (color.description && key === 'value') lines.push(`    <!-- ${toComment(color.description)} -->`);
+    lines.push(`    <color name="${resourceName(color.name)}">${color[key]}</color>`);
+  });
+  lines.push('</resources>', '');
+  return lines.join('\n');
+}
+
+function buildDimensXml(brandSpec, tokens, typography) {
+  const lines = [xmlHeader(brandSpec), '<resources>'];
+  const section = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push(`    <!-- ${title} -->`, ...entries.map(([name, value]) => `    <dimen name="${name}">${value}</dimen>`));
+  };
+
+  section('Text sizes', typography.map(style => [resourceName(`text-${style.name}`), `${formatNumber(style.size)}sp`]));
+  section('Spacing', tokens.spacing.map(step => [resourceName(`space-${step.name}`), `${formatNumber(toPx(step.value))}dp`]));
+  section('Corner radii', tokens.radii
+    .filter(radius => toPx(radius.value) !== null)
+    .map(radius => [resourceName(`radius-${radius.name}`), `${formatNumber(toPx(radius.value))}dp`]));
+
+  lines.push('</resources>', '');
+  return lines.join('\n');
+}
+
+function buildTypeXml(brandSpec, tokens, typography) {
+  const font = getFontFamily(tokens);
+  const lines = [xmlHeader(brandSpec), '<resources>'];
+  if (font.name) {
+    lines.push(`    <!-- Brand font: ${font.name}. Add it under res/font and point android:fontFamily at it to replace the system fallback -->`);
+  }
+
+  typography.forEach(style => {
+    lines.push(`    <style name="TextAppearance.Brand.${toPascalCase(style.name)}" parent="">`);
+    lines.push(
+      `        <item name="android:fontFamily">${font.xml}</item>`,
+      `        <item name="android:textSize">@dimen/${resourceName(`text-${style.name}`)}</item>`,
+      `        <item name="android:textStyle">${style.weight >= 600 ? 'bold' : 'normal'}</item>`,
+      `        <item name="android:textFontWeight">${style.weight}</item>`
+    );
+    if (style.lineHeight) lines.push(`        <item name="android:lineHeight">${formatNumber(style.size * style.lineHeight)}sp</item>`);
+    if (style.letterSpacing) lines.push(`        <item name="android:letterSpacing">${formatNumber(style.letterSpacing)}</item>`);
+    if (style.uppercase) lines.push('        <item name="android:textAllCaps">true</item>');
+    lines.push('    </style>');
+  });
+
+  lines.push('</resources>', '');
+  return lines.join('\n');
+}
+
+function buildComposeTheme(brandSpec, tokens, colors, typography) {
+  const font = getFontFamily(tokens);
+  const lines = [
+    `// ${getBanner(brandSpec)}`,
+    `package ${COMPOSE_PACKAGE}`,
+    '',
+    'import androidx.compose.foundation.isSystemInDarkTheme',
+    'import androidx.compose.material3.MaterialTheme',
+    'import androidx.compose.material3.Typography',
+    'import androidx.compose.material3.darkColorScheme',
+    'import androidx.compose.material3.lightColorScheme',
+    'import androidx.compose.runtime.Composable',
+    'import androidx.compose.ui.graphics.Color',
+    'import androidx.compose.ui.text.TextStyle',
+    'import androidx.compose.ui.text.font.FontFamily',
+    'import androidx.compose.ui.text.font.FontWeight',
+    'import androidx.compose.ui.unit.dp',
+    'import androidx.compose.ui.unit.em',
+    'import androidx.compose.ui.unit.sp',
+    ''
+  ];
+  const object = (name, members) => {
+    if (members.length === 0) return;
+    lines.push(`object ${name} {`, ...members.map(member => `    ${member}`), '}', '');
+  };
+
+  object('BrandColors', colors.map(color => `val ${toPascalCase(color.name)} = Color(0x${toArgb(color.value)})`));
+  object('BrandDarkColors', colors.filter(color => color.dark).map(color => `val ${toPascalCase(color.name)} = Color(0x${toArgb(color.dark)})`));
+
+  object('BrandSpacing', tokens.spacing.map(step => `val ${toPascalCase(`space-${step.name}`)} = ${formatNumber(toPx(step.value))}.dp`));
+  object('BrandRadius', tokens.radii
+    .filter(radius => toPx(radius.value) !== null)
+    .map(radius => `val ${toPascalCase(toIdentifier(radius.name, 'radius'))} = ${formatNumber(toPx(radius.value))}.dp`));
+
+  if (font.name) lines.push(`// Brand font: ${font.name}. Replace the fallback with a FontFamily built from res/font`);
+  lines.push(`val BrandFontFamily = ${font.compose}`, '');
+
+  object('BrandTypography', typography.map(style => 'val ' + toPascalCase(toIdentifier(style.name, 'text')) + ' = TextStyle(' + [
+    'fontFamily = BrandFontFamily',
+    `fontSize = ${formatNumber(style.size)}.sp`,
+    `fontWeight = FontWeight(${style.weight})`,
+    ...(style.lineHeight ? [`lineHeight = ${formatNumber(style.size * style.lineHeight)}.sp`] : []),
+    ...(style.letterSpacing ? [`letterSpacing = ${formatNumber(style.letterSpacing)}.em`] : [])
+  ].join(', ') + ')'));
+
+  // Material color roles; "on" colors pick whichever of white/black reads best.
+  // Dark schemes keep Material's dark surfaces unless a dark theme was captured
+  const scheme = (dark) => {
+    const roles = [];
+    const role = (name, colorName, { surface = false, on } = {}) => {
+      const color = colors.find(entry => entry.name === colorName);
+      if (!color || (dark && surface && !color.dark)) return;
+      const useDark = dark && color.dark;
+      roles.push(`${name} = ${useDark ? 'BrandDarkColors' : 'BrandColors'}.${toPascalCase(colorName)}`);
+      if (on) roles.push(`${on} = ${onColor(useDark ? color.darkHex : color.hex)}`);
+    };
+    role('primary', 'primary', { on: 'onPrimary' });
+    role('secondary', 'secondary', { on: 'onSecondary' });
+    role('tertiary', 'accent', { on: 'onTertiary' });
+    role('background', 'neutral-white', { surface: true });
+    role('surface', 'neutral-white', { surface: true });
+    role('onBackground', 'neutral-black', { surface: true });
+    role('onSurface', 'neutral-black', { surface: true });
+    role('error', 'error', { on: 'onError' });
+    return roles;
+  };
+
+  ['light', 'dark'].forEach(mode => {
+    const roles = scheme(mode === 'dark');
+    lines.push(`private val ${toPascalCase(mode)}ColorScheme = ${mode}ColorScheme(`);
+    roles.forEach((role, index) => lines.push(`    ${role}${index < roles.length - 1 ? ',' : ''}`));
+    lines.push(')', '');
+  });
+
+  const materialStyles = typography.filter(style => MATERIAL_TEXT_STYLES[style.name]);
+  lines.push('private val BrandMaterialTypography = Typography(');
+  materialStyles.forEach((style, index) => {
+    lines.push(`    ${MATERIAL_TEXT_STYLES[style.name]} = BrandTypography.${toPascalCase(toIdentifier(style.name, 'text'))}${index < materialStyles.length - 1 ? ',' : ''}`);
+  });
+  lines.push(')', '');
+
+  lines.push(
+    '@Composable',
+    'fun BrandTheme(',
+    '    darkTheme: Boolean = isSystemInDarkTheme(),',
+    '    content: @Composable () -> Unit',
+    ') {',
+    '    MaterialTheme(',
+    '        colorScheme = if (darkTheme) DarkColorScheme else LightColorScheme,',
+    '        typography = BrandMaterialTypography,',
+    '        content = content',
+    '    )',
+    '}',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * The primary font's name and the generic family to fall back to
+ */
+function getFontFamily(tokens) {
+  const font = tokens.fonts.find(entry => entry.name === 'primary') || tokens.fonts[0];
+  const generic = font?.families.map(family => GENERIC_FAMILIES[family]).find(Boolean) || GENERIC_FAMILIES['sans-serif'];
+  return { name: font?.families[0] && !GENERIC_FAMILIES[font.families[0]] ? font.families[0] : null, ...generic };
+}
+
+function onColor(hex) {
+  if (!hex) return 'Color.White';
+  return contrastRatio(hex, '#ffffff') >= contrastRatio(hex, '#000000') ? 'Color.White' : 'Color.Black';
+}
+
+/**
+ * #RRGGBB, or #AARRGGBB for translucent colors
+ */
+function toAndroidColor(css) {
+  const rgba = toRgba(css);
+  if (!rgba) return null;
+  const channel = value => value.toString(16).toUpperCase().padStart(2, '0');
+  const rgb = channel(rgba.red) + channel(rgba.green) + channel(rgba.blue);
+  return rgba.alpha < 1 ? `#${channel(Math.round(rgba.alpha * 255))}${rgb}` : `#${rgb}`;
+}
+
+function toArgb(androidColor) {
+  const hex = androidColor.slice(1);
+  return hex.length === 8 ? hex : `FF${hex}`;
+}
+
+function resourceName(name) {
+  return `${RESOURCE_PREFIX}_${toName(name).replace(/-/g, '_')}`;
+}
+
+function toPascalCase(name) {
+  const identifier = toIdentifier(name);
+  return identifier[0].toUpperCase() + identifier.slice(1);
+}
+
+function xmlHeader(brandSpec) {
+  return `<?xml version="1.0" encoding="utf-8"?>\n<!-- ${toComment(getBanner(brandSpec))} -->`;
+}
+
+// "--" is not allowed inside XML comments
+function toComment(text) {
+  return String(text).replace(/\s+/g, ' ').replace(/-{2,}/g, '-').trim();
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
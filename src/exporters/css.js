@@ -0,0 +1,53 @@
+/**
+ * CSS export
+ * Design tokens as custom properties on :root, plus text style classes
+ */
+
+import { collectTokens, getBanner } from './tokens.js';
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function exportCSS(brandSpec) {
+  const tokens = collectTokens(brandSpec);
+  const lines = [`/* ${getBanner(brandSpec)} */`, '', ':root {'];
+  const section = (title, declarations) => {
+    if (declarations.length === 0) return;
+    lines.push(`  /* ${title} */`, ...declarations.map(declaration => `  ${declaration}`), '');
+  };
+
+  section('Colors', tokens.colors.map(color => `--color-${color.name}: ${color.value};`));
+  section('Color ramps', Object.entries(tokens.ramps).flatMap(([name, steps]) =>
+    Object.entries(steps).map(([step, value]) => `--color-${name}-${step}: ${value};`)));
+  section('Font families', tokens.fonts.map(font => `--font-family-${font.name}: ${font.value};`));
+  section('Typography', tokens.typography.flatMap(style => [
+    `--font-size-${style.name}: ${style.fontSize};`,
+    `--line-height-${style.name}: ${style.lineHeight};`,
+    `--font-weight-${style.name}: ${style.fontWeight};`,
+    ...(style.letterSpacing ? [`--letter-spacing-${style.name}: ${style.letterSpacing};`] : [])
+  ]));
+  section('Spacing', tokens.spacing.map(step => `--space-${step.name}: ${step.value};`));
+  section('Radii', tokens.radii.map(radius => `--radius-${radius.name}: ${radius.value};`));
+  section('Shadows', tokens.shadows.map(shadow => `--shadow-${shadow.name}: ${shadow.value};`));
+
+  if (lines[lines.length - 1] === '') lines.pop();
+  lines.push('}');
+
+  // Text style classes reference the variables above
+  const family = tokens.fonts.find(font => font.name === 'primary');
+  tokens.typography.forEach(style => {
+    lines.push('', `.text-${style.name} {`);
+    if (family) lines.push('  font-family: var(--font-family-primary);');
+    lines.push(
+      `  font-size: var(--font-size-${style.name});`,
+      `  line-height: var(--line-height-${style.name});`,
+      `  font-weight: var(--font-weight-${style.name});`
+    );
+    if (style.letterSpacing) lines.push(`  letter-spacing: var(--letter-spacing-${style.name});`);
+    if (style.textTransform) lines.push(`  text-transform: ${style.textTransform};`);
+    lines.push('}');
+  });
+
+  return [{ path: 'css/tokens.css', content: lines.join('\n') + '\n' }];
+}
@@ -0,0 +1,658 @@
+/**
+ * DTCG export
+ * Converts brand_spec.json design tokens to and from the W3C Design Tokens
+ * Community Group format ($value/$type/$description with {alias} references)
+ */
+
+import { normalizeHex, rgbToHex, contrastRatio } from '../utils/color-utils.js';
+import { generateTextPairings } from '../utils/color-ramps.js';
+
+// $extensions namespace for brand spec data with no DTCG equivalent
+export const DTCG_EXTENSION = 'com.brand-canonizer';
+
+export const DTCG_MEDIA_TYPE = 'application/design-tokens+json';
+
+const ALIAS_PATTERN = /^\{([^{}]+)\}$/;
+
+const CORE_COLOR_ROLES = ['primary', 'secondary', 'accent'];
+
+// Provenance recorded on tokens changed through an import
+const edited = () => ({ source: 'user_edited', confidence: 1, evidence: [] });
+
+/**
+ * Convert a brand spec to a DTCG token file. Values shared with a core token
+ * (component colors, radii, spacing, ramp anchors) are exported as aliases.
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Object} DTCG token tree
+ */
+export function brandSpecToDTCG(brandSpec) {
+  const tokens = brandSpec?.design_tokens || {};
+  const aliases = { color: new Map(), spacing: new Map(), radius: new Map(), shadow: new Map() };
+
+  const output = {
+    $description: `${brandSpec?.metadata?.brand_name || 'Brand'} design tokens exported from brand_spec.json` +
+      (brandSpec?.metadata?.source_url ? ` (${brandSpec.metadata.source_url})` : ''),
+    color: exportColors(tokens.colors || {}, aliases),
+    font: exportFonts(tokens.typography || {}),
+    typography: exportTypography(tokens.typography || {}),
+    spacing: exportSpacing(tokens.spacing, aliases),
+    radius: exportRadii(tokens.effects || {}, aliases),
+    shadow: exportShadows(tokens.effects || {}, aliases),
+    component: exportComponents(brandSpec?.components || [], aliases)
+  };
+
+  Object.keys(output).forEach(group => {
+    if (group !== '$description' && countTokens(output[group]) === 0) delete output[group];
+  });
+
+  return output;
+}
+
+function exportColors(colors, aliases) {
+  const group = {};
+  const add = (parent, key, token, path) => {
+    if (!token?.value) return;
+    parent[key] = withExtensions(
+      { $type: 'color', $value: token.value, ...(token.usage && { $description: token.usage }) },
+      { provenance: token.provenance, css_variable: token.css_variable }
+    );
+    registerAlias(aliases.color, token.value, path);
+  };
+
+  CORE_COLOR_ROLES.forEach(role => add(group, role, colors[role], `color.${role}`));
+
+  if (colors.neutrals) {
+    group.neutral = {};
+    add(group.neutral, 'white', colors.neutrals.white, 'color.neutral.white');
+    add(group.neutral, 'black', colors.neutrals.black, 'color.neutral.black');
+    Object.entries(colors.neutrals.gray || {}).forEach(([step, token]) => {
+      group.neutral.gray = group.neutral.gray || {};
+      add(group.neutral.gray, step, token, `color.neutral.gray.${step}`);
+    });
+  }
+
+  Object.entries(colors.semantic || {}).forEach(([name, token]) => {
+    group.semantic = group.semantic || {};
+    add(group.semantic, name, token, `color.semantic.${name}`);
+  });
+
+  // Ramp steps that equal a core color reference it; the rest become
+  // alias targets themselves (e.g. for hover colors)
+  const rampPaths = [];
+  Object.entries(colors.ramps || {}).forEach(([name, ramp]) => {
+    group.ramp = group.ramp || {};
+    group.ramp[name] = {};
+    Object.entries(ramp.steps || {}).forEach(([step, value]) => {
+      const alias = aliases.color.get(value);
+      group.ramp[name][step] = { $type: 'color', $value: alias ? `{${alias}}` : value };
+      rampPaths.push([value, `color.ramp.${name}.${step}`]);
+    });
+  });
+  rampPaths.forEach(([value, path]) => registerAlias(aliases.color, value, path));
+
+  return group;
+}
+
+function exportFonts(typography) {
+  const group = {};
+
+  Object.entries(typography.font_families || {}).forEach(([role, font]) => {
+    if (!font?.name) return;
+    group.family = group.family || {};
+    group.family[role] = withExtensions(
+      { $type: 'fontFamily', $value: [font.name, ...splitFontStack(font.fallback)], ...(font.usage && { $description: font.usage }) },
+      { source: font.source, license_hint: font.license_hint, provenance: font.provenance }
+    );
+  });
+
+  (typography.weights || []).forEach(weight => {
+    group.weight = group.weight || {};
+    group.weight[weight] = { $type: 'fontWeight', $value: weight };
+  });
+
+  return group;
+}
+
+function exportTypography(typography) {
+  const group = {};
+  const family = typography.font_families?.primary ? '{font.family.primary}' : undefined;
+
+  Object.entries(typography.scale || {}).forEach(([level, style]) => {
+    group[level] = withExtensions(
+      {
+        $type: 'typography',
+        $value: { ...(family && { fontFamily: family }), ...typographyValue(style) },
+        ...(style.usage && { $description: style.usage })
+      },
+      { text_transform: style.text_transform, provenance: style.provenance }
+    );
+  });
+
+  return group;
+}
+
+function typographyValue(style) {
+  return {
+    fontSize: style.font_size,
+    fontWeight: style.font_weight,
+    letterSpacing: style.letter_spacing || '0px',
+    lineHeight: lineHeightRatio(style.line_height, style.font_size)
+  };
+}
+
+function exportSpacing(spacing, aliases) {
+  if (!spacing?.scale) return {};
+
+  const group = withExtensions(
+    { $type: 'dimension' },
+    { base_unit: spacing.base_unit, density: spacing.density, usage_rules: spacing.usage_rules, provenance: spacing.provenance }
+  );
+  spacing.scale.forEach((px, index) => {
+    group[index] = { $value: `${px}px` };
+    registerAlias(aliases.spacing, `${px}px`, `spacing.${index}`);
+  });
+
+  return group;
+}
+
+function exportRadii(effects, aliases) {
+  const group = {};
+  Object.entries(effects.border_radius || {}).forEach(([name, value]) => {
+    group[name] = withExtensions({ $type: 'dimension', $value: value }, { provenance: effects.border_radius_provenance });
+    registerAlias(aliases.radius, value, `radius.${name}`);
+  });
+  return group;
+}
+
+function exportShadows(effects, aliases) {
+  const group = {};
+  (effects.shadows || []).forEach(shadow => {
+    const value = parseShadow(shadow.value);
+    if (!value) return;
+    group[shadow.name] = withExtensions(
+      { $type: 'shadow', $value: value, ...(shadow.usage && { $description: shadow.usage }) },
+      { css: shadow.value, provenance: shadow.provenance }
+    );
+    registerAlias(aliases.shadow, shadow.value, `shadow.${shadow.name}`);
+  });
+  return group;
+}
+
+function exportComponents(components, aliases) {
+  const group = {};
+  const aliasOr = (map, value) => map.get(value) ? `{${map.get(value)}}` : value;
+
+  components.forEach(component => {
+    const props = component.visual_properties || {};
+    const tokens = {};
+
+    const background = normalizeHex(props.background_color);
+    if (background) tokens.background = { $type: 'color', $value: aliasOr(aliases.color, background) };
+    const text = normalizeHex(props.text_color);
+    if (text) tokens.text = { $type: 'color', $value: aliasOr(aliases.color, text) };
+
+    const border = parseBorder(props.border);
+    if (border) {
+      tokens.border = { $type: 'border', $value: { ...border, color: aliasOr(aliases.color, border.color) } };
+    }
+    if (props.border_radius) {
+      tokens['border-radius'] = { $type: 'dimension', $value: aliasOr(aliases.radius, props.border_radius) };
+    }
+
+    const padding = parsePadding(props.padding);
+    if (padding) {
+      tokens['padding-block'] = { $type: 'dimension', $value: aliasOr(aliases.spacing, padding.block) };
+      tokens['padding-inline'] = { $type: 'dimension', $value: aliasOr(aliases.spacing, padding.inline) };
+    }
+
+    if (props.font_size) tokens['font-size'] = { $type: 'dimension', $value: props.font_size };
+    if (props.font_weight) tokens['font-weight'] = { $type: 'fontWeight', $value: props.font_weight };
+
+    if (props.shadow && props.shadow !== 'none') {
+      const shadow = parseShadow(props.shadow);
+      if (aliases.shadow.has(props.shadow)) {
+        tokens.shadow = { $type: 'shadow', $value: `{${aliases.shadow.get(props.shadow)}}` };
+      } else if (shadow) {
+        tokens.shadow = { $type: 'shadow', $value: shadow };
+      }
+    }
+
+    if (Object.keys(tokens).length === 0) return;
+
+    let key = slugify(component.name);
+    for (let suffix = 2; group[key]; suffix++) key = `${slugify(component.name)}-${suffix}`;
+    group[key] = withExtensions(
+      { ...(component.description && { $description: component.description }), ...tokens },
+      { name: component.name, category: component.category }
+    );
+  });
+
+  return group;
+}
+
+/**
+ * Merge an edited DTCG token file back into a brand spec. Aliases are
+ * resolved, changed values replace the spec values and are marked
+ * `user_edited`; tokens the spec has no place for are reported as warnings.
+ * @param {Object} brandSpec - brand_spec.json
+ * @param {Object} dtcg - DTCG token tree
+ * @returns {Object} { brandSpec, changes: [{ path, from, to }], warnings }
+ */
+export function mergeDTCGIntoBrandSpec(brandSpec, dtcg) {
+  const merged = structuredClone(brandSpec);
+  const tokens = merged.design_tokens = merged.design_tokens || {};
+  const changes = [];
+  const warnings = [];
+  const handled = new Set();
+
+  const read = (path) => {
+    const token = getNode(dtcg, path);
+    if (!token || !('$value' in token)) return undefined;
+    handled.add(path);
+    try {
+      return resolveAliases(token.$value, dtcg, [path]);
+    } catch (error) {
+      warnings.push(`${path}: ${error.message}`);
+      return undefined;
+    }
+  };
+  const change = (path, from, to) => changes.push({ path, from: from ?? null, to });
+
+  // Colors
+  const colors = tokens.colors = tokens.colors || {};
+  const applyColor = (container, key, path) => {
+    const raw = read(path);
+    if (raw === undefined) return;
+    const value = toHex(raw);
+    if (!value) {
+      warnings.push(`${path}: ${JSON.stringify(raw)} is not a color`);
+      return;
+    }
+    const description = getNode(dtcg, path).$description;
+    const current = container[key];
+    if (current?.value === value && (!description || current.usage === description)) return;
+
+    const token = { ...(current || {}), value, usage: description || current?.usage || 'Imported design token', provenance: edited() };
+    delete token.reported_value;
+    delete token.coverage;
+    if (current?.value !== value) delete token.css_variable;
+    if ('contrast_ratio_white' in token) token.contrast_ratio_white = round(contrastRatio(value, '#ffffff'));
+    if ('contrast_ratio_black' in token) token.contrast_ratio_black = round(contrastRatio(value, '#000000'));
+    container[key] = token;
+    change(path, current?.value, value);
+  };
+
+  CORE_COLOR_ROLES.forEach(role => applyColor(colors, role, `color.${role}`));
+  colors.neutrals = colors.neutrals || {};
+  applyColor(colors.neutrals, 'white', 'color.neutral.white');
+  applyColor(colors.neutrals, 'black', 'color.neutral.black');
+  childKeys(getNode(dtcg, 'color.neutral.gray')).forEach(step => {
+    colors.neutrals.gray = colors.neutrals.gray || {};
+    applyColor(colors.neutrals.gray, step, `color.neutral.gray.${step}`);
+  });
+  childKeys(getNode(dtcg, 'color.semantic')).forEach(name => {
+    colors.semantic = colors.semantic || {};
+    applyColor(colors.semantic, name, `color.semantic.${name}`);
+  });
+
+  childKeys(getNode(dtcg, 'color.ramp')).forEach(name => {
+    const ramp = colors.ramps?.[name];
+    let edited = false;
+    childKeys(getNode(dtcg, `color.ramp.${name}`)).forEach(step => {
+      const path = `color.ramp.${name}.${step}`;
+      const value = toHex(read(path));
+      if (!ramp || !(step in ramp.steps)) {
+        warnings.push(`${path}: no such ramp step in the brand spec`);
+      } else if (value && ramp.steps[step] !== value) {
+        change(path, ramp.steps[step], value);
+        ramp.steps[step] = value;
+        edited = true;
+      }
+    });
+    if (edited) ramp.text_pairings = generateTextPairings(ramp.steps);
+  });
+
+  // Fonts and typography
+  const typography = tokens.typography = tokens.typography || { font_families: {}, scale: {}, weights: [] };
+  childKeys(getNode(dtcg, 'font.family')).forEach(role => {
+    const path = `font.family.${role}`;
+    const stack = read(path);
+    if (stack === undefined) return;
+    const [name, ...fallback] = Array.isArray(stack) ? stack : splitFontStack(stack);
+    const current = typography.font_families[role];
+    if (current?.name === name && splitFontStack(current.fallback).join(', ') === fallback.join(', ')) return;
+    const fallbackStack = fallback.join(', ') || current?.fallback || 'sans-serif';
+
+    typography.font_families[role] = {
+      ...(current || { usage: getNode(dtcg, path).$description || `${role} font` }),
+      name,
+      fallback: fallbackStack,
+      provenance: edited()
+    };
+    change(path, current ? [current.name, current.fallback].join(', ') : null, [name, fallbackStack].join(', '));
+  });
+
+  const weights = childKeys(getNode(dtcg, 'font.weight')).map(key => Number(read(`font.weight.${key}`)));
+  if (weights.length > 0) {
+    const sorted = Array.from(new Set(weights.filter(Number.isFinite))).sort((a, b) => a - b);
+    if (sorted.join() !== (typography.weights || []).join()) {
+      change('font.weight', (typography.weights || []).join(', '), sorted.join(', '));
+      typography.weights = sorted;
+    }
+  }
+
+  childKeys(getNode(dtcg, 'typography')).forEach(level => {
+    const path = `typography.${level}`;
+    const value = read(path);
+    if (!value || typeof value !== 'object') return;
+
+    // Compare against the exported form so formatting differences
+    // (e.g. "1.50" vs 1.5) are not reported as edits
+    const current = typography.scale[level];
+    const before = current ? typographyValue(current) : {};
+    const fields = {
+      fontSize: ['font_size', toDimension(value.fontSize)],
+      fontWeight: ['font_weight', Number(value.fontWeight)],
+      lineHeight: ['line_height', typeof value.lineHeight === 'number' ? String(value.lineHeight) : toDimension(value.lineHeight)],
+      letterSpacing: ['letter_spacing', toDimension(value.letterSpacing)]
+    };
+    const next = {};
+    Object.entries(fields).forEach(([field, [key, converted]]) => {
+      if (value[field] !== undefined && JSON.stringify(value[field]) !== JSON.stringify(before[field])) {
+        next[key] = converted;
+      }
+    });
+    const edits = Object.keys(next);
+    if (edits.length === 0) return;
+
+    typography.scale[level] = {
+      ...(current || { usage: getNode(dtcg, path).$description || `${level} text` }),
+      ...Object.fromEntries(edits.map(key => [key, next[key]])),
+      provenance: edited()
+    };
+    edits.forEach(key => change(`${path}.${key}`, current?.[key], next[key]));
+  });
+
+  // Spacing, radii and shadows
+  const spacingKeys = childKeys(getNode(dtcg, 'spacing'));
+  if (spacingKeys.length > 0) {
+    const scale = Array.from(new Set(spacingKeys
+      .map(key => parseFloat(toDimension(read(`spacing.${key}`))))
+      .filter(px => px > 0)
+      .map(Math.round)))
+      .sort((a, b) => a - b);
+    tokens.spacing = tokens.spacing || { base_unit: 8, density: 'comfortable', scale: [] };
+    if (scale.join() !== (tokens.spacing.scale || []).join()) {
+      change('spacing', (tokens.spacing.scale || []).join(', '), scale.join(', '));
+      tokens.spacing.scale = scale;
+      tokens.spacing.provenance = edited();
+    }
+  }
+
+  const effects = tokens.effects = tokens.effects || {};
+  childKeys(getNode(dtcg, 'radius')).forEach(name => {
+    const value = toDimension(read(`radius.${name}`));
+    effects.border_radius = effects.border_radius || {};
+    if (value && effects.border_radius[name] !== value) {
+      change(`radius.${name}`, effects.border_radius[name], value);
+      effects.border_radius[name] = value;
+      effects.border_radius_provenance = edited();
+    }
+  });
+
+  childKeys(getNode(dtcg, 'shadow')).forEach(name => {
+    const path = `shadow.${name}`;
+    const value = read(path);
+    if (!value) return;
+    effects.shadows = effects.shadows || [];
+    const current = effects.shadows.find(shadow => shadow.name === name);
+    // Unchanged shadows keep their original CSS
+    if (current && JSON.stringify(parseShadow(current.value)) === JSON.stringify(value)) return;
+
+    const css = formatShadow(value);
+    if (!css) {
+      warnings.push(`${path}: not a shadow value`);
+      return;
+    }
+    if (current) {
+      change(path, current.value, css);
+      Object.assign(current, { value: css, provenance: edited() });
+    } else {
+      change(path, null, css);
+      effects.shadows.push({ name, value: css, usage: getNode(dtcg, path).$description || 'Imported design token', provenance: edited() });
+    }
+  });
+
+  // Component properties
+  childKeys(getNode(dtcg, 'component')).forEach(key => {
+    const group = getNode(dtcg, `component.${key}`);
+    const name = group.$extensions?.[DTCG_EXTENSION]?.name;
+    const component = (merged.components || []).find(c => c.name === name) ||
+      (merged.components || []).find(c => slugify(c.name) === key);
+    if (!component) {
+      childKeys(group).forEach(prop => handled.add(`component.${key}.${prop}`));
+      warnings.push(`component.${key}: no matching component in the brand spec`);
+      return;
+    }
+    const props = component.visual_properties = component.visual_properties || {};
+    const set = (prop, value, path) => {
+      if (value === undefined || value === null || String(props[prop]) === String(value)) return;
+      change(path, props[prop], value);
+      props[prop] = value;
+    };
+    const base = `component.${key}`;
+
+    const background = read(`${base}.background`);
+    if (background !== undefined) set('background_color', toHex(background), `${base}.background`);
+    const text = read(`${base}.text`);
+    if (text !== undefined) set('text_color', toHex(text), `${base}.text`);
+    const border = read(`${base}.border`);
+    if (border && JSON.stringify(border) !== JSON.stringify(parseBorder(props.border))) {
+      set('border', `${toDimension(border.width)} ${border.style} ${toHex(border.color)}`, `${base}.border`);
+    }
+    const radius = read(`${base}.border-radius`);
+    if (radius !== undefined) set('border_radius', toDimension(radius), `${base}.border-radius`);
+
+    const block = read(`${base}.padding-block`);
+    const inline = read(`${base}.padding-inline`);
+    if (block !== undefined || inline !== undefined) {
+      const padding = parsePadding(props.padding) || {};
+      const nextBlock = toDimension(block) || padding.block;
+      const nextInline = toDimension(inline) || padding.inline;
+      if (nextBlock !== padding.block || nextInline !== padding.inline) {
+        set('padding', nextBlock === nextInline ? nextBlock : `${nextBlock} ${nextInline}`, `${base}.padding`);
+      }
+    }
+
+    const fontSize = read(`${base}.font-size`);
+    if (fontSize !== undefined) set('font_size', toDimension(fontSize), `${base}.font-size`);
+    const fontWeight = read(`${base}.font-weight`);
+    if (fontWeight !== undefined) set('font_weight', Number(fontWeight), `${base}.font-weight`);
+    const shadow = read(`${base}.shadow`);
+    if (shadow && JSON.stringify(shadow) !== JSON.stringify(parseShadow(props.shadow))) {
+      set('shadow', formatShadow(shadow), `${base}.shadow`);
+    }
+  });
+
+  listTokenPaths(dtcg)
+    .filter(path => !handled.has(path))
+    .forEach(path => warnings.push(`${path}: not a brand spec token, ignored`));
+
+  return { brandSpec: merged, changes, warnings };
+}
+
+/**
+ * Resolve {group.token} references in a token value, including inside
+ * composite values
+ */
+export function resolveAliases(value, root, trail = []) {
+  if (typeof value === 'string') {
+    const match = value.match(ALIAS_PATTERN);
+    if (!match) return value;
+    const path = match[1];
+    if (trail.includes(path)) {
+      throw new Error(`circular alias ${[...trail, path].join(' -> ')}`);
+    }
+    const token = getNode(root, path);
+    if (!token || !('$value' in token)) {
+      throw new Error(`unresolved alias {${path}}`);
+    }
+    return resolveAliases(token.$value, root, [...trail, path]);
+  }
+  if (Array.isArray(value)) return value.map(item => resolveAliases(item, root, trail));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveAliases(item, root, trail)]));
+  }
+  return value;
+}
+
+/**
+ * Parse a CSS box-shadow into a DTCG shadow value (an array for layered shadows)
+ */
+export function parseShadow(css) {
+  if (!css || css === 'none') return null;
+
+  const layers = String(css).split(/,(?![^(]*\))/).map(layer => {
+    const colorMatch = layer.match(/rgba?\([^)]*\)|#[0-9a-f]{3,8}\b/i);
+    const color = colorMatch && toHex8(colorMatch[0]);
+    const lengths = layer.replace(colorMatch?.[0] || '', '').match(/-?[\d.]+(px|rem|em)?/g) || [];
+    if (!color || lengths.length < 2) return null;
+
+    const [offsetX, offsetY, blur = '0px', spread = '0px'] = lengths.map(length => /[a-z]$/.test(length) ? length : `${length}px`);
+    return { color, offsetX, offsetY, blur, spread, ...(/\binset\b/.test(layer) && { inset: true }) };
+  });
+
+  if (layers.some(layer => !layer)) return null;
+  return layers.length === 1 ? layers[0] : layers;
+}
+
+function formatShadow(value) {
+  const layers = Array.isArray(value) ? value : [value];
+  if (layers.some(layer => !layer?.color || layer.offsetX === undefined || layer.offsetY === undefined)) return null;
+
+  return layers.map(layer => [
+    layer.inset ? 'inset' : null,
+    toDimension(layer.offsetX),
+    toDimension(layer.offsetY),
+    toDimension(layer.blur || '0px'),
+    toDimension(layer.spread || '0px'),
+    toCssColor(layer.color)
+  ].filter(Boolean).join(' ')).join(', ');
+}
+
+function parseBorder(css) {
+  const match = String(css || '').match(/^([\d.]+px)\s+(solid|dashed|dotted|double)\s+(.+)$/);
+  const color = match && normalizeHex(match[3]);
+  return color ? { color, width: match[1], style: match[2] } : null;
+}
+
+/**
+ * Padding shorthand as block/inline dimensions; null when top/bottom or
+ * left/right differ
+ */
+function parsePadding(css) {
+  const parts = String(css || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0 || parts.length > 4) return null;
+  const [top, right = top, bottom = top, left = right] = parts;
+  if (top !== bottom || right !== left) return null;
+  return { block: top, inline: right };
+}
+
+function lineHeightRatio(lineHeight, fontSize) {
+  const value = parseFloat(lineHeight);
+  if (!Number.isFinite(value)) return 1.2;
+  if (/px$/.test(String(lineHeight))) {
+    const size = parseFloat(fontSize);
+    return size > 0 ? Math.round((value / size) * 100) / 100 : 1.2;
+  }
+  return value;
+}
+
+/**
+ * #rrggbb (or #rrggbbaa when translucent) from a CSS color
+ */
+function toHex8(css) {
+  const hex = normalizeHex(css);
+  if (!hex) return null;
+  const alpha = String(css).startsWith('rgba') ? parseFloat(String(css).match(/[\d.]+/g)[3]) : 1;
+  return alpha < 1 ? hex + Math.round(alpha * 255).toString(16).padStart(2, '0') : hex;
+}
+
+function toCssColor(value) {
+  const hex = value && typeof value === 'object' ? value.hex : value;
+  const match = String(hex || '').match(/^#([0-9a-f]{6})([0-9a-f]{2})$/i);
+  if (!match) return toHex(value);
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${Math.round((parseInt(match[2], 16) / 255) * 100) / 100})`;
+}
+
+/**
+ * #rrggbb from a DTCG color value (hex string or { colorSpace, components, hex })
+ */
+function toHex(value) {
+  if (value && typeof value === 'object') {
+    if (value.hex) return normalizeHex(value.hex);
+    if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+      return rgbToHex(value.components.map(component => component * 255));
+    }
+    return null;
+  }
+  return normalizeHex(value);
+}
+
+/**
+ * CSS length from a DTCG dimension value ("16px" or { value, unit })
+ */
+function toDimension(value) {
+  if (value && typeof value === 'object' && 'value' in value) return `${value.value}${value.unit || 'px'}`;
+  if (typeof value === 'number') return `${value}px`;
+  return value;
+}
+
+function splitFontStack(stack) {
+  return String(stack || '').split(',').map(font => font.replace(/['"]/g, '').trim()).filter(Boolean);
+}
+
+function withExtensions(token, extensions) {
+  const defined = Object.fromEntries(Object.entries(extensions).filter(([, value]) => value !== undefined && value !== null));
+  if (Object.keys(defined).length > 0) {
+    token.$extensions = { [DTCG_EXTENSION]: defined };
+  }
+  return token;
+}
+
+function registerAlias(map, value, path) {
+  if (value && !map.has(value)) map.set(value, path);
+}
+
+function slugify(name) {
+  return String(name || 'component').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'component';
+}
+
+function getNode(root, path) {
+  return path.split('.').reduce((node, key) => node?.[key], root);
+}
+
+/**
+ * Names of the child groups or tokens of a node (keys not starting with $)
+ */
+function childKeys(node) {
+  return node && typeof node === 'object' ? Object.keys(node).filter(key => !key.startsWith('$')) : [];
+}
+
+function listTokenPaths(node, prefix = '') {
+  return childKeys(node).flatMap(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const child = node[key];
+    if (!child || typeof child !== 'object') return [];
+    return '$value' in child ? [path] : listTokenPaths(child, path);
+  });
+}
+
+function countTokens(node) {
+  return listTokenPaths(node).length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
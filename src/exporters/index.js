@@ -0,0 +1,55 @@
+/**
+ * Export formats
+ * Registry of the formats that can be bundled into a brand's token ZIP
+ */
+
+import { exportCSS } from './css.js';
+import { exportSCSS } from './scss.js';
+import { exportTailwind } from './tailwind.js';
+import { exportStyleDictionary } from './style-dictionary.js';
+import { exportIOS } from './ios.js';
+import { exportAndroid } from './android.js';
+import { brandSpecToDTCG } from './dtcg.js';
+import { brandSpecToTokensStudio } from './tokens-studio.js';
+
+export const EXPORT_FORMATS = {
+  css: { label: 'CSS variables', generate: exportCSS },
+  scss: { label: 'SCSS variables and maps', generate: exportSCSS },
+  tailwind: { label: 'Tailwind theme', generate: exportTailwind },
+  'style-dictionary': { label: 'Style Dictionary source', generate: exportStyleDictionary },
+  ios: { label: 'iOS asset catalog and SwiftUI theme', generate: exportIOS },
+  android: { label: 'Android resources and Compose theme', generate: exportAndroid },
+  dtcg: {
+    label: 'DTCG tokens',
+    generate: brandSpec => [{ path: 'dtcg/tokens.json', content: JSON.stringify(brandSpecToDTCG(brandSpec), null, 2) + '\n' }]
+  },
+  'tokens-studio': {
+    label: 'Tokens Studio (Figma) tokens',
+    generate: brandSpec => [{ path: 'tokens-studio/tokens.json', content: JSON.stringify(brandSpecToTokensStudio(brandSpec), null, 2) + '\n' }]
+  }
+};
+
+/**
+ * Parse a ?format= value ("css,scss", "all" or empty for all formats)
+ * @returns {Object} { formats, unknown }
+ */
+export function parseExportFormats(value) {
+  const requested = String(value || 'all').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  if (requested.length === 0 || requested.includes('all')) {
+    return { formats: Object.keys(EXPORT_FORMATS), unknown: [] };
+  }
+  return {
+    formats: Array.from(new Set(requested.filter(format => EXPORT_FORMATS[format]))),
+    unknown: requested.filter(format => !EXPORT_FORMATS[format])
+  };
+}
+
+/**
+ * Generate the files for the given formats
+ * @param {Object} brandSpec - brand_spec.json
+ * @param {Array<string>} formats - Keys of EXPORT_FORMATS
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function buildExportFiles(brandSpec, formats) {
+  return formats.flatMap(format => EXPORT_FORMATS[format].generate(brandSpec));
+}
@@ -0,0 +1,194 @@
+/**
+ * iOS export
+ * An Xcode asset catalog with one color set per color (light and dark
+ * appearances) and a SwiftUI BrandTheme with typography, spacing, radii and shadows
+ */
+
+import { collectTokens, getBanner, toIdentifier, toPx, toLineHeightRatio, toLetterSpacingPx, toRgba } from './tokens.js';
+import { parseShadow } from './dtcg.js';
+
+const CATALOG = 'ios/BrandColors.xcassets';
+
+const XCODE_INFO = { author: 'xcode', version: 1 };
+
+const FONT_WEIGHTS = {
+  100: 'ultraLight', 200: 'thin', 300: 'light', 400: 'regular', 500: 'medium',
+  600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black'
+};
+
+const SWIFT_KEYWORDS = new Set(['default', 'case', 'class', 'extension', 'internal', 'private', 'public', 'static', 'struct', 'switch', 'where']);
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function exportIOS(brandSpec) {
+  const tokens = collectTokens(brandSpec);
+  const colors = listColors(tokens);
+
+  const files = [{ path: `${CATALOG}/Contents.json`, content: toJSON({ info: XCODE_INFO }) }];
+  colors.forEach(color => {
+    const appearances = [{ idiom: 'universal', color: toColorSetColor(color.rgba) }];
+    if (color.dark) {
+      appearances.push({
+        appearances: [{ appearance: 'luminosity', value: 'dark' }],
+        idiom: 'universal',
+        color: toColorSetColor(color.dark)
+      });
+    }
+    files.push({
+      path: `${CATALOG}/${color.identifier}.colorset/Contents.json`,
+      content: toJSON({ colors: appearances, info: XCODE_INFO })
+    });
+  });
+
+  files.push({ path: 'ios/BrandTheme.swift', content: buildSwiftTheme(brandSpec, tokens, colors) });
+  return files;
+}
+
+/**
+ * Core colors (with dark variants) followed by ramp steps, each with its
+ * asset and Swift property name
+ */
+function listColors(tokens) {
+  const colors = tokens.colors.map(color => ({
+    identifier: toIdentifier(color.name, 'color'),
+    rgba: toRgba(color.value),
+    dark: color.dark ? toRgba(color.dark) : null,
+    description: color.description
+  }));
+  Object.entries(tokens.ramps).forEach(([name, steps]) => {
+    Object.entries(steps).forEach(([step, value]) => {
+      colors.push({ identifier: toIdentifier(`${name}-${step}`, 'color'), rgba: toRgba(value), dark: null });
+    });
+  });
+  return colors.filter(color => color.rgba);
+}
+
+function toColorSetColor({ red, green, blue, alpha }) {
+  const channel = value => '0x' + value.toString(16).toUpperCase().padStart(2, '0');
+  return {
+    'color-space': 'srgb',
+    components: { alpha: alpha.toFixed(3), blue: channel(blue), green: channel(green), red: channel(red) }
+  };
+}
+
+function buildSwiftTheme(brandSpec, tokens, colors) {
+  const lines = [`// ${getBanner(brandSpec)}`, '', 'import SwiftUI', '', 'public enum BrandTheme {'];
+  const group = (name, members) => {
+    if (members.length === 0) return;
+    lines.push(`    public enum ${name} {`, ...members.map(member => `        ${member}`), '    }', '');
+  };
+
+  // Colors resolve from BrandColors.xcassets, so they follow the system appearance
+  group('Colors', colors.flatMap(color => [
+    ...(color.description ? [`/// ${toComment(color.description)}`] : []),
+    `public static let ${swiftName(color.identifier)} = Color("${color.identifier}")`
+  ]));
+
+  group('Fonts', tokens.fonts.map(font => `public static let ${swiftName(toIdentifier(font.name, 'font'))} = "${font.families[0]}"`));
+
+  const family = tokens.fonts.find(font => font.name === 'primary')?.families[0];
+  group('Typography', tokens.typography.flatMap(style => {
+    const size = toPx(style.fontSize);
+    if (size === null) return [];
+    const lineHeight = toLineHeightRatio(style.lineHeight, size);
+    return [
+      ...(style.description ? [`/// ${toComment(style.description)}`] : []),
+      `public static let ${swiftName(toIdentifier(style.name, 'text'))} = TextStyle(` +
+        [
+          `fontFamily: ${family ? `"${family}"` : 'nil'}`,
+          `size: ${formatNumber(size)}`,
+          `weight: .${FONT_WEIGHTS[snapWeight(style.fontWeight)]}`,
+          `lineHeight: ${formatNumber(lineHeight ?? 1.2)}`,
+          `letterSpacing: ${formatNumber(toLetterSpacingPx(style.letterSpacing, size))}`,
+          `uppercase: ${style.textTransform === 'uppercase'}`
+        ].join(', ') + ')'
+    ];
+  }));
+
+  group('Spacing', tokens.spacing.map(step => `public static let ${toIdentifier(step.name, 'space')}: CGFloat = ${formatNumber(toPx(step.value))}`));
+
+  group('Radius', tokens.radii
+    .filter(radius => toPx(radius.value) !== null)
+    .map(radius => `public static let ${swiftName(toIdentifier(radius.name, 'radius'))}: CGFloat = ${formatNumber(toPx(radius.value))}`));
+
+  // SwiftUI shadows have no spread; layered shadows use their first layer
+  group('Shadows', tokens.shadows.flatMap(shadow => {
+    const parsed = parseShadow(shadow.value);
+    const layer = Array.isArray(parsed) ? parsed[0] : parsed;
+    const rgba = layer && !layer.inset && toRgba(layer.color);
+    if (!rgba) return [];
+    return [`public static let ${swiftName(toIdentifier(shadow.name, 'shadow'))} = ShadowStyle(` +
+      [
+        `color: Color(.sRGB, red: ${formatNumber(rgba.red / 255)}, green: ${formatNumber(rgba.green / 255)}, blue: ${formatNumber(rgba.blue / 255)}, opacity: ${formatNumber(rgba.alpha)})`,
+        `radius: ${formatNumber((toPx(layer.blur) || 0) / 2)}`,
+        `x: ${formatNumber(toPx(layer.offsetX) || 0)}`,
+        `y: ${formatNumber(toPx(layer.offsetY) || 0)}`
+      ].join(', ') + ')'];
+  }));
+
+  lines.push(
+    '    public struct TextStyle {',
+    '        public let fontFamily: String?',
+    '        public let size: CGFloat',
+    '        public let weight: Font.Weight',
+    '        /// Line height as a multiple of the font size',
+    '        public let lineHeight: CGFloat',
+    '        /// Tracking in points',
+    '        public let letterSpacing: CGFloat',
+    '        public let uppercase: Bool',
+    '',
+    '        public var font: Font {',
+    '            (fontFamily.map { Font.custom($0, size: size) } ?? Font.system(size: size)).weight(weight)',
+    '        }',
+    '',
+    '        public var lineSpacing: CGFloat { size * (lineHeight - 1) }',
+    '    }',
+    '',
+    '    public struct ShadowStyle {',
+    '        public let color: Color',
+    '        public let radius: CGFloat',
+    '        public let x: CGFloat',
+    '        public let y: CGFloat',
+    '    }',
+    '}',
+    '',
+    'public extension View {',
+    '    func textStyle(_ style: BrandTheme.TextStyle) -> some View {',
+    '        font(style.font)',
+    '            .lineSpacing(style.lineSpacing)',
+    '            .tracking(style.letterSpacing)',
+    '            .textCase(style.uppercase ? .uppercase : nil)',
+    '    }',
+    '',
+    '    func shadow(_ style: BrandTheme.ShadowStyle) -> some View {',
+    '        shadow(color: style.color, radius: style.radius, x: style.x, y: style.y)',
+    '    }',
+    '}',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+function swiftName(identifier) {
+  return SWIFT_KEYWORDS.has(identifier) ? `\`${identifier}\`` : identifier;
+}
+
+function snapWeight(weight) {
+  const number = parseInt(weight, 10) || 400;
+  return Math.min(900, Math.max(100, Math.round(number / 100) * 100));
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+function toComment(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
@@ -0,0 +1,57 @@
+/**
+ * SCSS export
+ * Design tokens as variables, lookup maps and a text style mixin per level
+ */
+
+import { collectTokens, getBanner } from './tokens.js';
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function exportSCSS(brandSpec) {
+  const tokens = collectTokens(brandSpec);
+  const lines = [`// ${getBanner(brandSpec)}`];
+
+  const block = (title, variables, mapName) => {
+    if (variables.length === 0) return;
+    lines.push('', `// ${title}`, ...variables.map(([name, value]) => `$${name}: ${value};`));
+    if (mapName) {
+      lines.push('', `$${mapName}: (`);
+      variables.forEach(([name, , key], index) => {
+        lines.push(`  '${key}': $${name}${index < variables.length - 1 ? ',' : ''}`);
+      });
+      lines.push(');');
+    }
+  };
+
+  block('Colors', tokens.colors.map(color => [`color-${color.name}`, color.value, color.name]), 'colors');
+  Object.entries(tokens.ramps).forEach(([name, steps]) => {
+    block(`${name} ramp`, Object.entries(steps).map(([step, value]) => [`color-${name}-${step}`, value, step]), `color-${name}-ramp`);
+  });
+  block('Font families', tokens.fonts.map(font => [`font-family-${font.name}`, font.value, font.name]), 'font-families');
+  block('Font sizes', tokens.typography.map(style => [`font-size-${style.name}`, style.fontSize, style.name]), 'font-sizes');
+  block('Spacing', tokens.spacing.map(step => [`space-${step.name}`, step.value, step.name]), 'spacing');
+  block('Radii', tokens.radii.map(radius => [`radius-${radius.name}`, radius.value, radius.name]), 'radii');
+  block('Shadows', tokens.shadows.map(shadow => [`shadow-${shadow.name}`, shadow.value, shadow.name]), 'shadows');
+
+  // @include text-style(h1);
+  if (tokens.typography.length > 0) {
+    const family = tokens.fonts.find(font => font.name === 'primary');
+    lines.push('', '// Text styles', '@mixin text-style($level) {');
+    tokens.typography.forEach((style, index) => {
+      lines.push(`  ${index === 0 ? '@if' : '} @else if'} $level == ${style.name} {`);
+      if (family) lines.push('    font-family: $font-family-primary;');
+      lines.push(
+        `    font-size: $font-size-${style.name};`,
+        `    line-height: ${style.lineHeight};`,
+        `    font-weight: ${style.fontWeight};`
+      );
+      if (style.letterSpacing) lines.push(`    letter-spacing: ${style.letterSpacing};`);
+      if (style.textTransform) lines.push(`    text-transform: ${style.textTransform};`);
+    });
+    lines.push('  } @else {', "    @error 'Unknown text style #{$level}';", '  }', '}');
+  }
+
+  return [{ path: 'scss/_tokens.scss', content: lines.join('\n') + '\n' }];
+}
@@ -0,0 +1,83 @@
+/**
+ * Style Dictionary export
+ * A source tree in Style Dictionary's category/type/item layout with a
+ * config.json that builds CSS, SCSS and JavaScript outputs from it
+ */
+
+import { collectTokens, getBanner } from './tokens.js';
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function exportStyleDictionary(brandSpec) {
+  const tokens = collectTokens(brandSpec);
+  const token = (value, description) => ({ value, ...(description && { comment: description }) });
+
+  const color = {};
+  // neutral-white → color.neutral.white, gray-100 → color.gray.100
+  tokens.colors.forEach(entry => {
+    const grouped = entry.name.match(/^(neutral|gray)-(.+)$/);
+    if (grouped) {
+      color[grouped[1]] = { ...color[grouped[1]], [grouped[2]]: token(entry.value, entry.description) };
+    } else {
+      color[entry.name] = token(entry.value, entry.description);
+    }
+  });
+  if (Object.keys(tokens.ramps).length > 0) {
+    color.ramp = Object.fromEntries(Object.entries(tokens.ramps).map(([name, steps]) =>
+      [name, Object.fromEntries(Object.entries(steps).map(([step, value]) => [step, token(value)]))]));
+  }
+
+  const font = {
+    family: Object.fromEntries(tokens.fonts.map(entry => [entry.name, token(entry.value, entry.description)])),
+    weight: Object.fromEntries(tokens.typography.map(style => [style.name, token(String(style.fontWeight))])),
+    'line-height': Object.fromEntries(tokens.typography.map(style => [style.name, token(String(style.lineHeight))]))
+  };
+
+  const size = {
+    font: Object.fromEntries(tokens.typography.map(style => [style.name, token(style.fontSize, style.description)])),
+    spacing: Object.fromEntries(tokens.spacing.map(step => [step.name, token(step.value)])),
+    radius: Object.fromEntries(tokens.radii.map(radius => [radius.name, token(radius.value)]))
+  };
+
+  const shadow = Object.fromEntries(tokens.shadows.map(entry => [entry.name, token(entry.value, entry.description)]));
+
+  const sources = { color: { color }, font: { font }, size: { size }, shadow: { shadow } };
+  const files = Object.entries(sources)
+    .filter(([, tree]) => hasTokens(tree))
+    .map(([name, tree]) => ({ path: `style-dictionary/tokens/${name}.json`, content: toJSON(tree) }));
+
+  const config = {
+    $comment: getBanner(brandSpec),
+    source: ['tokens/**/*.json'],
+    platforms: {
+      css: {
+        transformGroup: 'css',
+        buildPath: 'build/css/',
+        files: [{ destination: 'variables.css', format: 'css/variables' }]
+      },
+      scss: {
+        transformGroup: 'scss',
+        buildPath: 'build/scss/',
+        files: [{ destination: '_variables.scss', format: 'scss/variables' }]
+      },
+      js: {
+        transformGroup: 'js',
+        buildPath: 'build/js/',
+        files: [{ destination: 'tokens.js', format: 'javascript/es6' }]
+      }
+    }
+  };
+
+  return [{ path: 'style-dictionary/config.json', content: toJSON(config) }, ...files];
+}
+
+function hasTokens(tree) {
+  if (tree && typeof tree === 'object' && 'value' in tree) return true;
+  return Object.values(tree || {}).some(child => typeof child === 'object' && hasTokens(child));
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
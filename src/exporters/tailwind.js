@@ -0,0 +1,71 @@
+/**
+ * Tailwind export
+ * A tailwind.config.js whose theme.extend adds the brand's colors, fonts,
+ * text sizes, spacing, radii and shadows alongside Tailwind's defaults
+ */
+
+import { collectTokens, getBanner } from './tokens.js';
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Array<{path: string, content: string}>}
+ */
+export function exportTailwind(brandSpec) {
+  const tokens = collectTokens(brandSpec);
+  const extend = {};
+
+  // bg-primary, bg-primary-600, bg-gray-100, bg-neutral-white
+  const colors = {};
+  tokens.colors.forEach(color => {
+    const grouped = color.name.match(/^(neutral|gray)-(.+)$/);
+    if (grouped) {
+      colors[grouped[1]] = { ...colors[grouped[1]], [grouped[2]]: color.value };
+    } else {
+      colors[color.name] = { ...colors[color.name], DEFAULT: color.value };
+    }
+  });
+  Object.entries(tokens.ramps).forEach(([name, steps]) => {
+    colors[name] = { ...colors[name], ...steps };
+  });
+  // Single values don't need a DEFAULT wrapper
+  Object.entries(colors).forEach(([name, value]) => {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === 'DEFAULT') colors[name] = value.DEFAULT;
+  });
+  if (Object.keys(colors).length > 0) extend.colors = colors;
+
+  if (tokens.fonts.length > 0) {
+    extend.fontFamily = Object.fromEntries(tokens.fonts.map(font => [font.name, font.families]));
+  }
+
+  // text-h1 sets size, line height, weight and tracking together
+  if (tokens.typography.length > 0) {
+    extend.fontSize = Object.fromEntries(tokens.typography.map(style => [style.name, [style.fontSize, {
+      lineHeight: String(style.lineHeight),
+      fontWeight: String(style.fontWeight),
+      ...(style.letterSpacing && { letterSpacing: style.letterSpacing })
+    }]]));
+  }
+
+  // p-space-16 keeps brand steps apart from Tailwind's numeric spacing scale
+  if (tokens.spacing.length > 0) {
+    extend.spacing = Object.fromEntries(tokens.spacing.map(step => [`space-${step.name}`, step.value]));
+  }
+
+  if (tokens.radii.length > 0) {
+    extend.borderRadius = Object.fromEntries(tokens.radii.map(radius => [radius.name, radius.value]));
+  }
+
+  if (tokens.shadows.length > 0) {
+    extend.boxShadow = Object.fromEntries(tokens.shadows.map(shadow => [shadow.name, shadow.value]));
+  }
+
+  const content = [
+    `// ${getBanner(brandSpec)}`,
+    '/** @type {import(\'tailwindcss\').Config} */',
+    `module.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};`,
+    ''
+  ].join('\n');
+
+  return [{ path: 'tailwind/tailwind.config.js', content }];
+}
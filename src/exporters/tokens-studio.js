@@ -0,0 +1,662 @@
+/**
+ * Tokens Studio export
+ * Converts brand_spec.json design tokens to and from Tokens Studio for Figma
+ * JSON: one token set per group (value/type/description tokens with
+ * {alias} references), plus a color-dark set and themes when a dark theme exists
+ */
+
+import { normalizeHex } from '../utils/color-utils.js';
+import { RAMP_STEPS } from '../utils/color-ramps.js';
+import { parseShadow } from './dtcg.js';
+import { toName, toPx } from './tokens.js';
+
+export const TOKENS_STUDIO_SETS = ['color', 'typography', 'spacing', 'radius', 'shadow'];
+
+const DARK_SET = 'color-dark';
+
+const ALIAS_PATTERN = /\{([^{}]+)\}/g;
+
+// Longest string a value may expand to; nested aliases grow exponentially
+const MAX_RESOLVED_LENGTH = 10000;
+
+// Resolved values per lookup, so each referenced path is resolved once
+const resolvedByLookup = new WeakMap();
+
+const FONT_WEIGHT_NAMES = {
+  100: 'Thin', 200: 'Extra Light', 300: 'Light', 400: 'Regular', 500: 'Medium',
+  600: 'Semi Bold', 700: 'Bold', 800: 'Extra Bold', 900: 'Black'
+};
+
+const FONT_WEIGHT_ALIASES = {
+  hairline: 100, ultralight: 200, book: 400, normal: 400, demibold: 600, ultrabold: 800, heavy: 900
+};
+
+// Path words that group tokens without naming a role
+const STRUCTURAL_SEGMENTS = ['color', 'colors', 'palette', 'semantic', 'core', 'global', 'theme', 'base', 'default'];
+
+// Brand spec color roles and the token names that map to them
+const COLOR_ROLES = {
+  primary: ['primary', 'brand'],
+  secondary: ['secondary'],
+  accent: ['accent', 'tertiary', 'highlight'],
+  white: ['white', 'background', 'bg', 'surface', 'canvas'],
+  black: ['black', 'text', 'foreground', 'fg', 'ink'],
+  success: ['success', 'positive'],
+  error: ['error', 'danger', 'negative', 'destructive'],
+  warning: ['warning', 'caution'],
+  info: ['info', 'informative']
+};
+
+const GRAY_GROUPS = ['gray', 'grey', 'neutral', 'neutrals', 'slate'];
+
+// Gray steps the brand spec schema accepts
+const GRAY_STEPS = RAMP_STEPS.filter(step => step !== '950');
+
+// Component tokens style one element and have no design token equivalent
+const COMPONENT_GROUPS = ['button', 'btn', 'input', 'card', 'nav', 'navigation', 'link', 'badge', 'alert', 'modal', 'tab', 'chip', 'tooltip'];
+
+const TEXT_LEVELS = {
+  h1: ['h1', 'heading-1', 'heading1', 'display', 'hero', 'title'],
+  h2: ['h2', 'heading-2', 'heading2'],
+  h3: ['h3', 'heading-3', 'heading3'],
+  h4: ['h4', 'heading-4', 'heading4'],
+  body: ['body', 'paragraph', 'text', 'regular', 'body-md', 'body-medium', 'body-regular'],
+  small: ['small', 'body-sm', 'body-small', 'footnote'],
+  caption: ['caption', 'label']
+};
+
+const FONT_ROLES = {
+  primary: ['primary', 'body', 'base', 'sans', 'text', 'default'],
+  secondary: ['secondary', 'heading', 'headings', 'display', 'serif'],
+  monospace: ['monospace', 'mono', 'code']
+};
+
+const RADIUS_NAMES = {
+  none: ['none', '0'],
+  sm: ['sm', 'small', 'xs'],
+  md: ['md', 'medium', 'default', 'base'],
+  lg: ['lg', 'large'],
+  xl: ['xl', '2xl', 'xlarge'],
+  full: ['full', 'pill', 'round', 'rounded', 'circle']
+};
+
+// Token types only read through typography references
+const TYPOGRAPHY_PART_TYPES = ['fontSizes', 'fontWeights', 'lineHeights', 'letterSpacing', 'paragraphSpacing', 'textCase', 'textDecoration'];
+
+// Provenance recorded on tokens read from an imported file
+const userEdited = () => ({ source: 'user_edited', confidence: 1, evidence: [] });
+
+/**
+ * Convert a brand spec to a Tokens Studio token file
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Object} Token sets keyed by name, with $themes and $metadata
+ */
+export function brandSpecToTokensStudio(brandSpec) {
+  const tokens = brandSpec?.design_tokens || {};
+  const colors = tokens.colors || {};
+  const output = {};
+
+  output.color = { color: exportColors(colors) };
+  output.typography = exportTypography(tokens.typography || {});
+  output.spacing = {
+    spacing: Object.fromEntries(Array.from(new Set(tokens.spacing?.scale || []))
+      .sort((a, b) => a - b)
+      .map(px => [String(px), token(String(px), 'spacing')]))
+  };
+  output.radius = {
+    borderRadius: Object.fromEntries(Object.entries(tokens.effects?.border_radius || {})
+      .map(([name, value]) => [toName(name), token(stripPx(value), 'borderRadius')]))
+  };
+  output.shadow = { boxShadow: exportShadows(tokens.effects?.shadows || []) };
+
+  const sets = [...TOKENS_STUDIO_SETS];
+  if (colors.dark) {
+    output[DARK_SET] = { color: exportDarkColors(colors.dark) };
+    sets.push(DARK_SET);
+  }
+
+  const enabled = Object.fromEntries(TOKENS_STUDIO_SETS.map(set => [set, 'enabled']));
+  output.$themes = colors.dark
+    ? [
+      { id: 'light', name: 'Light', selectedTokenSets: enabled },
+      { id: 'dark', name: 'Dark', selectedTokenSets: { ...enabled, color: 'source', [DARK_SET]: 'enabled' } }
+    ]
+    : [];
+  output.$metadata = { tokenSetOrder: sets };
+
+  return output;
+}
+
+function exportColors(colors) {
+  const group = {};
+  ['primary', 'secondary', 'accent'].forEach(role => {
+    if (colors[role]?.value) group[role] = token(colors[role].value, 'color', colors[role].usage);
+  });
+
+  const neutral = {};
+  ['white', 'black'].forEach(key => {
+    const color = colors.neutrals?.[key];
+    if (color?.value) neutral[key] = token(color.value, 'color', color.usage);
+  });
+  const gray = Object.fromEntries(Object.entries(colors.neutrals?.gray || {})
+    .filter(([, color]) => color?.value)
+    .map(([step, color]) => [step, token(color.value, 'color', color.usage)]));
+  if (Object.keys(gray).length > 0) neutral.gray = gray;
+  if (Object.keys(neutral).length > 0) group.neutral = neutral;
+
+  const semantic = Object.fromEntries(Object.entries(colors.semantic || {})
+    .filter(([, color]) => color?.value)
+    .map(([name, color]) => [name, token(color.value, 'color', color.usage)]));
+  if (Object.keys(semantic).length > 0) group.semantic = semantic;
+
+  const ramps = Object.fromEntries(Object.entries(colors.ramps || {})
+    .map(([name, ramp]) => [name, Object.fromEntries(Object.entries(ramp.steps || {})
+      .map(([step, hex]) => [step, token(hex, 'color')]))]));
+  if (Object.keys(ramps).length > 0) group.ramp = ramps;
+
+  return group;
+}
+
+/**
+ * Dark values under the same paths as the light colors they replace
+ */
+function exportDarkColors(dark) {
+  const group = {};
+  if (dark.primary?.value) group.primary = token(dark.primary.value, 'color', dark.primary.usage);
+  const neutral = {};
+  if (dark.background?.value) neutral.white = token(dark.background.value, 'color', dark.background.usage);
+  if (dark.text?.value) neutral.black = token(dark.text.value, 'color', dark.text.usage);
+  const gray = Object.fromEntries(Object.entries(dark.neutrals || {})
+    .filter(([, color]) => color?.value)
+    .map(([step, color]) => [step, token(color.value, 'color', color.usage)]));
+  if (Object.keys(gray).length > 0) neutral.gray = gray;
+  if (Object.keys(neutral).length > 0) group.neutral = neutral;
+  return group;
+}
+
+/**
+ * Font families, per-level size/weight/line height/letter spacing tokens and
+ * a typography token per level referencing them
+ */
+function exportTypography(typography) {
+  const set = { fontFamilies: {}, fontWeights: {}, fontSizes: {}, lineHeights: {}, letterSpacing: {}, typography: {} };
+
+  Object.entries(typography.font_families || {}).forEach(([role, font]) => {
+    if (font?.name) set.fontFamilies[role] = token(font.name, 'fontFamilies', font.usage);
+  });
+  const family = set.fontFamilies.primary ? 'primary' : Object.keys(set.fontFamilies)[0];
+
+  Object.entries(typography.scale || {}).forEach(([level, style]) => {
+    const value = {};
+    if (family) value.fontFamily = `{fontFamilies.${family}}`;
+    if (style.font_weight) {
+      set.fontWeights[level] = token(FONT_WEIGHT_NAMES[style.font_weight] || String(style.font_weight), 'fontWeights');
+      value.fontWeight = `{fontWeights.${level}}`;
+    }
+    if (style.font_size) {
+      set.fontSizes[level] = token(stripPx(style.font_size), 'fontSizes');
+      value.fontSize = `{fontSizes.${level}}`;
+    }
+    if (style.line_height) {
+      set.lineHeights[level] = token(toLineHeightValue(style.line_height), 'lineHeights');
+      value.lineHeight = `{lineHeights.${level}}`;
+    }
+    if (style.letter_spacing) {
+      set.letterSpacing[level] = token(toLetterSpacingValue(style.letter_spacing), 'letterSpacing');
+      value.letterSpacing = `{letterSpacing.${level}}`;
+    }
+    if (style.text_transform && style.text_transform !== 'none') value.textCase = style.text_transform;
+    set.typography[level] = token(value, 'typography', style.usage);
+  });
+
+  return Object.fromEntries(Object.entries(set).filter(([, group]) => Object.keys(group).length > 0));
+}
+
+function exportShadows(shadows) {
+  return Object.fromEntries(shadows.flatMap(shadow => {
+    const parsed = parseShadow(shadow.value);
+    if (!parsed) return [];
+    const layers = (Array.isArray(parsed) ? parsed : [parsed]).map(layer => ({
+      x: stripPx(layer.offsetX),
+      y: stripPx(layer.offsetY),
+      blur: stripPx(layer.blur),
+      spread: stripPx(layer.spread),
+      color: layer.color,
+      type: layer.inset ? 'innerShadow' : 'dropShadow'
+    }));
+    return [[toName(shadow.name), token(layers.length === 1 ? layers[0] : layers, 'boxShadow', shadow.usage)]];
+  }));
+}
+
+/**
+ * Read the design tokens from a Tokens Studio file. Token sets whose name
+ * contains "dark" become the dark theme; references and simple math are
+ * resolved; tokens are mapped to brand spec roles by their names.
+ * @param {Object} file - Tokens Studio JSON (multiple sets or a single set)
+ * @returns {Object} { designTokens, imported, warnings } where designTokens holds
+ *   only what the file defines, marked `user_edited`
+ */
+export function tokensStudioToDesignTokens(file) {
+  const warnings = [];
+  const ignored = new Map();
+  const ignore = (reason, path) => ignored.set(reason, [...(ignored.get(reason) || []), path]);
+
+  const sets = getTokenSets(file);
+  const lightSets = sets.filter(set => !/dark/i.test(set.name));
+  const darkSets = sets.filter(set => /dark/i.test(set.name));
+  const lightLookup = buildLookup(lightSets);
+  const darkLookup = buildLookup([...lightSets, ...darkSets]);
+
+  const designTokens = {
+    colors: { neutrals: { gray: {} } },
+    typography: { font_families: {}, scale: {} },
+    spacing: {},
+    effects: {}
+  };
+  const { colors, typography } = designTokens;
+  const spacing = new Set();
+  const families = [];
+  let imported = 0;
+
+  const read = (entry, lookup) => {
+    try {
+      return resolveValue(entry.value, lookup, [entry.key]);
+    } catch (error) {
+      warnings.push(`${entry.key}: ${error.message}`);
+      return undefined;
+    }
+  };
+
+  lightSets.flatMap(set => set.tokens).forEach(entry => {
+    const value = read(entry, lightLookup);
+    if (value === undefined) return;
+    const segments = entry.path.map(segment => segment.toLowerCase());
+
+    if (COMPONENT_GROUPS.includes(segments[0])) {
+      ignore('component tokens with no design token equivalent', entry.key);
+      return;
+    }
+
+    switch (entry.type) {
+      case 'color': {
+        const hex = normalizeHex(String(value));
+        const target = hex && mapColor(segments);
+        if (!hex) {
+          warnings.push(`${entry.key}: ${JSON.stringify(value)} is not a color`);
+        } else if (!target) {
+          ignore('colors with no brand color role', entry.key);
+        } else {
+          setColor(colors, target, { value: hex, usage: entry.description || `Imported ${entry.path.join('.')}`, provenance: userEdited() });
+          imported++;
+        }
+        break;
+      }
+      case 'typography': {
+        const level = mapName(segments, TEXT_LEVELS);
+        const style = level && toTypographyStyle(value, entry);
+        if (!level) {
+          ignore('typography tokens with no text level', entry.key);
+        } else if (!style) {
+          warnings.push(`${entry.key}: typography value has no usable font size`);
+        } else if (typography.scale[level]) {
+          ignore('duplicate text levels', entry.key);
+        } else {
+          if (value.fontFamily) families.push({ level, family: String(value.fontFamily) });
+          typography.scale[level] = style;
+          imported++;
+        }
+        break;
+      }
+      case 'fontFamilies': {
+        const role = mapName(segments, FONT_ROLES) || (typography.font_families.primary ? null : 'primary');
+        if (!role || typography.font_families[role]) {
+          ignore('font families with no font role', entry.key);
+        } else {
+          typography.font_families[role] = toFontFamily(value, entry.description || `${role} font`);
+          imported++;
+        }
+        break;
+      }
+      case 'spacing':
+      case 'dimension':
+      case 'sizing': {
+        const px = toPx(value);
+        if (entry.type !== 'spacing' && !segments.some(segment => /spac|gap/.test(segment))) {
+          ignore('dimensions that are not spacing', entry.key);
+        } else if (px === null || px <= 0) {
+          warnings.push(`${entry.key}: ${JSON.stringify(value)} is not a pixel spacing value`);
+        } else {
+          spacing.add(Math.round(px));
+          imported++;
+        }
+        break;
+      }
+      case 'borderRadius': {
+        const px = toPx(value);
+        if (px === null) {
+          warnings.push(`${entry.key}: ${JSON.stringify(value)} is not a pixel radius`);
+          break;
+        }
+        const name = mapName(segments, RADIUS_NAMES) || toName(entry.path[entry.path.length - 1]);
+        designTokens.effects.border_radius = { ...designTokens.effects.border_radius, [name]: `${Math.round(px)}px` };
+        designTokens.effects.border_radius_provenance = userEdited();
+        imported++;
+        break;
+      }
+      case 'boxShadow': {
+        const css = formatShadow(value);
+        if (!css) {
+          warnings.push(`${entry.key}: not a shadow value`);
+          break;
+        }
+        designTokens.effects.shadows = [...(designTokens.effects.shadows || []), {
+          name: toName(entry.path[entry.path.length - 1]),
+          value: css,
+          usage: entry.description || 'Imported design token',
+          provenance: userEdited()
+        }];
+        imported++;
+        break;
+      }
+      default:
+        if (!TYPOGRAPHY_PART_TYPES.includes(entry.type)) ignore(`"${entry.type}" tokens with no brand spec equivalent`, entry.key);
+    }
+  });
+
+  // Families named only inside typography tokens: the body family is primary,
+  // a different heading family secondary
+  if (!typography.font_families.primary && families.length > 0) {
+    const body = families.find(entry => entry.level === 'body') || families[0];
+    typography.font_families.primary = toFontFamily(body.family, 'Body text and UI');
+    const heading = families.find(entry => /^h\d$/.test(entry.level) && entry.family !== body.family);
+    if (heading) typography.font_families.secondary = toFontFamily(heading.family, 'Headings');
+  }
+
+  if (spacing.size > 0) {
+    designTokens.spacing.scale = Array.from(spacing).sort((a, b) => a - b);
+    designTokens.spacing.provenance = userEdited();
+  }
+
+  const dark = readDarkColors(darkSets, darkLookup, read, warnings);
+  if (dark) colors.dark = dark;
+
+  ignored.forEach((paths, reason) => {
+    const examples = paths.slice(0, 5).join(', ') + (paths.length > 5 ? ', ...' : '');
+    warnings.push(`Ignored ${paths.length} ${reason}: ${examples}`);
+  });
+
+  return { designTokens, imported, warnings };
+}
+
+/**
+ * Dark theme colors from the dark token sets; the schema needs both a
+ * background and a text color
+ */
+function readDarkColors(darkSets, lookup, read, warnings) {
+  const collected = { colors: { neutrals: { gray: {} } } };
+  darkSets.flatMap(set => set.tokens).forEach(entry => {
+    if (entry.type !== 'color') return;
+    const hex = normalizeHex(String(read(entry, lookup) ?? ''));
+    const target = hex && mapColor(entry.path.map(segment => segment.toLowerCase()));
+    if (target) setColor(collected.colors, target, { value: hex, usage: entry.description || `Imported ${entry.path.join('.')} (dark)` });
+  });
+
+  const { colors } = collected;
+  if (!colors.neutrals.white && !colors.neutrals.black) return null;
+  if (!colors.neutrals.white || !colors.neutrals.black) {
+    warnings.push('Dark theme ignored: it needs both a background and a text color');
+    return null;
+  }
+
+  return {
+    background: colors.neutrals.white,
+    text: colors.neutrals.black,
+    ...(colors.primary && { primary: colors.primary }),
+    neutrals: colors.neutrals.gray
+  };
+}
+
+/**
+ * Brand spec location of a color token: a role, a gray step or a ramp step
+ */
+function mapColor(segments) {
+  const words = segments.filter(segment => !STRUCTURAL_SEGMENTS.includes(segment));
+  if (words.length === 0) return null;
+  const last = words[words.length - 1];
+
+  if (/^\d{2,3}$/.test(last) && words.length >= 2) {
+    const group = words[words.length - 2];
+    // Exported ramps ("ramp.neutral.500") are kept apart from the gray scale
+    if (['ramp', 'ramps'].includes(words[0]) && GRAY_GROUPS.includes(group)) {
+      return RAMP_STEPS.includes(last) ? { ramp: 'neutral', step: last } : null;
+    }
+    if (GRAY_GROUPS.includes(group)) return GRAY_STEPS.includes(last) ? { gray: last } : null;
+    const role = findRole(group, ['primary', 'secondary', 'accent']);
+    if (role && RAMP_STEPS.includes(last)) return { ramp: role, step: last };
+    return null;
+  }
+
+  // "neutral.white", "brand.primary", "text.primary", "background.default"
+  const [first, second] = words.length > 1 && (GRAY_GROUPS.includes(words[0]) || words[0] === 'brand')
+    ? words.slice(1)
+    : words;
+  const role = findRole(first);
+  if (!role) return null;
+  if (second && !['primary', 'main'].includes(second)) return null;
+  return { role };
+}
+
+function findRole(name, roles = Object.keys(COLOR_ROLES)) {
+  return roles.find(role => COLOR_ROLES[role].includes(name)) || null;
+}
+
+function setColor(colors, target, color) {
+  if (target.gray) {
+    colors.neutrals.gray[target.gray] = color;
+  } else if (target.ramp) {
+    colors.ramps = colors.ramps || {};
+    colors.ramps[target.ramp] = colors.ramps[target.ramp] || { steps: {} };
+    colors.ramps[target.ramp].steps[target.step] = color.value;
+  } else if (target.role === 'white' || target.role === 'black') {
+    colors.neutrals[target.role] = color;
+  } else if (['primary', 'secondary', 'accent'].includes(target.role)) {
+    colors[target.role] = color;
+  } else {
+    colors.semantic = { ...colors.semantic, [target.role]: color };
+  }
+}
+
+/**
+ * Match the last one or two path segments against a name table
+ */
+function mapName(segments, table) {
+  const candidates = [
+    segments.slice(-2).join('-'),
+    segments[segments.length - 1],
+    segments[segments.length - 2]
+  ].filter(Boolean).map(toName);
+  for (const candidate of candidates) {
+    const match = Object.keys(table).find(key => table[key].includes(candidate));
+    if (match) return match;
+  }
+  return null;
+}
+
+function toTypographyStyle(value, entry) {
+  if (!value || typeof value !== 'object') return null;
+  const size = toPx(value.fontSize);
+  if (!size) return null;
+
+  const letterSpacing = fromLetterSpacingValue(value.letterSpacing);
+  const textCase = String(value.textCase || value.textTransform || '').toLowerCase();
+  return {
+    font_size: `${round(size)}px`,
+    line_height: fromLineHeightValue(value.lineHeight, size),
+    font_weight: toFontWeight(value.fontWeight),
+    ...(letterSpacing && { letter_spacing: letterSpacing }),
+    ...(['uppercase', 'lowercase', 'capitalize'].includes(textCase) && { text_transform: textCase }),
+    usage: entry.description || `Imported ${entry.path.join('.')}`,
+    provenance: userEdited()
+  };
+}
+
+function toFontFamily(value, usage) {
+  const [name, ...fallback] = String(value).split(',').map(family => family.replace(/['"]/g, '').trim()).filter(Boolean);
+  return { name, fallback: fallback.join(', ') || 'sans-serif', usage, provenance: userEdited() };
+}
+
+/**
+ * Numeric weight from "700", 700 or a style name like "Semi Bold"
+ */
+function toFontWeight(weight) {
+  const number = parseInt(weight, 10);
+  if (Number.isFinite(number)) return Math.min(900, Math.max(100, Math.round(number / 100) * 100));
+  const name = String(weight || '').toLowerCase().replace(/[\s_-]+/g, '').replace(/italic$/, '');
+  const match = Object.entries(FONT_WEIGHT_NAMES).find(([, label]) => label.toLowerCase().replace(/\s+/g, '') === name);
+  return match ? Number(match[0]) : (FONT_WEIGHT_ALIASES[name] || 400);
+}
+
+// Tokens Studio line heights: "120%", "AUTO", a multiplier ("1.2") or pixels ("24")
+function toLineHeightValue(lineHeight) {
+  const value = String(lineHeight).trim();
+  if (/^[\d.]+$/.test(value)) return `${round(parseFloat(value) * 100)}%`;
+  if (value === 'normal') return 'AUTO';
+  return stripPx(value);
+}
+
+function fromLineHeightValue(lineHeight, size) {
+  const value = String(lineHeight ?? '').trim();
+  if (/%$/.test(value)) return String(round(parseFloat(value) / 100));
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return 'normal';
+  // Small unitless values are multipliers, larger ones pixels
+  if (/^[\d.]+$/.test(value) && number <= 4) return String(number);
+  return String(round(number / size));
+}
+
+// Tokens Studio letter spacing: a percentage of the font size or pixels
+function toLetterSpacingValue(letterSpacing) {
+  const match = String(letterSpacing).trim().match(/^(-?[\d.]+)(em|px)?$/);
+  if (!match) return String(letterSpacing);
+  return match[2] === 'em' ? `${round(parseFloat(match[1]) * 100)}%` : match[1];
+}
+
+function fromLetterSpacingValue(letterSpacing) {
+  const match = String(letterSpacing ?? '').trim().match(/^(-?[\d.]+)(%|em|px)?$/);
+  if (!match || parseFloat(match[1]) === 0) return null;
+  if (match[2] === '%') return `${round(parseFloat(match[1]) / 100, 3)}em`;
+  if (match[2] === 'em') return `${match[1]}em`;
+  return `${match[1]}px`;
+}
+
+function formatShadow(value) {
+  const layers = Array.isArray(value) ? value : [value];
+  if (layers.some(layer => !layer || typeof layer !== 'object' || !layer.color)) return null;
+  return layers.map(layer => [
+    layer.type === 'innerShadow' ? 'inset' : null,
+    ...[layer.x, layer.y, layer.blur, layer.spread].map(part => `${round(toPx(part ?? 0) ?? 0)}px`),
+    layer.color
+  ].filter(Boolean).join(' ')).join(', ');
+}
+
+/**
+ * Token sets in file order; a file without sets is one set
+ */
+function getTokenSets(file) {
+  const order = Array.isArray(file?.$metadata?.tokenSetOrder) ? file.$metadata.tokenSetOrder : [];
+  const names = Object.keys(file || {}).filter(key => !key.startsWith('$'));
+  const sorted = [...order.filter(name => names.includes(name)), ...names.filter(name => !order.includes(name))];
+
+  const hasSets = order.length > 0 || sorted.every(name => !isToken(file[name]) && Object.values(file[name] || {}).every(child => !isToken(child)));
+  if (!hasSets) return [{ name: 'global', tokens: listTokens(file, []) }];
+
+  return sorted.map(name => ({ name, tokens: listTokens(file[name], []) }));
+}
+
+function listTokens(node, path) {
+  if (!node || typeof node !== 'object') return [];
+  if (isToken(node)) {
+    return [{
+      path,
+      key: path.join('.'),
+      value: node.value ?? node.$value,
+      type: node.type ?? node.$type,
+      description: node.description ?? node.$description
+    }];
+  }
+  return Object.entries(node)
+    .filter(([key]) => !key.startsWith('$'))
+    .flatMap(([key, child]) => listTokens(child, [...path, key]));
+}
+
+function isToken(node) {
+  return Boolean(node) && typeof node === 'object' && ('value' in node || '$value' in node);
+}
+
+/**
+ * References name token paths without the set; later sets win
+ */
+function buildLookup(sets) {
+  const lookup = new Map();
+  sets.forEach(set => set.tokens.forEach(entry => lookup.set(entry.key, entry)));
+  return lookup;
+}
+
+/**
+ * Resolve {path} references (whole values, inside strings and inside
+ * composite values) and evaluate simple arithmetic such as "{space.base} * 2"
+ */
+function resolveValue(value, lookup, trail) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{([^{}]+)\}$/);
+    if (whole) return resolveReference(whole[1], lookup, trail);
+    if (!value.includes('{')) return value;
+    const substituted = value.replace(ALIAS_PATTERN, (_, path) => {
+      const resolved = resolveReference(path, lookup, trail);
+      if (resolved && typeof resolved === 'object') throw new Error(`{${path}} is a composite value`);
+      return String(resolved);
+    });
+    if (substituted.length > MAX_RESOLVED_LENGTH) throw new Error(`expands to more than ${MAX_RESOLVED_LENGTH} characters`);
+    return evaluateMath(substituted);
+  }
+  if (Array.isArray(value)) return value.map(item => resolveValue(item, lookup, trail));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item, lookup, trail)]));
+  }
+  return value;
+}
+
+function resolveReference(path, lookup, trail) {
+  if (trail.includes(path)) throw new Error(`circular reference ${[...trail, path].join(' -> ')}`);
+  if (!resolvedByLookup.has(lookup)) resolvedByLookup.set(lookup, new Map());
+  const resolved = resolvedByLookup.get(lookup);
+  if (resolved.has(path)) return resolved.get(path);
+  const entry = lookup.get(path);
+  if (!entry) throw new Error(`unresolved reference {${path}}`);
+  const value = resolveValue(entry.value, lookup, [...trail, path]);
+  resolved.set(path, value);
+  return value;
+}
+
+function evaluateMath(value) {
+  const match = value.trim().match(/^(-?[\d.]+)(px|rem|%)?\s*([*/+-])\s*(-?[\d.]+)(px|rem|%)?$/);
+  if (!match) return value;
+  const [, a, unitA, operator, b, unitB] = match;
+  const left = parseFloat(a);
+  const right = parseFloat(b);
+  const result = { '*': left * right, '/': left / right, '+': left + right, '-': left - right }[operator];
+  return `${round(result)}${unitA || unitB || ''}`;
+}
+
+function token(value, type, description) {
+  return { value, type, ...(description && { description }) };
+}
+
+function stripPx(value) {
+  return String(value).replace(/px$/, '');
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,149 @@
+/**
+ * Export token list
+ * Flattens brand spec design tokens into named groups shared by every
+ * export format, so CSS, SCSS, Tailwind and Style Dictionary use the same names
+ */
+
+import { hexToRgb, normalizeHex } from '../utils/color-utils.js';
+
+/**
+ * @param {Object} brandSpec - brand_spec.json
+ * @returns {Object} { colors, ramps, fonts, typography, spacing, radii, shadows } where
+ *   list entries are { name, value, description? } (colors also carry a dark theme value as `dark`)
+ *   and ramps maps a color name to { step: hex }
+ */
+export function collectTokens(brandSpec) {
+  const tokens = brandSpec?.design_tokens || {};
+  const colors = tokens.colors || {};
+  const typography = tokens.typography || {};
+
+  // Dark theme values replace the same tokens the Style Guide's dark preview swaps
+  const dark = colors.dark || {};
+  const colorList = [];
+  const addColor = (name, token, darkToken) => {
+    if (!token?.value) return;
+    colorList.push({
+      name,
+      value: token.value,
+      ...(darkToken?.value && { dark: darkToken.value }),
+      ...(token.usage && { description: token.usage })
+    });
+  };
+  addColor('primary', colors.primary, dark.primary);
+  ['secondary', 'accent'].forEach(role => addColor(role, colors[role]));
+  addColor('neutral-white', colors.neutrals?.white, dark.background);
+  addColor('neutral-black', colors.neutrals?.black, dark.text);
+  Object.entries(colors.neutrals?.gray || {}).forEach(([step, token]) => addColor(`gray-${step}`, token, dark.neutrals?.[step]));
+  Object.entries(colors.semantic || {}).forEach(([name, token]) => addColor(toName(name), token));
+
+  const ramps = Object.fromEntries(Object.entries(colors.ramps || {})
+    .map(([name, ramp]) => [toName(name), { ...(ramp.steps || {}) }]));
+
+  const fonts = Object.entries(typography.font_families || {})
+    .filter(([, font]) => font?.name)
+    .map(([role, font]) => ({
+      name: toName(role),
+      families: [font.name, ...String(font.fallback || '').split(',').map(f => f.replace(/['"]/g, '').trim()).filter(Boolean)],
+      ...(font.usage && { description: font.usage })
+    }))
+    .map(font => ({ ...font, value: font.families.map(quoteFontFamily).join(', ') }));
+
+  const typeStyles = Object.entries(typography.scale || {}).map(([level, style]) => ({
+    name: toName(level),
+    fontSize: style.font_size,
+    lineHeight: style.line_height,
+    fontWeight: style.font_weight,
+    ...(style.letter_spacing && { letterSpacing: style.letter_spacing }),
+    ...(style.text_transform && style.text_transform !== 'none' && { textTransform: style.text_transform }),
+    ...(style.usage && { description: style.usage })
+  }));
+
+  // Spacing steps are named by their pixel value (--space-16: 16px)
+  const spacing = Array.from(new Set(tokens.spacing?.scale || []))
+    .sort((a, b) => a - b)
+    .map(px => ({ name: String(px), value: `${px}px` }));
+
+  const radii = Object.entries(tokens.effects?.border_radius || {})
+    .map(([name, value]) => ({ name: toName(name), value }));
+
+  const shadows = (tokens.effects?.shadows || [])
+    .map(shadow => ({ name: toName(shadow.name), value: shadow.value, ...(shadow.usage && { description: shadow.usage }) }));
+
+  return { colors: colorList, ramps, fonts, typography: typeStyles, spacing, radii, shadows };
+}
+
+/**
+ * One-line description of the generated file's origin
+ */
+export function getBanner(brandSpec) {
+  const { brand_name: brandName, source_url: sourceUrl } = brandSpec?.metadata || {};
+  return `Design tokens for ${brandName || 'brand'}${sourceUrl ? ` (${sourceUrl})` : ''}, generated by Brand Canonizer`;
+}
+
+/**
+ * Token names are lowercase kebab-case
+ */
+export function toName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * camelCase identifier for code exports ("neutral-white" → neutralWhite);
+ * names starting with a digit get the prefix ("2xl" → radius2xl)
+ */
+export function toIdentifier(name, prefix) {
+  const words = toName(name).split('-').filter(Boolean);
+  const identifier = words.map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+  return /^\d/.test(identifier) && prefix ? prefix + identifier[0].toUpperCase() + identifier.slice(1) : identifier;
+}
+
+/**
+ * Pixel number of a px/rem/em/unitless size; null when it can't be resolved
+ */
+export function toPx(value, rootSize = 16) {
+  const match = String(value ?? '').trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * rootSize : number;
+}
+
+/**
+ * Line height as a multiple of the font size ("1.5", "24px" at 16px → 1.5);
+ * null for "normal" and unparseable values
+ */
+export function toLineHeightRatio(lineHeight, fontSizePx) {
+  const match = String(lineHeight ?? '').trim().match(/^([\d.]+)(px|%)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  if (match[2] === 'px') return fontSizePx ? Math.round((number / fontSizePx) * 100) / 100 : null;
+  return match[2] === '%' ? number / 100 : number;
+}
+
+/**
+ * Letter spacing in px at the given font size ("0.02em" at 48px → 0.96)
+ */
+export function toLetterSpacingPx(letterSpacing, fontSizePx) {
+  const match = String(letterSpacing ?? '').trim().match(/^(-?[\d.]+)(px|em)$/);
+  if (!match) return 0;
+  const number = parseFloat(match[1]);
+  return match[2] === 'em' ? Math.round(number * fontSizePx * 100) / 100 : number;
+}
+
+/**
+ * RGBA channels of a CSS color: { red, green, blue } 0-255 and alpha 0-1
+ */
+export function toRgba(css) {
+  const rgb = hexToRgb(normalizeHex(css));
+  if (!rgb) return null;
+  const value = String(css).trim().toLowerCase();
+  const hexAlpha = value.match(/^#[0-9a-f]{6}([0-9a-f]{2})$/);
+  const rgbaAlpha = value.startsWith('rgba') ? value.match(/[\d.]+/g)[3] : null;
+  const alpha = hexAlpha ? parseInt(hexAlpha[1], 16) / 255 : rgbaAlpha !== null && rgbaAlpha !== undefined ? parseFloat(rgbaAlpha) : 1;
+  const [red, green, blue] = rgb;
+  return { red, green, blue, alpha: Math.round(alpha * 1000) / 1000 };
+}
+
+function quoteFontFamily(family) {
+  const generic = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-monospace'];
+  return generic.includes(family) || /^-/.test(family) ? family : `'${family}'`;
+}
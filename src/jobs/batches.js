@@ -0,0 +1,225 @@
+/**
+ * Batch extractions
+ * Queues one extraction job per URL and, once every job has finished, writes
+ * a summary report with each brand's score, cost and failure. Batches are
+ * stored as DATA_DIR/batches/<batch id>.json.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { Logger } from '../utils/logger.js';
+import { ensureDir, getBrandPaths, saveJSON, readJSON, fileExists } from '../utils/file-utils.js';
+import { isFinished } from './job-queue.js';
+
+export const MAX_BATCH_SIZE = 100;
+
+export class BatchStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding one <batch id>.json per batch
+   * @param {string} options.dataDir - Data directory the brands are saved in
+   * @param {JobQueue} options.jobQueue - Queue the extraction jobs run on
+   */
+  constructor({ dir, dataDir, jobQueue }) {
+    this.dir = dir;
+    this.dataDir = dataDir;
+    this.jobQueue = jobQueue;
+    this.logger = new Logger('Batches');
+    this.batches = new Map();
+    // Pending write per batch, so saves of the same file never interleave
+    this.writes = new Map();
+
+    jobQueue.onFinish((job) => {
+      const batch = job.batch_id && this.batches.get(job.batch_id);
+      if (batch) {
+        this.completeIfFinished(batch)
+          .catch(error => this.logger.error(`[${batch.id}] Could not write the batch report: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Load the stored batches; a batch whose jobs finished while the server was
+   * down gets its report now. Call after the job queue is loaded.
+   */
+  async load() {
+    await ensureDir(this.dir);
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const batch = await readJSON(path.join(this.dir, file));
+        this.batches.set(batch.id, batch);
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable batch file ${file}: ${error.message}`);
+      }
+    }
+
+    for (const batch of this.batches.values()) {
+      await this.completeIfFinished(batch);
+    }
+
+    this.logger.info(`Loaded ${this.batches.size} batches`);
+  }
+
+  /**
+   * Queue an extraction for every item
+   * @param {Array<Object>} items - { url, adjectives } per brand
+   * @param {Object} options - Extraction options shared by every item
+   *   (crawl, viewports, darkMode, analysisMode)
+   * @returns {Promise<Object>} The batch
+   */
+  async create(items, options = {}) {
+    const batch = {
+      id: uuidv4(),
+      status: 'running',
+      created_at: new Date().toISOString(),
+      finished_at: null,
+      options,
+      items: [],
+      report: null
+    };
+    this.batches.set(batch.id, batch);
+
+    for (const { url, adjectives } of items) {
+      const job = this.jobQueue.enqueue('extract', { ...options, url, adjectives }, { batchId: batch.id });
+      batch.items.push({ url, adjectives, job_id: job.id });
+    }
+
+    await this.save(batch);
+    this.logger.info(`[${batch.id}] Queued ${items.length} extractions`);
+    return batch;
+  }
+
+  /**
+   * Get a batch by ID
+   */
+  get(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * List batches, newest first
+   */
+  list() {
+    return [...this.batches.values()]
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Cancel every job of the batch that has not finished
+   * @returns {number} Number of jobs cancelled or being cancelled
+   */
+  cancel(id) {
+    const pending = this.jobs(this.batches.get(id)).filter(job => !isFinished(job.status));
+    pending.forEach(job => this.jobQueue.cancel(job.id));
+    return pending.length;
+  }
+
+  /**
+   * Jobs of a batch, in the order of its items
+   */
+  jobs(batch) {
+    return batch.items.map(item => this.jobQueue.get(item.job_id)).filter(Boolean);
+  }
+
+  /**
+   * Aggregated progress: job counts per status and the mean job progress
+   */
+  progress(batch) {
+    const jobs = this.jobs(batch);
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    jobs.forEach(job => { counts[job.status]++; });
+
+    const total = batch.items.length;
+    // Jobs pruned from the queue count as finished
+    const progressSum = jobs.reduce((sum, job) => sum + job.progress, 0) + (total - jobs.length) * 100;
+
+    return {
+      total,
+      ...counts,
+      progress_percent: total > 0 ? Math.round(progressSum / total) : 100
+    };
+  }
+
+  /**
+   * Write the report and mark the batch completed once all its jobs finished
+   */
+  async completeIfFinished(batch) {
+    if (batch.status === 'completed' || !this.jobs(batch).every(job => isFinished(job.status))) {
+      return;
+    }
+
+    batch.status = 'completed';
+    batch.finished_at = new Date().toISOString();
+    batch.report = await this.buildReport(batch);
+    await this.save(batch);
+
+    const { totals } = batch.report;
+    this.logger.success(`[${batch.id}] Batch finished: ${totals.completed}/${totals.brands} brands extracted, $${totals.estimated_cost_usd}`);
+  }
+
+  /**
+   * Summary report: one entry per URL with its brand, score, cost and failure
+   */
+  async buildReport(batch) {
+    const brands = [];
+
+    for (const item of batch.items) {
+      const job = this.jobQueue.get(item.job_id);
+      const brandId = job?.brand_id || null;
+      const paths = brandId ? getBrandPaths(brandId, this.dataDir) : null;
+
+      const readIfExists = async (filePath) => filePath && fileExists(filePath) ? readJSON(filePath) : null;
+      const [metadata, trace] = await Promise.all([
+        readIfExists(paths?.metadata),
+        readIfExists(paths?.executionTrace)
+      ]);
+
+      const failedStage = trace?.stages?.find(stage => stage.status === 'failed');
+      const status = job?.status || 'failed';
+
+      brands.push({
+        url: item.url,
+        job_id: item.job_id,
+        brand_id: brandId,
+        brand_name: metadata?.brand_name || null,
+        status,
+        overall_score: status === 'completed' ? metadata?.evaluation_summary?.overall_score ?? null : null,
+        quality_band: status === 'completed' ? metadata?.evaluation_summary?.quality_band ?? null : null,
+        estimated_cost_usd: trace?.summary?.estimated_cost_usd ?? 0,
+        total_tokens: trace?.summary?.total_tokens ?? 0,
+        duration_ms: trace?.summary?.total_duration_ms ?? null,
+        error: status === 'completed' ? null : (job?.error || 'Job record not found'),
+        failed_stage: status === 'completed' ? null : failedStage?.name || null
+      });
+    }
+
+    const scores = brands.map(brand => brand.overall_score).filter(score => score !== null);
+    const count = (status) => brands.filter(brand => brand.status === status).length;
+
+    return {
+      generated_at: new Date().toISOString(),
+      totals: {
+        brands: brands.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        cancelled: count('cancelled'),
+        average_score: scores.length > 0
+          ? parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2))
+          : null,
+        estimated_cost_usd: parseFloat(brands.reduce((sum, brand) => sum + brand.estimated_cost_usd, 0).toFixed(4)),
+        total_tokens: brands.reduce((sum, brand) => sum + brand.total_tokens, 0)
+      },
+      brands
+    };
+  }
+
+  save(batch) {
+    const write = (this.writes.get(batch.id) || Promise.resolve())
+      .then(() => saveJSON(path.join(this.dir, `${batch.id}.json`), batch));
+    this.writes.set(batch.id, write.catch(() => {}));
+    return write;
+  }
+}
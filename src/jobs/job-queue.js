@@ -0,0 +1,359 @@
+/**
+ * Job queue
+ * Runs extractions with a concurrency limit and keeps every job in a JSON
+ * file under DATA_DIR/jobs, so queued and interrupted jobs survive a restart
+ *
+ * A job moves through queued → running → completed | failed | cancelled.
+ * Runners are registered per job type:
+ *   runner(params, { onProgress, onBrand, signal }) → Promise<{ success, brand_id, error, cancelled }>
+ * where onProgress(stage, message) records a progress event, onBrand(brandId)
+ * records the brand a job creates as soon as it has an ID, and `signal`
+ * aborts when the job is cancelled. Listeners added with onFinish(job) are
+ * called whenever a job reaches a final status.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { Logger } from '../utils/logger.js';
+import { ensureDir, getBrandPaths } from '../utils/file-utils.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Finished jobs are dropped from the store after a week
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Progress percentage reported when a job reaches each pipeline stage
+const STAGE_PROGRESS = {
+  queued: 0,
+  setup: 5,
+  capture: 25,
+  analyze: 50,
+  synthesize: 75,
+  evaluate: 90,
+  finalize: 100,
+  error: 0
+};
+
+/**
+ * Whether a job status is final
+ */
+export function isFinished(status) {
+  return FINISHED_STATUSES.includes(status);
+}
+
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding one <job id>.json per job
+   * @param {string} options.dataDir - Data directory holding the brands jobs create
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   */
+  constructor({ dir, dataDir, concurrency = 1 }) {
+    this.dir = dir;
+    this.dataDir = dataDir;
+    this.concurrency = Math.max(1, concurrency || 1);
+    this.logger = new Logger('Jobs');
+    this.runners = new Map();
+    this.jobs = new Map();
+    // Abort controllers of the jobs this process is running
+    this.running = new Map();
+    // Pending write per job, so saves of the same file never interleave
+    this.writes = new Map();
+    this.finishListeners = [];
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   */
+  register(type, runner) {
+    this.runners.set(type, runner);
+  }
+
+  /**
+   * Call listener(job) whenever a job is completed, failed or cancelled
+   */
+  onFinish(listener) {
+    this.finishListeners.push(listener);
+  }
+
+  /**
+   * Load the stored jobs and start working through the queue. Jobs that were
+   * running when the server stopped are queued again and start over; an
+   * interrupted extraction's partial brand is removed, since it starts over
+   * in a new one.
+   */
+  async load() {
+    await ensureDir(this.dir);
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      let job;
+      try {
+        job = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf-8'));
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+        continue;
+      }
+
+      if (isFinished(job.status) && Date.now() - new Date(job.finished_at) > FINISHED_JOB_TTL_MS) {
+        await fs.rm(path.join(this.dir, file), { force: true });
+        continue;
+      }
+
+      if (job.status === 'running' && job.cancel_requested) {
+        this.finish(job, 'cancelled', null);
+      } else if (job.status === 'running') {
+        if (job.type === 'extract' && job.brand_id) {
+          await fs.rm(getBrandPaths(job.brand_id, this.dataDir).brandDir, { recursive: true, force: true });
+          this.logger.info(`[${job.id}] Removed partial brand ${job.brand_id}`);
+          job.brand_id = null;
+        }
+        job.status = 'queued';
+        job.started_at = null;
+        this.addEvent(job, 'queued', 'Server restarted; extraction queued again');
+        this.save(job);
+      }
+
+      this.jobs.set(job.id, job);
+    }
+
+    const queued = this.list({ status: 'queued' }).length;
+    this.logger.info(`Loaded ${this.jobs.size} jobs (${queued} queued), concurrency ${this.concurrency}`);
+    this.pump();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} params - JSON-serializable runner parameters
+   * @param {Object} options
+   * @param {string} options.brandId - Brand the job works on, when known up front
+   * @param {string} options.batchId - Batch the job belongs to
+   * @returns {Object} The job
+   */
+  enqueue(type, params, { brandId = null, batchId = null } = {}) {
+    if (!this.runners.has(type)) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+
+    const job = {
+      id: uuidv4(),
+      type,
+      params,
+      status: 'queued',
+      brand_id: brandId,
+      batch_id: batchId,
+      stage: 'queued',
+      message: 'Waiting for a worker',
+      progress: 0,
+      events: [],
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+    this.jobs.set(job.id, job);
+
+    if (this.running.size >= this.concurrency) {
+      const ahead = this.list({ status: 'queued' }).length - 1;
+      this.addEvent(job, 'queued', ahead > 0
+        ? `Waiting for a worker (${ahead} queued job${ahead === 1 ? '' : 's'} ahead)`
+        : 'Waiting for a worker');
+    }
+    this.save(job);
+
+    this.logger.info(`[${job.id}] Queued ${type} job`);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * List jobs, oldest first
+   * @param {Object} filters
+   * @param {string} filters.status - Only jobs with this status
+   * @param {string} filters.batchId - Only jobs of this batch
+   */
+  list({ status = null, batchId = null } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .filter(job => !batchId || job.batch_id === batchId)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * The queued or running job working on a brand, if any
+   */
+  activeJobForBrand(brandId) {
+    return [...this.jobs.values()].find(job => job.brand_id === brandId && !isFinished(job.status)) || null;
+  }
+
+  /**
+   * Number of jobs per status
+   */
+  counts() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    this.jobs.forEach(job => { counts[job.status]++; });
+    return counts;
+  }
+
+  /**
+   * Cancel a job. A queued job is cancelled at once; a running job is
+   * aborted and becomes cancelled when its runner returns.
+   * @returns {Object|null} The job, or null if it is unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || isFinished(job.status)) {
+      return job || null;
+    }
+
+    if (job.status === 'queued') {
+      this.addEvent(job, 'error', 'Extraction cancelled');
+      this.finish(job, 'cancelled', null);
+      return job;
+    }
+
+    const controller = this.running.get(id);
+    if (controller && !controller.signal.aborted) {
+      this.logger.info(`[${id}] Cancelling running job`);
+      job.cancel_requested = true;
+      this.save(job);
+      controller.abort();
+    }
+    return job;
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   */
+  pump() {
+    for (const job of this.list({ status: 'queued' })) {
+      if (this.running.size >= this.concurrency) {
+        break;
+      }
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.save(job);
+    this.logger.info(`[${job.id}] Started ${job.type} job`);
+
+    const onProgress = (stage, message) => {
+      this.addEvent(job, stage, message);
+      this.save(job);
+      this.logger.info(`[${job.id}] ${stage}: ${message} (${job.progress}%)`);
+    };
+
+    // Recorded before the runner writes anything, so the brand is guarded by
+    // activeJobForBrand while its first run is in progress
+    const onBrand = (brandId) => {
+      job.brand_id = brandId;
+      this.save(job);
+    };
+
+    let result;
+    try {
+      result = await this.runners.get(job.type)(job.params, { onProgress, onBrand, signal: controller.signal });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    this.running.delete(job.id);
+
+    const status = result.success
+      ? 'completed'
+      : (result.cancelled || controller.signal.aborted ? 'cancelled' : 'failed');
+    this.finish(job, status, result);
+    this.pump();
+  }
+
+  /**
+   * Record the final status and the closing event SSE clients wait for
+   */
+  finish(job, status, result) {
+    job.status = status;
+    job.brand_id = result?.brand_id || job.brand_id;
+    job.error = {
+      completed: null,
+      failed: result?.error || 'Unknown error',
+      cancelled: 'Extraction cancelled'
+    }[status];
+    job.progress = 100;
+    job.finished_at = new Date().toISOString();
+
+    const messages = {
+      completed: `Extraction complete! Brand ID: ${job.brand_id}`,
+      failed: `Extraction failed: ${job.error}`,
+      cancelled: 'Extraction cancelled'
+    };
+    job.events.push({
+      stage: 'complete',
+      message: messages[status],
+      progress_percent: 100,
+      timestamp: job.finished_at,
+      brand_id: job.brand_id,
+      status
+    });
+
+    this.save(job);
+    if (status === 'completed') {
+      this.logger.success(`[${job.id}] Job completed`);
+    } else {
+      this.logger.info(`[${job.id}] Job ${status}${job.error ? `: ${job.error}` : ''}`);
+    }
+
+    this.finishListeners.forEach(listener => listener(job));
+  }
+
+  addEvent(job, stage, message) {
+    job.stage = stage;
+    job.message = message;
+    job.progress = STAGE_PROGRESS[stage] ?? job.progress;
+    job.events.push({
+      stage,
+      message,
+      progress_percent: job.progress,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Write a job to disk (write-then-rename, so a crash never leaves half a file)
+   */
+  save(job) {
+    const filePath = path.join(this.dir, `${job.id}.json`);
+    const tempPath = `${filePath}.tmp`;
+
+    const write = (this.writes.get(job.id) || Promise.resolve())
+      .then(async () => {
+        await ensureDir(this.dir);
+        await fs.writeFile(tempPath, JSON.stringify(job, null, 2), 'utf-8');
+        await fs.rename(tempPath, filePath);
+      })
+      .catch(error => this.logger.error(`[${job.id}] Could not save job: ${error.message}`));
+
+    this.writes.set(job.id, write);
+    write.then(() => {
+      if (this.writes.get(job.id) === write) {
+        this.writes.delete(job.id);
+      }
+    });
+    return write;
+  }
+}
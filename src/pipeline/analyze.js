@@ -3,12 +3,21 @@
  * Uses Claude Vision API to analyze screenshots and extract brand tokens
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { createLLMProvider } from '../providers/index.js';
+import { completeStructured } from '../providers/structured-output.js';
+import { getAnalysisTool } from '../providers/tools.js';
+import { tileImage } from '../utils/image-tiles.js';
+import { mergeBrandTokens } from '../utils/token-merge.js';
 import { Logger } from '../utils/logger.js';
-import { saveJSON, getFileSize } from '../utils/file-utils.js';
+import { saveJSON, getFileSize, fileExists } from '../utils/file-utils.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+// Crawled pages contribute their hero screenshot, up to this many pages
+const MAX_CRAWLED_PAGE_SCREENSHOTS = 3;
+// Adjacent full-page slices overlap so boundary elements appear whole in one
+const TILE_OVERLAP_PX = 120;
+
 /**
  * Analyze captured data using Claude Vision API
  * @param {Object} captureData - Data from capture stage
@@ -23,69 +32,107 @@ export async function analyzeWithClaude(captureData, paths, config, adjectives =
 
   logger.info('Starting analysis with Claude Vision API');
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropicApiKey
-  });
-
   const artifacts = [];
   const errors = [];
   let totalInputTokens = 0;
   let totalOutputTokens = 0;
+  let apiCalls = 0;
+  let cacheHits = 0;
+  let providerName = config.llmProvider;
 
   try {
-    // Load screenshots as base64
+    const llm = createLLMProvider(config);
+    providerName = llm.name;
+
+    // Load screenshots as base64, tiling the full page into model-safe slices
     logger.info('Loading screenshots');
-    const screenshots = await loadScreenshots(paths);
+    const { groups, slices, artifacts: tileArtifacts } = await loadScreenshotGroups(paths, captureData.pages || [], config, logger);
+    artifacts.push(...tileArtifacts);
 
-    if (screenshots.length === 0) {
+    if (groups.length === 0) {
       throw new Error('No screenshots available for analysis');
     }
 
-    logger.info(`Loaded ${screenshots.length} screenshots`);
-
-    // Analyze with Claude Vision
-    logger.info('Sending request to Claude Vision API');
+    logger.info(`Loaded ${slices.length} screenshots in ${groups.length} analysis group(s)`);
 
+    // Analyze each group with Claude Vision
     const prompt = buildAnalysisPrompt(captureData, adjectives);
-
-    const message = await anthropic.messages.create({
-      model: config.analyzeModel,
-      max_tokens: config.analyzeMaxTokens,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            ...screenshots.map(screenshot => ({
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: screenshot.mediaType,
-                data: screenshot.data
-              }
-            })),
+    const tool = await getAnalysisTool();
+    const partials = [];
+
+    for (const [index, group] of groups.entries()) {
+      logger.info(`Sending group ${index + 1}/${groups.length} to Claude Vision API (${group.length} images, ${llm.name} provider)`);
+
+      try {
+        const result = await completeStructured(llm, {
+          stage: 'analyze',
+          model: config.analyzeModel,
+          maxTokens: config.analyzeMaxTokens,
+          messages: [
             {
-              type: 'text',
-              text: prompt
+              role: 'user',
+              content: [
+                ...group.flatMap(screenshot => [
+                  {
+                    type: 'text',
+                    text: screenshot.label
+                  },
+                  {
+                    type: 'image',
+                    source: {
+                      type: 'base64',
+                      media_type: screenshot.mediaType,
+                      data: screenshot.data
+                    }
+                  }
+                ]),
+                {
+                  type: 'text',
+                  text: groups.length > 1 ? `${buildGroupContext(index, groups.length)}\n\n${prompt}` : prompt
+                }
+              ]
             }
           ]
-        }
-      ]
-    });
+        }, {
+          tool,
+          maxRepairs: config.llmMaxRepairs,
+          logger
+        });
+
+        totalInputTokens += result.usage.input_tokens;
+        totalOutputTokens += result.usage.output_tokens;
+        apiCalls += result.attempts - result.cacheHits;
+        cacheHits += result.cacheHits;
+        partials.push({ slices: group.map(screenshot => screenshot.id), tokens: result.data });
+      } catch (error) {
+        if (!error.usage) throw error;
+
+        // One unusable group should not discard the others
+        totalInputTokens += error.usage.input_tokens;
+        totalOutputTokens += error.usage.output_tokens;
+        apiCalls += error.attempts - error.cacheHits;
+        cacheHits += error.cacheHits;
+        logger.warn(`Group ${index + 1} failed: ${error.message}`);
+        errors.push({
+          code: 'ANALYSIS_GROUP_FAILED',
+          message: `Group ${index + 1} (${group.map(s => s.id).join(', ')}): ${error.message}`,
+          recoverable: true
+        });
+      }
+    }
 
-    totalInputTokens = message.usage.input_tokens;
-    totalOutputTokens = message.usage.output_tokens;
+    if (partials.length === 0) {
+      throw new Error(`All ${groups.length} analysis groups failed`);
+    }
 
-    logger.info(`Claude response received (${totalInputTokens} input tokens, ${totalOutputTokens} output tokens)`);
+    logger.info(`Claude responses received (${totalInputTokens} input tokens, ${totalOutputTokens} output tokens, ${apiCalls} call(s), ${cacheHits} cached)`);
 
-    // Extract JSON from response
-    const responseText = message.content[0].text;
-    const brandTokens = extractJSONFromResponse(responseText);
+    // Merge partial token sets, de-duplicating findings across slices
+    const brandTokens = mergeBrandTokens(partials);
+    brandTokens.analysis_slices = slices;
 
     // Add cross-reference with DOM/CSS data
-    brandTokens.cross_reference = {
-      dom_data: captureData.dom,
-      css_data: captureData.styles
-    };
+    brandTokens.cross_reference = buildCrossReference(captureData);
 
     // Save brand_tokens.json
     const brandTokensPath = paths.analysis.brandTokens;
@@ -102,7 +149,7 @@ export async function analyzeWithClaude(captureData, paths, config, adjectives =
     logger.success(`Analysis completed in ${duration}ms`);
 
     return {
-      status: 'success',
+      status: errors.length > 0 ? 'warning' : 'success',
       duration_ms: duration,
       artifacts,
       logs: logger.getLogsForStage(),
@@ -111,7 +158,9 @@ export async function analyzeWithClaude(captureData, paths, config, adjectives =
         tokens_input: totalInputTokens,
         tokens_output: totalOutputTokens,
         model_used: config.analyzeModel,
-        api_calls: 1
+        provider: providerName,
+        api_calls: apiCalls,
+        cache_hits: cacheHits
       },
       data: brandTokens
     };
@@ -134,42 +183,154 @@ export async function analyzeWithClaude(captureData, paths, config, adjectives =
         tokens_input: totalInputTokens,
         tokens_output: totalOutputTokens,
         model_used: config.analyzeModel,
-        api_calls: 1
+        provider: providerName,
+        api_calls: apiCalls,
+        cache_hits: cacheHits
       }
     };
   }
 }
 
 /**
- * Load screenshots as base64
+ * Build the capture cross-reference attached to brand tokens, which the
+ * synthesize stage uses to ground model output in measured DOM/CSS data
+ * @param {Object} captureData - Data from capture stage
+ * @returns {Object} Cross-reference data
  */
-async function loadScreenshots(paths) {
-  const screenshots = [];
+export function buildCrossReference(captureData) {
+  return {
+    dom_data: captureData.dom,
+    css_data: captureData.styles,
+    responsive_data: captureData.responsive || null,
+    dark_theme: captureData.darkTheme || null,
+    interactive_states: captureData.states || null,
+    css_variables: captureData.cssVariables || null,
+    fonts: captureData.fonts || null,
+    assets: captureData.assets || null,
+    palette: captureData.palette || null,
+    pages: captureData.pages || []
+  };
+}
+
+/**
+ * Load screenshots as base64 and split them into analysis groups. The start
+ * page's full_page.png is tiled into model-safe slices, sent
+ * config.analyzeTilesPerCall slices per request; without a full-page capture
+ * up to 5 start page screenshots form a single group. The hero of each crawled
+ * page joins the first group. Every screenshot carries a slice id and the page
+ * it came from so merged findings can be traced back to it.
+ * @returns {Object} { groups: Array<Array<screenshot>>, slices, artifacts }
+ */
+async function loadScreenshotGroups(paths, pages, config, logger) {
   const screenshotsDir = paths.captures.screenshots;
+  const startUrl = pages[0]?.url || 'the start page';
+  const startPage = [];
+  const artifacts = [];
 
-  try {
-    const files = await fs.readdir(screenshotsDir);
+  const readImage = async (filePath) => (await fs.readFile(filePath)).toString('base64');
+
+  const fullPagePath = path.join(screenshotsDir, 'full_page.png');
+  if (config.analyzeTileHeight > 0 && fileExists(fullPagePath)) {
+    try {
+      const { tiles, height, truncated } = await tileImage(fullPagePath, paths.analysis.tiles, {
+        tileHeight: config.analyzeTileHeight,
+        overlap: TILE_OVERLAP_PX,
+        maxTiles: config.analyzeMaxTiles
+      });
+
+      if (truncated) {
+        logger.warn(`Full page is ${height}px tall; only the top ${tiles[tiles.length - 1].y_end}px fit in ${tiles.length} slices`);
+      }
+
+      for (const tile of tiles) {
+        startPage.push({
+          id: tile.name.replace('.png', ''),
+          label: `Slice ${tile.name} of the full page of ${startUrl} (y ${tile.y_start}-${tile.y_end}px of ${height}px)`,
+          path: `analysis/tiles/${tile.name}`,
+          pageUrl: startUrl,
+          y_start: tile.y_start,
+          y_end: tile.y_end,
+          mediaType: 'image/png',
+          data: await readImage(tile.path)
+        });
+        artifacts.push({
+          name: tile.name,
+          path: `analysis/tiles/${tile.name}`,
+          size_bytes: tile.size_bytes,
+          type: 'screenshot'
+        });
+      }
+    } catch (error) {
+      logger.warn(`Could not tile full_page.png (${error.message}); using viewport screenshots`);
+    }
+  }
+
+  if (startPage.length === 0) {
     // Exclude full_page.png as it's too large for API (exceeds 8000px dimension limit)
+    const files = await fs.readdir(screenshotsDir);
     const pngFiles = files
       .filter(f => f.endsWith('.png') && f !== 'full_page.png')
       .sort();
 
     // Load up to 5 screenshots to avoid token limits
     for (const file of pngFiles.slice(0, 5)) {
-      const filePath = path.join(screenshotsDir, file);
-      const data = await fs.readFile(filePath);
-      screenshots.push({
-        name: file,
+      startPage.push({
+        id: file.replace('.png', ''),
+        label: `Screenshot ${file} from ${startUrl}`,
+        path: `captures/screenshots/${file}`,
+        pageUrl: startUrl,
         mediaType: 'image/png',
-        data: data.toString('base64')
+        data: await readImage(path.join(screenshotsDir, file))
       });
     }
+  }
 
-    return screenshots;
-  } catch (error) {
-    console.error('Error loading screenshots:', error);
-    return [];
+  // Add the hero of each crawled page (capped to keep token usage bounded)
+  const crawled = [];
+  for (const crawledPage of pages.slice(1, 1 + MAX_CRAWLED_PAGE_SCREENSHOTS)) {
+    const heroPath = crawledPage.screenshots.find(s => s.endsWith('/hero.png'));
+    if (!heroPath) continue;
+
+    const name = heroPath.replace('captures/pages/', '');
+    crawled.push({
+      id: name.replace('.png', ''),
+      label: `Screenshot ${name} from ${crawledPage.url}`,
+      path: heroPath,
+      pageUrl: crawledPage.url,
+      mediaType: 'image/png',
+      data: await readImage(path.join(paths.brandDir, heroPath))
+    });
   }
+
+  const groupSize = Math.max(1, config.analyzeTilesPerCall);
+  const groups = [];
+  for (let i = 0; i < startPage.length; i += groupSize) {
+    groups.push(startPage.slice(i, i + groupSize));
+  }
+  if (crawled.length > 0) {
+    if (groups.length > 0) {
+      groups[0].push(...crawled);
+    } else {
+      groups.push(crawled);
+    }
+  }
+
+  const slices = groups.flatMap((group, index) => group.map(screenshot => ({
+    id: screenshot.id,
+    path: screenshot.path,
+    page_url: screenshot.pageUrl,
+    ...(screenshot.y_start !== undefined && { y_start: screenshot.y_start, y_end: screenshot.y_end }),
+    group: index + 1
+  })));
+
+  return { groups, slices, artifacts };
+}
+
+/**
+ * Tell the model its screenshots are one part of a page analyzed in parts
+ */
+function buildGroupContext(index, total) {
+  return `These screenshots are part ${index + 1} of ${total} of the website; the other parts are analyzed separately and the results merged. Report only what is visible in these screenshots - fewer components are fine if fewer are visible here.`;
 }
 
 /**
@@ -180,16 +341,21 @@ function buildAnalysisPrompt(captureData, adjectives) {
     ? `\n\nUser-provided brand adjectives: ${adjectives.join(', ')}`
     : '';
 
+  const pages = captureData.pages || [];
+  const pagesText = pages.length > 1
+    ? `\n\nThe screenshots come from ${pages.length} pages of the same site:\n${pages.map(p => `- ${p.url}${p.title ? ` (${p.title})` : ''}`).join('\n')}\nFor every component, set "source_page" to the URL of the page where you observed it.`
+    : '';
+
   return `You are a brand design expert analyzing website screenshots to extract a comprehensive brand identity specification.
 
-${adjectivesText}
+${adjectivesText}${pagesText}
 
 I'm showing you ${captureData.screenshots ? captureData.screenshots.length : 'multiple'} screenshots of a website. Analyze these screenshots to extract the complete brand identity.
 
 **YOUR TASK:**
 Extract the brand's visual identity into structured JSON format. Be thorough and specific.
 
-**REQUIRED OUTPUT (JSON):**
+**REQUIRED OUTPUT (record_brand_tokens tool input):**
 
 {
   "brand_essence": {
@@ -264,7 +430,8 @@ Extract the brand's visual identity into structured JSON format. Be thorough and
         "hover": "any hover state changes observed",
         "active": "any active state changes observed"
       },
-      "usage_notes": "when and how this component is used"
+      "usage_notes": "when and how this component is used",
+      "source_page": "URL of the page where this component was observed"
     }
   ],
 
@@ -309,33 +476,8 @@ Extract the brand's visual identity into structured JSON format. Be thorough and
 3. Provide actual hex values, not color names
 4. Give specific measurements when possible (even if approximate)
 5. Cross-reference what you see in multiple screenshots
-6. Return ONLY valid JSON - no markdown formatting, no additional text
+6. Record the result by calling the record_brand_tokens tool with the complete object
 7. If you're unsure about exact values, make your best estimate but note it in the component's usage_notes
 
-Return the JSON now:`;
-}
-
-/**
- * Extract JSON from Claude's response
- */
-function extractJSONFromResponse(responseText) {
-  try {
-    // Try to parse directly first
-    return JSON.parse(responseText);
-  } catch (e) {
-    // Try to extract JSON from markdown code blocks
-    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-
-    // Try to find JSON object in text
-    const jsonStart = responseText.indexOf('{');
-    const jsonEnd = responseText.lastIndexOf('}');
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      return JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
-    }
-
-    throw new Error('Could not extract valid JSON from Claude response');
-  }
+Record the brand tokens now:`;
 }
@@ -5,9 +5,76 @@
 
 import { chromium } from 'playwright';
 import { Logger } from '../utils/logger.js';
-import { saveBinary, saveJSON, getFileSize } from '../utils/file-utils.js';
+import { ensureDir, saveJSON, saveBinary, getFileSize } from '../utils/file-utils.js';
+import { extractPalette } from '../utils/palette.js';
 import path from 'path';
 
+// Interactive state capture settings
+const MAX_STATE_SAMPLES_PER_CATEGORY = 4;
+const STATE_TRANSITION_WAIT_MS = 350;
+const STATE_STYLE_PROPERTIES = [
+  'color',
+  'background-color',
+  'border-color',
+  'box-shadow',
+  'outline-color',
+  'outline-style',
+  'outline-width',
+  'outline-offset',
+  'text-decoration-line',
+  'opacity',
+  'transform',
+  'filter',
+  'cursor'
+];
+
+// Distinct text styles (tag, size, line height, ...) kept from the computed styles
+const MAX_TEXT_STYLES = 80;
+// Distinct spacing values (context, property, value) kept, with example elements for each
+const MAX_SPACING_SAMPLES = 120;
+const MAX_SPACING_ELEMENTS = 3;
+
+// CSS custom property capture limits
+const MAX_CSS_VARIABLES = 500;
+const MAX_CSS_VARIABLE_SCOPES = 10;
+
+// Brand asset download limits
+const MAX_ASSET_BYTES = 2 * 1024 * 1024;
+const MAX_MANIFEST_ICONS = 2;
+const ASSET_REQUEST_TIMEOUT_MS = 10000;
+const ASSET_FORMATS = {
+  'image/svg+xml': 'svg',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico'
+};
+
+// Font services recognized from stylesheet and font file hosts
+const FONT_PROVIDERS = [
+  { name: 'Google Fonts', hosts: ['fonts.googleapis.com', 'fonts.gstatic.com'] },
+  { name: 'Adobe Fonts', hosts: ['use.typekit.net', 'p.typekit.net'] },
+  { name: 'Bunny Fonts', hosts: ['fonts.bunny.net'] },
+  { name: 'Monotype Fonts', hosts: ['fast.fonts.net'] },
+  { name: 'Font Awesome', hosts: ['use.fontawesome.com', 'kit.fontawesome.com'] }
+];
+
+// Licensing hints per source; a starting point for review, not legal advice
+const FONT_LICENSE_HINTS = {
+  'Google Fonts': 'Open source (SIL Open Font License or Apache 2.0); free to self-host',
+  'Bunny Fonts': 'Open source Google Fonts mirror; same licenses as Google Fonts',
+  'Adobe Fonts': 'Adobe Fonts subscription; web use is licensed per project and domain',
+  'Monotype Fonts': 'Commercial Monotype license tied to the site\'s web project',
+  'Font Awesome': 'Icon font; free tier under SIL OFL, Pro requires a license',
+  'Self-hosted': 'Self-hosted files; check the foundry license before reuse',
+  'Third-party CDN': 'Served from a third-party CDN; check the foundry license before reuse',
+  'System': 'System font; no web font license needed',
+  'Unknown': 'Source unknown; verify licensing before reuse'
+};
+
 /**
  * Capture website screenshots, DOM, and styles
  * @param {string} url - Website URL to capture
@@ -25,12 +92,22 @@ export async function captureWebsite(url, paths, config) {
   const artifacts = [];
   const errors = [];
 
+  // Cancelling the run closes the browser, which fails any pending page call
+  const closeOnAbort = () => {
+    logger.warn('Capture cancelled, closing browser');
+    browser?.close().catch(() => {});
+  };
+  config.signal?.addEventListener('abort', closeOnAbort, { once: true });
+
   try {
+    config.signal?.throwIfAborted();
+
     // Launch browser
     logger.info('Launching browser');
     browser = await chromium.launch({
       headless: true
     });
+    config.signal?.throwIfAborted();
 
     const context = await browser.newContext({
       viewport: config.captureViewport,
@@ -42,29 +119,163 @@ export async function captureWebsite(url, paths, config) {
     // Set timeout
     page.setDefaultTimeout(config.captureTimeoutMs);
 
-    // Navigate to URL with more lenient wait strategy
-    logger.info(`Navigating to ${url}`);
-    try {
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.captureTimeoutMs });
-    } catch (error) {
-      // Try again with even more lenient settings
-      logger.warn(`Initial navigation failed, retrying with load event`);
-      await page.goto(url, { waitUntil: 'load', timeout: config.captureTimeoutMs });
-    }
-
-    // Wait for page to be fully loaded and for any dynamic content
-    logger.info('Waiting for page to stabilize');
-    await page.waitForTimeout(3000);
+    await navigateTo(page, url, config, logger);
 
     logger.info('Page loaded successfully');
 
     // Capture screenshots of different sections
-    const screenshots = await captureScreenshots(page, paths, logger);
+    const screenshots = await captureScreenshots(page, {
+      dir: paths.captures.screenshots,
+      relativeDir: 'captures/screenshots'
+    }, logger);
     artifacts.push(...screenshots);
 
     // Extract DOM structure
     logger.info('Extracting DOM structure');
-    const domData = await extractDOM(page);
+    let domData = await extractDOM(page);
+    logger.success('DOM structure extracted');
+
+    // Extract computed CSS
+    logger.info('Extracting computed CSS');
+    let stylesData = await extractStyles(page);
+    logger.success('Computed CSS extracted');
+
+    // Extract authored CSS custom properties (design-token variables)
+    logger.info('Extracting CSS custom properties');
+    const cssVariablesData = await extractCSSVariables(page);
+    await saveJSON(paths.captures.cssVariables, cssVariablesData);
+    artifacts.push({
+      name: 'css_variables.json',
+      path: 'captures/css_variables.json',
+      size_bytes: await getFileSize(paths.captures.cssVariables),
+      type: 'json'
+    });
+    logger.success(`Found ${cssVariablesData.total_variables} CSS custom properties`);
+
+    // Discover web fonts (@font-face rules, document.fonts, providers)
+    logger.info('Discovering web fonts');
+    const fontsData = await extractFonts(page);
+    await saveJSON(paths.captures.fonts, fontsData);
+    artifacts.push({
+      name: 'fonts.json',
+      path: 'captures/fonts.json',
+      size_bytes: await getFileSize(paths.captures.fonts),
+      type: 'json'
+    });
+    logger.success(`Found ${fontsData.families.length} font families`);
+
+    // Logo, favicons and social image
+    logger.info('Extracting logo and brand assets');
+    const assetsData = await captureBrandAssets(page, paths, logger);
+    await saveJSON(paths.captures.assetsManifest, assetsData);
+    [assetsData.logo, ...assetsData.icons, assetsData.social_image].filter(Boolean).forEach(asset => {
+      artifacts.push({
+        name: path.basename(asset.path),
+        path: asset.path,
+        size_bytes: asset.size_bytes,
+        type: 'asset'
+      });
+    });
+    artifacts.push({
+      name: 'assets.json',
+      path: 'captures/assets.json',
+      size_bytes: await getFileSize(paths.captures.assetsManifest),
+      type: 'json'
+    });
+
+    // Area-weighted palette from the hero and section screenshots
+    logger.info('Quantizing screenshot palette');
+    const paletteData = await extractPalette(
+      screenshots
+        .filter(s => s.name !== 'full_page.png')
+        .map(s => ({ name: s.name, path: path.join(paths.brandDir, s.path) }))
+    );
+    await saveJSON(paths.captures.palette, paletteData);
+    artifacts.push({
+      name: 'palette.json',
+      path: 'captures/palette.json',
+      size_bytes: await getFileSize(paths.captures.palette),
+      type: 'json'
+    });
+    logger.success(`Measured ${paletteData.colors.length} dominant colors`);
+
+    // Capture hover/focus/active/disabled styles of interactive elements (optional)
+    let statesData = null;
+    if (config.captureInteractiveStates) {
+      const startUrl = page.url();
+      statesData = await captureInteractiveStates(page, logger);
+      await saveJSON(paths.captures.states, statesData);
+      artifacts.push({
+        name: 'states.json',
+        path: 'captures/states.json',
+        size_bytes: await getFileSize(paths.captures.states),
+        type: 'json'
+      });
+
+      // Pressing and focusing elements can open menus or navigate away, so
+      // the passes that read the page again start from a fresh load
+      if (config.captureViewports?.length > 0 || config.captureDarkMode || config.crawl?.enabled) {
+        await navigateTo(page, startUrl, config, logger);
+      }
+    }
+
+    // Capture the start page at each responsive viewport profile
+    let responsiveData = null;
+    if (config.captureViewports?.length > 0) {
+      responsiveData = await captureResponsive(page, paths, config, logger);
+      responsiveData.breakpoints.forEach(bp => {
+        artifacts.push(...bp.artifacts);
+        delete bp.artifacts;
+      });
+
+      await saveJSON(paths.captures.responsive, responsiveData);
+      artifacts.push({
+        name: 'responsive.json',
+        path: 'captures/responsive.json',
+        size_bytes: await getFileSize(paths.captures.responsive),
+        type: 'json'
+      });
+    }
+
+    // Capture a second pass with prefers-color-scheme: dark (optional)
+    let darkThemeData = null;
+    if (config.captureDarkMode) {
+      const lightTheme = await extractThemeColors(page);
+      darkThemeData = await captureDarkTheme(browser, page.url(), lightTheme, paths, config, logger);
+      artifacts.push(...darkThemeData.artifacts);
+      delete darkThemeData.artifacts;
+
+      await saveJSON(paths.captures.darkTheme, darkThemeData);
+      artifacts.push({
+        name: 'dark_theme.json',
+        path: 'captures/dark_theme.json',
+        size_bytes: await getFileSize(paths.captures.darkTheme),
+        type: 'json'
+      });
+    }
+
+    // Crawl same-origin pages (optional)
+    const pages = [{
+      url: page.url(),
+      title: domData.title,
+      depth: 0,
+      screenshots: screenshots.map(s => s.path),
+      dom: 'captures/dom.json',
+      styles: 'captures/styles.json'
+    }];
+
+    if (config.crawl?.enabled) {
+      const crawled = await crawlSite(page, url, domData, paths, config, logger);
+      artifacts.push(...crawled.artifacts);
+      errors.push(...crawled.errors);
+      pages.push(...crawled.pages.map(p => p.provenance));
+
+      domData = mergeDOM(domData, pages[0].url, crawled.pages);
+      stylesData = mergeStyles(stylesData, crawled.pages);
+    }
+
+    domData.pages = pages;
+
     const domPath = paths.captures.dom;
     await saveJSON(domPath, domData);
     artifacts.push({
@@ -73,11 +284,7 @@ export async function captureWebsite(url, paths, config) {
       size_bytes: await getFileSize(domPath),
       type: 'json'
     });
-    logger.success('DOM structure extracted');
 
-    // Extract computed CSS
-    logger.info('Extracting computed CSS');
-    const stylesData = await extractStyles(page);
     const stylesPath = paths.captures.styles;
     await saveJSON(stylesPath, stylesData);
     artifacts.push({
@@ -86,7 +293,6 @@ export async function captureWebsite(url, paths, config) {
       size_bytes: await getFileSize(stylesPath),
       type: 'json'
     });
-    logger.success('Computed CSS extracted');
 
     await browser.close();
     browser = null;
@@ -103,7 +309,15 @@ export async function captureWebsite(url, paths, config) {
       data: {
         dom: domData,
         styles: stylesData,
-        screenshots: screenshots.map(s => s.path)
+        screenshots: screenshots.map(s => s.path),
+        responsive: responsiveData,
+        darkTheme: darkThemeData,
+        states: statesData,
+        cssVariables: cssVariablesData,
+        fonts: fontsData,
+        assets: assetsData,
+        palette: paletteData,
+        pages
       }
     };
 
@@ -126,17 +340,43 @@ export async function captureWebsite(url, paths, config) {
       logs: logger.getLogsForStage(),
       errors
     };
+  } finally {
+    config.signal?.removeEventListener('abort', closeOnAbort);
   }
 }
 
+/**
+ * Navigate to a URL and wait for the page to settle
+ */
+async function navigateTo(page, url, config, logger) {
+  // Navigate to URL with more lenient wait strategy
+  logger.info(`Navigating to ${url}`);
+  try {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.captureTimeoutMs });
+  } catch (error) {
+    // Try again with even more lenient settings
+    logger.warn(`Initial navigation failed, retrying with load event`);
+    await page.goto(url, { waitUntil: 'load', timeout: config.captureTimeoutMs });
+  }
+
+  // Wait for page to be fully loaded and for any dynamic content
+  logger.info('Waiting for page to stabilize');
+  await page.waitForTimeout(3000);
+}
+
 /**
  * Capture screenshots of different page sections
+ * @param {Object} target - { dir, relativeDir } where screenshots are written
+ * @param {Object} options - { maxSections } caps the number of viewport-height sections
  */
-async function captureScreenshots(page, paths, logger) {
+async function captureScreenshots(page, target, logger, options = {}) {
+  const { maxSections = 5 } = options;
   const screenshots = [];
-  const screenshotsDir = paths.captures.screenshots;
+  const screenshotsDir = target.dir;
 
   try {
+    await ensureDir(screenshotsDir);
+
     // 1. Hero section (above the fold)
     logger.info('Capturing hero section');
     const heroPath = path.join(screenshotsDir, 'hero.png');
@@ -146,7 +386,7 @@ async function captureScreenshots(page, paths, logger) {
     });
     screenshots.push({
       name: 'hero.png',
-      path: 'captures/screenshots/hero.png',
+      path: `${target.relativeDir}/hero.png`,
       size_bytes: await getFileSize(heroPath),
       type: 'screenshot'
     });
@@ -160,7 +400,7 @@ async function captureScreenshots(page, paths, logger) {
     });
     screenshots.push({
       name: 'full_page.png',
-      path: 'captures/screenshots/full_page.png',
+      path: `${target.relativeDir}/full_page.png`,
       size_bytes: await getFileSize(fullPagePath),
       type: 'screenshot'
     });
@@ -168,7 +408,7 @@ async function captureScreenshots(page, paths, logger) {
     // 3. Scroll through page and capture sections
     const viewportHeight = page.viewportSize().height;
     const pageHeight = await page.evaluate(() => document.body.scrollHeight);
-    const numSections = Math.min(5, Math.ceil(pageHeight / viewportHeight));
+    const numSections = Math.min(maxSections, Math.ceil(pageHeight / viewportHeight));
 
     for (let i = 1; i < numSections; i++) {
       const scrollY = i * viewportHeight;
@@ -184,7 +424,7 @@ async function captureScreenshots(page, paths, logger) {
       });
       screenshots.push({
         name: `section_${i}.png`,
-        path: `captures/screenshots/section_${i}.png`,
+        path: `${target.relativeDir}/section_${i}.png`,
         size_bytes: await getFileSize(sectionPath),
         type: 'screenshot'
       });
@@ -203,6 +443,654 @@ async function captureScreenshots(page, paths, logger) {
   }
 }
 
+/**
+ * Locate buttons, links and inputs, drive them into hover, focus and active
+ * states with real pointer/keyboard interaction, and record the computed-style
+ * deltas against their resting state. Disabled elements are diffed against an
+ * enabled sample of the same category and tag.
+ */
+async function captureInteractiveStates(page, logger) {
+  logger.info('Capturing interactive element states');
+
+  const candidates = await page.evaluate((maxPerCategory) => {
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const styles = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && styles.display !== 'none' && styles.visibility !== 'hidden';
+    };
+
+    const describeSelector = (el) => {
+      const classes = Array.from(el.classList).slice(0, 3).map(c => `.${c}`).join('');
+      return `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${classes}`;
+    };
+
+    const categories = {
+      button: 'button, [role="button"], input[type="submit"], input[type="button"], a[class*="btn"], a[class*="button"]',
+      link: 'nav a, header a, main a, footer a',
+      input: 'input[type="text"], input[type="email"], input[type="search"], input:not([type]), textarea, select'
+    };
+
+    const results = [];
+    const seen = new Set();
+    let nextId = 0;
+
+    Object.entries(categories).forEach(([category, selector]) => {
+      const elements = Array.from(document.querySelectorAll(selector))
+        .filter(el => !seen.has(el) && isVisible(el));
+
+      const isDisabled = (el) => el.disabled === true || el.getAttribute('aria-disabled') === 'true';
+      const enabled = elements.filter(el => !isDisabled(el)).slice(0, maxPerCategory);
+      const disabled = elements.filter(isDisabled).slice(0, 2);
+
+      [...enabled, ...disabled].forEach(el => {
+        seen.add(el);
+        const id = `bc-state-${nextId++}`;
+        el.setAttribute('data-bc-state-id', id);
+        results.push({
+          id,
+          category,
+          tag: el.tagName.toLowerCase(),
+          text: (el.textContent || el.value || el.placeholder || '').trim().substring(0, 60),
+          selector: describeSelector(el),
+          disabled: isDisabled(el)
+        });
+      });
+    });
+
+    return results;
+  }, MAX_STATE_SAMPLES_PER_CATEGORY);
+
+  const samples = [];
+
+  for (const candidate of candidates) {
+    const locator = page.locator(`[data-bc-state-id="${candidate.id}"]`);
+
+    try {
+      await locator.scrollIntoViewIfNeeded({ timeout: 2000 });
+      await page.mouse.move(0, 0);
+      await page.waitForTimeout(STATE_TRANSITION_WAIT_MS);
+      const base = await readStateStyles(locator);
+      const sample = { ...candidate, base, states: {} };
+
+      if (!candidate.disabled) {
+        // Hover
+        await locator.hover({ timeout: 2000 });
+        await page.waitForTimeout(STATE_TRANSITION_WAIT_MS);
+        sample.states.hover = diffStateStyles(base, await readStateStyles(locator));
+
+        // Active: press without releasing on the element so no click/navigation fires
+        const box = await locator.boundingBox();
+        if (box) {
+          await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+          await page.mouse.down();
+          await page.waitForTimeout(STATE_TRANSITION_WAIT_MS);
+          sample.states.active = diffStateStyles(base, await readStateStyles(locator));
+          await page.mouse.move(0, 0);
+          await page.mouse.up();
+        }
+
+        // Focus (keyboard-style focus so :focus-visible applies)
+        await page.mouse.move(0, 0);
+        await locator.focus({ timeout: 2000 });
+        await page.keyboard.press('Shift');
+        await page.waitForTimeout(STATE_TRANSITION_WAIT_MS);
+        sample.states.focus = diffStateStyles(base, await readStateStyles(locator));
+        await locator.evaluate(el => el.blur());
+      }
+
+      Object.keys(sample.states).forEach(state => {
+        if (Object.keys(sample.states[state]).length === 0) delete sample.states[state];
+      });
+      samples.push(sample);
+    } catch (error) {
+      logger.warn(`Could not capture states for ${candidate.selector}: ${error.message}`);
+    }
+  }
+
+  // Disabled elements: diff against an enabled sample of the same category and tag
+  samples.filter(s => s.disabled).forEach(sample => {
+    const reference = samples.find(s => !s.disabled && s.category === sample.category && s.tag === sample.tag) ||
+      samples.find(s => !s.disabled && s.category === sample.category);
+    if (reference) {
+      reference.states.disabled = diffStateStyles(reference.base, sample.base);
+    }
+  });
+
+  await page.evaluate(() => {
+    document.querySelectorAll('[data-bc-state-id]').forEach(el => el.removeAttribute('data-bc-state-id'));
+    window.scrollTo(0, 0);
+  });
+  await page.mouse.move(0, 0);
+
+  logger.success(`Captured states for ${samples.length} interactive elements`);
+  return { samples: samples.filter(s => !s.disabled) };
+}
+
+/**
+ * Read the state-relevant computed styles of an element (snake_case keys, hex colors)
+ */
+async function readStateStyles(locator) {
+  return await locator.evaluate((el, properties) => {
+    const toHex = (color) => {
+      const match = color.match(/[\d.]+/g);
+      if (!color.startsWith('rgb') || !match || match.length < 3) return color;
+      if (match.length >= 4 && parseFloat(match[3]) === 0) return 'transparent';
+      return '#' + match.slice(0, 3).map(x => parseInt(x, 10).toString(16).padStart(2, '0')).join('');
+    };
+
+    const styles = window.getComputedStyle(el);
+    const result = {};
+    properties.forEach(property => {
+      const value = styles.getPropertyValue(property);
+      result[property.replace(/-/g, '_')] = property.endsWith('color') ? toHex(value) : value;
+    });
+    return result;
+  }, STATE_STYLE_PROPERTIES);
+}
+
+/**
+ * Return only the properties whose value differs from the resting state
+ */
+function diffStateStyles(base, current) {
+  const delta = {};
+  Object.entries(current).forEach(([property, value]) => {
+    if (base[property] !== value) {
+      delta[property] = value;
+    }
+  });
+  return delta;
+}
+
+/**
+ * Capture screenshots and typography/layout metrics for each viewport profile.
+ * Screenshots go to captures/screenshots/<profile>/; the profile matching the
+ * primary viewport reuses the root screenshots. Restores the primary viewport.
+ */
+async function captureResponsive(page, paths, config, logger) {
+  const breakpoints = [];
+
+  for (const profile of config.captureViewports) {
+    logger.info(`Capturing ${profile.name} viewport (${profile.width}x${profile.height})`);
+
+    try {
+      await page.setViewportSize({ width: profile.width, height: profile.height });
+      await page.evaluate(() => window.scrollTo(0, 0));
+      await page.waitForTimeout(1000); // Let media queries and resize handlers settle
+
+      const isPrimary = profile.width === config.captureViewport.width;
+      const screenshots = isPrimary
+        ? []
+        : await captureScreenshots(page, {
+          dir: path.join(paths.captures.screenshots, profile.name),
+          relativeDir: `captures/screenshots/${profile.name}`
+        }, logger, { maxSections: 1 });
+
+      const metrics = await extractResponsiveMetrics(page);
+
+      breakpoints.push({
+        name: profile.name,
+        width: profile.width,
+        height: profile.height,
+        screenshots: isPrimary
+          ? ['captures/screenshots/hero.png', 'captures/screenshots/full_page.png']
+          : screenshots.map(s => s.path),
+        typography: metrics.typography,
+        layout: metrics.layout,
+        artifacts: screenshots
+      });
+    } catch (error) {
+      logger.warn(`Failed to capture ${profile.name} viewport: ${error.message}`);
+    }
+  }
+
+  await page.setViewportSize(config.captureViewport);
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await page.waitForTimeout(500);
+
+  logger.success(`Captured ${breakpoints.length} viewport profiles`);
+  return { breakpoints };
+}
+
+/**
+ * Measure typography and layout characteristics at the current viewport
+ */
+async function extractResponsiveMetrics(page) {
+  return await page.evaluate(() => {
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      const styles = window.getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && styles.display !== 'none' && styles.visibility !== 'hidden';
+    };
+
+    const describe = (el) => {
+      const styles = window.getComputedStyle(el);
+      const fontSize = parseFloat(styles.fontSize);
+      const lineHeight = parseFloat(styles.lineHeight);
+      const rect = el.getBoundingClientRect();
+      const classes = Array.from(el.classList).slice(0, 3).map(c => `.${c}`).join('');
+      return {
+        font_size: styles.fontSize,
+        line_height: Number.isFinite(lineHeight) && fontSize > 0 ? (lineHeight / fontSize).toFixed(2) : 'normal',
+        font_weight: parseInt(styles.fontWeight, 10),
+        selector: `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${classes}`,
+        bounding_box: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        }
+      };
+    };
+
+    // Typography: first visible element for each level
+    const typography = {};
+    const levels = { h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', body: 'p', small: 'small, figcaption' };
+    Object.entries(levels).forEach(([level, selector]) => {
+      const el = Array.from(document.querySelectorAll(selector)).find(isVisible);
+      if (el) typography[level] = describe(el);
+    });
+
+    // Layout: content width, navigation behaviour and grid columns
+    const viewportWidth = window.innerWidth;
+    const container = Array.from(document.querySelectorAll('main, section, [class*="container"]'))
+      .find(el => isVisible(el) && window.getComputedStyle(el).maxWidth !== 'none');
+    const header = document.querySelector('header, nav, [role="navigation"]');
+    const navLinks = header ? Array.from(header.querySelectorAll('a')).filter(isVisible).length : 0;
+    const menuToggle = header
+      ? Array.from(header.querySelectorAll('button, [aria-expanded], [class*="menu"], [class*="burger"]'))
+        .some(el => isVisible(el) && (el.hasAttribute('aria-expanded') || /menu|burger|toggle/i.test(el.className?.toString() || '')))
+      : false;
+
+    let gridColumns = 1;
+    Array.from(document.querySelectorAll('body *')).slice(0, 2000).forEach(el => {
+      const styles = window.getComputedStyle(el);
+      if (styles.display === 'grid' && isVisible(el)) {
+        const columns = styles.gridTemplateColumns.split(' ').filter(Boolean).length;
+        gridColumns = Math.max(gridColumns, columns);
+      }
+    });
+
+    return {
+      typography,
+      layout: {
+        viewport_width: viewportWidth,
+        content_width: container ? Math.round(container.getBoundingClientRect().width) : viewportWidth,
+        page_height: document.body.scrollHeight,
+        horizontal_overflow: document.documentElement.scrollWidth > viewportWidth,
+        nav_links_visible: navLinks,
+        menu_toggle_visible: menuToggle,
+        max_grid_columns: gridColumns
+      }
+    };
+  });
+}
+
+/**
+ * Load the page in a fresh dark color-scheme context and record its theme colors.
+ * A separate context (rather than emulateMedia) catches sites that only read
+ * prefers-color-scheme once on load. Screenshots go to captures/screenshots/dark/.
+ */
+async function captureDarkTheme(browser, url, lightTheme, paths, config, logger) {
+  logger.info('Capturing dark color scheme');
+
+  const context = await browser.newContext({
+    viewport: config.captureViewport,
+    colorScheme: 'dark',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+  });
+
+  try {
+    const page = await context.newPage();
+    page.setDefaultTimeout(config.captureTimeoutMs);
+    await navigateTo(page, url, config, logger);
+
+    const darkTheme = await extractThemeColors(page);
+    const supported = darkTheme.background !== lightTheme.background || darkTheme.text !== lightTheme.text;
+
+    if (!supported) {
+      logger.info('Site does not change under prefers-color-scheme: dark');
+      return { supported, light: lightTheme, dark: null, screenshots: [], artifacts: [] };
+    }
+
+    const screenshots = await captureScreenshots(page, {
+      dir: path.join(paths.captures.screenshots, 'dark'),
+      relativeDir: 'captures/screenshots/dark'
+    }, logger, { maxSections: 1 });
+
+    logger.success('Dark color scheme captured');
+    return {
+      supported,
+      light: lightTheme,
+      dark: darkTheme,
+      screenshots: screenshots.map(s => s.path),
+      artifacts: screenshots
+    };
+  } catch (error) {
+    logger.warn(`Dark color scheme capture failed: ${error.message}`);
+    return { supported: false, light: lightTheme, dark: null, screenshots: [], artifacts: [], error: error.message };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Extract the page's theme colors: background, text, link, primary action and neutrals
+ */
+async function extractThemeColors(page) {
+  return await page.evaluate(() => {
+    const toHex = (color) => {
+      if (!color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') return null;
+      const match = color.match(/[\d.]+/g);
+      if (!color.startsWith('rgb') || !match || match.length < 3) return null;
+      if (match.length >= 4 && parseFloat(match[3]) === 0) return null;
+      return '#' + match.slice(0, 3).map(x => parseInt(x, 10).toString(16).padStart(2, '0')).join('');
+    };
+
+    const saturation = (hex) => {
+      const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+      return Math.max(r, g, b) - Math.min(r, g, b);
+    };
+
+    const lightness = (hex) => {
+      const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+      return (r * 299 + g * 587 + b * 114) / 1000;
+    };
+
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    };
+
+    const bodyStyles = window.getComputedStyle(document.body);
+    const background = toHex(bodyStyles.backgroundColor) ||
+      toHex(window.getComputedStyle(document.documentElement).backgroundColor) ||
+      '#ffffff';
+    const text = toHex(bodyStyles.color) || '#000000';
+
+    const link = Array.from(document.querySelectorAll('main a, a'))
+      .filter(isVisible)
+      .map(el => toHex(window.getComputedStyle(el).color))
+      .find(Boolean) || null;
+
+    // Primary action: first visible button-like element with a saturated background
+    const primary = Array.from(document.querySelectorAll('button, [role="button"], a[class*="btn"], a[class*="button"]'))
+      .filter(isVisible)
+      .map(el => toHex(window.getComputedStyle(el).backgroundColor))
+      .find(hex => hex && saturation(hex) > 40) || link;
+
+    // Neutrals: most frequent low-saturation background and text colors
+    const counts = {};
+    Array.from(document.querySelectorAll('body *')).slice(0, 1000).forEach(el => {
+      const styles = window.getComputedStyle(el);
+      [toHex(styles.backgroundColor), toHex(styles.color), toHex(styles.borderTopColor)].forEach(hex => {
+        if (hex && saturation(hex) <= 20) counts[hex] = (counts[hex] || 0) + 1;
+      });
+    });
+    const neutrals = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 9)
+      .map(([hex]) => hex)
+      .sort((a, b) => lightness(b) - lightness(a));
+
+    return { background, text, link, primary, neutrals };
+  });
+}
+
+/**
+ * Crawl same-origin links breadth-first, starting from the links sampled on the
+ * start page. Each page gets its own screenshots, DOM and styles under
+ * captures/pages/<slug>/. Individual page failures are recorded as recoverable
+ * errors and never fail the capture stage.
+ */
+async function crawlSite(page, startUrl, startDom, paths, config, logger) {
+  const { maxPages, maxDepth } = config.crawl;
+  const origin = new URL(startUrl).origin;
+  const visited = new Set([normalizePageUrl(startUrl), normalizePageUrl(page.url())]);
+  const usedSlugs = new Set();
+  const queue = collectCrawlLinks(startDom.links, origin, visited).map(link => ({ url: link, depth: 1 }));
+  const pages = [];
+  const artifacts = [];
+  const errors = [];
+
+  logger.info(`Crawling up to ${maxPages - 1} additional pages (max depth ${maxDepth})`);
+
+  while (queue.length > 0 && pages.length < maxPages - 1) {
+    const { url: pageUrl, depth } = queue.shift();
+    if (visited.has(pageUrl)) continue;
+    visited.add(pageUrl);
+
+    const slug = slugForUrl(pageUrl, usedSlugs);
+    const pageDir = path.join(paths.captures.pages, slug);
+    const relativeDir = `captures/pages/${slug}`;
+
+    try {
+      await navigateTo(page, pageUrl, config, logger);
+
+      // Redirects can land us on another origin or an already captured page
+      const landedUrl = normalizePageUrl(page.url());
+      if (new URL(landedUrl).origin !== origin) {
+        logger.warn(`Skipping ${pageUrl}: redirected off-site to ${landedUrl}`);
+        continue;
+      }
+      visited.add(landedUrl);
+
+      const screenshots = await captureScreenshots(page, {
+        dir: path.join(pageDir, 'screenshots'),
+        relativeDir: `${relativeDir}/screenshots`
+      }, logger, { maxSections: 2 });
+      artifacts.push(...screenshots);
+
+      const dom = await extractDOM(page);
+      const styles = await extractStyles(page);
+
+      const domPath = path.join(pageDir, 'dom.json');
+      const stylesPath = path.join(pageDir, 'styles.json');
+      await saveJSON(domPath, dom);
+      await saveJSON(stylesPath, styles);
+      artifacts.push(
+        { name: `${slug}/dom.json`, path: `${relativeDir}/dom.json`, size_bytes: await getFileSize(domPath), type: 'json' },
+        { name: `${slug}/styles.json`, path: `${relativeDir}/styles.json`, size_bytes: await getFileSize(stylesPath), type: 'json' }
+      );
+
+      pages.push({
+        dom,
+        styles,
+        provenance: {
+          url: landedUrl,
+          title: dom.title,
+          depth,
+          screenshots: screenshots.map(s => s.path),
+          dom: `${relativeDir}/dom.json`,
+          styles: `${relativeDir}/styles.json`
+        }
+      });
+
+      logger.success(`Captured page ${pages.length} of ${maxPages - 1}: ${landedUrl}`);
+
+      if (depth < maxDepth) {
+        collectCrawlLinks(dom.links, origin, visited).forEach(link => {
+          if (!queue.some(item => item.url === link)) {
+            queue.push({ url: link, depth: depth + 1 });
+          }
+        });
+      }
+    } catch (error) {
+      logger.warn(`Failed to capture ${pageUrl}: ${error.message}`);
+      errors.push({
+        code: 'CRAWL_PAGE_ERROR',
+        message: `${pageUrl}: ${error.message}`,
+        recoverable: true
+      });
+    }
+  }
+
+  logger.success(`Crawl finished with ${pages.length} additional pages`);
+  return { pages, artifacts, errors };
+}
+
+/**
+ * Filter sampled links down to crawlable same-origin page URLs
+ */
+export function collectCrawlLinks(links, origin, visited) {
+  const skipExtensions = /\.(pdf|zip|png|jpe?g|gif|svg|webp|mp4|mp3|xml|json|txt|dmg|exe)$/i;
+  const results = [];
+
+  (links || []).forEach(link => {
+    let linkUrl;
+    try {
+      linkUrl = new URL(link.href);
+    } catch (e) {
+      return;
+    }
+
+    if (!['http:', 'https:'].includes(linkUrl.protocol)) return;
+    if (linkUrl.origin !== origin) return;
+    if (skipExtensions.test(linkUrl.pathname)) return;
+
+    const normalized = normalizePageUrl(linkUrl.href);
+    if (!visited.has(normalized) && !results.includes(normalized)) {
+      results.push(normalized);
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Normalize a page URL for de-duplication (drops hash, query and trailing slash)
+ */
+export function normalizePageUrl(url) {
+  const urlObj = new URL(url);
+  const pathname = urlObj.pathname.length > 1 ? urlObj.pathname.replace(/\/+$/, '') : urlObj.pathname;
+  return `${urlObj.origin}${pathname}`;
+}
+
+/**
+ * Build a unique, filesystem-safe directory name for a crawled page
+ */
+export function slugForUrl(url, usedSlugs) {
+  const base = new URL(url).pathname
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toLowerCase()
+    .slice(0, 60) || 'index';
+
+  let slug = base;
+  let counter = 2;
+  while (usedSlugs.has(slug)) {
+    slug = `${base}_${counter++}`;
+  }
+  usedSlugs.add(slug);
+  return slug;
+}
+
+/**
+ * Merge crawled page DOM data into the start page DOM data.
+ * Headings keep the page they came from; structure counts are summed.
+ */
+export function mergeDOM(startDom, startUrl, crawledPages) {
+  const merged = {
+    ...startDom,
+    headings: startDom.headings.map(h => ({ ...h, page: startUrl })),
+    links: [...startDom.links],
+    images: [...startDom.images],
+    structure: { ...startDom.structure },
+    components: (startDom.components || []).map(c => ({
+      ...c,
+      samples: c.samples.map(sample => ({ ...sample, page: startUrl }))
+    }))
+  };
+
+  crawledPages.forEach(({ dom, provenance }) => {
+    merged.headings.push(...dom.headings.map(h => ({ ...h, page: provenance.url })));
+    merged.links.push(...dom.links.filter(link => !merged.links.some(l => l.href === link.href)));
+    merged.images.push(...dom.images.filter(img => !merged.images.some(i => i.src === img.src)));
+
+    Object.entries(dom.structure || {}).forEach(([key, count]) => {
+      merged.structure[key] = (merged.structure[key] || 0) + count;
+    });
+
+    (dom.components || []).forEach(component => {
+      let target = merged.components.find(c => c.category === component.category);
+      if (!target) {
+        target = { category: component.category, count: 0, samples: [] };
+        merged.components.push(target);
+      }
+      target.count += component.count;
+      target.samples.push(...component.samples.map(sample => ({ ...sample, page: provenance.url })));
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Merge crawled page styles into the start page styles (set union per property)
+ */
+export function mergeStyles(startStyles, crawledPages) {
+  const union = (key) => {
+    const values = new Set(startStyles[key]);
+    crawledPages.forEach(({ styles }) => (styles[key] || []).forEach(v => values.add(v)));
+    return Array.from(values);
+  };
+  const pages = [startStyles, ...crawledPages.map(({ styles }) => styles)];
+
+  return {
+    colors: union('colors').sort(),
+    fonts: union('fonts'),
+    fontSizes: union('fontSizes').sort((a, b) => parseFloat(a) - parseFloat(b)),
+    fontWeights: union('fontWeights').sort((a, b) => parseInt(a) - parseInt(b)),
+    spacing: union('spacing').slice(0, 50),
+    borderRadius: union('borderRadius').slice(0, 20),
+    shadows: union('shadows').slice(0, 20),
+    textStyles: mergeTextStyles(pages),
+    spacingSamples: mergeSpacingSamples(pages)
+  };
+}
+
+/**
+ * Sum text style counts across pages; the first page's selector is kept
+ */
+function mergeTextStyles(stylesList) {
+  const merged = new Map();
+
+  stylesList.forEach(styles => {
+    (styles.textStyles || []).forEach(style => {
+      const key = [style.tag, style.font_size, style.line_height, style.letter_spacing, style.font_weight, style.text_transform].join('|');
+      const existing = merged.get(key);
+      if (existing) {
+        existing.count += style.count;
+      } else {
+        merged.set(key, { ...style });
+      }
+    });
+  });
+
+  return Array.from(merged.values()).sort((a, b) => b.count - a.count).slice(0, MAX_TEXT_STYLES);
+}
+
+/**
+ * Sum spacing sample counts across pages, keeping example elements from each
+ */
+function mergeSpacingSamples(stylesList) {
+  const merged = new Map();
+
+  stylesList.forEach(styles => {
+    (styles.spacingSamples || []).forEach(sample => {
+      const key = [sample.context, sample.property, sample.value].join('|');
+      const existing = merged.get(key);
+      if (existing) {
+        existing.count += sample.count;
+        existing.elements = Array.from(new Set([...existing.elements, ...sample.elements])).slice(0, MAX_SPACING_ELEMENTS);
+      } else {
+        merged.set(key, { ...sample, elements: [...sample.elements] });
+      }
+    });
+  });
+
+  return Array.from(merged.values()).sort((a, b) => b.count - a.count).slice(0, MAX_SPACING_SAMPLES);
+}
+
 /**
  * Extract DOM structure
  */
@@ -265,6 +1153,70 @@ async function extractDOM(page) {
     result.structure.inputs = body.querySelectorAll('input, textarea, select').length;
     result.structure.cards = body.querySelectorAll('[class*="card"]').length;
 
+    // Component samples by DOM role: up to 3 visually distinct elements per category
+    const toHex = (color) => {
+      const match = color.match(/[\d.]+/g);
+      if (!color.startsWith('rgb') || !match || match.length < 3) return null;
+      if (match.length >= 4 && parseFloat(match[3]) === 0) return null;
+      return '#' + match.slice(0, 3).map(x => parseInt(x, 10).toString(16).padStart(2, '0')).join('');
+    };
+
+    const componentSelectors = {
+      button: 'button, [role="button"], input[type="submit"], a.btn, a.button, a[class*="btn"]',
+      input: 'input:not([type="hidden"]):not([type="submit"]):not([type="checkbox"]):not([type="radio"]), textarea, select',
+      navigation: 'nav, [role="navigation"]',
+      card: '[class*="card"]',
+      badge: '[class*="badge"], [class*="pill"], [class*="chip"]',
+      form: 'form',
+      modal: 'dialog, [role="dialog"]',
+      table: 'table',
+      avatar: '[class*="avatar"]'
+    };
+
+    result.components = Object.entries(componentSelectors).map(([category, selector]) => {
+      const elements = Array.from(body.querySelectorAll(selector)).filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+      });
+
+      const samples = [];
+      const signatures = new Set();
+      elements.forEach(el => {
+        if (samples.length >= 3) return;
+
+        const styles = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        const classes = Array.from(el.classList).slice(0, 3).map(c => `.${c}`).join('');
+        const sample = {
+          text: (el.textContent || el.getAttribute('placeholder') || '').trim().replace(/\s+/g, ' ').substring(0, 60),
+          selector: `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${classes}`,
+          bounding_box: {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+          },
+          background_color: toHex(styles.backgroundColor),
+          text_color: toHex(styles.color),
+          border: styles.borderTopStyle !== 'none' && parseFloat(styles.borderTopWidth) > 0
+            ? `${styles.borderTopWidth} ${styles.borderTopStyle} ${toHex(styles.borderTopColor) || styles.borderTopColor}`
+            : 'none',
+          border_radius: styles.borderTopLeftRadius,
+          padding: styles.padding,
+          font_size: styles.fontSize,
+          font_weight: parseInt(styles.fontWeight, 10),
+          shadow: styles.boxShadow !== 'none' ? styles.boxShadow : null
+        };
+
+        const signature = [sample.background_color, sample.text_color, sample.border, sample.border_radius].join('|');
+        if (signatures.has(signature)) return;
+        signatures.add(signature);
+        samples.push(sample);
+      });
+
+      return { category, count: elements.length, samples };
+    }).filter(component => component.count > 0);
+
     return result;
   });
 }
@@ -273,7 +1225,7 @@ async function extractDOM(page) {
  * Extract computed CSS from key elements
  */
 async function extractStyles(page) {
-  return await page.evaluate(() => {
+  return await page.evaluate(({ maxTextStyles, maxSpacingSamples, maxSpacingElements }) => {
     const result = {
       colors: new Set(),
       fonts: new Set(),
@@ -283,6 +1235,38 @@ async function extractStyles(page) {
       borderRadius: new Set(),
       shadows: new Set()
     };
+    const textStyles = new Map();
+    const spacingSamples = new Map();
+
+    const describeSelector = (el) => {
+      const classes = Array.from(el.classList).slice(0, 3).map(c => `.${c}`).join('');
+      return `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${classes}`;
+    };
+
+    // Where a spacing value is applied: inside controls and cards, around
+    // page sections, or between stacked blocks
+    const COMPONENT_SELECTOR = 'button, [role="button"], input, select, textarea, a[class*="btn"], a[class*="button"], [class*="card"], [class*="badge"], [class*="chip"], [class*="tag"]';
+    const SECTION_SELECTOR = 'section, header, footer, main, [class*="section"], [class*="hero"]';
+    const spacingContext = (el) => {
+      if (el.matches(COMPONENT_SELECTOR)) return 'component';
+      if (el.matches(SECTION_SELECTOR)) return 'section';
+      return 'stack';
+    };
+
+    const addSpacing = (el, context, property, value) => {
+      if (!value || /^(0px ?)+$/.test(value) || value === 'normal') return;
+      const key = [context, property, value].join('|');
+      const entry = spacingSamples.get(key);
+      if (entry) {
+        entry.count++;
+        const selector = describeSelector(el);
+        if (entry.elements.length < maxSpacingElements && !entry.elements.includes(selector)) {
+          entry.elements.push(selector);
+        }
+      } else {
+        spacingSamples.set(key, { context, property, value, count: 1, elements: [describeSelector(el)] });
+      }
+    };
 
     // Helper to extract color values
     const extractColor = (color) => {
@@ -334,6 +1318,16 @@ async function extractStyles(page) {
       if (padding && padding !== '0px') result.spacing.add(padding);
       if (margin && margin !== '0px') result.spacing.add(margin);
 
+      // Spacing by context; only vertical margins, since horizontal ones are
+      // mostly auto-centering. Padding of other elements is layout spacing.
+      const context = spacingContext(el);
+      addSpacing(el, context === 'stack' ? 'layout' : context, 'padding', padding);
+      addSpacing(el, context, 'margin-top', styles.marginTop);
+      addSpacing(el, context, 'margin-bottom', styles.marginBottom);
+      if (/flex|grid/.test(styles.display)) {
+        addSpacing(el, 'stack', 'gap', styles.rowGap === styles.columnGap ? styles.rowGap : `${styles.rowGap} ${styles.columnGap}`);
+      }
+
       // Border radius
       const borderRadius = styles.borderRadius;
       if (borderRadius && borderRadius !== '0px') result.borderRadius.add(borderRadius);
@@ -341,6 +1335,28 @@ async function extractStyles(page) {
       // Box shadows
       const boxShadow = styles.boxShadow;
       if (boxShadow && boxShadow !== 'none') result.shadows.add(boxShadow);
+
+      // Text styles of elements that render their own text, grouped by tag
+      const ownText = Array.from(el.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (ownText && fontSize && fontSize !== '0px') {
+        const tag = el.tagName.toLowerCase();
+        const key = [tag, fontSize, styles.lineHeight, styles.letterSpacing, styles.fontWeight, styles.textTransform].join('|');
+        const entry = textStyles.get(key);
+        if (entry) {
+          entry.count++;
+        } else {
+          textStyles.set(key, {
+            tag,
+            font_size: fontSize,
+            line_height: styles.lineHeight,
+            letter_spacing: styles.letterSpacing,
+            font_weight: parseInt(styles.fontWeight, 10),
+            text_transform: styles.textTransform,
+            count: 1,
+            selector: describeSelector(el)
+          });
+        }
+      }
     });
 
     // Convert Sets to Arrays and sort
@@ -353,7 +1369,635 @@ async function extractStyles(page) {
       fontWeights: Array.from(result.fontWeights).sort((a, b) => parseInt(a) - parseInt(b)),
       spacing: Array.from(result.spacing).slice(0, 50),
       borderRadius: Array.from(result.borderRadius).slice(0, 20),
-      shadows: Array.from(result.shadows).slice(0, 20)
+      shadows: Array.from(result.shadows).slice(0, 20),
+      textStyles: Array.from(textStyles.values()).sort((a, b) => b.count - a.count).slice(0, maxTextStyles),
+      spacingSamples: Array.from(spacingSamples.values()).sort((a, b) => b.count - a.count).slice(0, maxSpacingSamples)
+    };
+  }, { maxTextStyles: MAX_TEXT_STYLES, maxSpacingSamples: MAX_SPACING_SAMPLES, maxSpacingElements: MAX_SPACING_ELEMENTS });
+}
+
+/**
+ * Collect CSS custom properties declared in the page's stylesheets (including
+ * :root, [data-theme] and media-scoped rules) with their resolved values and
+ * how often each one is referenced through var(). Cross-origin stylesheets
+ * cannot be read and are only counted.
+ */
+async function extractCSSVariables(page) {
+  return await page.evaluate(({ maxVariables, maxScopes }) => {
+    const declarations = new Map();
+    const usage = {};
+    const sheets = { total: 0, inaccessible: 0 };
+
+    const countUsage = (text) => {
+      for (const match of text.matchAll(/var\(\s*(--[\w-]+)/g)) {
+        usage[match[1]] = (usage[match[1]] || 0) + 1;
+      }
+    };
+
+    const addDeclarations = (style, selector, media) => {
+      for (let i = 0; i < style.length; i++) {
+        const name = style[i];
+        if (!name.startsWith('--')) continue;
+
+        if (!declarations.has(name)) {
+          declarations.set(name, []);
+        }
+        const scope = { selector, value: style.getPropertyValue(name).trim() };
+        if (media) scope.media = media;
+        declarations.get(name).push(scope);
+      }
+    };
+
+    const walkRules = (rules, media) => {
+      Array.from(rules).forEach(rule => {
+        if (rule.styleSheet) {
+          walkSheet(rule.styleSheet);
+          return;
+        }
+
+        if (rule.style) {
+          countUsage(rule.style.cssText);
+          addDeclarations(rule.style, rule.selectorText || '', media);
+        }
+
+        if (rule.cssRules) {
+          walkRules(rule.cssRules, rule.conditionText || rule.media?.mediaText || media);
+        }
+      });
+    };
+
+    const walkSheet = (sheet) => {
+      sheets.total++;
+      let rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (e) {
+        sheets.inaccessible++;
+        return;
+      }
+      walkRules(rules, null);
+    };
+
+    Array.from(document.styleSheets).forEach(walkSheet);
+
+    // Inline declarations on the root element and usages in style attributes
+    addDeclarations(document.documentElement.style, ':root', null);
+    document.querySelectorAll('[style]').forEach(el => countUsage(el.getAttribute('style')));
+
+    // Probe element used to resolve colors and lengths to concrete values
+    const probe = document.createElement('div');
+    probe.style.position = 'absolute';
+    probe.style.visibility = 'hidden';
+    document.body.appendChild(probe);
+
+    const rootStyles = window.getComputedStyle(document.documentElement);
+
+    const toHex = (color) => {
+      const match = color.match(/[\d.]+/g);
+      if (!color.startsWith('rgb') || !match || match.length < 3) return null;
+      if (match.length >= 4 && parseFloat(match[3]) === 0) return null;
+      return '#' + match.slice(0, 3).map(x => parseInt(x, 10).toString(16).padStart(2, '0')).join('');
+    };
+
+    const classify = (value) => {
+      if (!value || value.includes('var(')) return { type: 'other' };
+
+      if (/^-?[\d.]+$/.test(value)) {
+        return { type: 'number' };
+      }
+
+      if (!/^(inherit|initial|unset|revert|currentcolor)$/i.test(value) && CSS.supports('color', value)) {
+        probe.style.color = value;
+        const hex = toHex(window.getComputedStyle(probe).color);
+        return hex ? { type: 'color', hex } : { type: 'other' };
+      }
+
+      if (!value.includes('%') && CSS.supports('width', value) && /\d/.test(value)) {
+        probe.style.width = value;
+        const px = parseFloat(window.getComputedStyle(probe).width);
+        return Number.isFinite(px) ? { type: 'length', px: Math.round(px * 100) / 100 } : { type: 'other' };
+      }
+
+      return { type: 'other' };
+    };
+
+    const variables = Array.from(declarations.entries()).map(([name, scopes]) => {
+      const value = rootStyles.getPropertyValue(name).trim() || scopes[0].value;
+      return {
+        name,
+        value,
+        ...classify(value),
+        usage_count: usage[name] || 0,
+        scopes: scopes.slice(0, maxScopes)
+      };
+    });
+
+    probe.remove();
+
+    variables.sort((a, b) => b.usage_count - a.usage_count || a.name.localeCompare(b.name));
+
+    return {
+      variables: variables.slice(0, maxVariables),
+      total_variables: variables.length,
+      sheets
+    };
+  }, { maxVariables: MAX_CSS_VARIABLES, maxScopes: MAX_CSS_VARIABLE_SCOPES });
+}
+
+/**
+ * Enumerate web fonts: @font-face rules from readable stylesheets, FontFace
+ * objects in document.fonts (which also covers cross-origin stylesheets such
+ * as Google Fonts), font stylesheet links, loaded font files and the font
+ * stacks actually used by rendered elements.
+ */
+async function extractFonts(page) {
+  const raw = await page.evaluate(() => {
+    const clean = (family) => (family || '').trim().replace(/^['"]|['"]$/g, '');
+    const faces = [];
+
+    const walkRules = (rules, sheetHref) => {
+      Array.from(rules).forEach(rule => {
+        if (rule.styleSheet) {
+          walkSheet(rule.styleSheet);
+        } else if (rule instanceof CSSFontFaceRule) {
+          const src = rule.style.getPropertyValue('src');
+          const files = Array.from(src.matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)(?:\s*format\(\s*['"]?([^'")]+)['"]?\s*\))?/g))
+            .map(match => {
+              let url = match[1];
+              try {
+                url = new URL(match[1], sheetHref || document.baseURI).href;
+              } catch (e) {
+                // keep the raw value
+              }
+              return { url, format: match[2] || null };
+            });
+
+          faces.push({
+            family: clean(rule.style.getPropertyValue('font-family')),
+            weight: rule.style.getPropertyValue('font-weight') || 'normal',
+            style: rule.style.getPropertyValue('font-style') || 'normal',
+            display: rule.style.getPropertyValue('font-display') || null,
+            files,
+            origin: 'font-face'
+          });
+        } else if (rule.cssRules) {
+          walkRules(rule.cssRules, sheetHref);
+        }
+      });
+    };
+
+    const walkSheet = (sheet) => {
+      try {
+        walkRules(sheet.cssRules, sheet.href);
+      } catch (e) {
+        // Cross-origin stylesheet; its faces still show up in document.fonts
+      }
+    };
+
+    Array.from(document.styleSheets).forEach(walkSheet);
+
+    document.fonts.forEach(face => {
+      faces.push({
+        family: clean(face.family),
+        weight: face.weight,
+        style: face.style,
+        display: face.display,
+        status: face.status,
+        files: [],
+        origin: 'document.fonts'
+      });
+    });
+
+    const stylesheets = Array.from(document.querySelectorAll('link[rel~="stylesheet"][href], link[rel="preload"][as="font"][href]'))
+      .map(link => link.href);
+
+    const fontFiles = performance.getEntriesByType('resource')
+      .map(entry => entry.name)
+      .filter(name => /\.(woff2?|ttf|otf|eot)(\?|#|$)/i.test(name) || /fonts\.gstatic\.com|use\.typekit\.net\/af/.test(name));
+
+    // Font stacks used by rendered elements
+    const stacks = {};
+    Array.from(document.querySelectorAll('body, body *')).slice(0, 1000).forEach(el => {
+      const styles = window.getComputedStyle(el);
+      if (styles.display === 'none' || styles.visibility === 'hidden') return;
+      if (!el.childNodes.length || !Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim())) return;
+
+      const stack = styles.fontFamily;
+      if (!stacks[stack]) {
+        stacks[stack] = { stack, family: clean(stack.split(',')[0]), count: 0, weights: {} };
+      }
+      stacks[stack].count++;
+      stacks[stack].weights[styles.fontWeight] = true;
+    });
+
+    return {
+      faces,
+      stylesheets,
+      fontFiles,
+      stacks: Object.values(stacks).map(s => ({ ...s, weights: Object.keys(s.weights) }))
+    };
+  });
+
+  return summarizeFonts(raw, page.url());
+}
+
+/**
+ * Group raw font data by family and classify where each family is served from
+ */
+function summarizeFonts(raw, pageUrl) {
+  const pageHost = new URL(pageUrl).hostname;
+  const families = new Map();
+
+  const getFamily = (name) => {
+    const key = name.toLowerCase();
+    if (!families.has(key)) {
+      families.set(key, {
+        family: name,
+        weights: new Set(),
+        styles: new Set(),
+        files: [],
+        display: null,
+        loaded: false,
+        declared: false,
+        usage_count: 0,
+        used_weights: new Set(),
+        fallback: null
+      });
+    }
+    return families.get(key);
+  };
+
+  raw.faces.forEach(face => {
+    if (!face.family) return;
+    const entry = getFamily(face.family);
+    entry.declared = true;
+    parseFontWeights(face.weight).forEach(weight => entry.weights.add(weight));
+    entry.styles.add(face.style);
+    entry.display = entry.display || (face.display && face.display !== 'auto' ? face.display : null);
+    if (face.status === 'loaded') entry.loaded = true;
+    face.files.forEach(file => {
+      if (!entry.files.some(f => f.url === file.url)) entry.files.push(file);
+    });
+  });
+
+  // Usage counts, weights in use and the fallback stack behind each family
+  raw.stacks.forEach(({ stack, family, count, weights }) => {
+    if (!family) return;
+    const entry = getFamily(family);
+    entry.usage_count += count;
+    weights.forEach(weight => parseFontWeights(weight).forEach(w => entry.used_weights.add(w)));
+    if (!entry.fallback) {
+      entry.fallback = stack.split(',').slice(1).map(s => s.trim()).filter(Boolean).join(', ') || null;
+    }
+  });
+
+  const stylesheets = raw.stylesheets
+    .map(href => ({ href, provider: detectFontProvider(href, pageHost) }))
+    .filter(sheet => FONT_PROVIDERS.some(p => p.name === sheet.provider));
+
+  const result = Array.from(families.values()).map(entry => {
+    const urls = entry.files.map(f => f.url);
+    // Faces from cross-origin stylesheets carry no file URLs; attribute them
+    // to the font provider stylesheets linked from the page
+    let source = urls.length > 0
+      ? detectFontProvider(urls[0], pageHost)
+      : stylesheets.find(sheet => sheet.href.toLowerCase().includes(encodeURIComponent(entry.family).replace(/%20/g, '+').toLowerCase()))?.provider;
+
+    if (!source) {
+      if (!entry.declared) {
+        source = 'System';
+      } else if (stylesheets.length === 1) {
+        source = stylesheets[0].provider;
+      } else {
+        source = 'Unknown';
+      }
+    }
+
+    return {
+      family: entry.family,
+      source,
+      license_hint: FONT_LICENSE_HINTS[source] || FONT_LICENSE_HINTS.Unknown,
+      weights: Array.from(entry.weights).sort((a, b) => a - b),
+      used_weights: Array.from(entry.used_weights).sort((a, b) => a - b),
+      styles: Array.from(entry.styles),
+      display: entry.display,
+      files: entry.files.slice(0, 10),
+      loaded: entry.loaded,
+      usage_count: entry.usage_count,
+      fallback: entry.fallback
+    };
+  });
+
+  result.sort((a, b) => b.usage_count - a.usage_count || a.family.localeCompare(b.family));
+
+  return {
+    families: result,
+    stylesheets,
+    font_files: raw.fontFiles.slice(0, 50)
+  };
+}
+
+/**
+ * Map a font stylesheet or file URL to the service that serves it
+ */
+function detectFontProvider(url, pageHost) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (e) {
+    return 'Self-hosted';
+  }
+
+  const provider = FONT_PROVIDERS.find(p => p.hosts.some(h => host === h || host.endsWith(`.${h}`)));
+  if (provider) return provider.name;
+
+  const siteHost = pageHost.replace(/^www\./, '');
+  return host === siteHost || host.endsWith(`.${siteHost}`) ? 'Self-hosted' : 'Third-party CDN';
+}
+
+/**
+ * Expand a font-weight descriptor ("normal", "bold", "400", "100 900") into
+ * the standard weights it covers
+ */
+function parseFontWeights(descriptor) {
+  const keywords = { normal: 400, bold: 700, lighter: 300, bolder: 700 };
+  const values = String(descriptor).trim().split(/\s+/)
+    .map(part => keywords[part] || parseInt(part, 10))
+    .filter(Number.isFinite);
+
+  if (values.length === 0) return [];
+  if (values.length === 1) return [values[0]];
+
+  const [min, max] = values;
+  return [100, 200, 300, 400, 500, 600, 700, 800, 900].filter(w => w >= min && w <= max);
+}
+
+/**
+ * Remove scripts, <foreignObject> (embedded HTML), event handler attributes
+ * and javascript: links from SVG markup
+ */
+function sanitizeSvg(svg) {
+  return svg
+    .replace(/<script\b[^>]*\/>/gi, '')
+    .replace(/<script\b[\s\S]*?(<\/script\s*>|$)/gi, '')
+    .replace(/<foreignObject\b[^>]*\/>/gi, '')
+    .replace(/<foreignObject\b[\s\S]*?(<\/foreignObject\s*>|$)/gi, '')
+    .replace(/\son[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+    .replace(/\s(?:xlink:)?href\s*=\s*("\s*javascript:[^"]*"|'\s*javascript:[^']*'|javascript:[^\s>]*)/gi, '');
+}
+
+/**
+ * Identify the logo and brand marks (header SVG/img, favicons, apple-touch-icon,
+ * web manifest icons, og:image) and save the raw files under captures/assets/.
+ * Download failures are logged and skipped.
+ */
+async function captureBrandAssets(page, paths, logger) {
+  const candidates = await findAssetCandidates(page);
+  const request = page.context().request;
+  const usedNames = new Set();
+
+  const save = async (candidate) => {
+    try {
+      let buffer;
+      let contentType = candidate.content_type || null;
+
+      if (candidate.svg) {
+        buffer = Buffer.from(candidate.svg, 'utf-8');
+        contentType = 'image/svg+xml';
+      } else if (candidate.url.startsWith('data:')) {
+        const decoded = decodeDataUri(candidate.url);
+        if (!decoded) return null;
+        buffer = decoded.buffer;
+        contentType = decoded.contentType;
+      } else {
+        const response = await request.get(candidate.url, { timeout: ASSET_REQUEST_TIMEOUT_MS });
+        if (!response.ok()) {
+          logger.warn(`Asset ${candidate.url} returned ${response.status()}`);
+          return null;
+        }
+        buffer = await response.body();
+        contentType = response.headers()['content-type'] || contentType;
+      }
+
+      if (buffer.length === 0 || buffer.length > MAX_ASSET_BYTES) {
+        logger.warn(`Skipping ${candidate.kind} asset (${buffer.length} bytes)`);
+        return null;
+      }
+
+      const format = detectAssetFormat(contentType, candidate.url);
+      if (!format) return null;
+
+      // Saved SVGs are served from the API origin, so strip anything executable
+      if (format === 'svg') {
+        buffer = Buffer.from(sanitizeSvg(buffer.toString('utf-8')), 'utf-8');
+      }
+
+      let name = candidate.kind.replace(/_/g, '-');
+      if (candidate.sizes) name += `-${candidate.sizes.split(/\s+/)[0]}`;
+      let fileName = `${name}.${format}`;
+      for (let i = 2; usedNames.has(fileName); i++) {
+        fileName = `${name}-${i}.${format}`;
+      }
+      usedNames.add(fileName);
+
+      await saveBinary(path.join(paths.captures.assets, fileName), buffer);
+
+      const [width, height] = (candidate.sizes || '').split(/\s+/)[0].split('x').map(n => parseInt(n, 10));
+      return {
+        kind: candidate.kind,
+        source_url: candidate.svg ? page.url() : (candidate.url.startsWith('data:') ? 'inline' : candidate.url),
+        path: `captures/assets/${fileName}`,
+        format,
+        width: candidate.width || (Number.isFinite(width) ? width : null),
+        height: candidate.height || (Number.isFinite(height) ? height : null),
+        alt: candidate.alt || null,
+        size_bytes: buffer.length
+      };
+    } catch (error) {
+      logger.warn(`Could not save ${candidate.kind} asset: ${error.message}`);
+      return null;
+    }
+  };
+
+  const logo = candidates.logo ? await save(candidates.logo) : null;
+
+  // Resolve web manifest icons (largest first)
+  const iconCandidates = [...candidates.icons];
+  if (candidates.manifest) {
+    try {
+      const response = await request.get(candidates.manifest, { timeout: ASSET_REQUEST_TIMEOUT_MS });
+      if (response.ok()) {
+        const manifest = await response.json();
+        (manifest.icons || [])
+          .filter(icon => icon.src)
+          .sort((a, b) => parseInt(b.sizes || '0', 10) - parseInt(a.sizes || '0', 10))
+          .slice(0, MAX_MANIFEST_ICONS)
+          .forEach(icon => iconCandidates.push({
+            kind: 'manifest_icon',
+            url: new URL(icon.src, candidates.manifest).href,
+            sizes: icon.sizes || null,
+            content_type: icon.type || null
+          }));
+      }
+    } catch (error) {
+      logger.warn(`Could not read web manifest: ${error.message}`);
+    }
+  }
+
+  const icons = [];
+  for (const candidate of iconCandidates) {
+    const asset = await save(candidate);
+    if (asset) icons.push(asset);
+  }
+
+  const socialImage = candidates.social_image ? await save(candidates.social_image) : null;
+
+  const assetCount = [logo, socialImage].filter(Boolean).length + icons.length;
+  logger.success(`Saved ${assetCount} brand assets${logo ? '' : ' (no logo found)'}`);
+
+  return {
+    logo,
+    icons,
+    social_image: socialImage
+  };
+}
+
+/**
+ * Find logo, icon, manifest and social image candidates in the page
+ */
+async function findAssetCandidates(page) {
+  return await page.evaluate(() => {
+    const absolute = (url) => {
+      try {
+        return new URL(url, document.baseURI).href;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const isVisible = (el) => {
+      const rect = el.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    };
+
+    const describe = (el) => [el.id, el.getAttribute('class'), el.getAttribute('alt'), el.getAttribute('aria-label'), el.getAttribute('title')]
+      .filter(v => typeof v === 'string')
+      .join(' ')
+      .toLowerCase();
+
+    const homeUrls = new Set([absolute('/'), location.origin, location.origin + '/']);
+
+    // Score header/home-link images and SVGs; "logo" in the element or an ancestor wins
+    const scoreLogo = (el) => {
+      const rect = el.getBoundingClientRect();
+      if (rect.top > 300 || rect.width < 16 || rect.height < 8 || rect.width > 600) return -1;
+
+      let score = 0;
+      let node = el;
+      for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+        if (describe(node).includes('logo') || describe(node).includes('brand')) score += 3;
+        if (node.tagName === 'A' && homeUrls.has(absolute(node.getAttribute('href') || ''))) score += 2;
+      }
+      if (el.closest('header, [role="banner"], nav')) score += 2;
+      if (rect.left < window.innerWidth / 2) score += 1;
+      return score;
+    };
+
+    const serializeSvg = (svg) => {
+      const clone = svg.cloneNode(true);
+      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+      // Inline sprite references (<use href="#id">) so the file stands alone
+      const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+      clone.querySelectorAll('use').forEach(use => {
+        const ref = use.getAttribute('href') || use.getAttribute('xlink:href');
+        if (ref && ref.startsWith('#')) {
+          const target = document.getElementById(ref.slice(1));
+          if (target && !defs.querySelector(`[id="${ref.slice(1)}"]`)) defs.appendChild(target.cloneNode(true));
+        }
+      });
+      if (defs.childNodes.length > 0) clone.insertBefore(defs, clone.firstChild);
+
+      const rect = svg.getBoundingClientRect();
+      if (!clone.getAttribute('width')) clone.setAttribute('width', Math.round(rect.width));
+      if (!clone.getAttribute('height')) clone.setAttribute('height', Math.round(rect.height));
+      return new XMLSerializer().serializeToString(clone);
+    };
+
+    const logoCandidates = Array.from(document.querySelectorAll('svg, img'))
+      .filter(el => isVisible(el) && !(el.tagName.toLowerCase() === 'svg' && el.parentElement?.closest('svg')))
+      .map(el => ({ el, score: scoreLogo(el) }))
+      .filter(c => c.score >= 3)
+      .sort((a, b) => b.score - a.score);
+
+    let logo = null;
+    if (logoCandidates.length > 0) {
+      const el = logoCandidates[0].el;
+      const rect = el.getBoundingClientRect();
+      const alt = el.getAttribute('alt') || el.getAttribute('aria-label') || el.closest('a')?.getAttribute('aria-label') || null;
+
+      logo = el.tagName.toLowerCase() === 'svg'
+        ? { kind: 'logo', url: location.href, svg: serializeSvg(el), width: Math.round(rect.width), height: Math.round(rect.height), alt }
+        : { kind: 'logo', url: el.currentSrc || absolute(el.getAttribute('src')), width: el.naturalWidth || Math.round(rect.width), height: el.naturalHeight || Math.round(rect.height), alt };
+    }
+
+    // Icons declared with <link rel>
+    const iconKinds = [
+      { rel: 'apple-touch-icon', kind: 'apple_touch_icon' },
+      { rel: 'apple-touch-icon-precomposed', kind: 'apple_touch_icon' },
+      { rel: 'mask-icon', kind: 'mask_icon' },
+      { rel: 'icon', kind: 'favicon' }
+    ];
+    const icons = [];
+    const seen = new Set();
+    document.querySelectorAll('link[rel][href]').forEach(link => {
+      const rels = link.getAttribute('rel').toLowerCase().split(/\s+/);
+      const match = iconKinds.find(k => rels.includes(k.rel));
+      const url = absolute(link.getAttribute('href'));
+      if (!match || !url || seen.has(url)) return;
+      seen.add(url);
+      icons.push({ kind: match.kind, url, sizes: link.getAttribute('sizes'), content_type: link.getAttribute('type') });
+    });
+    if (!icons.some(icon => icon.kind === 'favicon')) {
+      icons.push({ kind: 'favicon', url: location.origin + '/favicon.ico', sizes: null, content_type: null });
+    }
+
+    const manifestHref = document.querySelector('link[rel="manifest"][href]')?.getAttribute('href');
+    const ogImage = document.querySelector('meta[property="og:image"][content], meta[name="og:image"][content], meta[name="twitter:image"][content]')
+      ?.getAttribute('content');
+
+    return {
+      logo,
+      icons,
+      manifest: manifestHref ? absolute(manifestHref) : null,
+      social_image: ogImage ? { kind: 'social_image', url: absolute(ogImage) } : null
     };
   });
 }
+
+/**
+ * Decode a base64 or URL-encoded data: URI
+ */
+function decodeDataUri(uri) {
+  const match = uri.match(/^data:([^;,]+)?((?:;[^;,]+)*),(.*)$/s);
+  if (!match) return null;
+
+  const isBase64 = match[2].includes(';base64');
+  return {
+    contentType: match[1] || 'application/octet-stream',
+    buffer: isBase64 ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf-8')
+  };
+}
+
+/**
+ * Map a content type (or the URL's extension as fallback) to a file extension
+ */
+function detectAssetFormat(contentType, url) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (ASSET_FORMATS[type]) return ASSET_FORMATS[type];
+  // Servers that answer missing files with an HTML page
+  if (type === 'text/html') return null;
+
+  const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  return Object.values(ASSET_FORMATS).includes(extension) ? extension : (extension === 'jpeg' ? 'jpg' : null);
+}
@@ -1,12 +1,15 @@
 /**
  * Stage 4: Evaluate
- * Uses Claude API to evaluate brand_spec quality using 6-dimension rubric
+ * Uses Claude API to evaluate brand_spec quality using 6-dimension rubric,
+ * or a rule-based scorer over the same dimensions in heuristic mode
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { createLLMProvider } from '../providers/index.js';
+import { completeStructured } from '../providers/structured-output.js';
+import { getEvaluationTool } from '../providers/tools.js';
 import { Logger } from '../utils/logger.js';
 import { saveJSON, getFileSize } from '../utils/file-utils.js';
-import { validateEvaluation, formatValidationErrors } from '../utils/schema-validator.js';
+import { validateEvaluation, validateBrandSpec, formatValidationErrors } from '../utils/schema-validator.js';
 
 /**
  * Evaluate brand spec quality using Claude API
@@ -21,41 +24,62 @@ export async function evaluateBrandSpec(brandSpec, paths, config) {
 
   logger.info('Starting brand spec evaluation');
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropicApiKey
-  });
-
   const artifacts = [];
   const errors = [];
   let totalInputTokens = 0;
   let totalOutputTokens = 0;
+  let apiCalls = 0;
+  let cacheHits = 0;
+  let providerName = config.llmProvider;
+
+  const ruleBased = config.analysisMode === 'heuristic';
+  const evaluator = ruleBased ? 'rule-based' : config.evaluationModel;
+  if (ruleBased) {
+    providerName = 'none';
+  }
 
   try {
-    // Build evaluation prompt
-    logger.info('Building evaluation prompt');
-    const prompt = buildEvaluationPrompt(brandSpec);
-
-    // Call Claude API
-    logger.info('Sending evaluation request to Claude API');
-    const message = await anthropic.messages.create({
-      model: config.evaluationModel,
-      max_tokens: 8000,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    });
+    let evaluationData;
+
+    if (ruleBased) {
+      // Heuristic mode runs without a model, so score with fixed rules
+      logger.info('Scoring brand spec with rule-based rubric');
+      evaluationData = await scoreWithRules(brandSpec);
+    } else {
+      const llm = createLLMProvider(config);
+      providerName = llm.name;
+
+      // Build evaluation prompt
+      logger.info('Building evaluation prompt');
+      const prompt = buildEvaluationPrompt(withoutDerivedComponents(brandSpec));
+
+      // Call Claude API
+      logger.info(`Sending evaluation request to Claude API (${llm.name} provider)`);
+      const result = await completeStructured(llm, {
+        stage: 'evaluate',
+        model: config.evaluationModel,
+        maxTokens: 8000,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      }, {
+        tool: await getEvaluationTool(),
+        maxRepairs: config.llmMaxRepairs,
+        logger
+      });
 
-    totalInputTokens = message.usage.input_tokens;
-    totalOutputTokens = message.usage.output_tokens;
+      totalInputTokens = result.usage.input_tokens;
+      totalOutputTokens = result.usage.output_tokens;
+      apiCalls = result.attempts - result.cacheHits;
+      cacheHits = result.cacheHits;
 
-    logger.info(`Claude response received (${totalInputTokens} input tokens, ${totalOutputTokens} output tokens)`);
+      logger.info(`Claude response received (${totalInputTokens} input tokens, ${totalOutputTokens} output tokens, ${apiCalls} call(s), ${cacheHits} cached)`);
 
-    // Extract JSON from response
-    const responseText = message.content[0].text;
-    const evaluationData = extractJSONFromResponse(responseText);
+      evaluationData = result.data;
+    }
 
     // Build complete evaluation object
     const evaluation = {
@@ -68,7 +92,7 @@ export async function evaluateBrandSpec(brandSpec, paths, config) {
       dimensions: evaluationData.dimensions,
       recommendations: evaluationData.recommendations,
       metadata: {
-        evaluator: config.evaluationModel,
+        evaluator,
         evaluation_duration_ms: Date.now() - startTime,
         tokens_used: totalInputTokens + totalOutputTokens
       }
@@ -118,14 +142,22 @@ export async function evaluateBrandSpec(brandSpec, paths, config) {
       metrics: {
         tokens_input: totalInputTokens,
         tokens_output: totalOutputTokens,
-        model_used: config.evaluationModel,
-        api_calls: 1
+        model_used: evaluator,
+        provider: providerName,
+        api_calls: apiCalls,
+        cache_hits: cacheHits
       },
       data: evaluation
     };
 
   } catch (error) {
     logger.error(`Evaluation failed: ${error.message}`);
+    if (error.usage) {
+      totalInputTokens = error.usage.input_tokens;
+      totalOutputTokens = error.usage.output_tokens;
+      apiCalls = error.attempts - error.cacheHits;
+      cacheHits = error.cacheHits;
+    }
     errors.push({
       code: 'EVALUATION_ERROR',
       message: error.message,
@@ -141,13 +173,26 @@ export async function evaluateBrandSpec(brandSpec, paths, config) {
       metrics: {
         tokens_input: totalInputTokens,
         tokens_output: totalOutputTokens,
-        model_used: config.evaluationModel,
-        api_calls: 1
+        model_used: evaluator,
+        provider: providerName,
+        api_calls: apiCalls,
+        cache_hits: cacheHits
       }
     };
   }
 }
 
+/**
+ * The brand spec without the components derived from its tokens, so the
+ * model only scores what was observed
+ */
+function withoutDerivedComponents(brandSpec) {
+  return {
+    ...brandSpec,
+    components: (brandSpec.components || []).filter(component => !component.derived)
+  };
+}
+
 /**
  * Build comprehensive evaluation prompt with rubric
  */
@@ -241,7 +286,7 @@ ${JSON.stringify(brandSpec, null, 2)}
    - Score 2: Minimal insights
    - Score 1: No insights, purely descriptive
 
-**YOUR RESPONSE (JSON):**
+**YOUR RESPONSE (record_evaluation tool input):**
 {
   "overall_score": 0.0,
   "dimensions": [
@@ -328,31 +373,164 @@ ${JSON.stringify(brandSpec, null, 2)}
 3. Provide 3-6 actionable recommendations ordered by priority
 4. Focus on improving the REPORT/EXTRACTION, not critiquing the source brand's design choices
 5. All recommendations should be about things WE can fix in our extraction/presentation
-6. Return ONLY valid JSON - no markdown, no additional text
+6. Record the evaluation by calling the record_evaluation tool
 
 Evaluate the report now:`;
 }
 
 /**
- * Extract JSON from Claude's response
+ * Score a brand spec on the 6 rubric dimensions with fixed checks. Each
+ * dimension scores 1-5 by the share of its checks that pass; failed checks
+ * become recommendations, highest-weight dimensions first.
  */
-function extractJSONFromResponse(responseText) {
-  try {
-    return JSON.parse(responseText);
-  } catch (e) {
-    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
+async function scoreWithRules(brandSpec) {
+  const tokens = brandSpec.design_tokens || {};
+  const colors = tokens.colors || {};
+  const typography = tokens.typography || {};
+  // Components derived from the tokens were not observed, so they earn no credit
+  const components = (brandSpec.components || []).filter(component => !component.derived);
+  const primaryFont = typography.font_families?.primary;
+  const colorTokens = [colors.primary, colors.secondary, colors.accent, colors.neutrals?.white, colors.neutrals?.black]
+    .filter(Boolean);
+  const schemaValidation = await validateBrandSpec(brandSpec);
+
+  const check = (passed, description, reference, suggestion) => ({ passed: Boolean(passed), description, reference, suggestion });
+
+  const rubric = [
+    {
+      name: 'brand_fidelity',
+      display_name: 'Extraction Fidelity',
+      weight: 0.4,
+      checks: [
+        check(colors.primary?.coverage > 0 || colors.primary?.css_variable,
+          'Primary color is visible in the screenshots or bound to a CSS variable',
+          'design_tokens.colors.primary',
+          'Pick the primary color from observed button backgrounds or authored brand variables'),
+        check(colors.neutrals?.white?.coverage > 0,
+          'Background color is visible in the screenshots',
+          'design_tokens.colors.neutrals.white',
+          'Use the dominant screenshot color as the background token'),
+        check(primaryFont?.source,
+          `Primary font${primaryFont?.name ? ` ${primaryFont.name}` : ''} is rendered on the page`,
+          'design_tokens.typography.font_families.primary',
+          'Map the primary font to a family captured from the page'),
+        check(components.length > 0 && components.every(c => c.visual_properties?.background_color || c.visual_properties?.text_color),
+          'Component visual properties carry measured colors',
+          'components',
+          'Record background and text colors for every component')
+      ]
+    },
+    {
+      name: 'completeness',
+      display_name: 'Report Completeness',
+      weight: 0.2,
+      checks: [
+        check(colors.secondary && colors.accent, 'Secondary and accent colors are documented', 'design_tokens.colors',
+          'Document secondary and accent colors'),
+        check(Object.keys(colors.neutrals?.gray || {}).length >= 3, 'Gray scale has at least 3 steps', 'design_tokens.colors.neutrals.gray',
+          'Capture the gray scale used for borders and secondary text'),
+        check(Object.keys(typography.scale || {}).length >= 5, 'Type scale covers headings, body and small text', 'design_tokens.typography.scale',
+          'Measure font sizes for every heading level, body and small text'),
+        check(components.length >= 8, `${components.length} components documented`, 'components',
+          'Document at least 8 components'),
+        check(tokens.effects?.shadows?.length > 0 && tokens.effects?.border_radius, 'Shadows and radius scale are documented', 'design_tokens.effects',
+          'Record elevation shadows and the border radius scale'),
+        check(brandSpec.brand_assets?.logo, 'Logo asset captured', 'brand_assets.logo',
+          'Capture the site logo')
+      ]
+    },
+    {
+      name: 'parseability',
+      display_name: 'Report Structure',
+      weight: 0.15,
+      checks: [
+        check(schemaValidation.valid, `Brand spec ${schemaValidation.valid ? 'passes' : 'fails'} schema validation`, 'brand_spec',
+          'Fix the schema validation errors in the brand spec'),
+        check(colorTokens.every(token => /^#[0-9a-fA-F]{6}$/.test(token.value)), 'Color tokens use #RRGGBB hex values', 'design_tokens.colors',
+          'Normalize every color token to #RRGGBB'),
+        check(Object.values(typography.scale || {}).every(level => /^[\d.]+(px|rem|em)$/.test(level.font_size)),
+          'Type scale sizes carry CSS units', 'design_tokens.typography.scale',
+          'Express font sizes as px or rem values')
+      ]
+    },
+    {
+      name: 'actionability',
+      display_name: 'Usage Clarity',
+      weight: 0.15,
+      checks: [
+        check(tokens.spacing?.scale?.length >= 5, 'Spacing scale has at least 5 steps', 'design_tokens.spacing.scale',
+          'Derive a spacing scale from measured paddings and margins'),
+        check(primaryFont?.fallback, 'Primary font has a fallback stack', 'design_tokens.typography.font_families.primary.fallback',
+          'Add a fallback font stack for the primary font'),
+        check(components.length > 0 && components.every(c => c.usage_rules), 'Components have usage rules', 'components',
+          'Describe when to use each component'),
+        check(colorTokens.every(token => token.usage), 'Color tokens describe their usage', 'design_tokens.colors',
+          'Describe the usage of each color token')
+      ]
+    },
+    {
+      name: 'accessibility',
+      display_name: 'Accessibility Analysis',
+      weight: 0.05,
+      checks: [
+        check(Array.isArray(brandSpec.accessibility?.contrast_issues), 'Contrast of component colors was checked', 'accessibility.contrast_issues',
+          'Check text/background contrast of every component'),
+        check(typeof brandSpec.accessibility?.focus_indicators === 'boolean', 'Focus indicators were checked', 'accessibility.focus_indicators',
+          'Capture focus styles of interactive elements'),
+        check(brandSpec.accessibility?.min_touch_target, 'Touch target size is documented', 'accessibility.min_touch_target',
+          'Measure the size of interactive elements')
+      ]
+    },
+    {
+      name: 'insight_depth',
+      display_name: 'Strategic Insight',
+      weight: 0.05,
+      checks: [
+        check(brandSpec.patterns?.length > 0, 'Layout patterns are documented', 'patterns',
+          'Document the recurring layout patterns'),
+        check(brandSpec.notes?.strengths?.length > 0, 'Design strengths are noted', 'notes.strengths',
+          'Note what the design system does well'),
+        check(brandSpec.brand_essence?.description, 'Brand essence is summarized', 'brand_essence.description',
+          'Summarize the brand essence')
+      ]
     }
+  ];
 
-    const jsonStart = responseText.indexOf('{');
-    const jsonEnd = responseText.lastIndexOf('}');
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      return JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
-    }
+  const dimensions = rubric.map(({ checks, ...dimension }) => {
+    const passed = checks.filter(c => c.passed).length;
+    const score = parseFloat((1 + 4 * passed / checks.length).toFixed(1));
 
-    throw new Error('Could not extract valid JSON from Claude evaluation response');
-  }
+    return {
+      ...dimension,
+      score,
+      justification: `Rule-based score: ${passed} of ${checks.length} checks passed.`,
+      evidence: checks.map(c => ({
+        type: c.passed ? 'strength' : 'weakness',
+        description: c.description,
+        reference: c.reference
+      }))
+    };
+  });
+
+  const overallScore = dimensions.reduce((sum, d) => sum + d.score * d.weight, 0);
+
+  const recommendations = rubric
+    .flatMap(dimension => dimension.checks
+      .filter(c => !c.passed)
+      .map(c => ({
+        priority: dimension.weight >= 0.4 ? 'high' : dimension.weight >= 0.15 ? 'medium' : 'low',
+        dimension: dimension.name,
+        issue: `Check failed: ${c.description}`,
+        suggestion: c.suggestion,
+        expected_impact: `Raises the ${dimension.display_name} score`
+      })))
+    .slice(0, 6);
+
+  return {
+    overall_score: parseFloat(overallScore.toFixed(2)),
+    dimensions,
+    recommendations
+  };
 }
 
 /**
@@ -0,0 +1,541 @@
+/**
+ * Stage 2 (heuristic mode): Analyze
+ * Builds brand tokens from captured styles, DOM component samples and the
+ * screenshot palette without calling a model
+ */
+
+import { Logger } from '../utils/logger.js';
+import { saveJSON, getFileSize } from '../utils/file-utils.js';
+import { normalizeHex, hexToRgb, rgbToLab, hexDeltaE, contrastRatio } from '../utils/color-utils.js';
+import { detectTypeScale } from '../utils/type-scale.js';
+import { detectSpacingScale } from '../utils/spacing-scale.js';
+import { buildCrossReference } from './analyze.js';
+
+// Palette colors within this ΔE of a CSS color are counted as that color
+const PALETTE_MERGE_DELTA_E = 10;
+// Lab chroma below which a color is treated as a neutral
+const NEUTRAL_CHROMA = 12;
+// Brand colors closer than this ΔE are considered the same role
+const DISTINCT_DELTA_E = 15;
+const MAX_COLORS = 24;
+
+const ICON_FONT_PATTERN = /icon|awesome|material symbols|glyph/i;
+const MONOSPACE_FONT_PATTERN = /mono|code|courier|consolas|menlo/i;
+
+const COMPONENT_LABELS = {
+  button: 'Button',
+  input: 'Input Field',
+  navigation: 'Navigation Bar',
+  card: 'Card',
+  badge: 'Badge',
+  form: 'Form',
+  modal: 'Modal',
+  table: 'Table',
+  avatar: 'Avatar'
+};
+
+const VARIANT_LABELS = ['Primary', 'Secondary', 'Tertiary'];
+
+/**
+ * Analyze captured data with heuristics only
+ * @param {Object} captureData - Data from capture stage
+ * @param {Object} paths - Brand paths object
+ * @param {Object} config - Configuration object
+ * @param {Array} adjectives - User-provided brand adjectives
+ * @returns {Object} Analysis results
+ */
+export async function analyzeHeuristically(captureData, paths, config, adjectives = []) {
+  const logger = new Logger('Analyze');
+  const startTime = Date.now();
+
+  logger.info('Starting heuristic analysis (no model)');
+
+  const artifacts = [];
+  const errors = [];
+  const metrics = {
+    tokens_input: 0,
+    tokens_output: 0,
+    model_used: 'heuristic',
+    provider: 'none',
+    api_calls: 0
+  };
+
+  try {
+    const styles = captureData.styles || {};
+    const components = captureData.dom?.components || [];
+    const stateSamples = captureData.states?.samples || [];
+
+    const colors = inferColors(styles, components, stateSamples, captureData.palette);
+    logger.info(`Inferred ${colors.all_colors.length} colors (primary ${colors.semantic_mapping.primary || 'none'})`);
+
+    const typography = inferTypography(styles, captureData.fonts, captureData.responsive, config);
+    logger.info(`Inferred ${typography.font_scale.length} type scale levels`);
+
+    const spacing = inferSpacing(styles, components);
+    const effects = inferEffects(styles);
+    const detectedComponents = inferComponents(components);
+    logger.info(`Detected ${detectedComponents.length} components from DOM roles`);
+
+    const brandTokens = {
+      brand_essence: inferBrandEssence(captureData, colors, spacing, effects, adjectives),
+      colors,
+      typography,
+      spacing,
+      components: detectedComponents,
+      effects,
+      layout_patterns: inferLayoutPatterns(captureData.responsive, components),
+      accessibility_observations: inferAccessibility(components, stateSamples),
+      notes: {
+        strengths: [],
+        distinctive_elements: [],
+        edge_cases: [
+          'Extracted heuristically without a vision model; semantic roles are inferred from DOM roles, computed styles and screenshot coverage'
+        ]
+      },
+      cross_reference: buildCrossReference(captureData)
+    };
+
+    const brandTokensPath = paths.analysis.brandTokens;
+    await saveJSON(brandTokensPath, brandTokens);
+
+    artifacts.push({
+      name: 'brand_tokens.json',
+      path: 'analysis/brand_tokens.json',
+      size_bytes: await getFileSize(brandTokensPath),
+      type: 'json'
+    });
+
+    const duration = Date.now() - startTime;
+    logger.success(`Heuristic analysis completed in ${duration}ms`);
+
+    return {
+      status: 'success',
+      duration_ms: duration,
+      artifacts,
+      logs: logger.getLogsForStage(),
+      errors,
+      metrics,
+      data: brandTokens
+    };
+
+  } catch (error) {
+    logger.error(`Heuristic analysis failed: ${error.message}`);
+    errors.push({
+      code: 'ANALYSIS_ERROR',
+      message: error.message,
+      recoverable: false
+    });
+
+    return {
+      status: 'failed',
+      duration_ms: Date.now() - startTime,
+      artifacts,
+      logs: logger.getLogsForStage(),
+      errors,
+      metrics
+    };
+  }
+}
+
+/**
+ * Collect candidate colors from component samples, link states and computed
+ * styles, weight them by screenshot coverage and map them to semantic roles.
+ * The primary color is the most common chromatic button background, falling
+ * back to the chromatic color covering the most screen area.
+ */
+function inferColors(styles, components, stateSamples, palette) {
+  const entries = [];
+
+  const addColor = (value, usage) => {
+    const hex = normalizeHex(value);
+    if (!hex) return null;
+    let entry = entries.find(e => e.hex === hex);
+    if (!entry) {
+      const [l, a, b] = rgbToLab(hexToRgb(hex));
+      entry = { hex, lightness: l, chroma: Math.hypot(a, b), coverage: 0, usages: {} };
+      entries.push(entry);
+    }
+    if (usage) entry.usages[usage] = (entry.usages[usage] || 0) + 1;
+    return entry;
+  };
+
+  components.forEach(component => {
+    component.samples.forEach(sample => {
+      addColor(sample.background_color, `${component.category} background`);
+      addColor(sample.text_color, `${component.category} text`);
+    });
+  });
+  stateSamples
+    .filter(sample => sample.category === 'link')
+    .forEach(sample => addColor(sample.base?.color, 'links'));
+  (styles.colors || []).forEach(color => addColor(color));
+
+  // Screenshot coverage goes to the nearest CSS color, or adds the pixel color
+  (palette?.colors || []).forEach(color => {
+    const nearest = entries
+      .map(entry => ({ entry, distance: hexDeltaE(entry.hex, color.hex) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    const entry = nearest && nearest.distance <= PALETTE_MERGE_DELTA_E ? nearest.entry : addColor(color.hex);
+    if (entry) entry.coverage += color.coverage;
+  });
+
+  const usageCount = (entry, pattern) => Object.entries(entry.usages)
+    .filter(([usage]) => pattern.test(usage))
+    .reduce((sum, [, count]) => sum + count, 0);
+
+  const byCoverage = [...entries].sort((a, b) => b.coverage - a.coverage);
+
+  // Background: dominant screen color, else the lightest color
+  const background = byCoverage[0]?.coverage > 0
+    ? byCoverage[0]
+    : [...entries].sort((a, b) => b.lightness - a.lightness)[0];
+
+  // Text: the neutral with the strongest contrast against the background
+  const neutrals = entries.filter(e => e.chroma < NEUTRAL_CHROMA && e !== background);
+  const byContrast = (list) => [...list].sort((a, b) =>
+    contrastRatio(b.hex, background?.hex) - contrastRatio(a.hex, background?.hex));
+  const textPrimary = byContrast(neutrals)[0] || byContrast(entries.filter(e => e !== background))[0];
+
+  // Secondary text: the next neutral that is still readable on the background
+  const textSecondary = byContrast(neutrals).find(e =>
+    e !== textPrimary && contrastRatio(e.hex, background?.hex) >= 3);
+
+  // Brand colors: button backgrounds first, then screen coverage, then other
+  // component usage. Colors only seen in computed styles get no brand role.
+  const chromatic = entries
+    .filter(e => e.chroma >= NEUTRAL_CHROMA && e !== background)
+    .filter(e => e.coverage > 0 || Object.keys(e.usages).length > 0)
+    .sort((a, b) =>
+      usageCount(b, /^button background/) - usageCount(a, /^button background/) ||
+      b.coverage - a.coverage ||
+      usageCount(b, /./) - usageCount(a, /./) ||
+      b.chroma - a.chroma);
+
+  const buttonBackground = entries
+    .filter(e => e !== background && usageCount(e, /^button background/) > 0)
+    .sort((a, b) => usageCount(b, /^button background/) - usageCount(a, /^button background/))[0];
+
+  const primary = chromatic[0] || buttonBackground || textPrimary;
+  const distinct = (entry, ...others) => others.every(other => !other || hexDeltaE(entry.hex, other.hex) > DISTINCT_DELTA_E);
+  const secondary = chromatic.find(e => e !== primary && distinct(e, primary));
+  const link = chromatic.find(e => usageCount(e, /^links$/) > 0 && distinct(e, primary, secondary));
+  const accent = link || chromatic.find(e => distinct(e, primary, secondary));
+
+  const describeUsage = (entry) => {
+    const roles = [];
+    if (entry === background) roles.push('page background');
+    if (entry === textPrimary) roles.push('body text');
+    if (entry === textSecondary) roles.push('secondary text');
+    roles.push(...Object.keys(entry.usages));
+    if (roles.length === 0) roles.push(entry.coverage > 0 ? 'visible in screenshots' : 'computed styles');
+    return roles.join(', ');
+  };
+
+  const frequency = (entry) => {
+    if (entry.coverage >= 10) return 'high';
+    if (entry.coverage >= 1 || Object.keys(entry.usages).length > 0) return 'medium';
+    return 'low';
+  };
+
+  const ranked = [primary, secondary, accent, background, textPrimary, textSecondary]
+    .filter(Boolean)
+    .concat(byCoverage)
+    .filter((entry, index, list) => list.indexOf(entry) === index)
+    .slice(0, MAX_COLORS);
+
+  return {
+    all_colors: ranked.map(entry => ({
+      hex: entry.hex,
+      name: nameColor(entry.hex),
+      usage_context: describeUsage(entry),
+      frequency: frequency(entry),
+      ...(entry.coverage > 0 && { coverage: parseFloat(entry.coverage.toFixed(2)) })
+    })),
+    semantic_mapping: {
+      ...(primary && { primary: primary.hex }),
+      ...(secondary && { secondary: secondary.hex }),
+      ...(accent && { accent: accent.hex }),
+      ...(background && { background: background.hex }),
+      ...(textPrimary && { text_primary: textPrimary.hex }),
+      ...(textSecondary && { text_secondary: textSecondary.hex })
+    }
+  };
+}
+
+/**
+ * Descriptive name from hue and lightness (e.g. "Dark Blue", "Light Gray").
+ * Neutrals are named Gray so synthesize files them into the gray scale.
+ */
+function nameColor(hex) {
+  const rgb = hexToRgb(hex);
+  const [lightness, labA, labB] = rgbToLab(rgb);
+  const [r, g, b] = rgb.map(c => c / 255);
+  const prefix = lightness > 75 ? 'Light ' : lightness < 35 ? 'Dark ' : '';
+
+  if (Math.hypot(labA, labB) < NEUTRAL_CHROMA) {
+    if (lightness > 97) return 'White';
+    if (lightness < 5) return 'Black';
+    return `${prefix}Gray`;
+  }
+
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  hue = (hue * 60 + 360) % 360;
+
+  const hueNames = [
+    [15, 'Red'], [45, 'Orange'], [70, 'Yellow'], [170, 'Green'],
+    [190, 'Teal'], [250, 'Blue'], [290, 'Purple'], [345, 'Pink'], [360, 'Red']
+  ];
+  return `${prefix}${hueNames.find(([limit]) => hue < limit)[1]}`;
+}
+
+/**
+ * Font families from the captured fonts (most rendered first) and the type
+ * scale measured at the primary viewport. Levels that were not measured are
+ * inferred from the distinct font sizes in the computed styles.
+ */
+function inferTypography(styles, fonts, responsive, config) {
+  const usedFonts = (fonts?.families || [])
+    .filter(font => font.usage_count > 0 && !ICON_FONT_PATTERN.test(font.family));
+
+  const fontFamilies = [];
+  const textFonts = usedFonts.filter(font => !MONOSPACE_FONT_PATTERN.test(font.family));
+  const monospace = usedFonts.find(font => MONOSPACE_FONT_PATTERN.test(font.family));
+
+  if (textFonts[0]) {
+    fontFamilies.push({ name: textFonts[0].family, role: 'primary', usage: 'Body text and headings', fallback: textFonts[0].fallback || 'sans-serif' });
+  } else if (styles.fonts?.length > 0) {
+    fontFamilies.push({ name: styles.fonts[0], role: 'primary', usage: 'Body text and headings', fallback: 'sans-serif' });
+  }
+  if (textFonts[1]) {
+    fontFamilies.push({ name: textFonts[1].family, role: 'secondary', usage: 'Supporting text', fallback: textFonts[1].fallback || 'sans-serif' });
+  }
+  if (monospace) {
+    fontFamilies.push({ name: monospace.family, role: 'monospace', usage: 'Code', fallback: monospace.fallback || 'monospace' });
+  }
+
+  const breakpoints = responsive?.breakpoints || [];
+  const measured = (breakpoints.find(bp => bp.width === config.captureViewport?.width) ||
+    [...breakpoints].sort((a, b) => b.width - a.width)[0])?.typography || {};
+
+  const weights = (styles.fontWeights || []).map(weight => parseInt(weight, 10)).filter(Number.isFinite);
+  const headingWeight = Math.max(...weights.filter(w => w >= 600), 0) || 700;
+
+  // Infer missing levels from the sizes rendered on each tag (or size rank)
+  const detected = detectTypeScale(styles.textStyles || [], styles.fontSizes || []);
+  const inferred = Object.fromEntries(Object.entries(detected?.levels || {})
+    .filter(([, level]) => level.source !== 'ratio'));
+
+  const usages = {
+    h1: 'Page titles',
+    h2: 'Section headings',
+    h3: 'Subsection headings',
+    h4: 'Minor headings',
+    body: 'Body text',
+    small: 'Small text and captions'
+  };
+
+  const fontScale = Object.entries(usages)
+    .map(([level, usage]) => {
+      if (measured[level]) {
+        return { level, approximate_size: measured[level].font_size, weight: measured[level].font_weight || 400, usage };
+      }
+      if (inferred[level]) {
+        const fallbackWeight = level.startsWith('h') ? headingWeight : 400;
+        return { level, approximate_size: inferred[level].font_size, weight: inferred[level].font_weight || fallbackWeight, usage };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  const lineHeight = parseFloat(measured.body?.line_height);
+
+  return {
+    font_families: fontFamilies,
+    font_scale: fontScale,
+    ...(Number.isFinite(lineHeight) && { line_height_ratio: lineHeight })
+  };
+}
+
+/**
+ * Base unit and density from the padding and margin values in use
+ */
+function inferSpacing(styles, components) {
+  const detected = detectSpacingScale(styles.spacingSamples || [], styles.spacing || []);
+  const baseUnit = detected?.base_unit || 8;
+  const density = detected?.density || 'comfortable';
+
+  const paddingPatterns = components
+    .filter(component => ['button', 'input', 'card'].includes(component.category))
+    .map(component => {
+      const padding = component.samples.find(sample => sample.padding && sample.padding !== '0px')?.padding;
+      return padding ? `${padding} on ${component.category}s` : null;
+    })
+    .filter(Boolean);
+
+  return {
+    estimated_base_unit: baseUnit,
+    density,
+    padding_patterns: paddingPatterns,
+    margin_patterns: []
+  };
+}
+
+/**
+ * Shadows (ordered by blur) and radius scale from the computed styles
+ */
+function inferEffects(styles) {
+  const blur = (shadow) => parseFloat(String(shadow).match(/(-?[\d.]+)px\s+(-?[\d.]+)px\s+([\d.]+)px/)?.[3] || 0);
+  const shadowNames = ['sm', 'md', 'lg', 'xl'];
+  const shadows = [...(styles.shadows || [])]
+    .sort((a, b) => blur(a) - blur(b))
+    .slice(0, shadowNames.length)
+    .map((value, index) => ({ name: shadowNames[index], value, usage: 'Elevation observed on page elements' }));
+
+  const radii = Array.from(new Set((styles.borderRadius || [])
+    .filter(value => /^[\d.]+px$/.test(value))
+    .map(value => parseFloat(value))
+    .filter(value => value > 0 && value < 100)))
+    .sort((a, b) => a - b)
+    .map(value => `${value}px`);
+
+  return {
+    shadows,
+    border_radius_scale: radii,
+    animations: []
+  };
+}
+
+/**
+ * One component per visually distinct DOM sample of each category
+ */
+function inferComponents(components) {
+  return components.flatMap(component => {
+    const label = COMPONENT_LABELS[component.category] || component.category;
+
+    return component.samples.map((sample, index) => {
+      const variant = component.samples.length > 1 ? `${VARIANT_LABELS[index] || `Variant ${index + 1}`} ` : '';
+      const visualProperties = Object.fromEntries(
+        Object.entries({
+          background_color: sample.background_color,
+          text_color: sample.text_color,
+          border: sample.border,
+          border_radius: sample.border_radius,
+          padding: sample.padding,
+          font_size: sample.font_size,
+          font_weight: sample.font_weight,
+          shadow: sample.shadow
+        }).filter(([, value]) => value !== null && value !== undefined)
+      );
+
+      return {
+        name: `${variant}${label}`,
+        category: component.category,
+        description: `${label} detected from ${component.count} matching DOM element${component.count === 1 ? '' : 's'}`,
+        visual_properties: visualProperties,
+        states_observed: {},
+        usage_notes: sample.text ? `Sample content: "${sample.text}"` : '',
+        ...(sample.page && { source_page: sample.page })
+      };
+    });
+  });
+}
+
+/**
+ * Content container and grid patterns from the primary viewport layout
+ */
+function inferLayoutPatterns(responsive, components) {
+  const patterns = [];
+  const layout = [...(responsive?.breakpoints || [])].sort((a, b) => b.width - a.width)[0]?.layout;
+
+  if (components.some(component => component.category === 'navigation')) {
+    patterns.push({
+      name: 'Navigation Bar',
+      description: 'Site navigation detected from nav landmarks',
+      layout_type: 'flexbox',
+      components_used: ['Navigation Bar']
+    });
+  }
+
+  if (layout && layout.content_width < layout.viewport_width) {
+    patterns.push({
+      name: 'Content Container',
+      description: `Content is constrained to ${layout.content_width}px on a ${layout.viewport_width}px viewport`,
+      layout_type: 'centered',
+      max_width: `${layout.content_width}px`,
+      components_used: []
+    });
+  }
+
+  if (layout && layout.max_grid_columns > 1) {
+    patterns.push({
+      name: 'Grid Layout',
+      description: `CSS grid with up to ${layout.max_grid_columns} columns`,
+      layout_type: 'grid',
+      components_used: components.some(c => c.category === 'card') ? ['Card'] : []
+    });
+  }
+
+  return patterns;
+}
+
+/**
+ * Contrast of sampled component colors and visible focus styles
+ */
+function inferAccessibility(components, stateSamples) {
+  const contrastIssues = new Set();
+  components.forEach(component => {
+    component.samples.forEach(sample => {
+      const ratio = contrastRatio(sample.text_color, sample.background_color);
+      if (ratio !== null && ratio < 4.5 && sample.text) {
+        contrastIssues.add(`${sample.text_color}/${sample.background_color}`);
+      }
+    });
+  });
+
+  let focusIndicators = 'unclear';
+  if (stateSamples.length > 0) {
+    focusIndicators = stateSamples.some(sample => sample.states?.focus) ? 'yes' : 'no';
+  }
+
+  return {
+    contrast_issues: Array.from(contrastIssues),
+    focus_indicators: focusIndicators,
+    touch_targets: 'unclear'
+  };
+}
+
+/**
+ * Summary and adjectives derived from the measured tokens; user adjectives win
+ */
+function inferBrandEssence(captureData, colors, spacing, effects, adjectives) {
+  const derived = [];
+  const background = colors.semantic_mapping.background;
+  const chromaticCount = colors.all_colors.filter(c => !/gray|white|black/i.test(c.name)).length;
+  const largestRadius = parseFloat(effects.border_radius_scale[effects.border_radius_scale.length - 1]) || 0;
+
+  if (background && contrastRatio(background, '#000000') < 5) derived.push('dark');
+  derived.push(chromaticCount <= 2 ? 'minimal' : 'colorful');
+  if (spacing.density === 'spacious') derived.push('airy');
+  if (spacing.density === 'compact') derived.push('dense');
+  derived.push(largestRadius >= 12 ? 'rounded' : 'structured');
+  if (effects.shadows.length > 0) derived.push('layered');
+
+  const merged = Array.from(new Set([...adjectives, ...derived, 'modern', 'clean', 'functional', 'consistent']))
+    .slice(0, 8);
+
+  const title = captureData.dom?.title || 'The site';
+  const primaryFont = captureData.fonts?.families?.find(f => f.usage_count > 0 && !ICON_FONT_PATTERN.test(f.family))?.family;
+
+  return {
+    description: `${title} uses ${colors.semantic_mapping.primary ? `${nameColor(colors.semantic_mapping.primary).toLowerCase()} (${colors.semantic_mapping.primary}) as its primary color` : 'a neutral palette'}` +
+      `${primaryFont ? ` with ${primaryFont} typography` : ''} and ${spacing.density} spacing. ` +
+      'This summary was derived from measured styles rather than visual analysis.',
+    adjectives: merged,
+    tone: 'professional'
+  };
+}
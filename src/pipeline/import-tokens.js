@@ -0,0 +1,294 @@
+/**
+ * Import: Tokens Studio
+ * Builds a brand spec for a brand that was never crawled from a Tokens Studio
+ * file. Imported tokens keep user_edited provenance; required tokens the file
+ * lacks use the synthesizer's defaults and components are derived from the tokens.
+ */
+
+import { config } from '../config.js';
+import { Logger } from '../utils/logger.js';
+import { saveJSON, getFileSize } from '../utils/file-utils.js';
+import { validateBrandSpec, formatValidationErrors } from '../utils/schema-validator.js';
+import { contrastRatio } from '../utils/color-utils.js';
+import { generateTextPairings } from '../utils/color-ramps.js';
+import { detectSpacingScale } from '../utils/spacing-scale.js';
+import { tokensStudioToDesignTokens } from '../exporters/tokens-studio.js';
+import { deriveComponents } from '../utils/derived-components.js';
+import { DEFAULT_TYPE_SCALE, applyColorRamps } from './synthesize.js';
+
+const FALLBACK_CONFIDENCE = 0.2;
+
+// Ramp steps that stand in for a brand color the file only defines as a ramp
+const RAMP_ANCHOR_STEPS = ['500', '600', '400', '700'];
+
+/**
+ * @param {Object} file - Tokens Studio JSON
+ * @param {Object} metadata - { brand_id, brand_name, source_url, extracted_at, adjectives }
+ * @param {Object} paths - Brand paths object
+ * @returns {Object} Import results (data is the brand spec)
+ */
+export async function importTokensStudio(file, metadata, paths) {
+  const logger = new Logger('Import');
+  const startTime = Date.now();
+
+  logger.info('Starting Tokens Studio import');
+
+  const artifacts = [];
+  const errors = [];
+
+  try {
+    const { designTokens, imported, warnings } = tokensStudioToDesignTokens(file);
+    if (imported === 0) {
+      throw new Error('The file contains no color, typography, spacing, radius or shadow tokens');
+    }
+    logger.info(`Read ${imported} tokens (${warnings.length} warnings)`);
+
+    const fallbacks = [];
+    const tokens = {
+      colors: completeColors(designTokens.colors, fallbacks, logger),
+      typography: completeTypography(designTokens.typography, fallbacks),
+      spacing: completeSpacing(designTokens.spacing, fallbacks),
+      effects: designTokens.effects
+    };
+    if (fallbacks.length > 0) {
+      warnings.push(`Filled ${fallbacks.length} missing tokens with defaults: ${fallbacks.join(', ')}`);
+    }
+
+    const brandSpec = {
+      version: '1.0.0',
+      metadata: {
+        brand_id: metadata.brand_id,
+        brand_name: metadata.brand_name,
+        source_url: metadata.source_url,
+        extracted_at: metadata.extracted_at,
+        extraction_duration_ms: Date.now() - startTime,
+        adjectives: metadata.adjectives || [],
+        pipeline_version: config.pipelineVersion
+      },
+      brand_essence: deriveBrandEssence(metadata, tokens),
+      design_tokens: tokens,
+      components: deriveComponents(tokens, 'the imported tokens'),
+      patterns: [],
+      accessibility: deriveAccessibility(tokens.colors),
+      notes: {
+        edge_cases: [
+          'Imported from a Tokens Studio file; no website was captured, so there are no screenshots, measured evidence or observed components.',
+          ...(fallbacks.length > 0 ? [`Default values were used for tokens the file did not define: ${fallbacks.join(', ')}.`] : [])
+        ]
+      }
+    };
+
+    logger.info('Validating brand spec against JSON schema');
+    const validation = await validateBrandSpec(brandSpec);
+    if (!validation.valid) {
+      const errorMsg = formatValidationErrors(validation.errors);
+      logger.error(`Imported brand spec is invalid:\n${errorMsg}`);
+      errors.push(...errorMsg.split('\n').map(message => ({
+        code: 'VALIDATION_ERROR',
+        message,
+        recoverable: false
+      })));
+      return {
+        status: 'failed',
+        duration_ms: Date.now() - startTime,
+        artifacts,
+        logs: logger.getLogsForStage(),
+        errors,
+        warnings
+      };
+    }
+    logger.success('Brand spec passes schema validation');
+
+    // Keep the source file next to the spec, as analysis output is for crawled brands
+    const sourcePath = `${paths.analysis.dir}/tokens_studio.json`;
+    await saveJSON(sourcePath, file);
+    artifacts.push({
+      name: 'tokens_studio.json',
+      path: 'analysis/tokens_studio.json',
+      size_bytes: await getFileSize(sourcePath),
+      type: 'json'
+    });
+
+    await saveJSON(paths.reports.brandSpec, brandSpec);
+    artifacts.push({
+      name: 'brand_spec.json',
+      path: 'reports/brand_spec.json',
+      size_bytes: await getFileSize(paths.reports.brandSpec),
+      type: 'json'
+    });
+
+    const duration = Date.now() - startTime;
+    logger.success(`Import completed in ${duration}ms`);
+
+    return {
+      status: warnings.length > 0 ? 'warning' : 'success',
+      duration_ms: duration,
+      artifacts,
+      logs: logger.getLogsForStage(),
+      errors,
+      warnings,
+      metrics: { tokens_imported: imported, defaults_used: fallbacks.length },
+      data: brandSpec
+    };
+
+  } catch (error) {
+    logger.error(`Import failed: ${error.message}`);
+    errors.push({
+      code: 'IMPORT_ERROR',
+      message: error.message,
+      recoverable: false
+    });
+
+    return {
+      status: 'failed',
+      duration_ms: Date.now() - startTime,
+      artifacts,
+      logs: logger.getLogsForStage(),
+      errors,
+      warnings: []
+    };
+  }
+}
+
+function fallback() {
+  return { source: 'default_fallback', confidence: FALLBACK_CONFIDENCE, evidence: [] };
+}
+
+function importedProvenance() {
+  return { source: 'user_edited', confidence: 1, evidence: [] };
+}
+
+/**
+ * Required colors missing from the file come from an imported ramp of the
+ * same role, then the synthesizer's defaults. Ramps are generated from the
+ * final colors; imported ramp steps replace the generated ones.
+ */
+function completeColors(imported, fallbacks, logger) {
+  const colors = { ...imported, neutrals: { ...imported.neutrals } };
+  const importedRamps = colors.ramps || {};
+  delete colors.ramps;
+
+  const defaults = {
+    primary: { value: '#000000', usage: 'Primary brand color' },
+    secondary: { value: '#666666', usage: 'Secondary brand color' }
+  };
+  ['primary', 'secondary', 'accent'].forEach(role => {
+    if (colors[role]) return;
+    const steps = importedRamps[role]?.steps || {};
+    const step = RAMP_ANCHOR_STEPS.find(candidate => steps[candidate]);
+    if (step) {
+      colors[role] = { value: steps[step], usage: `${role[0].toUpperCase()}${role.slice(1)} brand color (${role} ${step})`, provenance: importedProvenance() };
+    } else if (defaults[role]) {
+      colors[role] = { ...defaults[role], provenance: fallback() };
+      fallbacks.push(`colors.${role}`);
+    }
+  });
+
+  if (!colors.neutrals.white) {
+    colors.neutrals.white = { value: '#ffffff', usage: 'White background', provenance: fallback() };
+    fallbacks.push('colors.neutrals.white');
+  }
+  if (!colors.neutrals.black) {
+    colors.neutrals.black = { value: '#000000', usage: 'Black text', provenance: fallback() };
+    fallbacks.push('colors.neutrals.black');
+  }
+  if (colors.semantic && Object.keys(colors.semantic).length === 0) delete colors.semantic;
+
+  applyColorRamps(colors, logger);
+
+  Object.entries(importedRamps).forEach(([role, { steps }]) => {
+    const ramp = colors.ramps[role];
+    if (!ramp) return;
+    ramp.steps = { ...ramp.steps, ...steps };
+    ramp.text_pairings = generateTextPairings(ramp.steps);
+  });
+
+  return colors;
+}
+
+function completeTypography(imported, fallbacks) {
+  const typography = { font_families: { ...imported.font_families }, scale: { ...imported.scale } };
+
+  if (!typography.font_families.primary) {
+    typography.font_families.primary = { name: 'Arial', fallback: 'sans-serif', usage: 'All text', provenance: fallback() };
+    fallbacks.push('typography.font_families.primary');
+  }
+
+  Object.entries(DEFAULT_TYPE_SCALE).forEach(([level, defaults]) => {
+    if (typography.scale[level]) return;
+    typography.scale[level] = { ...defaults, provenance: fallback() };
+    fallbacks.push(`typography.scale.${level}`);
+  });
+
+  typography.weights = Array.from(new Set(Object.values(typography.scale).map(style => style.font_weight)))
+    .sort((a, b) => a - b);
+
+  const body = parseFloat(typography.scale.body.line_height);
+  if (body >= 1 && body <= 2.5) typography.line_height_ratio = body;
+
+  return typography;
+}
+
+/**
+ * Base unit and density come from the imported scale the same way they are
+ * detected from measured spacing
+ */
+function completeSpacing(imported, fallbacks) {
+  if (!imported.scale) {
+    fallbacks.push('spacing.scale');
+    return { base_unit: 8, scale: [4, 8, 12, 16, 24, 32, 48, 64, 96], density: 'comfortable', provenance: fallback() };
+  }
+
+  const detected = detectSpacingScale([], imported.scale.map(px => `${px}px`));
+  return {
+    base_unit: detected?.base_unit || 8,
+    scale: imported.scale,
+    density: detected?.density || 'comfortable',
+    provenance: imported.provenance
+  };
+}
+
+/**
+ * Summary and adjectives derived from the tokens; user adjectives win
+ */
+function deriveBrandEssence(metadata, tokens) {
+  const { colors, typography, spacing, effects } = tokens;
+  const derived = [];
+  const largestRadius = Math.max(0, ...Object.entries(effects.border_radius || {})
+    .filter(([name]) => name !== 'full')
+    .map(([, value]) => parseFloat(value) || 0));
+
+  if (contrastRatio(colors.neutrals.white.value, '#000000') < 5) derived.push('dark');
+  derived.push(colors.accent || Object.keys(colors.semantic || {}).length > 2 ? 'colorful' : 'minimal');
+  if (spacing.density === 'spacious') derived.push('airy');
+  if (spacing.density === 'compact') derived.push('dense');
+  derived.push(largestRadius >= 12 ? 'rounded' : 'structured');
+  if (effects.shadows?.length > 0) derived.push('layered');
+
+  const adjectives = Array.from(new Set([...(metadata.adjectives || []), ...derived, 'modern', 'clean', 'functional', 'consistent']))
+    .slice(0, 8);
+
+  return {
+    description: `${metadata.brand_name} uses ${colors.primary.value} as its primary color with ${typography.font_families.primary.name} typography ` +
+      `and ${spacing.density} spacing. This summary was derived from imported design tokens rather than a captured website.`,
+    adjectives,
+    tone: 'professional'
+  };
+}
+
+/**
+ * Core text/background pairs below WCAG AA
+ */
+function deriveAccessibility(colors) {
+  const background = colors.neutrals.white.value;
+  const pairs = [
+    [colors.neutrals.black.value, background, 4.5],
+    [colors.primary.value, background, 3]
+  ];
+  const contrastIssues = pairs
+    .map(([foreground, bg, required]) => ({ foreground, background: bg, ratio: Math.round(contrastRatio(foreground, bg) * 100) / 100, required_ratio: required }))
+    .filter(pair => pair.ratio < pair.required_ratio)
+    .map(pair => ({ ...pair, severity: 'AA-fail' }));
+
+  return { contrast_issues: contrastIssues };
+}
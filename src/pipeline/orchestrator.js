@@ -3,32 +3,61 @@
  * Runs all 4 stages sequentially and manages execution flow
  */
 
+import fs from 'fs/promises';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { config } from '../config.js';
+import { config, parseViewportProfiles } from '../config.js';
 import { Logger } from '../utils/logger.js';
-import { createBrandDirectories, getBrandPaths, saveJSON } from '../utils/file-utils.js';
+import { createBrandDirectories, getBrandPaths, saveJSON, readJSON, fileExists } from '../utils/file-utils.js';
 import { validateExecutionTrace, validateMetadata } from '../utils/schema-validator.js';
 import { captureWebsite } from './capture.js';
 import { analyzeWithClaude } from './analyze.js';
+import { analyzeHeuristically } from './heuristic-analyze.js';
 import { synthesizeBrandSpec } from './synthesize.js';
 import { evaluateBrandSpec } from './evaluate.js';
 import { refineBrandSpec } from './refine.js';
+import { importTokensStudio } from './import-tokens.js';
 
 /**
  * Extract complete brand identity from a website
  * @param {Object} options - Extraction options
- * @param {string} options.url - Website URL to extract
+ * @param {string} options.url - Website URL to extract (not used when resuming)
  * @param {Array<string>} options.adjectives - Optional brand adjectives
+ * @param {Object} options.crawl - Optional crawl overrides ({ enabled, maxPages, maxDepth })
+ * @param {Array<number>} options.viewports - Optional viewport widths to capture (overrides CAPTURE_VIEWPORTS)
+ * @param {boolean} options.darkMode - Optional dark color scheme pass (overrides CAPTURE_DARK_MODE)
+ * @param {string} options.analysisMode - Optional 'llm' or 'heuristic' (overrides ANALYSIS_MODE)
+ * @param {string} options.brandId - Existing brand to resume (with resumeFrom)
+ * @param {string} options.resumeFrom - Optional 'synthesize', 'evaluate' or 'refine': rerun from this
+ *   stage using the earlier stages' artifacts on disk
+ * @param {AbortSignal} options.signal - Optional signal that cancels the run: the browser is
+ *   closed, model requests are aborted and no further stages start
  * @param {Function} options.onProgress - Progress callback (stage, message)
- * @returns {Object} Extraction results
+ * @param {Function} options.onBrand - Optional callback (brandId) called with a new brand's ID
+ *   before its directory is created
+ * @returns {Object} Extraction results; cancelled runs carry `cancelled: true`
  */
 export async function extractBrand(options) {
-  const { url, adjectives = [], onProgress = null } = options;
+  const {
+    url: requestedUrl,
+    adjectives: requestedAdjectives = [],
+    crawl = null,
+    viewports = null,
+    darkMode = null,
+    analysisMode = null,
+    brandId: resumeBrandId = null,
+    resumeFrom = null,
+    signal = null,
+    onProgress = null,
+    onBrand = null
+  } = options;
 
   const logger = new Logger('Orchestrator');
   const overallStartTime = Date.now();
 
-  logger.info(`Starting brand extraction for ${url}`);
+  logger.info(resumeFrom
+    ? `Resuming brand extraction for ${resumeBrandId} from ${resumeFrom}`
+    : `Starting brand extraction for ${requestedUrl}`);
 
   // Emit progress
   const emit = (stage, message) => {
@@ -38,175 +67,212 @@ export async function extractBrand(options) {
     }
   };
 
+  // Stages in flight are stopped through config.signal; this stops the run
+  // between stages
+  const checkCancelled = () => {
+    if (signal?.aborted) {
+      throw new Error('Extraction cancelled');
+    }
+  };
+
+  let paths = null;
+  let executionTrace = null;
+  let runInfo = null;
+  let savedMetadata = {};
+
   try {
-    // Generate brand ID
-    const brandName = extractBrandName(url);
-    const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '_');
-    const brandId = `${brandName}_${timestamp}_${uuidv4().slice(0, 8)}`;
+    checkCancelled();
 
-    logger.info(`Brand ID: ${brandId}`);
-    emit('setup', `Creating brand directories for ${brandId}`);
+    let brandDir;
+    let previous = null;
 
-    // Create directory structure
-    const brandDir = await createBrandDirectories(brandId, config.dataDir);
-    const paths = getBrandPaths(brandId, config.dataDir);
+    if (resumeFrom) {
+      previous = await loadPreviousRun(resumeBrandId, resumeFrom);
+      ({ brandDir, paths, runInfo } = previous);
+      savedMetadata = previous.metadata || {};
+      emit('setup', `Resuming ${resumeBrandId} from the ${resumeFrom} stage`);
+    } else {
+      // Generate brand ID
+      const brandName = extractBrandName(requestedUrl);
+      const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '_');
+      const brandId = `${brandName}_${timestamp}_${uuidv4().slice(0, 8)}`;
+
+      logger.info(`Brand ID: ${brandId}`);
+      if (onBrand) {
+        onBrand(brandId);
+      }
+      emit('setup', `Creating brand directories for ${brandId}`);
 
-    logger.success(`Brand directory created at ${brandDir}`);
+      // Create directory structure
+      brandDir = await createBrandDirectories(brandId, config.dataDir);
+      paths = getBrandPaths(brandId, config.dataDir);
 
-    // Initialize execution trace
-    const executionTrace = {
+      logger.success(`Brand directory created at ${brandDir}`);
+
+      runInfo = {
+        brand_id: brandId,
+        brand_name: brandName,
+        source_url: requestedUrl,
+        extracted_at: new Date().toISOString(),
+        version: 1,
+        adjectives: requestedAdjectives
+      };
+    }
+
+    const { brand_id: brandId, brand_name: brandName, source_url: url, adjectives } = runInfo;
+
+    // Saved before the first stage so a failed run can be resumed
+    await saveJSON(paths.metadata, { ...savedMetadata, ...runInfo, status: 'processing' });
+
+    // Initialize execution trace; a resumed run keeps the trace of the stages it skips
+    executionTrace = {
       version: '1.0.0',
       pipeline_version: config.pipelineVersion,
       brand_id: brandId,
       started_at: new Date().toISOString(),
-      stages: []
+      ...(resumeFrom && { resumed_from: resumeFrom }),
+      stages: previous?.stages || []
     };
 
-    // Stage 1: Capture
-    emit('capture', 'Launching browser and capturing website...');
-    const captureResult = await captureWebsite(url, paths, config);
-    executionTrace.stages.push({
-      name: 'capture',
-      display_name: 'Capture',
-      status: captureResult.status,
-      start_time: new Date(overallStartTime).toISOString(),
-      end_time: new Date(overallStartTime + captureResult.duration_ms).toISOString(),
-      duration_ms: captureResult.duration_ms,
-      artifacts: captureResult.artifacts,
-      logs: captureResult.logs,
-      errors: captureResult.errors
-    });
+    const stageConfig = {
+      ...config,
+      analysisMode: analysisMode || previous?.analysisMode || config.analysisMode,
+      signal
+    };
+    const heuristic = stageConfig.analysisMode === 'heuristic';
 
-    if (captureResult.status === 'failed') {
-      throw new Error('Capture stage failed: ' + captureResult.errors[0]?.message);
-    }
+    let stageStartTime = overallStartTime;
+    const recordStage = (name, displayName, result, extra = {}) => {
+      executionTrace.stages.push({
+        name,
+        display_name: displayName,
+        status: result.status,
+        start_time: new Date(stageStartTime).toISOString(),
+        end_time: new Date(stageStartTime + result.duration_ms).toISOString(),
+        duration_ms: result.duration_ms,
+        artifacts: result.artifacts,
+        logs: result.logs,
+        errors: result.errors,
+        ...extra
+      });
+      stageStartTime += result.duration_ms;
+    };
 
-    emit('capture', `Captured ${captureResult.artifacts.length} artifacts`);
+    let brandTokens = previous?.brandTokens;
+    if (!resumeFrom) {
+      // Stage 1: Capture
+      const captureConfig = {
+        ...config,
+        crawl: crawl ? { ...config.crawl, ...crawl } : config.crawl,
+        captureViewports: viewports ? parseViewportProfiles(viewports) : config.captureViewports,
+        captureDarkMode: darkMode ?? config.captureDarkMode,
+        signal
+      };
+
+      emit('capture', captureConfig.crawl.enabled
+        ? `Launching browser and crawling up to ${captureConfig.crawl.maxPages} pages...`
+        : 'Launching browser and capturing website...');
+      const captureResult = await captureWebsite(url, paths, captureConfig);
+      recordStage('capture', 'Capture', captureResult);
+
+      if (captureResult.status === 'failed') {
+        throw new Error('Capture stage failed: ' + captureResult.errors[0]?.message);
+      }
 
-    // Stage 2: Analyze
-    emit('analyze', 'Analyzing screenshots with Claude Vision API...');
-    const analyzeResult = await analyzeWithClaude(
-      captureResult.data,
-      paths,
-      config,
-      adjectives
-    );
+      emit('capture', `Captured ${captureResult.artifacts.length} artifacts from ${captureResult.data.pages.length} page(s)`);
 
-    const analyzeStartTime = overallStartTime + captureResult.duration_ms;
-    executionTrace.stages.push({
-      name: 'analyze',
-      display_name: 'Analyze',
-      status: analyzeResult.status,
-      start_time: new Date(analyzeStartTime).toISOString(),
-      end_time: new Date(analyzeStartTime + analyzeResult.duration_ms).toISOString(),
-      duration_ms: analyzeResult.duration_ms,
-      artifacts: analyzeResult.artifacts,
-      logs: analyzeResult.logs,
-      errors: analyzeResult.errors,
-      metrics: analyzeResult.metrics
-    });
+      // Stage 2: Analyze
+      checkCancelled();
+      emit('analyze', heuristic
+        ? 'Analyzing captured styles and DOM heuristically...'
+        : 'Analyzing screenshots with Claude Vision API...');
+      const analyze = heuristic ? analyzeHeuristically : analyzeWithClaude;
+      const analyzeResult = await analyze(
+        captureResult.data,
+        paths,
+        stageConfig,
+        adjectives
+      );
+      recordStage('analyze', 'Analyze', analyzeResult, { metrics: analyzeResult.metrics });
 
-    if (analyzeResult.status === 'failed') {
-      throw new Error('Analysis stage failed: ' + analyzeResult.errors[0]?.message);
-    }
+      if (analyzeResult.status === 'failed') {
+        throw new Error('Analysis stage failed: ' + analyzeResult.errors[0]?.message);
+      }
 
-    emit('analyze', `Analysis complete (${analyzeResult.metrics.tokens_input + analyzeResult.metrics.tokens_output} tokens)`);
+      emit('analyze', `Analysis complete (${analyzeResult.metrics.tokens_input + analyzeResult.metrics.tokens_output} tokens)`);
+      brandTokens = analyzeResult.data;
+    }
 
     // Stage 3: Synthesize
-    emit('synthesize', 'Synthesizing brand specification...');
-    const totalDurationSoFar = captureResult.duration_ms + analyzeResult.duration_ms;
-
-    const synthesizeResult = await synthesizeBrandSpec(
-      analyzeResult.data,
-      {
-        brand_id: brandId,
-        brand_name: brandName,
-        source_url: url,
-        extracted_at: new Date().toISOString(),
-        adjectives
-      },
-      paths,
-      totalDurationSoFar
-    );
-
-    const synthesizeStartTime = analyzeStartTime + analyzeResult.duration_ms;
-    executionTrace.stages.push({
-      name: 'synthesize',
-      display_name: 'Synthesize',
-      status: synthesizeResult.status,
-      start_time: new Date(synthesizeStartTime).toISOString(),
-      end_time: new Date(synthesizeStartTime + synthesizeResult.duration_ms).toISOString(),
-      duration_ms: synthesizeResult.duration_ms,
-      artifacts: synthesizeResult.artifacts,
-      logs: synthesizeResult.logs,
-      errors: synthesizeResult.errors
-    });
+    let brandSpec = previous?.brandSpec;
+    let synthesizeWarnings = previous?.warnings || [];
+    if (!resumeFrom || resumeFrom === 'synthesize') {
+      checkCancelled();
+      emit('synthesize', 'Synthesizing brand specification...');
+      const synthesizeResult = await synthesizeBrandSpec(
+        brandTokens,
+        {
+          brand_id: brandId,
+          brand_name: brandName,
+          source_url: url,
+          extracted_at: new Date().toISOString(),
+          adjectives
+        },
+        paths,
+        stageStartTime - overallStartTime + (previous?.duration_ms || 0),
+        { analysisMode: stageConfig.analysisMode }
+      );
+      recordStage('synthesize', 'Synthesize', synthesizeResult);
 
-    if (synthesizeResult.status === 'failed') {
-      throw new Error('Synthesis stage failed: ' + synthesizeResult.errors[0]?.message);
-    }
+      if (synthesizeResult.status === 'failed') {
+        throw new Error('Synthesis stage failed: ' + synthesizeResult.errors[0]?.message);
+      }
 
-    if (synthesizeResult.warnings && synthesizeResult.warnings.length > 0) {
-      emit('synthesize', `Synthesis complete with ${synthesizeResult.warnings.length} warnings`);
-    } else {
-      emit('synthesize', 'Brand specification synthesized and validated');
+      if (synthesizeResult.warnings && synthesizeResult.warnings.length > 0) {
+        emit('synthesize', `Synthesis complete with ${synthesizeResult.warnings.length} warnings`);
+      } else {
+        emit('synthesize', 'Brand specification synthesized and validated');
+      }
+      brandSpec = synthesizeResult.data;
+      synthesizeWarnings = synthesizeResult.warnings || [];
     }
 
     // Stage 4: Evaluate
-    emit('evaluate', 'Evaluating brand specification quality...');
-    const evaluateResult = await evaluateBrandSpec(
-      synthesizeResult.data,
-      paths,
-      config
-    );
-
-    const evaluateStartTime = synthesizeStartTime + synthesizeResult.duration_ms;
-    executionTrace.stages.push({
-      name: 'evaluate',
-      display_name: 'Evaluate',
-      status: evaluateResult.status,
-      start_time: new Date(evaluateStartTime).toISOString(),
-      end_time: new Date(evaluateStartTime + evaluateResult.duration_ms).toISOString(),
-      duration_ms: evaluateResult.duration_ms,
-      artifacts: evaluateResult.artifacts,
-      logs: evaluateResult.logs,
-      errors: evaluateResult.errors,
-      metrics: evaluateResult.metrics
-    });
+    let evaluation = previous?.evaluation;
+    if (resumeFrom !== 'refine') {
+      checkCancelled();
+      emit('evaluate', 'Evaluating brand specification quality...');
+      const evaluateResult = await evaluateBrandSpec(
+        brandSpec,
+        paths,
+        stageConfig
+      );
+      recordStage('evaluate', 'Evaluate', evaluateResult, { metrics: evaluateResult.metrics });
 
-    if (evaluateResult.status === 'failed') {
-      throw new Error('Evaluation stage failed: ' + evaluateResult.errors[0]?.message);
+      if (evaluateResult.status === 'failed') {
+        throw new Error('Evaluation stage failed: ' + evaluateResult.errors[0]?.message);
+      }
+
+      evaluation = evaluateResult.data;
     }
 
-    emit('evaluate', `Evaluation complete - Overall score: ${evaluateResult.data.overall_score.toFixed(2)}/5.0`);
+    emit('evaluate', `Evaluation complete - Overall score: ${evaluation.overall_score.toFixed(2)}/5.0`);
 
-    // Stage 5: Refine (if score < 4.5)
+    // Stage 5: Refine (if score < 4.5; heuristic mode never calls a model)
     let refineResult;
-    let finalBrandSpec = synthesizeResult.data;
+    let finalBrandSpec = brandSpec;
 
-    if (evaluateResult.data.overall_score < 4.5) {
-      emit('refine', `Refining specification based on feedback (score: ${evaluateResult.data.overall_score.toFixed(2)})...`);
+    if (!heuristic && evaluation.overall_score < 4.5) {
+      checkCancelled();
+      emit('refine', `Refining specification based on feedback (score: ${evaluation.overall_score.toFixed(2)})...`);
 
       refineResult = await refineBrandSpec(
-        synthesizeResult.data,
-        evaluateResult.data,
+        brandSpec,
+        evaluation,
         paths,
-        config
+        stageConfig
       );
-
-      const refineStartTime = evaluateStartTime + evaluateResult.duration_ms;
-      executionTrace.stages.push({
-        name: 'refine',
-        display_name: 'Refine',
-        status: refineResult.status,
-        start_time: new Date(refineStartTime).toISOString(),
-        end_time: new Date(refineStartTime + refineResult.duration_ms).toISOString(),
-        duration_ms: refineResult.duration_ms,
-        artifacts: refineResult.artifacts,
-        logs: refineResult.logs,
-        errors: refineResult.errors,
-        metrics: refineResult.metrics
-      });
+      recordStage('refine', 'Refine', refineResult, { metrics: refineResult.metrics });
 
       if (refineResult.status === 'success') {
         finalBrandSpec = refineResult.data;
@@ -217,19 +283,11 @@ export async function extractBrand(options) {
         emit('refine', 'Refinement failed - using original specification');
       }
     } else {
-      emit('refine', 'Refinement skipped - score is excellent (≥4.5)');
+      emit('refine', heuristic
+        ? 'Refinement skipped - heuristic mode'
+        : 'Refinement skipped - score is excellent (≥4.5)');
       // Add a skipped stage to execution trace
-      const refineStartTime = evaluateStartTime + evaluateResult.duration_ms;
-      executionTrace.stages.push({
-        name: 'refine',
-        display_name: 'Refine',
-        status: 'skipped',
-        start_time: new Date(refineStartTime).toISOString(),
-        end_time: new Date(refineStartTime).toISOString(),
-        duration_ms: 0,
-        artifacts: [],
-        logs: [],
-        errors: [],
+      recordStage('refine', 'Refine', { status: 'skipped', duration_ms: 0, artifacts: [], logs: [], errors: [] }, {
         metrics: {
           tokens_input: 0,
           tokens_output: 0,
@@ -238,26 +296,14 @@ export async function extractBrand(options) {
       });
     }
 
-    // Finalize execution trace
-    const totalDuration = Date.now() - overallStartTime;
+    // A refinement aborted by cancellation falls back like a failed one
+    checkCancelled();
+
+    // Finalize execution trace; totals include the stages a resumed run kept
+    const totalDuration = executionTrace.stages.reduce((sum, stage) => sum + stage.duration_ms, 0);
     executionTrace.completed_at = new Date().toISOString();
 
-    const totalTokens = (analyzeResult.metrics?.tokens_input || 0) +
-                       (analyzeResult.metrics?.tokens_output || 0) +
-                       (evaluateResult.metrics?.tokens_input || 0) +
-                       (evaluateResult.metrics?.tokens_output || 0) +
-                       (refineResult?.metrics?.tokens_input || 0) +
-                       (refineResult?.metrics?.tokens_output || 0);
-
-    // Estimate cost (rough estimates for Sonnet)
-    // Input: ~$3 per million tokens, Output: ~$15 per million tokens
-    const inputTokens = (analyzeResult.metrics?.tokens_input || 0) +
-                        (evaluateResult.metrics?.tokens_input || 0) +
-                        (refineResult?.metrics?.tokens_input || 0);
-    const outputTokens = (analyzeResult.metrics?.tokens_output || 0) +
-                         (evaluateResult.metrics?.tokens_output || 0) +
-                         (refineResult?.metrics?.tokens_output || 0);
-    const estimatedCost = (inputTokens / 1000000 * 3) + (outputTokens / 1000000 * 15);
+    const { totalTokens, estimatedCost } = summarizeUsage(executionTrace.stages);
 
     executionTrace.summary = {
       total_duration_ms: totalDuration,
@@ -265,7 +311,7 @@ export async function extractBrand(options) {
       total_tokens: totalTokens,
       estimated_cost_usd: parseFloat(estimatedCost.toFixed(4)),
       warnings: [
-        ...(synthesizeResult.warnings || [])
+        ...synthesizeWarnings
       ],
       errors: []
     };
@@ -285,14 +331,14 @@ export async function extractBrand(options) {
       brand_id: brandId,
       brand_name: brandName,
       source_url: url,
-      extracted_at: executionTrace.started_at,
-      version: 1,
+      extracted_at: runInfo.extracted_at,
+      version: runInfo.version,
       status: 'completed',
       evaluation_summary: {
-        overall_score: evaluateResult.data.overall_score,
-        quality_band: evaluateResult.data.quality_band,
-        top_strengths: getTopDimensions(evaluateResult.data.dimensions, true),
-        top_weaknesses: getTopDimensions(evaluateResult.data.dimensions, false)
+        overall_score: evaluation.overall_score,
+        quality_band: evaluation.quality_band,
+        top_strengths: getTopDimensions(evaluation.dimensions, true),
+        top_weaknesses: getTopDimensions(evaluation.dimensions, false)
       },
       preview: {
         dominant_colors: extractDominantColors(finalBrandSpec),
@@ -305,7 +351,8 @@ export async function extractBrand(options) {
         estimated_cost_usd: parseFloat(estimatedCost.toFixed(4))
       },
       adjectives,
-      tags: generateTags(finalBrandSpec)
+      tags: generateTags(finalBrandSpec),
+      ...carriedTokenEdits(savedMetadata, resumeFrom)
     };
 
     await saveJSON(paths.metadata, metadata);
@@ -320,14 +367,14 @@ export async function extractBrand(options) {
 
     logger.success(`Brand extraction completed in ${totalDuration}ms`);
     logger.success(`Total cost: $${estimatedCost.toFixed(4)}`);
-    logger.success(`Overall quality score: ${evaluateResult.data.overall_score.toFixed(2)}/5.0 (${evaluateResult.data.quality_band})`);
+    logger.success(`Overall quality score: ${evaluation.overall_score.toFixed(2)}/5.0 (${evaluation.quality_band})`);
 
     return {
       success: true,
       brand_id: brandId,
       brand_name: brandName,
       brand_spec: finalBrandSpec, // Use refined spec if refinement was successful
-      evaluation: evaluateResult.data,
+      evaluation,
       refinement: refineResult || null,
       execution_trace: executionTrace,
       metadata,
@@ -340,11 +387,357 @@ export async function extractBrand(options) {
       }
     };
 
+  } catch (caughtError) {
+    // Stages fail with their own abort errors when cancelled mid-flight
+    const cancelled = Boolean(signal?.aborted);
+    const error = cancelled ? new Error('Extraction cancelled') : caughtError;
+
+    if (cancelled) {
+      logger.warn(`Brand extraction cancelled (${caughtError.message})`);
+      emit('error', 'Extraction cancelled');
+    } else {
+      logger.error(`Brand extraction failed: ${error.message}`);
+      logger.error(error.stack);
+      emit('error', `Extraction failed: ${error.message}`);
+    }
+
+    // Keep the trace of the stages that finished so the run can be resumed
+    if (executionTrace) {
+      await saveFailedRun(paths, executionTrace, { ...savedMetadata, ...runInfo }, error, overallStartTime, logger);
+    }
+
+    return {
+      success: false,
+      ...(cancelled && { cancelled: true }),
+      ...(runInfo && { brand_id: runInfo.brand_id }),
+      error: error.message,
+      stack: error.stack
+    };
+  }
+}
+
+/**
+ * Artifacts each resumable stage reads from the brand directory, relative to it
+ */
+const RESUME_ARTIFACTS = {
+  synthesize: ['analysis/brand_tokens.json'],
+  evaluate: ['reports/brand_spec.json'],
+  refine: ['reports/brand_spec.json', 'evaluations/evaluation.json']
+};
+
+export const RESUMABLE_STAGES = Object.keys(RESUME_ARTIFACTS);
+
+// Stages that run before each resumable stage, whose trace entries a resumed run keeps
+const EARLIER_STAGES = {
+  synthesize: ['capture', 'analyze'],
+  evaluate: ['capture', 'analyze', 'synthesize'],
+  refine: ['capture', 'analyze', 'synthesize', 'evaluate']
+};
+
+/**
+ * Artifacts a resume from the given stage needs that are missing on disk
+ * @param {string} brandId - Existing brand ID
+ * @param {string} resumeFrom - One of RESUMABLE_STAGES
+ * @returns {Array<string>} Missing paths relative to the brand directory
+ */
+export function getMissingResumeArtifacts(brandId, resumeFrom) {
+  const { brandDir } = getBrandPaths(brandId, config.dataDir);
+  return RESUME_ARTIFACTS[resumeFrom].filter(artifact => !fileExists(path.join(brandDir, artifact)));
+}
+
+/**
+ * Load what a resumed run needs: the run info (URL, name, adjectives), the
+ * earlier stages' artifacts and their execution trace entries
+ */
+async function loadPreviousRun(brandId, resumeFrom) {
+  if (!RESUMABLE_STAGES.includes(resumeFrom)) {
+    throw new Error(`Cannot resume from "${resumeFrom}"; expected one of ${RESUMABLE_STAGES.join(', ')}`);
+  }
+
+  const paths = getBrandPaths(brandId, config.dataDir);
+  if (!fileExists(paths.brandDir)) {
+    throw new Error(`Brand ${brandId} not found`);
+  }
+
+  const missing = getMissingResumeArtifacts(brandId, resumeFrom);
+  if (missing.length > 0) {
+    throw new Error(`Cannot resume from ${resumeFrom}: ${missing.join(', ')} missing`);
+  }
+
+  const readIfExists = async (filePath) => fileExists(filePath) ? readJSON(filePath) : null;
+  const [metadata, previousTrace, dom, brandSpec] = await Promise.all([
+    readIfExists(paths.metadata),
+    readIfExists(paths.executionTrace),
+    readIfExists(paths.captures.dom),
+    readIfExists(paths.reports.brandSpec)
+  ]);
+
+  // Brands extracted before run info was saved up front fall back to the
+  // spec's metadata or the captured page
+  const specMetadata = brandSpec?.metadata || {};
+  const sourceUrl = metadata?.source_url || specMetadata.source_url || dom?.pages?.[0]?.url;
+  if (!sourceUrl) {
+    throw new Error(`Cannot resume ${brandId}: its source URL is not recorded`);
+  }
+
+  const stages = (previousTrace?.stages || []).filter(stage => EARLIER_STAGES[resumeFrom].includes(stage.name));
+  const analyzeStage = stages.find(stage => stage.name === 'analyze');
+
+  return {
+    brandDir: paths.brandDir,
+    paths,
+    metadata,
+    runInfo: {
+      brand_id: brandId,
+      brand_name: metadata?.brand_name || specMetadata.brand_name || extractBrandName(sourceUrl),
+      source_url: sourceUrl,
+      extracted_at: metadata?.extracted_at || specMetadata.extracted_at || new Date().toISOString(),
+      // A completed run counts as an extraction; resuming a failed one does not
+      version: (metadata?.version || 1) + (metadata?.status === 'completed' ? 1 : 0),
+      adjectives: metadata?.adjectives || specMetadata.adjectives || []
+    },
+    stages,
+    duration_ms: stages.reduce((sum, stage) => sum + (stage.duration_ms || 0), 0),
+    analysisMode: analyzeStage?.metrics?.model_used === 'heuristic' ? 'heuristic' : null,
+    warnings: resumeFrom === 'synthesize' ? [] : (previousTrace?.summary?.warnings || []),
+    brandTokens: resumeFrom === 'synthesize' ? await readJSON(paths.analysis.brandTokens) : null,
+    brandSpec: resumeFrom === 'synthesize' ? null : brandSpec,
+    evaluation: resumeFrom === 'refine' ? await readJSON(paths.evaluations.evaluation) : null
+  };
+}
+
+/**
+ * Token totals and estimated cost of the model calls made by trace stages
+ */
+function summarizeUsage(stages) {
+  const sumMetric = (metric) => stages.reduce((sum, stage) => sum + (stage.metrics?.[metric] || 0), 0);
+  const inputTokens = sumMetric('tokens_input');
+  const outputTokens = sumMetric('tokens_output');
+
+  // Estimate cost (rough estimates for Sonnet)
+  // Input: ~$3 per million tokens, Output: ~$15 per million tokens
+  const estimatedCost = (inputTokens / 1000000 * 3) + (outputTokens / 1000000 * 15);
+
+  return { totalTokens: inputTokens + outputTokens, estimatedCost };
+}
+
+/**
+ * Save the trace of a failed run (status failed) and mark its metadata failed;
+ * the summary still counts the tokens the finished stages spent
+ */
+async function saveFailedRun(paths, executionTrace, metadata, error, overallStartTime, logger) {
+  try {
+    const { totalTokens, estimatedCost } = summarizeUsage(executionTrace.stages);
+    executionTrace.completed_at = new Date().toISOString();
+    executionTrace.summary = {
+      total_duration_ms: Date.now() - overallStartTime,
+      status: 'failed',
+      total_tokens: totalTokens,
+      estimated_cost_usd: parseFloat(estimatedCost.toFixed(4)),
+      warnings: [],
+      errors: [error.message]
+    };
+    await saveJSON(paths.executionTrace, executionTrace);
+    await saveJSON(paths.metadata, { ...metadata, status: 'failed' });
+  } catch (saveError) {
+    logger.warn(`Could not save the failed run: ${saveError.message}`);
+  }
+}
+
+/**
+ * Create a brand from a Tokens Studio file instead of a website: the import
+ * stage builds and validates the brand spec, which is then scored with the
+ * rule-based evaluator (no model calls)
+ * @param {Object} options - Import options
+ * @param {Object} options.tokens - Tokens Studio JSON
+ * @param {string} options.brandName - Brand name
+ * @param {string} options.sourceUrl - Optional URL the tokens belong to
+ * @param {Array<string>} options.adjectives - Optional brand adjectives
+ * @param {Function} options.onProgress - Progress callback (stage, message)
+ * @returns {Object} Import results; failed imports carry `errors` and `warnings`
+ */
+export async function importBrand(options) {
+  const {
+    tokens,
+    brandName,
+    sourceUrl = null,
+    adjectives = [],
+    onProgress = null
+  } = options;
+
+  const logger = new Logger('Orchestrator');
+  const overallStartTime = Date.now();
+
+  const emit = (stage, message) => {
+    logger.info(`[${stage}] ${message}`);
+    if (onProgress) {
+      onProgress(stage, message);
+    }
+  };
+
+  // Removed again when the import fails, so a rejected file leaves no brand behind
+  let brandDir = null;
+
+  try {
+    const slug = brandName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'brand';
+    const timestamp = new Date().toISOString().split('T')[0].replace(/-/g, '_');
+    const brandId = `${slug}_${timestamp}_${uuidv4().slice(0, 8)}`;
+    const url = sourceUrl || `urn:tokens-studio:${slug}`;
+
+    logger.info(`Importing ${brandName} from Tokens Studio as ${brandId}`);
+    emit('setup', `Creating brand directories for ${brandId}`);
+
+    brandDir = await createBrandDirectories(brandId, config.dataDir);
+    const paths = getBrandPaths(brandId, config.dataDir);
+
+    const executionTrace = {
+      version: '1.0.0',
+      pipeline_version: config.pipelineVersion,
+      brand_id: brandId,
+      started_at: new Date(overallStartTime).toISOString(),
+      stages: []
+    };
+
+    emit('import', 'Reading Tokens Studio token sets...');
+    const importResult = await importTokensStudio(tokens, {
+      brand_id: brandId,
+      brand_name: brandName,
+      source_url: url,
+      extracted_at: executionTrace.started_at,
+      adjectives
+    }, paths);
+
+    executionTrace.stages.push({
+      name: 'import',
+      display_name: 'Import',
+      status: importResult.status,
+      start_time: new Date(overallStartTime).toISOString(),
+      end_time: new Date(overallStartTime + importResult.duration_ms).toISOString(),
+      duration_ms: importResult.duration_ms,
+      artifacts: importResult.artifacts,
+      logs: importResult.logs,
+      errors: importResult.errors,
+      metrics: importResult.metrics
+    });
+
+    if (importResult.status === 'failed') {
+      emit('error', `Import failed: ${importResult.errors[0]?.message}`);
+      await fs.rm(brandDir, { recursive: true, force: true });
+      return {
+        success: false,
+        error: importResult.errors[0]?.message,
+        errors: importResult.errors,
+        warnings: importResult.warnings
+      };
+    }
+
+    emit('import', `Imported ${importResult.metrics.tokens_imported} tokens`);
+
+    // Imported brands have no captures for a model to compare against
+    emit('evaluate', 'Scoring brand specification with rule-based rubric...');
+    const evaluateResult = await evaluateBrandSpec(importResult.data, paths, { ...config, analysisMode: 'heuristic' });
+
+    const evaluateStartTime = overallStartTime + importResult.duration_ms;
+    executionTrace.stages.push({
+      name: 'evaluate',
+      display_name: 'Evaluate',
+      status: evaluateResult.status,
+      start_time: new Date(evaluateStartTime).toISOString(),
+      end_time: new Date(evaluateStartTime + evaluateResult.duration_ms).toISOString(),
+      duration_ms: evaluateResult.duration_ms,
+      artifacts: evaluateResult.artifacts,
+      logs: evaluateResult.logs,
+      errors: evaluateResult.errors,
+      metrics: evaluateResult.metrics
+    });
+
+    if (evaluateResult.status === 'failed') {
+      throw new Error('Evaluation stage failed: ' + evaluateResult.errors[0]?.message);
+    }
+
+    const totalDuration = Date.now() - overallStartTime;
+    executionTrace.completed_at = new Date().toISOString();
+    executionTrace.summary = {
+      total_duration_ms: totalDuration,
+      status: 'success',
+      total_tokens: 0,
+      estimated_cost_usd: 0,
+      warnings: importResult.warnings,
+      errors: []
+    };
+
+    emit('finalize', 'Saving execution trace...');
+    await saveJSON(paths.executionTrace, executionTrace);
+
+    const traceValidation = await validateExecutionTrace(executionTrace);
+    if (!traceValidation.valid) {
+      logger.warn('Execution trace validation failed');
+    }
+
+    const brandSpec = importResult.data;
+    const metadata = {
+      brand_id: brandId,
+      brand_name: brandName,
+      source_url: url,
+      extracted_at: executionTrace.started_at,
+      version: 1,
+      status: 'completed',
+      evaluation_summary: {
+        overall_score: evaluateResult.data.overall_score,
+        quality_band: evaluateResult.data.quality_band,
+        top_strengths: getTopDimensions(evaluateResult.data.dimensions, true),
+        top_weaknesses: getTopDimensions(evaluateResult.data.dimensions, false)
+      },
+      preview: {
+        dominant_colors: extractDominantColors(brandSpec),
+        primary_font: brandSpec.design_tokens.typography.font_families.primary.name
+      },
+      execution_summary: {
+        total_duration_ms: totalDuration,
+        total_tokens: 0,
+        estimated_cost_usd: 0
+      },
+      adjectives,
+      tags: [...generateTags(brandSpec), 'imported']
+    };
+
+    await saveJSON(paths.metadata, metadata);
+
+    const metadataValidation = await validateMetadata(metadata);
+    if (!metadataValidation.valid) {
+      logger.warn('Metadata validation failed');
+    }
+
+    emit('finalize', 'Brand import complete!');
+    logger.success(`Brand import completed in ${totalDuration}ms (score ${evaluateResult.data.overall_score.toFixed(2)}/5.0)`);
+
+    return {
+      success: true,
+      brand_id: brandId,
+      brand_name: brandName,
+      brand_spec: brandSpec,
+      evaluation: evaluateResult.data,
+      execution_trace: executionTrace,
+      metadata,
+      warnings: importResult.warnings,
+      paths: {
+        brandDir,
+        brandSpec: paths.reports.brandSpec,
+        evaluation: paths.evaluations.evaluation,
+        executionTrace: paths.executionTrace,
+        metadata: paths.metadata
+      }
+    };
+
   } catch (error) {
-    logger.error(`Brand extraction failed: ${error.message}`);
+    logger.error(`Brand import failed: ${error.message}`);
     logger.error(error.stack);
 
-    emit('error', `Extraction failed: ${error.message}`);
+    emit('error', `Import failed: ${error.message}`);
+    if (brandDir) {
+      await fs.rm(brandDir, { recursive: true, force: true })
+        .catch(rmError => logger.warn(`Could not remove ${brandDir}: ${rmError.message}`));
+    }
 
     return {
       success: false,
@@ -368,6 +761,22 @@ function extractBrandName(url) {
   }
 }
 
+/**
+ * Token edit fields of the previous metadata that still hold after a rerun:
+ * synthesis rebuilds the spec without the edits, and a new evaluation scores them
+ */
+function carriedTokenEdits(metadata, resumeFrom) {
+  if (!metadata.edited_at || !resumeFrom || resumeFrom === 'synthesize') {
+    return {};
+  }
+
+  return {
+    edited_at: metadata.edited_at,
+    edit_count: metadata.edit_count,
+    ...(resumeFrom === 'refine' && metadata.evaluation_stale && { evaluation_stale: true })
+  };
+}
+
 /**
  * Get top 2 dimensions (strengths or weaknesses)
  */
@@ -444,6 +853,8 @@ export function getPipelineStatus() {
   return {
     version: config.pipelineVersion,
     available: true,
+    llm_provider: config.llmProvider,
+    analysis_mode: config.analysisMode,
     stages: ['capture', 'analyze', 'synthesize', 'evaluate', 'refine']
   };
 }
@@ -3,10 +3,11 @@
  * Uses evaluation feedback to improve the brand specification
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { createLLMProvider } from '../providers/index.js';
+import { completeStructured } from '../providers/structured-output.js';
+import { getRefinementTool } from '../providers/tools.js';
 import { Logger } from '../utils/logger.js';
 import { saveJSON, getFileSize } from '../utils/file-utils.js';
-import { validateBrandSpec, formatValidationErrors } from '../utils/schema-validator.js';
 
 /**
  * Refine brand spec based on evaluation feedback
@@ -42,72 +43,49 @@ export async function refineBrandSpec(brandSpec, evaluation, paths, config) {
     };
   }
 
-  const anthropic = new Anthropic({
-    apiKey: config.anthropicApiKey
-  });
-
   const artifacts = [];
   const errors = [];
   let totalInputTokens = 0;
   let totalOutputTokens = 0;
+  let apiCalls = 0;
+  let cacheHits = 0;
+  let providerName = config.llmProvider;
 
   try {
+    const llm = createLLMProvider(config);
+    providerName = llm.name;
+
     // Build refinement prompt
     logger.info('Building refinement prompt with evaluation feedback');
     const prompt = buildRefinementPrompt(brandSpec, evaluation);
 
     // Call Claude API
-    logger.info('Sending refinement request to Claude API');
-    const message = await anthropic.messages.create({
+    logger.info(`Sending refinement request to Claude API (${llm.name} provider)`);
+    // The tool schema is brand_spec.schema.json, so a returned spec is already valid
+    const result = await completeStructured(llm, {
+      stage: 'refine',
       model: config.synthesisModel, // Use same model as synthesis
-      max_tokens: 16000,
+      maxTokens: 16000,
       messages: [
         {
           role: 'user',
           content: prompt
         }
       ]
+    }, {
+      tool: await getRefinementTool(),
+      maxRepairs: config.llmMaxRepairs,
+      logger
     });
 
-    totalInputTokens = message.usage.input_tokens;
-    totalOutputTokens = message.usage.output_tokens;
-
-    logger.info(`Claude response received (${totalInputTokens} input tokens, ${totalOutputTokens} output tokens)`);
-
-    // Extract JSON from response
-    const responseText = message.content[0].text;
-    const refinedSpec = extractJSONFromResponse(responseText);
-
-    // Validate refined spec
-    logger.info('Validating refined specification against JSON schema');
-    const validation = await validateBrandSpec(refinedSpec);
-
-    if (!validation.valid) {
-      const errorMsg = formatValidationErrors(validation.errors);
-      logger.warn(`Refined spec validation failed:\n${errorMsg}`);
-
-      // If validation fails, return original spec
-      logger.info('Returning original specification due to validation failure');
-      return {
-        status: 'failed',
-        duration_ms: Date.now() - startTime,
-        artifacts: [],
-        logs: logger.getLogsForStage(),
-        errors: [{
-          code: 'VALIDATION_FAILED',
-          message: 'Refined specification failed validation',
-          recoverable: true
-        }],
-        metrics: {
-          tokens_input: totalInputTokens,
-          tokens_output: totalOutputTokens,
-          model_used: config.synthesisModel,
-          api_calls: 1,
-          improvements_made: 0
-        },
-        data: brandSpec // Return original on failure
-      };
-    }
+    totalInputTokens = result.usage.input_tokens;
+    totalOutputTokens = result.usage.output_tokens;
+    apiCalls = result.attempts - result.cacheHits;
+    cacheHits = result.cacheHits;
+
+    logger.info(`Claude response received (${totalInputTokens} input tokens, ${totalOutputTokens} output tokens, ${apiCalls} call(s), ${cacheHits} cached)`);
+
+    const refinedSpec = result.data;
 
     logger.success('Refined specification passes schema validation');
 
@@ -139,7 +117,9 @@ export async function refineBrandSpec(brandSpec, evaluation, paths, config) {
         tokens_input: totalInputTokens,
         tokens_output: totalOutputTokens,
         model_used: config.synthesisModel,
-        api_calls: 1,
+        provider: providerName,
+        api_calls: apiCalls,
+        cache_hits: cacheHits,
         improvements_made: improvementsMade
       },
       data: refinedSpec
@@ -147,6 +127,12 @@ export async function refineBrandSpec(brandSpec, evaluation, paths, config) {
 
   } catch (error) {
     logger.error(`Refinement failed: ${error.message}`);
+    if (error.usage) {
+      totalInputTokens = error.usage.input_tokens;
+      totalOutputTokens = error.usage.output_tokens;
+      apiCalls = error.attempts - error.cacheHits;
+      cacheHits = error.cacheHits;
+    }
     errors.push({
       code: 'REFINEMENT_ERROR',
       message: error.message,
@@ -163,7 +149,9 @@ export async function refineBrandSpec(brandSpec, evaluation, paths, config) {
         tokens_input: totalInputTokens,
         tokens_output: totalOutputTokens,
         model_used: config.synthesisModel,
-        api_calls: 1,
+        provider: providerName,
+        api_calls: apiCalls,
+        cache_hits: cacheHits,
         improvements_made: 0
       },
       data: brandSpec // Return original on error
@@ -218,36 +206,11 @@ Improve the brand specification by addressing the critical and high-priority fee
 - Focus on making the REPORT better, not redesigning the brand
 
 **OUTPUT FORMAT:**
-Return the complete refined brand specification as valid JSON.
-Do NOT include markdown code blocks or any text outside the JSON.
+Call the record_brand_spec tool with the complete refined brand specification.
 
 Refine the specification now:`;
 }
 
-/**
- * Extract JSON from Claude's response
- */
-function extractJSONFromResponse(responseText) {
-  try {
-    return JSON.parse(responseText);
-  } catch (e) {
-    // Try to extract from markdown code block
-    const jsonMatch = responseText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-
-    // Try to find JSON boundaries
-    const jsonStart = responseText.indexOf('{');
-    const jsonEnd = responseText.lastIndexOf('}');
-    if (jsonStart !== -1 && jsonEnd !== -1) {
-      return JSON.parse(responseText.substring(jsonStart, jsonEnd + 1));
-    }
-
-    throw new Error('Could not extract valid JSON from Claude refinement response');
-  }
-}
-
 /**
  * Count improvements made between original and refined spec
  */
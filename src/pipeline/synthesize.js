@@ -6,6 +6,81 @@
 import { Logger } from '../utils/logger.js';
 import { saveJSON, getFileSize } from '../utils/file-utils.js';
 import { validateBrandSpec, formatValidationErrors } from '../utils/schema-validator.js';
+import { normalizeHex, hexToRgb, rgbToLab, deltaE, hexDeltaE, hexToOklch, contrastRatio } from '../utils/color-utils.js';
+import { generateRamp } from '../utils/color-ramps.js';
+import { detectTypeScale } from '../utils/type-scale.js';
+import { detectSpacingScale } from '../utils/spacing-scale.js';
+import { fillComponents } from '../utils/derived-components.js';
+
+// Selectors whose custom properties define the site-wide (light) token values
+const ROOT_SCOPE_SELECTORS = [':root', 'html', ':host', 'body'];
+
+// Name keywords identifying authored color variables for each semantic role
+const COLOR_VARIABLE_ROLES = {
+  primary: ['primary', 'brand'],
+  secondary: ['secondary'],
+  accent: ['accent'],
+  background: ['background', 'bg', 'surface'],
+  text_primary: ['text', 'foreground', 'fg'],
+  success: ['success'],
+  error: ['error', 'danger'],
+  warning: ['warning'],
+  info: ['info']
+};
+
+// Keywords of other roles that may still appear in a role's variable name
+const COLOR_VARIABLE_ROLE_ALLOW = {
+  text_primary: ['primary']
+};
+
+// Name parts marking a variant rather than the base color of a role
+const COLOR_VARIABLE_MODIFIERS = [
+  'hover', 'active', 'focus', 'disabled', 'contrast', 'on', 'inverse',
+  'rgb', 'hsl', 'light', 'lighter', 'dark', 'darker', 'muted', 'subtle', 'border', 'alt'
+];
+
+// Icon fonts are never text font families
+const ICON_FONT_PATTERN = /icon|awesome|material symbols|glyph/i;
+
+const STANDARD_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// Model-reported colors within this ΔE of an observed CSS color are snapped to it
+const SNAP_DELTA_E = 6;
+
+// Palette colors within this ΔE of a token count towards its coverage
+const COVERAGE_DELTA_E = 10;
+// Minimum coverage for the dominant screenshot color to stand in for the background
+const MIN_BACKGROUND_COVERAGE = 30;
+
+// brand_spec.schema.json requires at least this many components; heuristic
+// runs are completed up to it
+const MIN_COMPONENTS = 8;
+
+// Text levels every spec carries, with the values used when nothing was measured or reported
+export const DEFAULT_TYPE_SCALE = {
+  h1: { font_size: '48px', line_height: '1.2', font_weight: 700, usage: 'Page titles' },
+  h2: { font_size: '36px', line_height: '1.3', font_weight: 600, usage: 'Section headings' },
+  h3: { font_size: '24px', line_height: '1.4', font_weight: 600, usage: 'Subsection headings' },
+  body: { font_size: '16px', line_height: '1.5', font_weight: 400, usage: 'Body text' },
+  small: { font_size: '14px', line_height: '1.5', font_weight: 400, usage: 'Small text and captions' }
+};
+
+const GRAY_STEPS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+// Token confidence by how the value was obtained
+const CONFIDENCE = {
+  authored: 0.95, // declared in a CSS custom property
+  measured: 0.9, // equals a computed style on the page
+  snapped: 0.8, // model value snapped to a computed style
+  screenshot: 0.7, // measured from screenshot pixels
+  indirect: 0.6, // observed value whose role was inferred, or a model value visible in screenshots
+  model: 0.4, // model value with no matching measurement
+  derived: 0.3, // extrapolated from measured values (e.g. a modular scale step)
+  fallback: 0.2 // built-in default
+};
+
+// Element evidence recorded per token
+const MAX_ELEMENT_EVIDENCE = 2;
 
 /**
  * Synthesize brand tokens into canonical brand_spec
@@ -13,9 +88,11 @@ import { validateBrandSpec, formatValidationErrors } from '../utils/schema-valid
  * @param {Object} metadata - Brand metadata (brand_id, url, etc.)
  * @param {Object} paths - Brand paths object
  * @param {number} totalDuration - Total extraction duration so far
+ * @param {Object} options
+ * @param {string} options.analysisMode - 'heuristic' completes the component set from the tokens
  * @returns {Object} Synthesis results
  */
-export async function synthesizeBrandSpec(brandTokens, metadata, paths, totalDuration) {
+export async function synthesizeBrandSpec(brandTokens, metadata, paths, totalDuration, { analysisMode = null } = {}) {
   const logger = new Logger('Synthesize');
   const startTime = Date.now();
 
@@ -38,7 +115,8 @@ export async function synthesizeBrandSpec(brandTokens, metadata, paths, totalDur
         extracted_at: metadata.extracted_at,
         extraction_duration_ms: totalDuration,
         adjectives: metadata.adjectives || [],
-        pipeline_version: '1.0.0'
+        pipeline_version: '1.0.0',
+        source_pages: synthesizeSourcePages(brandTokens)
       },
       brand_essence: synthesizeBrandEssence(brandTokens),
       design_tokens: synthesizeDesignTokens(brandTokens, logger, warnings),
@@ -48,6 +126,32 @@ export async function synthesizeBrandSpec(brandTokens, metadata, paths, totalDur
       notes: synthesizeNotes(brandTokens)
     };
 
+    const responsive = synthesizeResponsive(brandTokens, logger);
+    if (responsive) {
+      brandSpec.responsive = responsive;
+    }
+
+    const brandAssets = synthesizeBrandAssets(brandTokens);
+    if (brandAssets) {
+      brandSpec.brand_assets = brandAssets;
+    }
+
+    reconcileColors(brandSpec, brandTokens.cross_reference, logger, warnings);
+    applyColorRamps(brandSpec.design_tokens.colors, logger);
+    annotateProvenance(brandSpec, brandTokens, logger);
+
+    // Heuristic analysis only sees the DOM roles it recognizes, so its
+    // component set is completed from the tokens; model analysis keeps only
+    // what it observed
+    const observedCount = brandSpec.components.length;
+    const derived = analysisMode === 'heuristic'
+      ? fillComponents(brandSpec.components, brandSpec.design_tokens, 'the extracted tokens', MIN_COMPONENTS)
+      : [];
+    if (derived.length > 0) {
+      logger.info(`Added ${derived.length} components derived from the tokens (${observedCount} observed)`);
+      warnings.push(`Only ${observedCount} components observed; added ${derived.length} derived from the design tokens: ${derived.map(component => component.name).join(', ')}`);
+    }
+
     // Validate against schema
     logger.info('Validating brand spec against JSON schema');
     const validation = await validateBrandSpec(brandSpec);
@@ -130,22 +234,35 @@ function synthesizeBrandEssence(tokens) {
   };
 }
 
+/**
+ * Synthesize the list of pages the spec was extracted from
+ */
+function synthesizeSourcePages(tokens) {
+  const pages = tokens.cross_reference?.pages || [];
+
+  return pages.map(page => ({
+    url: page.url,
+    title: page.title || '',
+    depth: page.depth
+  }));
+}
+
 /**
  * Synthesize design tokens
  */
 function synthesizeDesignTokens(tokens, logger, warnings) {
   return {
-    colors: synthesizeColors(tokens.colors, logger, warnings),
-    typography: synthesizeTypography(tokens.typography, logger, warnings),
-    spacing: synthesizeSpacing(tokens.spacing, logger),
-    effects: synthesizeEffects(tokens.effects, logger)
+    colors: synthesizeColors(tokens.colors, logger, warnings, tokens.cross_reference),
+    typography: synthesizeTypography(tokens.typography, logger, warnings, tokens.cross_reference),
+    spacing: synthesizeSpacing(tokens.spacing, logger, tokens.cross_reference),
+    effects: synthesizeEffects(tokens.effects, logger, tokens.cross_reference)
   };
 }
 
 /**
  * Synthesize colors with semantic mapping
  */
-function synthesizeColors(colorsData, logger, warnings) {
+function synthesizeColors(colorsData, logger, warnings, crossReference = {}) {
   const colors = {
     primary: { value: '#000000', usage: 'Primary brand color' },
     secondary: { value: '#666666', usage: 'Secondary brand color' },
@@ -156,8 +273,19 @@ function synthesizeColors(colorsData, logger, warnings) {
     }
   };
 
+  const darkColors = synthesizeDarkColors(crossReference?.dark_theme, logger);
+  if (darkColors) {
+    colors.dark = darkColors;
+  }
+
+  const colorVariables = getRootVariables(crossReference?.css_variables, 'color');
+
   if (!colorsData) {
-    warnings.push('No color data available in brand tokens');
+    if (colorVariables.length === 0) {
+      warnings.push('No color data available in brand tokens');
+    }
+    applyColorVariables(colors, colorVariables, logger);
+    applyPaletteCoverage(colors, crossReference?.palette, logger, warnings);
     return colors;
   }
 
@@ -252,13 +380,320 @@ function synthesizeColors(colorsData, logger, warnings) {
     }
   }
 
+  applyColorVariables(colors, colorVariables, logger);
+  applyPaletteCoverage(colors, crossReference?.palette, logger, warnings);
+
   return colors;
 }
 
+/**
+ * Custom properties declared on the document root, optionally filtered by type
+ */
+function getRootVariables(cssVariables, type) {
+  return (cssVariables?.variables || []).filter(variable =>
+    (!type || variable.type === type) &&
+    variable.scopes.some(scope => !scope.media && ROOT_SCOPE_SELECTORS.includes(scope.selector.trim()))
+  );
+}
+
+/**
+ * Find the authored variable for a semantic color role. Names must contain one
+ * of the role keywords, no other role's keyword and no variant modifier; ties
+ * go to the most used.
+ */
+function findRoleVariable(variables, role) {
+  const keywords = COLOR_VARIABLE_ROLES[role];
+  const allowed = COLOR_VARIABLE_ROLE_ALLOW[role] || [];
+  const otherKeywords = Object.entries(COLOR_VARIABLE_ROLES)
+    .filter(([otherRole]) => otherRole !== role)
+    .flatMap(([, words]) => words)
+    .filter(word => !keywords.includes(word) && !allowed.includes(word));
+
+  const candidates = variables.filter(variable => {
+    const parts = variable.name.replace(/^--/, '').toLowerCase().split(/[-_]/);
+    return parts.some(part => keywords.includes(part)) &&
+      !parts.some(part => COLOR_VARIABLE_MODIFIERS.includes(part) || otherKeywords.includes(part));
+  });
+
+  candidates.sort((a, b) => b.usage_count - a.usage_count || a.name.length - b.name.length);
+  return candidates[0] || null;
+}
+
+/**
+ * Prefer the site's own color variables over model estimates. Roles with a
+ * matching authored variable take its value and name; other tokens are
+ * annotated with the variable that declares the same color, if any.
+ */
+function applyColorVariables(colors, variables, logger) {
+  if (variables.length === 0) return;
+
+  const roleTargets = {
+    primary: () => colors.primary,
+    secondary: () => colors.secondary,
+    accent: () => colors.accent || (colors.accent = { usage: 'Accent color for highlights and emphasis' }),
+    background: () => colors.neutrals.white,
+    text_primary: () => colors.neutrals.black,
+    success: () => semanticTarget(colors, 'success', 'Success states and positive actions'),
+    error: () => semanticTarget(colors, 'error', 'Error states and destructive actions'),
+    warning: () => semanticTarget(colors, 'warning', 'Warning states and cautions'),
+    info: () => semanticTarget(colors, 'info', 'Informational messages')
+  };
+
+  let applied = 0;
+  Object.keys(COLOR_VARIABLE_ROLES).forEach(role => {
+    const variable = findRoleVariable(variables, role);
+    if (!variable) return;
+
+    const token = roleTargets[role]();
+    token.value = variable.hex;
+    token.css_variable = variable.name;
+    applied++;
+  });
+
+  // Authored gray scale (e.g. --gray-100 ... --gray-900)
+  const grays = {};
+  variables.forEach(variable => {
+    const match = variable.name.toLowerCase().match(/^--(?:[\w-]*-)?(?:gray|grey|neutral)-(\d{2,3})$/);
+    if (match && GRAY_STEPS.includes(match[1]) && !grays[match[1]]) {
+      grays[match[1]] = { value: variable.hex, usage: `Gray ${match[1]}`, css_variable: variable.name };
+    }
+  });
+  if (Object.keys(grays).length >= 3) {
+    colors.neutrals.gray = grays;
+  }
+
+  // Annotate remaining tokens whose value matches a declared variable
+  const byHex = {};
+  variables.forEach(variable => {
+    if (!byHex[variable.hex]) byHex[variable.hex] = variable;
+  });
+  const annotate = (token) => {
+    if (!token || token.css_variable) return;
+    const variable = byHex[normalizeHex(token.value)];
+    if (variable) token.css_variable = variable.name;
+  };
+  [colors.primary, colors.secondary, colors.accent, colors.neutrals.white, colors.neutrals.black].forEach(annotate);
+  Object.values(colors.neutrals.gray).forEach(annotate);
+  Object.values(colors.semantic || {}).forEach(annotate);
+
+  logger.info(`Mapped ${applied} semantic colors from authored CSS variables`);
+}
+
+/**
+ * Back color roles with the screen area they cover in the captured screenshots.
+ * Every token gets a coverage percentage, the measured palette is kept in the
+ * spec, and a background the screenshots never show is replaced by the
+ * dominant measured color.
+ */
+function applyPaletteCoverage(colors, palette, logger, warnings) {
+  const measured = palette?.colors || [];
+  if (measured.length === 0) return;
+
+  const coverageOf = (hex) => {
+    const total = measured
+      .filter(color => hexDeltaE(color.hex, hex) <= COVERAGE_DELTA_E)
+      .reduce((sum, color) => sum + color.coverage, 0);
+    return Math.round(total * 100) / 100;
+  };
+
+  const tokens = [
+    colors.primary,
+    colors.secondary,
+    colors.accent,
+    colors.neutrals.white,
+    colors.neutrals.black,
+    ...Object.values(colors.neutrals.gray),
+    ...Object.values(colors.semantic || {})
+  ].filter(Boolean);
+
+  tokens.forEach(token => {
+    token.coverage = coverageOf(token.value);
+  });
+
+  const background = colors.neutrals.white;
+  const dominant = measured[0];
+  if (background.coverage === 0 && !background.css_variable && dominant.coverage >= MIN_BACKGROUND_COVERAGE) {
+    warnings.push(`Background ${background.value} not found in screenshots; using dominant color ${dominant.hex} (${dominant.coverage}% coverage)`);
+    background.value = dominant.hex;
+    background.coverage = coverageOf(dominant.hex);
+    background.provenance = {
+      source: 'screenshot_measured',
+      confidence: CONFIDENCE.screenshot,
+      evidence: (palette.sources || []).map(source => ({ screenshot: `captures/screenshots/${source.name}` }))
+    };
+  }
+
+  if (colors.primary.coverage === 0) {
+    warnings.push(`Primary color ${colors.primary.value} is not visible in the captured screenshots`);
+  }
+
+  colors.palette = measured.map(color => ({ value: color.hex, coverage: color.coverage }));
+  logger.info(`Measured coverage for ${tokens.length} color tokens from ${measured.length} palette colors`);
+}
+
+/**
+ * Snap model-reported colors to the nearest color actually observed in the
+ * page's computed CSS or custom properties. Colors within SNAP_DELTA_E are
+ * replaced (keeping the reported value); farther ones produce a warning with
+ * the distance to the nearest observed color.
+ */
+function reconcileColors(brandSpec, crossReference, logger, warnings) {
+  const observedHexes = new Set();
+  (crossReference?.css_data?.colors || []).forEach(color => {
+    const hex = normalizeHex(color);
+    if (hex) observedHexes.add(hex);
+  });
+  getRootVariables(crossReference?.css_variables, 'color').forEach(variable => observedHexes.add(variable.hex));
+
+  if (observedHexes.size === 0) return;
+
+  const observed = Array.from(observedHexes).map(hex => ({ hex, lab: rgbToLab(hexToRgb(hex)) }));
+
+  const nearestObserved = (hex) => {
+    const rgb = hexToRgb(hex);
+    if (!rgb) return null;
+    const lab = rgbToLab(rgb);
+
+    let nearest = null;
+    observed.forEach(candidate => {
+      const distance = deltaE(candidate.lab, lab);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { hex: candidate.hex, distance };
+      }
+    });
+    return nearest;
+  };
+
+  let snapped = 0;
+  const misses = [];
+
+  // Design token colors; values taken from CSS variables are already observed
+  const colors = brandSpec.design_tokens.colors;
+  const tokenEntries = [
+    ['primary', colors.primary],
+    ['secondary', colors.secondary],
+    ['accent', colors.accent],
+    ['background', colors.neutrals.white],
+    ['text', colors.neutrals.black],
+    ...Object.entries(colors.neutrals.gray).map(([step, token]) => [`gray ${step}`, token]),
+    ...Object.entries(colors.semantic || {})
+  ];
+
+  tokenEntries.forEach(([label, token]) => {
+    if (!token || token.css_variable) return;
+
+    const value = normalizeHex(token.value);
+    const nearest = value && nearestObserved(value);
+    if (!nearest || nearest.distance === 0) return;
+
+    if (nearest.distance <= SNAP_DELTA_E) {
+      token.reported_value = token.value;
+      token.value = nearest.hex;
+      snapped++;
+    } else {
+      misses.push(`${label} ${token.value} (nearest ${nearest.hex}, ΔE ${nearest.distance.toFixed(1)})`);
+    }
+  });
+
+  // Hex colors inside component visual properties (e.g. "1px solid #e6e6e6")
+  let componentMisses = 0;
+  brandSpec.components.forEach(component => {
+    Object.entries(component.visual_properties || {}).forEach(([property, value]) => {
+      if (typeof value !== 'string') return;
+
+      component.visual_properties[property] = value.replace(/#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g, match => {
+        const nearest = nearestObserved(match);
+        if (!nearest || nearest.distance === 0) return match;
+        if (nearest.distance <= SNAP_DELTA_E) {
+          snapped++;
+          return nearest.hex;
+        }
+        componentMisses++;
+        return match;
+      });
+    });
+  });
+
+  misses.forEach(miss => warnings.push(`No observed CSS color close to ${miss}`));
+  if (componentMisses > 0) {
+    warnings.push(`${componentMisses} component colors have no observed CSS color within ΔE ${SNAP_DELTA_E}`);
+  }
+
+  logger.info(`Snapped ${snapped} colors to observed CSS colors (${misses.length + componentMisses} without a close match)`);
+}
+
+/**
+ * Generate 50-950 OKLCH ramps anchored on the final brand and neutral colors,
+ * with a readable text color per step, and record each core token's contrast
+ * against white and black. The neutral ramp is anchored on the mid-tone gray
+ * closest to step 500, or the text color when no grays were found.
+ */
+export function applyColorRamps(colors, logger) {
+  const ramps = {};
+
+  ['primary', 'secondary', 'accent'].forEach(role => {
+    const ramp = colors[role] && generateRamp(colors[role].value);
+    if (ramp) ramps[role] = ramp;
+  });
+
+  const grays = Object.values(colors.neutrals.gray).map(token => token.value);
+  const midGray = grays
+    .map(value => ({ value, lightness: hexToOklch(value)?.[0] }))
+    .filter(gray => gray.lightness !== undefined)
+    .sort((a, b) => Math.abs(a.lightness - 0.62) - Math.abs(b.lightness - 0.62))[0];
+  const neutral = generateRamp(midGray ? midGray.value : colors.neutrals.black.value, { neutral: true });
+  if (neutral) ramps.neutral = neutral;
+
+  colors.ramps = ramps;
+
+  [colors.primary, colors.secondary, colors.accent, colors.neutrals.white, colors.neutrals.black]
+    .filter(token => token && normalizeHex(token.value))
+    .forEach(token => {
+      token.contrast_ratio_white = Math.round(contrastRatio(token.value, '#ffffff') * 100) / 100;
+      token.contrast_ratio_black = Math.round(contrastRatio(token.value, '#000000') * 100) / 100;
+    });
+
+  logger.info(`Generated ${Object.keys(ramps).length} OKLCH color ramps (${Object.entries(ramps).map(([role, ramp]) => `${role} anchored at ${ramp.anchor_step}`).join(', ')})`);
+}
+
+function semanticTarget(colors, name, usage) {
+  colors.semantic = colors.semantic || {};
+  colors.semantic[name] = colors.semantic[name] || { usage };
+  return colors.semantic[name];
+}
+
+/**
+ * Synthesize the dark theme token set from the prefers-color-scheme: dark capture
+ */
+function synthesizeDarkColors(darkTheme, logger) {
+  if (!darkTheme?.supported || !darkTheme.dark) {
+    return null;
+  }
+
+  const { dark } = darkTheme;
+  const darkColors = {
+    background: { value: dark.background, usage: 'Main background color in dark mode' },
+    text: { value: dark.text, usage: 'Primary text color in dark mode' },
+    neutrals: {}
+  };
+
+  if (dark.primary) {
+    darkColors.primary = { value: dark.primary, usage: 'Primary brand color in dark mode' };
+  }
+
+  (dark.neutrals || []).forEach((hex, index) => {
+    const step = (index + 1) * 100;
+    darkColors.neutrals[step] = { value: hex, usage: `Dark mode neutral ${step}` };
+  });
+
+  logger.info(`Synthesized dark theme (background ${dark.background}, text ${dark.text})`);
+  return darkColors;
+}
+
 /**
  * Synthesize typography
  */
-function synthesizeTypography(typographyData, logger, warnings) {
+function synthesizeTypography(typographyData, logger, warnings, crossReference = {}) {
   const typography = {
     font_families: {
       primary: {
@@ -272,8 +707,12 @@ function synthesizeTypography(typographyData, logger, warnings) {
     line_height_ratio: 1.5
   };
 
+  const capturedFonts = (crossReference?.fonts?.families || [])
+    .filter(font => !ICON_FONT_PATTERN.test(font.family));
+
   if (!typographyData) {
     warnings.push('No typography data available in brand tokens');
+    applyCapturedFonts(typography, capturedFonts, logger);
     return typography;
   }
 
@@ -303,18 +742,16 @@ function synthesizeTypography(typographyData, logger, warnings) {
     });
   }
 
+  if (typographyData.line_height_ratio) {
+    typography.line_height_ratio = typographyData.line_height_ratio;
+  }
+
+  applyTypeScale(typography, crossReference, logger);
+
   // Ensure required scales exist
-  const requiredScales = ['h1', 'h2', 'h3', 'body', 'small'];
-  requiredScales.forEach(level => {
+  Object.entries(DEFAULT_TYPE_SCALE).forEach(([level, defaults]) => {
     if (!typography.scale[level]) {
-      const defaults = {
-        h1: { font_size: '48px', line_height: '1.2', font_weight: 700, usage: 'Page titles' },
-        h2: { font_size: '36px', line_height: '1.3', font_weight: 600, usage: 'Section headings' },
-        h3: { font_size: '24px', line_height: '1.4', font_weight: 600, usage: 'Subsection headings' },
-        body: { font_size: '16px', line_height: '1.5', font_weight: 400, usage: 'Body text' },
-        small: { font_size: '14px', line_height: '1.5', font_weight: 400, usage: 'Small text and captions' }
-      };
-      typography.scale[level] = defaults[level];
+      typography.scale[level] = { ...defaults };
     }
   });
 
@@ -325,37 +762,155 @@ function synthesizeTypography(typographyData, logger, warnings) {
   });
   typography.weights = Array.from(weights).sort((a, b) => a - b);
 
-  if (typographyData.line_height_ratio) {
-    typography.line_height_ratio = typographyData.line_height_ratio;
-  }
+  applyCapturedFonts(typography, capturedFonts, logger);
 
   return typography;
 }
 
+/**
+ * Replace the reported text levels with the sizes, line heights, weights and
+ * letter spacing measured on the page. Levels matched to the heading or body
+ * tags they were rendered on override the model; levels inferred only from
+ * size rank override it only when the reported size was never rendered.
+ * Required levels nothing was measured for are extrapolated from the
+ * detected modular scale.
+ */
+function applyTypeScale(typography, crossReference, logger) {
+  const cssData = crossReference?.css_data || {};
+  const detected = detectTypeScale(cssData.textStyles || [], cssData.fontSizes || []);
+  if (!detected) return;
+
+  const renderedSizes = detected.clusters.map(cluster => toPx(cluster.font_size));
+  const isRendered = (fontSize) => renderedSizes.some(size =>
+    Math.abs(size - toPx(fontSize)) <= Math.max(1, size * 0.04));
+  const startUrl = crossReference.pages?.[0]?.url;
+  let measuredLevels = 0;
+
+  Object.entries(detected.levels).forEach(([level, measured]) => {
+    const current = typography.scale[level];
+
+    if (measured.source === 'ratio') {
+      if (current || !DEFAULT_TYPE_SCALE[level]) return;
+      typography.scale[level] = {
+        font_size: measured.font_size,
+        line_height: measured.line_height,
+        font_weight: measured.font_weight,
+        usage: DEFAULT_TYPE_SCALE[level].usage,
+        provenance: { source: 'default_fallback', confidence: CONFIDENCE.derived, evidence: [] }
+      };
+      return;
+    }
+
+    if (measured.source === 'rank' && current && isRendered(current.font_size)) return;
+
+    typography.scale[level] = {
+      ...current,
+      font_size: measured.font_size,
+      line_height: measured.line_height || current?.line_height || DEFAULT_TYPE_SCALE[level]?.line_height || '1.2',
+      font_weight: measured.font_weight || current?.font_weight || DEFAULT_TYPE_SCALE[level]?.font_weight || 400,
+      ...(measured.letter_spacing && { letter_spacing: measured.letter_spacing }),
+      ...(measured.text_transform && { text_transform: measured.text_transform }),
+      usage: current?.usage || DEFAULT_TYPE_SCALE[level]?.usage || `${level} text`,
+      provenance: {
+        source: 'css_measured',
+        confidence: measured.source === 'tag' ? CONFIDENCE.measured : CONFIDENCE.indirect,
+        evidence: measured.selector
+          ? [{ selector: measured.selector, ...(startUrl && { page_url: startUrl }) }]
+          : []
+      }
+    };
+    measuredLevels++;
+  });
+
+  const bodyLineHeight = parseFloat(detected.levels.body?.line_height);
+  if (bodyLineHeight >= 1 && bodyLineHeight <= 2.5) {
+    typography.line_height_ratio = bodyLineHeight;
+  }
+
+  typography.measured_sizes = detected.clusters;
+  if (detected.modular_scale) {
+    typography.modular_scale = detected.modular_scale;
+  }
+
+  logger.info(`Measured ${measuredLevels} text levels from ${detected.clusters.length} font sizes` +
+    (detected.modular_scale
+      ? ` (${detected.modular_scale.name} scale, ratio ${detected.modular_scale.ratio})`
+      : ' (no modular scale detected)'));
+}
+
+/**
+ * Fill font family source, license hint, available weights and fallback stack
+ * from the fonts discovered during capture. A primary family the page never
+ * renders is replaced by the most used captured family, and the weight list
+ * becomes the weights actually rendered in the mapped families.
+ */
+function applyCapturedFonts(typography, capturedFonts, logger) {
+  const usedFonts = capturedFonts.filter(font => font.usage_count > 0);
+  if (usedFonts.length === 0) return;
+
+  const findFont = (name) => capturedFonts.find(font =>
+    font.family.toLowerCase() === String(name || '').replace(/['"]/g, '').trim().toLowerCase()
+  );
+
+  const primary = typography.font_families.primary;
+  if (!findFont(primary.name)) {
+    logger.warn(`Primary font "${primary.name}" not found on the page; using "${usedFonts[0].family}"`);
+    primary.name = usedFonts[0].family;
+  }
+
+  const renderedWeights = new Set();
+
+  Object.values(typography.font_families).forEach(fontFamily => {
+    const font = findFont(fontFamily.name);
+    if (!font) return;
+
+    fontFamily.name = font.family;
+    fontFamily.source = font.source;
+    fontFamily.license_hint = font.license_hint;
+    if (font.fallback) {
+      fontFamily.fallback = font.fallback;
+    }
+    if (font.weights.length > 0) {
+      fontFamily.weights = font.weights;
+    }
+    if (font.styles.length > 0) {
+      fontFamily.styles = font.styles;
+    }
+    if (font.display) {
+      fontFamily.font_display = font.display;
+    }
+
+    font.used_weights.forEach(weight => renderedWeights.add(weight));
+  });
+
+  const weights = Array.from(renderedWeights).filter(weight => STANDARD_FONT_WEIGHTS.includes(weight));
+  if (weights.length > 0) {
+    typography.weights = weights.sort((a, b) => a - b);
+  }
+
+  logger.info(`Matched font families against ${capturedFonts.length} captured fonts`);
+}
+
 /**
  * Synthesize spacing
  */
-function synthesizeSpacing(spacingData, logger) {
+function synthesizeSpacing(spacingData, logger, crossReference = {}) {
   const spacing = {
     base_unit: 8,
     scale: [4, 8, 12, 16, 24, 32, 48, 64, 96],
     density: 'comfortable'
   };
 
-  if (!spacingData) {
-    return spacing;
-  }
-
-  if (spacingData.estimated_base_unit) {
+  if (spacingData?.estimated_base_unit) {
     spacing.base_unit = spacingData.estimated_base_unit;
   }
 
-  if (spacingData.density) {
+  if (spacingData?.density) {
     spacing.density = spacingData.density;
   }
 
   // Add usage rules if available
-  if (spacingData.padding_patterns || spacingData.margin_patterns) {
+  if (spacingData?.padding_patterns || spacingData?.margin_patterns) {
     spacing.usage_rules = {};
 
     if (spacingData.padding_patterns && spacingData.padding_patterns.length > 0) {
@@ -367,16 +922,62 @@ function synthesizeSpacing(spacingData, logger) {
     }
   }
 
+  applyMeasuredSpacing(spacing, spacingData, crossReference, logger);
+
+  // Authored spacing variables (e.g. --space-4: 16px) replace the default scale
+  const spacingVariables = getRootVariables(crossReference?.css_variables, 'length')
+    .filter(variable => /(^|-)(space|spacing|spacer|gap|gutter)(-|$)/i.test(variable.name.replace(/^--/, '')) && variable.px > 0);
+  if (spacingVariables.length >= 3) {
+    spacing.scale = Array.from(new Set(spacingVariables.map(v => Math.round(v.px)))).sort((a, b) => a - b);
+    spacing.css_variables = Object.fromEntries(spacingVariables.map(v => [v.name, v.value]));
+    logger.info(`Using ${spacingVariables.length} authored spacing variables`);
+  }
+
   return spacing;
 }
 
+/**
+ * Replace the default scale, base unit and usage rules with the padding,
+ * margin and gap values measured on the page. The model's density is kept
+ * when it reported one.
+ */
+function applyMeasuredSpacing(spacing, spacingData, crossReference, logger) {
+  const cssData = crossReference?.css_data || {};
+  const detected = detectSpacingScale(cssData.spacingSamples || [], cssData.spacing || []);
+  if (!detected || detected.scale.length < 3) return;
+
+  spacing.scale = detected.scale;
+  spacing.measured_values = detected.measured_values;
+  if (detected.base_unit) {
+    spacing.base_unit = detected.base_unit;
+  }
+  if (!spacingData?.density) {
+    spacing.density = detected.density;
+  }
+
+  const rules = Object.entries(detected.usage_rules);
+  if (rules.length > 0) {
+    spacing.usage_rules = Object.fromEntries(rules.map(([name, rule]) => [
+      name,
+      `${rule.value} ${rule.description}${rule.elements.length > 0 ? ` (${rule.elements.join(', ')})` : ''}`
+    ]));
+  }
+
+  logger.info(`Measured ${detected.measured_values.length} spacing values ` +
+    `(base unit ${detected.base_unit ? `${detected.base_unit}px` : 'not detected'}, ${rules.length} usage rules)`);
+}
+
 /**
  * Synthesize effects (shadows, borders, etc.)
  */
-function synthesizeEffects(effectsData, logger) {
+function synthesizeEffects(effectsData, logger, crossReference = {}) {
   const effects = {};
 
+  const radiusVariables = getRootVariables(crossReference?.css_variables, 'length')
+    .filter(variable => /(^|-)(radius|rounded|corner)(-|$)/i.test(variable.name.replace(/^--/, '')));
+
   if (!effectsData) {
+    applyRadiusVariables(effects, radiusVariables, logger);
     return effects;
   }
 
@@ -398,9 +999,46 @@ function synthesizeEffects(effectsData, logger) {
     });
   }
 
+  applyRadiusVariables(effects, radiusVariables, logger);
+
   return effects;
 }
 
+/**
+ * Replace the estimated radius scale with authored radius variables. Size
+ * suffixes in the variable name (sm, md, lg, xl, full, none) are kept; other
+ * variables fill the remaining sizes from smallest to largest.
+ */
+function applyRadiusVariables(effects, variables, logger) {
+  if (variables.length === 0) return;
+
+  const borderRadius = {};
+  const cssVariables = {};
+  const unnamed = [];
+
+  [...variables].sort((a, b) => a.px - b.px).forEach(variable => {
+    const match = variable.name.toLowerCase().match(/-(none|sm|md|lg|xl|full)$/);
+    const size = match ? match[1] : (variable.px >= 999 ? 'full' : variable.px === 0 ? 'none' : null);
+
+    if (size && !borderRadius[size]) {
+      borderRadius[size] = `${Math.round(variable.px)}px`;
+      cssVariables[variable.name] = variable.value;
+    } else if (!size) {
+      unnamed.push(variable);
+    }
+  });
+
+  const freeSizes = ['sm', 'md', 'lg', 'xl'].filter(size => !borderRadius[size]);
+  unnamed.slice(0, freeSizes.length).forEach((variable, index) => {
+    borderRadius[freeSizes[index]] = `${Math.round(variable.px)}px`;
+    cssVariables[variable.name] = variable.value;
+  });
+
+  effects.border_radius = borderRadius;
+  effects.css_variables = cssVariables;
+  logger.info(`Using ${Object.keys(cssVariables).length} authored radius variables`);
+}
+
 /**
  * Synthesize components
  */
@@ -410,15 +1048,60 @@ function synthesizeComponents(tokens, logger) {
     return [];
   }
 
-  return tokens.components.map(comp => ({
-    name: comp.name,
-    category: comp.category || 'other',
-    description: comp.description || '',
-    visual_properties: comp.visual_properties || {},
-    states: comp.states_observed || {},
-    usage_rules: comp.usage_notes || '',
-    example_html: comp.example_html || `<div class="${comp.name.toLowerCase().replace(/\s+/g, '-')}">${comp.name}</div>`
-  }));
+  const stateSamples = tokens.cross_reference?.interactive_states?.samples || [];
+
+  return tokens.components.map(comp => {
+    const sample = findStateSample(comp, stateSamples);
+
+    return {
+      name: comp.name,
+      category: comp.category || 'other',
+      description: comp.description || '',
+      visual_properties: comp.visual_properties || {},
+      states: sample ? sample.states : describeObservedStates(comp.states_observed),
+      ...(sample && { states_evidence: { selector: sample.selector, text: sample.text } }),
+      usage_rules: comp.usage_notes || '',
+      ...(comp.source_page && { source_page: comp.source_page }),
+      example_html: comp.example_html || `<div class="${comp.name.toLowerCase().replace(/\s+/g, '-')}">${comp.name}</div>`
+    };
+  });
+}
+
+/**
+ * Find the measured interactive state sample that best matches a component.
+ * Prefers a sample whose resting background (then text) color matches the
+ * component's visual properties; falls back to the first sample of the category.
+ */
+function findStateSample(component, samples) {
+  const sampleCategory = { button: 'button', input: 'input', form: 'input', navigation: 'link' }[component.category];
+  if (!sampleCategory) return null;
+
+  const candidates = samples.filter(s => s.category === sampleCategory && Object.keys(s.states).length > 0);
+  if (candidates.length === 0) return null;
+
+  const props = component.visual_properties || {};
+  const sameColor = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+  return candidates.find(s => sameColor(s.base.background_color, props.background_color)) ||
+    candidates.find(s => sameColor(s.base.color, props.text_color)) ||
+    candidates[0];
+}
+
+/**
+ * Wrap model-observed state prose in objects when nothing was measured
+ */
+function describeObservedStates(statesObserved) {
+  const states = {};
+
+  Object.entries(statesObserved || {}).forEach(([state, observation]) => {
+    if (observation && typeof observation === 'object') {
+      states[state] = observation;
+    } else if (observation) {
+      states[state] = { description: String(observation) };
+    }
+  });
+
+  return states;
 }
 
 /**
@@ -443,6 +1126,81 @@ function synthesizePatterns(tokens, logger) {
   }));
 }
 
+/**
+ * Synthesize responsive behaviour from per-viewport measurements
+ */
+function synthesizeResponsive(tokens, logger) {
+  const breakpoints = tokens.cross_reference?.responsive_data?.breakpoints;
+  if (!breakpoints || breakpoints.length === 0) {
+    return null;
+  }
+
+  const sorted = [...breakpoints].sort((a, b) => a.width - b.width);
+  const differences = [];
+
+  // Typography: how each level scales from the narrowest to the widest viewport
+  ['h1', 'h2', 'h3', 'h4', 'body', 'small'].forEach(level => {
+    const measured = sorted.filter(bp => bp.typography?.[level]);
+    if (measured.length < 2) return;
+
+    const first = measured[0];
+    const last = measured[measured.length - 1];
+    if (first.typography[level].font_size !== last.typography[level].font_size) {
+      differences.push(
+        `${level} scales from ${first.typography[level].font_size} (${first.name}) to ${last.typography[level].font_size} (${last.name})`
+      );
+    }
+  });
+
+  // Layout: navigation collapse, grid columns and overflow
+  const collapsed = sorted.filter(bp => bp.layout?.menu_toggle_visible);
+  const expanded = sorted.filter(bp => bp.layout && !bp.layout.menu_toggle_visible);
+  if (collapsed.length > 0 && expanded.length > 0) {
+    differences.push(
+      `Navigation collapses into a menu toggle at ${collapsed.map(bp => bp.name).join(', ')} and shows ${expanded[0].layout.nav_links_visible} inline links from ${expanded[0].width}px`
+    );
+  }
+
+  const columns = sorted.map(bp => bp.layout?.max_grid_columns).filter(Boolean);
+  if (columns.length > 1 && Math.min(...columns) !== Math.max(...columns)) {
+    differences.push(
+      `Grids reflow from ${columns[0]} column(s) at ${sorted[0].width}px to ${columns[columns.length - 1]} at ${sorted[sorted.length - 1].width}px`
+    );
+  }
+
+  sorted.filter(bp => bp.layout?.horizontal_overflow).forEach(bp => {
+    differences.push(`Content overflows horizontally at ${bp.name}`);
+  });
+
+  logger.info(`Synthesized responsive behaviour for ${sorted.length} breakpoints`);
+
+  return {
+    breakpoints: sorted.map(bp => ({
+      name: bp.name,
+      width: bp.width,
+      typography: bp.typography || {},
+      layout: bp.layout || {},
+      screenshots: bp.screenshots || []
+    })),
+    differences
+  };
+}
+
+/**
+ * Synthesize the logo and brand marks saved during capture
+ */
+function synthesizeBrandAssets(tokens) {
+  const assets = tokens.cross_reference?.assets;
+  if (!assets || (!assets.logo && !assets.social_image && (assets.icons || []).length === 0)) {
+    return null;
+  }
+
+  const brandAssets = { icons: assets.icons || [] };
+  if (assets.logo) brandAssets.logo = assets.logo;
+  if (assets.social_image) brandAssets.social_image = assets.social_image;
+  return brandAssets;
+}
+
 /**
  * Synthesize accessibility information
  */
@@ -493,6 +1251,238 @@ function synthesizeNotes(tokens) {
   return notes;
 }
 
+/**
+ * Record where every design token value came from: css_measured when it
+ * matches the captured CSS, screenshot_measured when it was measured from
+ * pixels, model_observed for other analysis values and default_fallback for
+ * values the synthesizer filled in. Evidence points at the elements
+ * (selector and bounding box) and screenshots the value can be seen in.
+ */
+function annotateProvenance(brandSpec, tokens, logger) {
+  const designTokens = brandSpec.design_tokens;
+  const crossReference = tokens.cross_reference || {};
+  const counts = {};
+
+  const record = (token, provenance) => {
+    if (!token) return;
+    // Steps that measured a value directly have already recorded it
+    token.provenance = token.provenance || provenance;
+    counts[token.provenance.source] = (counts[token.provenance.source] || 0) + 1;
+  };
+
+  annotateColorProvenance(designTokens.colors, tokens, crossReference, record);
+  annotateTypographyProvenance(designTokens.typography, tokens.typography, crossReference, record);
+  annotateSpacingProvenance(designTokens.spacing, crossReference, record);
+  annotateEffectsProvenance(designTokens.effects, crossReference, record);
+
+  const summary = Object.entries(counts).map(([source, count]) => `${count} ${source}`).join(', ');
+  logger.info(`Recorded token provenance (${summary})`);
+}
+
+function annotateColorProvenance(colors, tokens, crossReference, record) {
+  const observed = new Set();
+  [
+    ...(crossReference.css_data?.colors || []),
+    ...(crossReference.interactive_states?.samples || []).flatMap(sample => [sample.base?.color, sample.base?.background_color])
+  ].forEach(color => {
+    const hex = normalizeHex(color);
+    if (hex) observed.add(hex);
+  });
+
+  // Colors the analysis reported, with the slices they were seen in
+  const reported = new Map();
+  (tokens.colors?.all_colors || []).forEach(color => {
+    const hex = normalizeHex(color.hex);
+    if (hex && !reported.has(hex)) reported.set(hex, color);
+  });
+  Object.values(tokens.colors?.semantic_mapping || {}).forEach(value => {
+    const hex = normalizeHex(value);
+    if (hex && !reported.has(hex)) reported.set(hex, {});
+  });
+
+  const samples = getComponentSamples(crossReference);
+  const slices = tokens.analysis_slices || [];
+
+  const describe = (token) => {
+    const value = normalizeHex(token.value);
+    const reportedColor = reported.get(normalizeHex(token.reported_value || token.value));
+    const evidence = [
+      ...(token.css_variable ? [{ css_variable: token.css_variable }] : []),
+      ...samples
+        .filter(sample => sample.selector && (normalizeHex(sample.background_color) === value || normalizeHex(sample.text_color) === value))
+        .slice(0, MAX_ELEMENT_EVIDENCE)
+        .map(sample => elementEvidence(sample, crossReference)),
+      ...(reportedColor?.source_slices || [])
+        .map(id => slices.find(slice => slice.id === id))
+        .filter(Boolean)
+        .map(slice => ({ screenshot: slice.path, page_url: slice.page_url }))
+    ];
+
+    if (token.css_variable) {
+      return { source: 'css_measured', confidence: CONFIDENCE.authored, evidence };
+    }
+    if (!reportedColor) {
+      return { source: 'default_fallback', confidence: CONFIDENCE.fallback, evidence: [] };
+    }
+    if (observed.has(value)) {
+      return { source: 'css_measured', confidence: token.reported_value ? CONFIDENCE.snapped : CONFIDENCE.measured, evidence };
+    }
+    return { source: 'model_observed', confidence: token.coverage > 0 ? CONFIDENCE.indirect : CONFIDENCE.model, evidence };
+  };
+
+  [
+    colors.primary,
+    colors.secondary,
+    colors.accent,
+    colors.neutrals.white,
+    colors.neutrals.black,
+    ...Object.values(colors.neutrals.gray),
+    ...Object.values(colors.semantic || {})
+  ].filter(Boolean).forEach(token => record(token, describe(token)));
+
+  // The dark theme is read from computed styles in the dark color scheme
+  if (colors.dark) {
+    [colors.dark.background, colors.dark.text, colors.dark.primary, ...Object.values(colors.dark.neutrals || {})]
+      .filter(Boolean)
+      .forEach(token => record(token, { source: 'css_measured', confidence: CONFIDENCE.measured, evidence: [] }));
+  }
+}
+
+function annotateTypographyProvenance(typography, typographyData, crossReference, record) {
+  const capturedFamilies = new Set((crossReference.fonts?.families || []).map(font => font.family.toLowerCase()));
+  const reportedFamilies = new Set((typographyData?.font_families || []).map(font => String(font.name).toLowerCase()));
+
+  Object.values(typography.font_families).forEach(fontFamily => {
+    const name = String(fontFamily.name).toLowerCase();
+    if (capturedFamilies.has(name)) {
+      record(fontFamily, { source: 'css_measured', confidence: CONFIDENCE.measured, evidence: [] });
+    } else if (reportedFamilies.has(name)) {
+      record(fontFamily, { source: 'model_observed', confidence: CONFIDENCE.model, evidence: [] });
+    } else {
+      record(fontFamily, { source: 'default_fallback', confidence: CONFIDENCE.fallback, evidence: [] });
+    }
+  });
+
+  // Text styles measured per level at the primary viewport
+  const breakpoints = crossReference.responsive_data?.breakpoints || [];
+  const primary = breakpoints.find(bp => (bp.screenshots || []).includes('captures/screenshots/full_page.png')) ||
+    [...breakpoints].sort((a, b) => b.width - a.width)[0];
+  const observedSizes = (crossReference.css_data?.fontSizes || []).map(toPx).filter(Boolean);
+  const reportedLevels = new Set((typographyData?.font_scale || []).map(style => style.level));
+  const startUrl = crossReference.pages?.[0]?.url;
+
+  Object.entries(typography.scale).forEach(([level, style]) => {
+    if (!reportedLevels.has(level)) {
+      record(style, { source: 'default_fallback', confidence: CONFIDENCE.fallback, evidence: [] });
+      return;
+    }
+
+    const size = toPx(style.font_size);
+    const measured = primary?.typography?.[level];
+    if (measured && Math.abs(toPx(measured.font_size) - size) < 0.5) {
+      record(style, {
+        source: 'css_measured',
+        confidence: CONFIDENCE.measured,
+        evidence: measured.selector
+          ? [{
+            selector: measured.selector,
+            screenshot: 'captures/screenshots/full_page.png',
+            ...(measured.bounding_box && { bounding_box: measured.bounding_box }),
+            ...(startUrl && { page_url: startUrl })
+          }]
+          : []
+      });
+    } else if (observedSizes.some(observedSize => Math.abs(observedSize - size) < 0.5)) {
+      record(style, { source: 'css_measured', confidence: CONFIDENCE.indirect, evidence: [] });
+    } else {
+      record(style, { source: 'model_observed', confidence: CONFIDENCE.model, evidence: [] });
+    }
+  });
+}
+
+function annotateSpacingProvenance(spacing, crossReference, record) {
+  const variables = Object.keys(spacing.css_variables || {});
+  const startUrl = crossReference.pages?.[0]?.url;
+
+  if (variables.length > 0) {
+    record(spacing, {
+      source: 'css_measured',
+      confidence: CONFIDENCE.authored,
+      evidence: variables.map(name => ({ css_variable: name }))
+    });
+  } else if (spacing.measured_values) {
+    record(spacing, {
+      source: 'css_measured',
+      confidence: CONFIDENCE.measured,
+      evidence: spacing.measured_values
+        .filter(value => value.elements.length > 0)
+        .slice(0, MAX_ELEMENT_EVIDENCE)
+        .map(value => ({ selector: value.elements[0], ...(startUrl && { page_url: startUrl }) }))
+    });
+  } else {
+    record(spacing, { source: 'default_fallback', confidence: CONFIDENCE.fallback, evidence: [] });
+  }
+}
+
+function annotateEffectsProvenance(effects, crossReference, record) {
+  const normalize = (value) => String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+  const observedShadows = new Set((crossReference.css_data?.shadows || []).map(normalize));
+  const observedRadii = new Set((crossReference.css_data?.borderRadius || []).map(toPx));
+
+  (effects.shadows || []).forEach(shadow => {
+    record(shadow, observedShadows.has(normalize(shadow.value))
+      ? { source: 'css_measured', confidence: CONFIDENCE.measured, evidence: [] }
+      : { source: 'model_observed', confidence: CONFIDENCE.model, evidence: [] });
+  });
+
+  if (!effects.border_radius) return;
+
+  const variables = Object.keys(effects.css_variables || {});
+  const radii = Object.values(effects.border_radius).map(toPx);
+  const radiusToken = {};
+  if (variables.length > 0) {
+    record(radiusToken, { source: 'css_measured', confidence: CONFIDENCE.authored, evidence: variables.map(name => ({ css_variable: name })) });
+  } else if (radii.every(radius => observedRadii.has(radius))) {
+    record(radiusToken, { source: 'css_measured', confidence: CONFIDENCE.measured, evidence: [] });
+  } else {
+    record(radiusToken, { source: 'model_observed', confidence: CONFIDENCE.model, evidence: [] });
+  }
+  effects.border_radius_provenance = radiusToken.provenance;
+}
+
+/**
+ * DOM component samples from every captured page
+ */
+function getComponentSamples(crossReference) {
+  return (crossReference.dom_data?.components || []).flatMap(component => component.samples || []);
+}
+
+/**
+ * Evidence for a DOM sample: its selector, bounding box and the full-page
+ * screenshot of the page it was captured on
+ */
+function elementEvidence(sample, crossReference) {
+  const pages = crossReference.pages || [];
+  const page = pages.find(p => p.url === sample.page) || pages[0];
+  const screenshot = page?.screenshots?.find(s => s.endsWith('full_page.png'));
+
+  return {
+    selector: sample.selector,
+    ...(screenshot && { screenshot }),
+    ...(sample.bounding_box && { bounding_box: sample.bounding_box }),
+    ...(page?.url && { page_url: page.url })
+  };
+}
+
+/**
+ * Parse a CSS length in px, rem or em (16px root) into pixels
+ */
+function toPx(value) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+  return /r?em$/.test(String(value).trim()) ? number * 16 : number;
+}
+
 /**
  * Fix common validation issues
  */
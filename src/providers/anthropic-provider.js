@@ -0,0 +1,52 @@
+/**
+ * Anthropic provider
+ * Sends requests to the Claude Messages API
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export class AnthropicProvider {
+  constructor({ apiKey, signal = null }) {
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required for the anthropic LLM provider');
+    }
+
+    this.name = 'anthropic';
+    this.client = new Anthropic({ apiKey });
+    // Aborts in-flight requests when the extraction is cancelled
+    this.signal = signal;
+  }
+
+  /**
+   * Send a Messages API request and return the concatenated text response.
+   * When a tool is given the model is forced to call it and its input is
+   * returned as toolInput.
+   */
+  async complete({ model, maxTokens, messages, tool }) {
+    const message = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      messages,
+      ...(tool && {
+        tools: [tool],
+        tool_choice: { type: 'tool', name: tool.name }
+      })
+    }, this.signal ? { signal: this.signal } : undefined);
+
+    const toolUse = message.content.find(block => block.type === 'tool_use');
+
+    return {
+      text: message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolInput: toolUse ? toolUse.input : null,
+      stopReason: message.stop_reason,
+      usage: {
+        input_tokens: message.usage.input_tokens,
+        output_tokens: message.usage.output_tokens
+      },
+      model: message.model
+    };
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Caching provider
+ * Wraps a live provider and reuses earlier responses to identical requests,
+ * so re-running an unchanged site costs no tokens
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { saveJSON, readJSON, fileExists } from '../utils/file-utils.js';
+import { checkStructuredResponse } from './structured-output.js';
+
+/**
+ * Content-addressed cache key for a request. Screenshots are hashed by their
+ * bytes, so the key changes whenever a screenshot, the prompt text, the model
+ * or the requested tool schema changes.
+ * @returns {Object} { key, images } where images are the screenshot hashes
+ */
+export function getCacheKey({ model, maxTokens, messages, tool }) {
+  const images = [];
+
+  const normalized = messages.map(message => ({
+    role: message.role,
+    content: typeof message.content === 'string'
+      ? message.content
+      : message.content.map(block => {
+        if (block.type !== 'image') return block;
+        const imageHash = sha256(block.source.data);
+        images.push(imageHash);
+        return { type: 'image', sha256: imageHash };
+      })
+  }));
+
+  return {
+    key: sha256(JSON.stringify({ model, maxTokens, messages: normalized, tool: tool || null })),
+    images
+  };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export class CachingProvider {
+  constructor(provider, { cacheDir }) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Return the cached response for this request (<key>.json) or forward it
+   * and cache the result. Cached responses report zero usage and `cached: true`.
+   * Only responses that would be accepted are cached: a truncated response,
+   * or a tool response that fails the tool's schema, would otherwise replay
+   * the same failure on every rerun.
+   */
+  async complete(request) {
+    const { key, images } = getCacheKey(request);
+    const entryPath = path.join(this.cacheDir, `${key}.json`);
+
+    if (fileExists(entryPath)) {
+      const entry = await readJSON(entryPath);
+      const cached = {
+        text: entry.response.text || '',
+        toolInput: entry.response.tool_input ?? null,
+        stopReason: entry.response.stop_reason || null,
+        usage: { input_tokens: 0, output_tokens: 0 },
+        model: entry.model,
+        cached: true
+      };
+
+      if (this.isReusable(cached, request)) {
+        return cached;
+      }
+      // Written before invalid responses were skipped
+      await fs.rm(entryPath, { force: true });
+    }
+
+    const response = await this.provider.complete(request);
+
+    if (this.isReusable(response, request)) {
+      await saveJSON(entryPath, {
+        key,
+        stage: request.stage,
+        model: response.model,
+        images,
+        cached_at: new Date().toISOString(),
+        response: {
+          text: response.text,
+          tool_input: response.toolInput,
+          stop_reason: response.stopReason,
+          usage: response.usage
+        }
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Whether a response is complete and, for tool requests, matches the tool schema
+   */
+  isReusable(response, request) {
+    if (response.stopReason === 'max_tokens') return false;
+    return !request.tool || checkStructuredResponse(response, request.tool, request.maxTokens).problems.length === 0;
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * LLM provider layer
+ * Selects the provider used by the analyze, evaluate and refine stages
+ *
+ * Every provider implements:
+ *   name: string
+ *   complete({ stage, model, maxTokens, messages, tool }) →
+ *     Promise<{ text, toolInput, stopReason, usage, model }>
+ * where `messages` use the Anthropic Messages API shape, `tool` is an optional
+ * tool definition the model must call (its input is returned as `toolInput`)
+ * and `usage` is { input_tokens, output_tokens }. Responses served from the
+ * response cache also carry `cached: true`.
+ */
+
+import { AnthropicProvider } from './anthropic-provider.js';
+import { MockProvider } from './mock-provider.js';
+import { RecordingProvider } from './recording-provider.js';
+import { CachingProvider } from './caching-provider.js';
+
+export const LLM_PROVIDERS = ['anthropic', 'mock'];
+
+/**
+ * Create the LLM provider selected by config.llmProvider
+ * @param {Object} config - Configuration object
+ * @returns {Object} Provider instance
+ */
+export function createLLMProvider(config) {
+  let provider;
+
+  switch (config.llmProvider) {
+    case 'anthropic':
+      provider = new AnthropicProvider({ apiKey: config.anthropicApiKey, signal: config.signal });
+      break;
+    case 'mock':
+      provider = new MockProvider({ fixturesDir: config.llmFixturesDir });
+      break;
+    default:
+      throw new Error(`Unknown LLM provider "${config.llmProvider}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+
+  if (config.llmRecordFixtures && provider.name !== 'mock') {
+    provider = new RecordingProvider(provider, { fixturesDir: config.llmFixturesDir });
+  }
+
+  // Fixtures already replay for free, so only live providers are cached
+  if (config.llmCache && provider.name !== 'mock') {
+    provider = new CachingProvider(provider, { cacheDir: config.llmCacheDir });
+  }
+
+  return provider;
+}
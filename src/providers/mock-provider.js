@@ -0,0 +1,52 @@
+/**
+ * Mock provider
+ * Replays recorded LLM responses from disk so the pipeline can run offline
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { readJSON, fileExists } from '../utils/file-utils.js';
+
+/**
+ * Stable hash of a request, used to name request-specific fixtures
+ */
+export function hashRequest({ stage, model, maxTokens, messages }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ stage, model, maxTokens, messages }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+export class MockProvider {
+  constructor({ fixturesDir }) {
+    this.name = 'mock';
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Return the fixture recorded for this exact request (<stage>-<hash>.json)
+   * or, failing that, the stage's default fixture (<stage>.json)
+   */
+  async complete(request) {
+    const candidates = [
+      path.join(this.fixturesDir, `${request.stage}-${hashRequest(request)}.json`),
+      path.join(this.fixturesDir, `${request.stage}.json`)
+    ];
+
+    const fixturePath = candidates.find(candidate => fileExists(candidate));
+    if (!fixturePath) {
+      throw new Error(`No LLM fixture for stage "${request.stage}" in ${this.fixturesDir}`);
+    }
+
+    const fixture = await readJSON(fixturePath);
+
+    return {
+      text: fixture.response.text || '',
+      toolInput: fixture.response.tool_input ?? null,
+      stopReason: fixture.response.stop_reason || null,
+      usage: fixture.response.usage || { input_tokens: 0, output_tokens: 0 },
+      model: fixture.model || 'mock'
+    };
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Recording provider
+ * Wraps a live provider and saves every response as a mock fixture
+ */
+
+import path from 'path';
+import { saveJSON } from '../utils/file-utils.js';
+import { hashRequest } from './mock-provider.js';
+
+export class RecordingProvider {
+  constructor(provider, { fixturesDir }) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Forward the request and record the response as <stage>-<hash>.json
+   */
+  async complete(request) {
+    const response = await this.provider.complete(request);
+
+    await saveJSON(path.join(this.fixturesDir, `${request.stage}-${hashRequest(request)}.json`), {
+      stage: request.stage,
+      model: response.model,
+      recorded_at: new Date().toISOString(),
+      response: {
+        text: response.text,
+        tool_input: response.toolInput,
+        stop_reason: response.stopReason,
+        usage: response.usage
+      }
+    });
+
+    return response;
+  }
+}
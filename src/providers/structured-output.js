@@ -0,0 +1,122 @@
+/**
+ * Structured output
+ * Requests a tool-constrained response and re-prompts with the validation
+ * errors until the output matches the tool's input schema
+ */
+
+import { validateAgainstSchemaObject, formatValidationErrors } from '../utils/schema-validator.js';
+
+// Validation errors quoted back to the model per repair attempt
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Call the provider with a forced tool and return the validated tool input
+ * @param {Object} llm - LLM provider
+ * @param {Object} request - Provider request ({ stage, model, maxTokens, messages })
+ * @param {Object} options
+ * @param {Object} options.tool - Tool definition ({ name, description, input_schema })
+ * @param {number} options.maxRepairs - Re-prompts allowed after an invalid response
+ * @param {Object} options.logger - Stage logger
+ * @returns {Object} { data, usage, attempts, cacheHits, model } where
+ *   `attempts` includes the responses served from the cache
+ * @throws {Error} With `usage`, `attempts` and `cacheHits` set when every attempt was invalid
+ */
+export async function completeStructured(llm, request, { tool, maxRepairs = 2, logger = null }) {
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const messages = [...request.messages];
+  let problems = [];
+  let attempts = 0;
+  let cacheHits = 0;
+
+  while (attempts <= maxRepairs) {
+    attempts++;
+    const response = await llm.complete({ ...request, messages, tool });
+    usage.input_tokens += response.usage.input_tokens;
+    usage.output_tokens += response.usage.output_tokens;
+    if (response.cached) cacheHits++;
+
+    const checked = checkStructuredResponse(response, tool, request.maxTokens);
+    problems = checked.problems;
+    if (problems.length === 0) {
+      return { data: checked.data, usage, attempts, cacheHits, model: response.model };
+    }
+
+    if (attempts > maxRepairs) break;
+
+    logger?.warn(`${tool.name} response invalid (attempt ${attempts}), re-prompting with ${problems.length} errors`);
+    messages.push(
+      {
+        role: 'assistant',
+        content: response.toolInput ? JSON.stringify(response.toolInput) : (response.text || '(empty response)')
+      },
+      {
+        role: 'user',
+        content: `Your previous response did not match the ${tool.name} input schema:\n${problems.map(p => `- ${p}`).join('\n')}\n\nCall ${tool.name} again with the complete, corrected object.`
+      }
+    );
+  }
+
+  const error = new Error(`${tool.name} response still invalid after ${attempts} attempts: ${problems.slice(0, 3).join('; ')}`);
+  error.usage = usage;
+  error.attempts = attempts;
+  error.cacheHits = cacheHits;
+  throw error;
+}
+
+/**
+ * Extract a provider response's structured data and check it against the
+ * tool's input schema
+ * @returns {Object} { data, problems } where problems is empty for a valid response
+ */
+export function checkStructuredResponse(response, tool, maxTokens) {
+  // Providers or fixtures that answer in text instead of a tool call are parsed leniently
+  let data = response.toolInput;
+  const problems = [];
+  if (data === null || data === undefined) {
+    try {
+      data = parseJSONText(response.text);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (response.stopReason === 'max_tokens') {
+    problems.push(`Response was truncated at the ${maxTokens} token limit; return a more concise object`);
+  }
+
+  if (problems.length === 0) {
+    const validation = validateAgainstSchemaObject(tool.input_schema, data);
+    if (!validation.valid) {
+      problems.push(...formatValidationErrors(validation.errors.slice(0, MAX_REPORTED_ERRORS)).split('\n'));
+    }
+  }
+
+  return { data, problems };
+}
+
+/**
+ * Parse a JSON object from a text response: the whole text, a fenced code
+ * block, or the outermost braces
+ */
+export function parseJSONText(text = '') {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const jsonMatch = text.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/);
+    const jsonStart = text.indexOf('{');
+    const jsonEnd = text.lastIndexOf('}');
+    const candidate = jsonMatch
+      ? jsonMatch[1]
+      : jsonStart !== -1 && jsonEnd > jsonStart ? text.substring(jsonStart, jsonEnd + 1) : null;
+
+    if (!candidate) {
+      throw new Error('Response contained no JSON object');
+    }
+
+    try {
+      return JSON.parse(candidate);
+    } catch (parseError) {
+      throw new Error(`Response was not valid JSON (${parseError.message})`);
+    }
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Structured output tools
+ * Tool definitions whose input schemas are derived from the JSON schemas in
+ * schemas/, so model responses are constrained to the formats we validate
+ */
+
+import { loadSchema } from '../utils/schema-validator.js';
+
+// Documentation-only keywords dropped from tool input schemas to save tokens
+const STRIPPED_KEYWORDS = ['$schema', '$id', 'title', 'examples', 'definitions'];
+
+const toolCache = {};
+
+/**
+ * Tool the analyze stage uses to report brand tokens
+ */
+export async function getAnalysisTool() {
+  toolCache.analysis = toolCache.analysis || {
+    name: 'record_brand_tokens',
+    description: 'Record the brand identity extracted from the website screenshots.',
+    input_schema: await toInputSchema('brand_tokens')
+  };
+  return toolCache.analysis;
+}
+
+/**
+ * Tool the evaluate stage uses to report rubric scores. Identifiers and
+ * timestamps are filled in by the stage, so only the scores are requested.
+ */
+export async function getEvaluationTool() {
+  if (!toolCache.evaluation) {
+    const schema = await toInputSchema('evaluation');
+    const fields = ['overall_score', 'dimensions', 'recommendations'];
+
+    toolCache.evaluation = {
+      name: 'record_evaluation',
+      description: 'Record the rubric scores and recommendations for the brand specification.',
+      input_schema: {
+        type: 'object',
+        required: fields,
+        properties: Object.fromEntries(fields.map(field => [field, schema.properties[field]]))
+      }
+    };
+  }
+  return toolCache.evaluation;
+}
+
+/**
+ * Tool the refine stage uses to return the complete refined brand spec
+ */
+export async function getRefinementTool() {
+  toolCache.refinement = toolCache.refinement || {
+    name: 'record_brand_spec',
+    description: 'Record the complete refined brand specification.',
+    input_schema: await toInputSchema('brand_spec')
+  };
+  return toolCache.refinement;
+}
+
+/**
+ * Load a schema and inline every $ref (including refs into other schema
+ * files, e.g. "brand_spec.schema.json#/definitions/Component") so the result
+ * is self-contained
+ */
+async function toInputSchema(schemaName) {
+  return inlineRefs(await loadSchema(schemaName), schemaName, false);
+}
+
+async function inlineRefs(node, schemaName, isPropertyMap) {
+  if (Array.isArray(node)) {
+    return Promise.all(node.map(item => inlineRefs(item, schemaName, false)));
+  }
+  if (!node || typeof node !== 'object') return node;
+
+  if (node.$ref) {
+    const [file, pointer = ''] = node.$ref.split('#');
+    const targetName = file ? file.replace('.schema.json', '') : schemaName;
+    const target = pointer
+      .split('/')
+      .filter(Boolean)
+      .reduce((current, key) => current?.[key], await loadSchema(targetName));
+
+    if (!target) {
+      throw new Error(`Cannot resolve $ref "${node.$ref}" in ${schemaName} schema`);
+    }
+    return inlineRefs(target, targetName, false);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(node)) {
+    // Inside a properties map the keys are field names, not keywords
+    if (!isPropertyMap && STRIPPED_KEYWORDS.includes(key)) continue;
+    result[key] = await inlineRefs(value, schemaName, !isPropertyMap && key === 'properties');
+  }
+  return result;
+}
@@ -7,10 +7,18 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import fs from 'fs/promises';
+import archiver from 'archiver';
 import { fileURLToPath } from 'url';
-import { extractBrand, getPipelineStatus } from './pipeline/orchestrator.js';
-import { config } from './config.js';
+import { extractBrand, importBrand, getPipelineStatus, RESUMABLE_STAGES, getMissingResumeArtifacts } from './pipeline/orchestrator.js';
+import { config, getConfigWarnings, VIEWPORT_LIMITS } from './config.js';
 import { Logger } from './utils/logger.js';
+import { saveJSON, readJSON } from './utils/file-utils.js';
+import { validateBrandSpec, formatValidationErrors } from './utils/schema-validator.js';
+import { brandSpecToDTCG, mergeDTCGIntoBrandSpec, DTCG_MEDIA_TYPE } from './exporters/dtcg.js';
+import { brandSpecToTokensStudio } from './exporters/tokens-studio.js';
+import { EXPORT_FORMATS, parseExportFormats, buildExportFiles } from './exporters/index.js';
+import { JobQueue, JOB_STATUSES, isFinished } from './jobs/job-queue.js';
+import { BatchStore, MAX_BATCH_SIZE } from './jobs/batches.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,10 +28,111 @@ const logger = new Logger('Server');
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 
-// Active extraction sessions (for SSE)
-const activeSessions = new Map();
+// Extractions run as durable jobs, a few at a time
+const jobQueue = new JobQueue({
+  dir: path.join(config.dataDir, 'jobs'),
+  dataDir: config.dataDir,
+  concurrency: config.jobConcurrency
+});
+const runExtraction = (params, { onProgress, onBrand, signal }) => extractBrand({ ...params, onProgress, onBrand, signal });
+jobQueue.register('extract', runExtraction);
+jobQueue.register('rerun', runExtraction);
+
+// Brands a request is editing or enqueuing a rerun of. A request claims the
+// brand before its first await, so two close requests can't both pass the
+// active job check
+const claimedBrands = new Set();
+
+const batchStore = new BatchStore({
+  dir: path.join(config.dataDir, 'batches'),
+  dataDir: config.dataDir,
+  jobQueue
+});
+
+/**
+ * Job fields returned by the jobs API (progress events are streamed over SSE)
+ */
+function jobSummary(job) {
+  const { events, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Validate the extraction options shared by single and batch extractions
+ * @returns {string|null} Error message, or null when the options are valid
+ */
+function validateExtractOptions({ crawl = null, viewports = null, darkMode = null, analysisMode = null }) {
+  if (crawl !== null) {
+    const crawlError = validateCrawlOptions(crawl);
+    if (crawlError) {
+      return crawlError;
+    }
+  }
+
+  if (viewports !== null) {
+    const { minWidth, maxWidth, maxCount } = VIEWPORT_LIMITS;
+    if (!Array.isArray(viewports) || viewports.length > maxCount) {
+      return `viewports must be an array of at most ${maxCount} widths`;
+    }
+    if (!viewports.every(width => Number.isInteger(width) && width >= minWidth && width <= maxWidth)) {
+      return `viewport widths must be integers from ${minWidth} to ${maxWidth}`;
+    }
+  }
+
+  if (darkMode !== null && typeof darkMode !== 'boolean') {
+    return 'darkMode must be a boolean';
+  }
+
+  if (analysisMode !== null && !['llm', 'heuristic'].includes(analysisMode)) {
+    return "analysisMode must be 'llm' or 'heuristic'";
+  }
+
+  return null;
+}
+
+/**
+ * Validate crawl overrides against the server's crawl limits
+ * @returns {string|null} Error message, or null when the overrides are valid
+ */
+function validateCrawlOptions(crawl) {
+  if (typeof crawl !== 'object' || Array.isArray(crawl)) {
+    return 'crawl must be an object';
+  }
+
+  const unknown = Object.keys(crawl).filter(key => !['enabled', 'maxPages', 'maxDepth'].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown crawl option: ${unknown.join(', ')}`;
+  }
+
+  if (crawl.enabled !== undefined && typeof crawl.enabled !== 'boolean') {
+    return 'crawl.enabled must be a boolean';
+  }
+
+  const { maxPagesLimit, maxDepthLimit } = config.crawl;
+  if (crawl.maxPages !== undefined && !(Number.isInteger(crawl.maxPages) && crawl.maxPages >= 1 && crawl.maxPages <= maxPagesLimit)) {
+    return `crawl.maxPages must be an integer from 1 to ${maxPagesLimit}`;
+  }
+
+  if (crawl.maxDepth !== undefined && !(Number.isInteger(crawl.maxDepth) && crawl.maxDepth >= 0 && crawl.maxDepth <= maxDepthLimit)) {
+    return `crawl.maxDepth must be an integer from 0 to ${maxDepthLimit}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a string is an absolute URL
+ */
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
 
 /**
  * POST /api/extract
@@ -31,126 +140,259 @@ const activeSessions = new Map();
  */
 app.post('/api/extract', async (req, res) => {
   try {
-    const { url, adjectives = [] } = req.body;
+    const { url, adjectives = [], crawl = null, viewports = null, darkMode = null, analysisMode = null } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
     // Validate URL
-    try {
-      new URL(url);
-    } catch (e) {
+    if (!isValidUrl(url)) {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
+    const optionsError = validateExtractOptions({ crawl, viewports, darkMode, analysisMode });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
     logger.info(`Starting extraction for ${url}`);
 
-    // Generate session ID for this extraction
-    const sessionId = Date.now().toString();
-    const sessionData = {
-      status: 'processing',
-      progress: 0,
-      stage: 'setup',
-      message: 'Initializing extraction...',
-      events: [],
-      result: null
-    };
-    activeSessions.set(sessionId, sessionData);
-
-    // Start extraction in background
-    extractBrand({
+    const job = jobQueue.enqueue('extract', {
       url,
       adjectives,
-      onProgress: (stage, message) => {
-        const session = activeSessions.get(sessionId);
-        if (session) {
-          // Calculate progress percentage based on stage
-          const stageProgress = {
-            setup: 5,
-            capture: 25,
-            analyze: 50,
-            synthesize: 75,
-            evaluate: 90,
-            finalize: 100,
-            error: 0
-          };
+      crawl,
+      viewports,
+      darkMode,
+      analysisMode
+    });
 
-          session.stage = stage;
-          session.message = message;
-          session.progress = stageProgress[stage] || session.progress;
+    // Return the job ID immediately; it doubles as the SSE session ID
+    res.json({
+      session_id: job.id,
+      job_id: job.id,
+      status: job.status,
+      message: job.status === 'queued' ? 'Extraction queued' : 'Extraction started'
+    });
 
-          // Store event for SSE clients
-          const event = {
-            stage,
-            message,
-            progress_percent: session.progress,
-            timestamp: new Date().toISOString()
-          };
-          session.events.push(event);
+  } catch (error) {
+    logger.error(`API Error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-          logger.info(`[${sessionId}] ${stage}: ${message} (${session.progress}%)`);
-        }
-      }
-    })
-      .then((result) => {
-        const session = activeSessions.get(sessionId);
-        if (session) {
-          session.status = result.success ? 'completed' : 'failed';
-          session.progress = 100;
-          session.result = result;
-
-          const finalEvent = {
-            stage: 'complete',
-            message: result.success
-              ? `Extraction complete! Brand ID: ${result.brand_id}`
-              : `Extraction failed: ${result.error}`,
-            progress_percent: 100,
-            timestamp: new Date().toISOString(),
-            brand_id: result.brand_id
-          };
-          session.events.push(finalEvent);
+/**
+ * POST /api/extract/batch
+ * Queue an extraction per URL. `urls` holds URL strings or { url, adjectives }
+ * objects; `adjectives` is the default for URLs without their own, and crawl,
+ * viewports, darkMode and analysisMode apply to every URL.
+ */
+app.post('/api/extract/batch', async (req, res) => {
+  try {
+    const { urls, adjectives = [], crawl = null, viewports = null, darkMode = null, analysisMode = null } = req.body || {};
 
-          logger.success(`[${sessionId}] Extraction ${session.status}`);
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ error: 'urls must be a non-empty array' });
+    }
 
-          // Keep session for 5 minutes then clean up
-          setTimeout(() => {
-            activeSessions.delete(sessionId);
-            logger.info(`[${sessionId}] Session cleaned up`);
-          }, 5 * 60 * 1000);
-        }
+    if (urls.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `A batch holds at most ${MAX_BATCH_SIZE} URLs` });
+    }
+
+    const optionsError = validateExtractOptions({ crawl, viewports, darkMode, analysisMode });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const items = urls.map(entry => typeof entry === 'string'
+      ? { url: entry, adjectives }
+      : { url: entry?.url, adjectives: entry?.adjectives ?? adjectives });
+
+    const invalid = items
+      .map((item, index) => {
+        if (!item.url || !isValidUrl(item.url)) return `urls[${index}]: invalid URL ${JSON.stringify(item.url ?? null)}`;
+        if (!Array.isArray(item.adjectives)) return `urls[${index}]: adjectives must be an array`;
+        return null;
       })
-      .catch((error) => {
-        const session = activeSessions.get(sessionId);
-        if (session) {
-          session.status = 'failed';
-          session.error = error.message;
-
-          const errorEvent = {
-            stage: 'error',
-            message: `Error: ${error.message}`,
-            progress_percent: session.progress,
-            timestamp: new Date().toISOString()
-          };
-          session.events.push(errorEvent);
+      .filter(Boolean);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid batch entries', details: invalid });
+    }
 
-          logger.error(`[${sessionId}] Extraction error: ${error.message}`);
-        }
-      });
+    const batch = await batchStore.create(items, {
+      crawl,
+      viewports,
+      darkMode,
+      analysisMode
+    });
+
+    logger.info(`Started batch ${batch.id} with ${items.length} URLs`);
 
-    // Return session ID immediately
     res.json({
-      session_id: sessionId,
-      status: 'processing',
-      message: 'Extraction started'
+      batch_id: batch.id,
+      status: batch.status,
+      total: batch.items.length,
+      jobs: batch.items.map(({ url, job_id }) => ({ url, job_id })),
+      message: `Batch of ${batch.items.length} extractions queued`
     });
 
   } catch (error) {
-    logger.error(`API Error: ${error.message}`);
+    logger.error(`Error starting batch: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Batch fields returned by the batches API, with aggregated progress and the
+ * state of each URL's job
+ */
+function batchSummary(batch) {
+  return {
+    ...batch,
+    progress: batchStore.progress(batch),
+    items: batch.items.map(item => {
+      const job = jobQueue.get(item.job_id);
+      return {
+        ...item,
+        status: job?.status || null,
+        stage: job?.stage || null,
+        message: job?.message || null,
+        brand_id: job?.brand_id || null
+      };
+    })
+  };
+}
+
+/**
+ * GET /api/batches
+ * List batch extractions, newest first
+ */
+app.get('/api/batches', (req, res) => {
+  res.json(batchStore.list().map(batch => {
+    const { items, report, ...summary } = batchSummary(batch);
+    return { ...summary, totals: report?.totals || null };
+  }));
+});
+
+/**
+ * GET /api/batches/:id
+ * Get a batch with its progress and, once every extraction has finished, its summary report
+ */
+app.get('/api/batches/:id', (req, res) => {
+  const batch = batchStore.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.json(batchSummary(batch));
+});
+
+/**
+ * DELETE /api/batches/:id
+ * Cancel the batch's extractions that have not finished
+ */
+app.delete('/api/batches/:id', (req, res) => {
+  const { id } = req.params;
+  const batch = batchStore.get(id);
+
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  if (batch.status === 'completed') {
+    return res.status(409).json({ error: 'Batch already completed' });
+  }
+
+  const cancelled = batchStore.cancel(id);
+  logger.info(`Cancelled ${cancelled} jobs of batch ${id}`);
+  res.status(202).json({ batch_id: id, cancelled, progress: batchStore.progress(batch) });
+});
+
+/**
+ * GET /api/batches/:id/status (SSE)
+ * Progress events of every extraction in the batch, each tagged with its URL
+ * and job ID and carrying the batch progress, then a final event with the report.
+ * An extraction's own complete/error events are sent as job_complete/job_error,
+ * so complete and error only ever end the batch stream.
+ */
+app.get('/api/batches/:id/status', (req, res) => {
+  const { id } = req.params;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  const batch = batchStore.get(id);
+  if (!batch) {
+    send({ stage: 'error', message: 'Batch not found', progress_percent: 0 });
+    res.end();
+    return;
+  }
+
+  logger.info(`SSE connection opened for batch ${id}`);
+
+  // Events already sent per job
+  const sent = new Map();
+
+  const sendNewEvents = () => {
+    batch.items.forEach(item => {
+      const job = jobQueue.get(item.job_id);
+      if (!job) return;
+
+      const index = sent.get(job.id) || 0;
+      const events = job.events.slice(index);
+      sent.set(job.id, job.events.length);
+
+      const progress = batchStore.progress(batch);
+      const jobStages = { complete: 'job_complete', error: 'job_error' };
+      events.forEach(event => send({
+        ...event,
+        stage: jobStages[event.stage] || event.stage,
+        job_id: job.id,
+        url: item.url,
+        job_progress_percent: event.progress_percent,
+        progress_percent: progress.progress_percent,
+        batch: progress
+      }));
+    });
+  };
+
+  sendNewEvents();
+
+  const pollInterval = setInterval(() => {
+    sendNewEvents();
+
+    // The report is written after the last job finishes
+    if (batch.status === 'completed' && batch.report) {
+      clearInterval(pollInterval);
+      const { totals } = batch.report;
+      send({
+        stage: 'complete',
+        message: `Batch complete: ${totals.completed} of ${totals.brands} brands extracted`,
+        progress_percent: 100,
+        timestamp: batch.finished_at,
+        batch_id: batch.id,
+        report: batch.report
+      });
+      setTimeout(() => {
+        res.end();
+        logger.info(`SSE connection closed for batch ${id}`);
+      }, 2000);
+    }
+  }, 500);
+
+  req.on('close', () => {
+    clearInterval(pollInterval);
+  });
+});
+
 /**
  * GET /api/brands
  * List all brand extractions
@@ -246,9 +488,382 @@ app.get('/api/brands/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/brands/:id/export?format=css,scss,tailwind,style-dictionary,ios,android,dtcg,tokens-studio
+ * Download the brand's design tokens as a ZIP in the requested formats (default: all)
+ */
+app.get('/api/brands/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { formats, unknown } = parseExportFormats(req.query.format);
+    if (unknown.length > 0 || formats.length === 0) {
+      return res.status(400).json({
+        error: `Unknown export format: ${unknown.join(', ') || req.query.format}`,
+        formats: Object.keys(EXPORT_FORMATS)
+      });
+    }
+
+    const brandSpecPath = path.join(config.dataDir, 'brands', id, 'reports', 'brand_spec.json');
+    let brandSpec;
+    try {
+      brandSpec = JSON.parse(await fs.readFile(brandSpecPath, 'utf-8'));
+    } catch (e) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    const files = buildExportFiles(brandSpec, formats);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${id}-tokens.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      logger.error(`Error zipping export for ${id}: ${error.message}`);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    files.forEach(file => archive.append(file.content, { name: `${id}-tokens/${file.path}` }));
+    await archive.finalize();
+
+  } catch (error) {
+    logger.error(`Error exporting tokens for ${req.params.id}: ${error.message}`);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/brands/:id/export/dtcg
+ * Download the brand's design tokens as a W3C Design Tokens (DTCG) file
+ */
+app.get('/api/brands/:id/export/dtcg', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const brandSpecPath = path.join(config.dataDir, 'brands', id, 'reports', 'brand_spec.json');
+
+    let brandSpec;
+    try {
+      brandSpec = JSON.parse(await fs.readFile(brandSpecPath, 'utf-8'));
+    } catch (e) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    res.setHeader('Content-Type', DTCG_MEDIA_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.tokens.json"`);
+    res.send(JSON.stringify(brandSpecToDTCG(brandSpec), null, 2));
+
+  } catch (error) {
+    logger.error(`Error exporting DTCG tokens for ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/brands/:id/import/dtcg
+ * Merge an edited DTCG token file back into the brand spec
+ */
+app.post('/api/brands/:id/import/dtcg', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const brandSpecPath = path.join(config.dataDir, 'brands', id, 'reports', 'brand_spec.json');
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'A DTCG token object is required' });
+    }
+
+    // A rerun in progress would overwrite the merged spec
+    const activeJob = jobQueue.activeJobForBrand(id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: `Brand ${id} has a ${activeJob.status} job; import after it finishes`,
+        job_id: activeJob.id
+      });
+    }
+
+    // Another import, or a rerun request that has not enqueued its job yet
+    if (claimedBrands.has(id)) {
+      return res.status(409).json({ error: `Brand ${id} is being updated by another request` });
+    }
+    claimedBrands.add(id);
+
+    try {
+      let brandSpec;
+      try {
+        brandSpec = JSON.parse(await fs.readFile(brandSpecPath, 'utf-8'));
+      } catch (e) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      const { brandSpec: merged, changes, warnings } = mergeDTCGIntoBrandSpec(brandSpec, req.body);
+
+      // Only reject problems the import introduced; synthesis may already
+      // have saved the spec with validation warnings
+      const before = await validateBrandSpec(brandSpec);
+      const after = await validateBrandSpec(merged);
+      const existingErrors = new Set(formatValidationErrors(before.errors).split('\n'));
+      const newErrors = after.valid
+        ? []
+        : formatValidationErrors(after.errors).split('\n').filter(error => !existingErrors.has(error));
+      if (newErrors.length > 0) {
+        return res.status(422).json({
+          error: 'Imported tokens produce an invalid brand spec',
+          validation_errors: newErrors,
+          warnings
+        });
+      }
+
+      // The saved evaluation scored the spec before the edits
+      const metadataPath = path.join(config.dataDir, 'brands', id, 'metadata.json');
+      let metadata = await readJSON(metadataPath).catch(() => null);
+      if (changes.length > 0) {
+        await saveJSON(brandSpecPath, merged);
+        if (metadata) {
+          metadata = {
+            ...metadata,
+            edited_at: new Date().toISOString(),
+            edit_count: (metadata.edit_count || 0) + changes.length,
+            evaluation_stale: true
+          };
+          await saveJSON(metadataPath, metadata);
+        }
+        logger.info(`Imported ${changes.length} DTCG token changes into ${id}`);
+      }
+
+      res.json({ brand_spec: merged, changes, warnings, evaluation_stale: Boolean(metadata?.evaluation_stale) });
+    } finally {
+      claimedBrands.delete(id);
+    }
+
+  } catch (error) {
+    logger.error(`Error importing DTCG tokens for ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/brands/:id/export/tokens-studio
+ * Download the brand's design tokens as a Tokens Studio for Figma file
+ */
+app.get('/api/brands/:id/export/tokens-studio', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const brandSpecPath = path.join(config.dataDir, 'brands', id, 'reports', 'brand_spec.json');
+
+    let brandSpec;
+    try {
+      brandSpec = JSON.parse(await fs.readFile(brandSpecPath, 'utf-8'));
+    } catch (e) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${id}.tokens-studio.json"`);
+    res.send(JSON.stringify(brandSpecToTokensStudio(brandSpec), null, 2));
+
+  } catch (error) {
+    logger.error(`Error exporting Tokens Studio tokens for ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/brands/import/tokens-studio?name=&url=&adjectives=
+ * Create a brand that was never crawled from a Tokens Studio file (the request body)
+ */
+app.post('/api/brands/import/tokens-studio', async (req, res) => {
+  try {
+    const { name, url = null, adjectives = '' } = req.query;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'A brand name is required (?name=)' });
+    }
+
+    if (url) {
+      try {
+        new URL(url);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid URL format' });
+      }
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+      return res.status(400).json({ error: 'A Tokens Studio token object is required' });
+    }
+
+    const result = await importBrand({
+      tokens: req.body,
+      brandName: String(name).trim(),
+      sourceUrl: url,
+      adjectives: String(adjectives).split(',').map(adjective => adjective.trim()).filter(Boolean)
+    });
+
+    if (!result.success) {
+      if (!result.errors) {
+        return res.status(500).json({ error: result.error });
+      }
+      const validationErrors = result.errors.filter(error => error.code === 'VALIDATION_ERROR');
+      return res.status(422).json({
+        error: validationErrors.length > 0 ? 'Imported tokens produce an invalid brand spec' : result.error,
+        ...(validationErrors.length > 0 && { validation_errors: validationErrors.map(error => error.message) }),
+        warnings: result.warnings
+      });
+    }
+
+    logger.info(`Imported ${result.brand_id} from Tokens Studio`);
+    res.status(201).json({
+      brand_id: result.brand_id,
+      brand_name: result.brand_name,
+      evaluation_summary: result.metadata.evaluation_summary,
+      warnings: result.warnings
+    });
+
+  } catch (error) {
+    logger.error(`Error importing Tokens Studio tokens: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/brands/:id/rerun
+ * Rerun an existing brand from synthesize, evaluate or refine, reusing the
+ * captures and analysis on disk; progress is streamed like an extraction
+ */
+app.post('/api/brands/:id/rerun', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, analysisMode = null, force = false } = req.body || {};
+
+    if (!RESUMABLE_STAGES.includes(from)) {
+      return res.status(400).json({ error: `from must be one of ${RESUMABLE_STAGES.join(', ')}` });
+    }
+
+    if (analysisMode !== null && !['llm', 'heuristic'].includes(analysisMode)) {
+      return res.status(400).json({ error: "analysisMode must be 'llm' or 'heuristic'" });
+    }
+
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'force must be a boolean' });
+    }
+
+    // Two runs of one brand would overwrite each other's artifacts
+    const activeJob = jobQueue.activeJobForBrand(id);
+    if (activeJob) {
+      return res.status(409).json({
+        error: `Brand ${id} already has a ${activeJob.status} job`,
+        job_id: activeJob.id
+      });
+    }
+
+    // A DTCG import in progress, or another rerun request that has not
+    // enqueued its job yet
+    if (claimedBrands.has(id)) {
+      return res.status(409).json({ error: `Brand ${id} is being updated by another request` });
+    }
+    claimedBrands.add(id);
+
+    try {
+      const brandDir = path.join(config.dataDir, 'brands', id);
+      try {
+        await fs.access(brandDir);
+      } catch (e) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      // A DTCG import edits the spec in place: synthesis would rebuild it without
+      // the edits, and refinement would work from a score that predates them
+      const metadata = await readJSON(path.join(brandDir, 'metadata.json')).catch(() => ({}));
+      if (metadata.edited_at && from === 'synthesize' && !force) {
+        return res.status(409).json({
+          error: `Brand ${id} has token edits imported on ${metadata.edited_at}; rerunning from synthesize discards them. Rerun from evaluate to score them, or pass force: true`
+        });
+      }
+      if (metadata.evaluation_stale && from === 'refine') {
+        return res.status(409).json({
+          error: `The evaluation of ${id} predates its imported token edits; rerun from evaluate`
+        });
+      }
+
+      const missing = getMissingResumeArtifacts(id, from);
+      if (missing.length > 0) {
+        return res.status(409).json({
+          error: `Cannot rerun from ${from}: earlier stage artifacts are missing`,
+          missing
+        });
+      }
+
+      logger.info(`Rerunning ${id} from ${from}`);
+
+      const job = jobQueue.enqueue('rerun', { brandId: id, resumeFrom: from, analysisMode }, { brandId: id });
+
+      res.json({
+        session_id: job.id,
+        job_id: job.id,
+        brand_id: id,
+        status: job.status,
+        message: job.status === 'queued' ? `Rerun from ${from} queued` : `Rerun from ${from} started`
+      });
+    } finally {
+      claimedBrands.delete(id);
+    }
+
+  } catch (error) {
+    logger.error(`Error rerunning ${req.params.id}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs?status=queued|running|completed|failed|cancelled
+ * List extraction jobs, oldest first
+ */
+app.get('/api/jobs', (req, res) => {
+  const { status = null } = req.query;
+
+  if (status !== null && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(', ')}` });
+  }
+
+  res.json(jobQueue.list({ status }).map(jobSummary));
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get a job with its progress events
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a job: a queued job is cancelled at once (200); a running one has its
+ * browser and model calls aborted and is cancelled shortly after (202)
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+  const { id } = req.params;
+  const job = jobQueue.get(id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (isFinished(job.status)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, job: jobSummary(job) });
+  }
+
+  jobQueue.cancel(id);
+  logger.info(`Cancelled job ${id}`);
+  res.status(job.status === 'cancelled' ? 200 : 202).json(jobSummary(job));
+});
+
 /**
  * GET /api/brands/:id/status (SSE)
- * Server-Sent Events endpoint for real-time progress
+ * Server-Sent Events endpoint for real-time progress of a job
  */
 app.get('/api/brands/:id/status', (req, res) => {
   const { id } = req.params;
@@ -262,8 +877,8 @@ app.get('/api/brands/:id/status', (req, res) => {
   res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
   res.flushHeaders(); // CRITICAL: Flush headers immediately
 
-  // Check if session exists
-  const session = activeSessions.get(id);
+  // Check if the job exists
+  const session = jobQueue.get(id);
   if (!session) {
     res.write(`data: ${JSON.stringify({
       stage: 'error',
@@ -285,7 +900,7 @@ app.get('/api/brands/:id/status', (req, res) => {
 
   // Poll for new events
   const pollInterval = setInterval(() => {
-    const currentSession = activeSessions.get(id);
+    const currentSession = jobQueue.get(id);
     if (!currentSession) {
       clearInterval(pollInterval);
       res.end();
@@ -300,8 +915,8 @@ app.get('/api/brands/:id/status', (req, res) => {
       eventIndex++;
     }
 
-    // Close connection if complete or failed
-    if (currentSession.status === 'completed' || currentSession.status === 'failed') {
+    // Close connection once the job is completed, failed or cancelled
+    if (isFinished(currentSession.status)) {
       clearInterval(pollInterval);
       // Keep connection open for a bit to ensure client receives final message
       setTimeout(() => {
@@ -344,14 +959,28 @@ app.get('/api/status', (req, res) => {
   res.json({
     status: 'online',
     pipeline: getPipelineStatus(),
-    active_sessions: activeSessions.size
+    jobs: { ...jobQueue.counts(), concurrency: jobQueue.concurrency }
   });
 });
 
 /**
  * Serve static files (screenshots, etc.)
+ * Captured files come from third-party sites: a sandboxing CSP keeps them from
+ * running scripts on the API origin, and SVGs download instead of opening
  */
-app.use('/data', express.static(path.join(config.dataDir)));
+app.use('/data', express.static(path.join(config.dataDir), {
+  setHeaders: (res, filePath) => {
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox");
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (filePath.toLowerCase().endsWith('.svg')) {
+      res.setHeader('Content-Disposition', 'attachment');
+    }
+  }
+}));
+
+// Restore stored jobs and batches before accepting requests
+await jobQueue.load();
+await batchStore.load();
 
 // Start server
 const PORT = process.env.PORT || 3000;
@@ -359,4 +988,6 @@ app.listen(PORT, () => {
   logger.success(`Brand Canonizer API server running on http://localhost:${PORT}`);
   logger.info(`Frontend dev server should run on http://localhost:5173`);
   logger.info(`Data directory: ${config.dataDir}`);
+  logger.info(`Analysis mode: ${config.analysisMode}, LLM provider: ${config.llmProvider}`);
+  getConfigWarnings().forEach(warning => logger.warn(warning));
 });
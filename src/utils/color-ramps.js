@@ -0,0 +1,99 @@
+/**
+ * Color ramps
+ * Perceptually uniform 50-950 tonal ramps (OKLCH) anchored on observed colors
+ */
+
+import { normalizeHex, hexToOklch, oklchToHex, contrastRatio } from './color-utils.js';
+
+export const RAMP_STEPS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// OKLCH lightness of each step before anchoring
+const STEP_LIGHTNESS = [0.97, 0.935, 0.88, 0.81, 0.71, 0.62, 0.54, 0.46, 0.38, 0.31, 0.23];
+
+// Neutral ramps keep at most this much of the anchor's tint
+const MAX_NEUTRAL_CHROMA = 0.03;
+
+const WCAG_AA = 4.5;
+const WCAG_AAA = 7;
+const WCAG_AA_LARGE = 3;
+
+/**
+ * Build a ramp around an observed color. The color is placed unchanged at the
+ * step with the nearest lightness; the other steps follow the standard
+ * lightness curve, shifted towards the anchor near it. Chroma tapers towards
+ * the light and dark ends the way sRGB allows, and hue stays constant.
+ * @param {string} hex - Observed color
+ * @param {Object} options - { neutral } caps chroma for gray ramps
+ * @returns {Object|null} { anchor, anchor_step, steps: { '50': hex, ... }, text_pairings }
+ */
+export function generateRamp(hex, { neutral = false } = {}) {
+  const anchor = normalizeHex(hex);
+  const oklch = anchor && hexToOklch(anchor);
+  if (!oklch) return null;
+
+  const [anchorL, anchorC, hue] = oklch;
+  const anchorIndex = STEP_LIGHTNESS.reduce((best, lightness, index) =>
+    Math.abs(lightness - anchorL) < Math.abs(STEP_LIGHTNESS[best] - anchorL) ? index : best, 0);
+  const offset = anchorL - STEP_LIGHTNESS[anchorIndex];
+  const chroma = neutral ? Math.min(anchorC, MAX_NEUTRAL_CHROMA) : anchorC;
+  // A strongly tinted neutral anchor is not itself part of its gray ramp
+  const keepAnchor = chroma === anchorC;
+  const chromaAt = (lightness) => Math.max(0.1, Math.sin(Math.PI * lightness));
+
+  const steps = {};
+  RAMP_STEPS.forEach((step, index) => {
+    if (index === anchorIndex && keepAnchor) {
+      steps[step] = anchor;
+      return;
+    }
+
+    // The anchor's lightness offset fades out towards both ends of the ramp
+    const end = index < anchorIndex ? 0 : RAMP_STEPS.length - 1;
+    const weight = index === anchorIndex ? 1 : 1 - Math.abs(index - anchorIndex) / Math.abs(end - anchorIndex);
+    const lightness = STEP_LIGHTNESS[index] + offset * weight;
+
+    steps[step] = oklchToHex([lightness, chroma * chromaAt(lightness) / chromaAt(anchorL), hue]);
+  });
+
+  return {
+    anchor,
+    anchor_step: RAMP_STEPS[anchorIndex],
+    steps,
+    text_pairings: generateTextPairings(steps)
+  };
+}
+
+/**
+ * Pick a readable text color for every step: the ramp's own lightest or
+ * darkest tone when it reaches WCAG AA, otherwise white or black
+ */
+export function generateTextPairings(steps) {
+  const candidates = [steps['50'], steps['950'], '#ffffff', '#000000'];
+  const pairings = {};
+
+  Object.entries(steps).forEach(([step, background]) => {
+    const ranked = candidates
+      .map(text => ({ text, ratio: contrastRatio(text, background) }))
+      .filter(candidate => candidate.ratio !== null);
+    const choice = ranked.find(candidate => candidate.ratio >= WCAG_AA) ||
+      ranked.reduce((best, candidate) => candidate.ratio > best.ratio ? candidate : best);
+
+    pairings[step] = {
+      text: choice.text,
+      contrast_ratio: Math.round(choice.ratio * 100) / 100,
+      wcag: wcagLevel(choice.ratio)
+    };
+  });
+
+  return pairings;
+}
+
+/**
+ * WCAG 2.x conformance of a text contrast ratio
+ */
+export function wcagLevel(ratio) {
+  if (ratio >= WCAG_AAA) return 'AAA';
+  if (ratio >= WCAG_AA) return 'AA';
+  if (ratio >= WCAG_AA_LARGE) return 'AA-large';
+  return 'fail';
+}
@@ -0,0 +1,175 @@
+/**
+ * Color utilities
+ * Parsing and normalization helpers shared by the pipeline stages
+ */
+
+/**
+ * Normalize a CSS color string (#rgb, #rrggbb, #rrggbbaa, rgb(), rgba()) to
+ * lowercase #rrggbb. Returns null for transparent or unparseable values.
+ */
+export function normalizeHex(color) {
+  if (typeof color !== 'string') return null;
+  const value = color.trim().toLowerCase();
+
+  const shortHex = value.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  if (shortHex) {
+    return '#' + shortHex.slice(1).map(c => c + c).join('');
+  }
+
+  const longHex = value.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/);
+  if (longHex) {
+    if (longHex[2] === '00') return null;
+    return '#' + longHex[1];
+  }
+
+  if (value.startsWith('rgb')) {
+    const match = value.match(/[\d.]+/g);
+    if (!match || match.length < 3) return null;
+    if (match.length >= 4 && parseFloat(match[3]) === 0) return null;
+    return rgbToHex(match.slice(0, 3).map(Number));
+  }
+
+  return null;
+}
+
+/**
+ * Convert #rrggbb to [r, g, b]
+ */
+export function hexToRgb(hex) {
+  const normalized = normalizeHex(hex);
+  if (!normalized) return null;
+  return [1, 3, 5].map(i => parseInt(normalized.slice(i, i + 2), 16));
+}
+
+/**
+ * Convert [r, g, b] to #rrggbb
+ */
+export function rgbToHex([r, g, b]) {
+  return '#' + [r, g, b]
+    .map(x => Math.max(0, Math.min(255, Math.round(x))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Convert [r, g, b] (0-255, sRGB) to CIE L*a*b* (D65)
+ */
+export function rgbToLab([r, g, b]) {
+  const linear = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+  const y = (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722) / 1.0;
+  const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const [fx, fy, fz] = [x, y, z].map(f);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Perceptual distance between two L*a*b* colors (CIE76)
+ */
+export function deltaE(lab1, lab2) {
+  return Math.sqrt(
+    Math.pow(lab1[0] - lab2[0], 2) +
+    Math.pow(lab1[1] - lab2[1], 2) +
+    Math.pow(lab1[2] - lab2[2], 2)
+  );
+}
+
+/**
+ * Perceptual distance between two hex colors, or Infinity if either is invalid
+ */
+export function hexDeltaE(hex1, hex2) {
+  const rgb1 = hexToRgb(hex1);
+  const rgb2 = hexToRgb(hex2);
+  if (!rgb1 || !rgb2) return Infinity;
+  return deltaE(rgbToLab(rgb1), rgbToLab(rgb2));
+}
+
+/**
+ * WCAG 2.x relative luminance of a hex color (0-1), or null if invalid
+ */
+export function relativeLuminance(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+  const [r, g, b] = rgb.map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two hex colors (1-21), or null if either is invalid
+ */
+export function contrastRatio(hex1, hex2) {
+  const l1 = relativeLuminance(hex1);
+  const l2 = relativeLuminance(hex2);
+  if (l1 === null || l2 === null) return null;
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Convert a hex color to OKLCH [L (0-1), C, H (degrees)], or null if invalid
+ */
+export function hexToOklch(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.map(channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+  const hue = Math.atan2(B, A) * 180 / Math.PI;
+  return [L, Math.sqrt(A * A + B * B), hue < 0 ? hue + 360 : hue];
+}
+
+/**
+ * Convert OKLCH to hex. Colors outside the sRGB gamut keep their lightness
+ * and hue and lose chroma until they fit.
+ */
+export function oklchToHex([L, C, H]) {
+  const toLinear = (chroma) => {
+    const A = chroma * Math.cos(H * Math.PI / 180);
+    const B = chroma * Math.sin(H * Math.PI / 180);
+    const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+    const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+    const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+  };
+  const inGamut = (linear) => linear.every(c => c >= -1e-4 && c <= 1 + 1e-4);
+
+  let linear = toLinear(C);
+  if (!inGamut(linear)) {
+    let low = 0;
+    let high = C;
+    for (let i = 0; i < 24; i++) {
+      const mid = (low + high) / 2;
+      if (inGamut(toLinear(mid))) low = mid;
+      else high = mid;
+    }
+    linear = toLinear(low);
+  }
+
+  return rgbToHex(linear.map(c => {
+    const v = Math.max(0, Math.min(1, c));
+    return 255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+  }));
+}
@@ -0,0 +1,123 @@
+/**
+ * Derived components
+ * Core UI components styled from design tokens, for brands whose pages did not
+ * show (or were never captured with) enough components of their own
+ */
+
+/**
+ * Core components styled from a brand spec's design tokens
+ * @param {Object} tokens - Brand spec design_tokens
+ * @param {string} source - What the tokens came from, for the descriptions
+ *   (e.g. "the imported tokens")
+ * @returns {Array<Object>} Brand spec components, flagged `derived`
+ */
+export function deriveComponents(tokens, source) {
+  const { colors, typography, spacing, effects = {} } = tokens;
+  const radius = effects.border_radius?.md || effects.border_radius?.sm || '4px';
+  const largeRadius = effects.border_radius?.lg || radius;
+  const shadow = effects.shadows?.[0]?.value;
+  const gray = colors.neutrals.gray || {};
+  const border = gray['200']?.value || gray['300']?.value || colors.ramps?.neutral?.steps['200'];
+  const muted = gray['100']?.value || colors.ramps?.neutral?.steps['100'];
+  const onPrimary = colors.ramps?.primary?.text_pairings?.[colors.ramps.primary.anchor_step]?.text || colors.neutrals.white.value;
+  const space = (index) => `${spacing.scale[Math.min(index, spacing.scale.length - 1)]}px`;
+  const body = typography.scale.body;
+  const small = typography.scale.small;
+
+  const component = (name, category, description, visualProperties, usageRules) => ({
+    name,
+    category,
+    description: `${description}, derived from ${source}`,
+    visual_properties: Object.fromEntries(Object.entries(visualProperties).filter(([, value]) => value !== undefined)),
+    usage_rules: usageRules,
+    derived: true
+  });
+
+  return [
+    component('Primary Button', 'button', 'Main call-to-action button', {
+      background_color: colors.primary.value,
+      text_color: onPrimary,
+      border: 'none',
+      border_radius: radius,
+      padding: `${space(1)} ${space(3)}`,
+      font_size: body.font_size,
+      font_weight: Math.max(body.font_weight, 600)
+    }, 'Use for the main action on a screen'),
+    component('Secondary Button', 'button', 'Outlined button for secondary actions', {
+      background_color: 'transparent',
+      text_color: colors.primary.value,
+      border: `1px solid ${colors.primary.value}`,
+      border_radius: radius,
+      padding: `${space(1)} ${space(3)}`,
+      font_size: body.font_size,
+      font_weight: Math.max(body.font_weight, 600)
+    }, 'Use for actions next to a primary button'),
+    component('Text Input', 'input', 'Single-line text field', {
+      background_color: colors.neutrals.white.value,
+      text_color: colors.neutrals.black.value,
+      border: `1px solid ${border}`,
+      border_radius: radius,
+      padding: `${space(1)} ${space(2)}`,
+      font_size: body.font_size,
+      font_weight: body.font_weight
+    }, 'Pair with a small label above the field'),
+    component('Card', 'card', 'Surface grouping related content', {
+      background_color: colors.neutrals.white.value,
+      text_color: colors.neutrals.black.value,
+      border: shadow ? 'none' : `1px solid ${border}`,
+      border_radius: largeRadius,
+      padding: space(4),
+      shadow
+    }, 'Use to group content into scannable blocks'),
+    component('Navigation Link', 'navigation', 'Link in the site navigation', {
+      text_color: colors.neutrals.black.value,
+      padding: `${space(0)} ${space(2)}`,
+      font_size: body.font_size,
+      font_weight: Math.max(body.font_weight, 500)
+    }, 'Highlight the current page with the primary color'),
+    component('Badge', 'badge', 'Compact status or category label', {
+      background_color: muted,
+      text_color: colors.neutrals.black.value,
+      border_radius: effects.border_radius?.full || radius,
+      padding: `${space(0)} ${space(1)}`,
+      font_size: small.font_size,
+      font_weight: Math.max(small.font_weight, 500)
+    }, 'Keep labels to one or two words'),
+    component('Alert', 'other', 'Inline message for feedback and status', {
+      background_color: muted,
+      text_color: colors.neutrals.black.value,
+      border: `1px solid ${colors.semantic?.info?.value || border}`,
+      border_radius: radius,
+      padding: space(3),
+      font_size: body.font_size
+    }, 'Use the semantic colors for success, warning and error messages'),
+    component('Modal', 'modal', 'Dialog shown above the page', {
+      background_color: colors.neutrals.white.value,
+      text_color: colors.neutrals.black.value,
+      border_radius: largeRadius,
+      padding: space(5),
+      shadow: effects.shadows?.[effects.shadows.length - 1]?.value
+    }, 'Use for focused tasks that need a decision')
+  ];
+}
+
+/**
+ * Complete a component list up to `minimum` with derived components, taking
+ * categories that were not observed first and skipping names already in use
+ * @returns {Array<Object>} The derived components that were added
+ */
+export function fillComponents(components, tokens, source, minimum) {
+  if (components.length >= minimum) return [];
+
+  const observedCategories = new Set(components.map(component => component.category));
+  const usedNames = new Set(components.map(component => component.name.toLowerCase()));
+  const candidates = deriveComponents(tokens, source).filter(component => !usedNames.has(component.name.toLowerCase()));
+  const ordered = [
+    ...candidates.filter(component => !observedCategories.has(component.category)),
+    ...candidates.filter(component => observedCategories.has(component.category))
+  ];
+
+  const added = ordered.slice(0, minimum - components.length);
+  components.push(...added);
+  return added;
+}
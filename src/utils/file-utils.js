@@ -91,11 +91,21 @@ export function getBrandPaths(brandId, baseDir) {
       dir: path.join(brandDir, 'captures'),
       screenshots: path.join(brandDir, 'captures', 'screenshots'),
       dom: path.join(brandDir, 'captures', 'dom.json'),
-      styles: path.join(brandDir, 'captures', 'styles.json')
+      styles: path.join(brandDir, 'captures', 'styles.json'),
+      responsive: path.join(brandDir, 'captures', 'responsive.json'),
+      darkTheme: path.join(brandDir, 'captures', 'dark_theme.json'),
+      states: path.join(brandDir, 'captures', 'states.json'),
+      cssVariables: path.join(brandDir, 'captures', 'css_variables.json'),
+      fonts: path.join(brandDir, 'captures', 'fonts.json'),
+      assets: path.join(brandDir, 'captures', 'assets'),
+      assetsManifest: path.join(brandDir, 'captures', 'assets.json'),
+      palette: path.join(brandDir, 'captures', 'palette.json'),
+      pages: path.join(brandDir, 'captures', 'pages')
     },
     analysis: {
       dir: path.join(brandDir, 'analysis'),
-      brandTokens: path.join(brandDir, 'analysis', 'brand_tokens.json')
+      brandTokens: path.join(brandDir, 'analysis', 'brand_tokens.json'),
+      tiles: path.join(brandDir, 'analysis', 'tiles')
     },
     reports: {
       dir: path.join(brandDir, 'reports'),
@@ -0,0 +1,56 @@
+/**
+ * Image tiling
+ * Slices tall screenshots into model-safe tiles
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { ensureDir, getFileSize } from './file-utils.js';
+
+/**
+ * Slice a PNG into horizontal tiles of at most `tileHeight` pixels. Adjacent
+ * tiles overlap so elements on a boundary appear whole in at least one tile.
+ * Pages taller than `maxTiles` tiles are only covered from the top.
+ * @param {string} imagePath - PNG to slice
+ * @param {string} outputDir - Directory for tile_<n>.png files
+ * @param {Object} options - { tileHeight, overlap, maxTiles }
+ * @returns {Object} { tiles: [{name, path, y_start, y_end, width, height, size_bytes}], width, height, truncated }
+ */
+export async function tileImage(imagePath, outputDir, { tileHeight = 1600, overlap = 100, maxTiles = 12 } = {}) {
+  const source = PNG.sync.read(await fs.readFile(imagePath));
+  const { width, height } = source;
+  const stride = Math.max(1, tileHeight - overlap);
+  const tiles = [];
+
+  await ensureDir(outputDir);
+
+  for (let y = 0; y < height && tiles.length < maxTiles; y += stride) {
+    const sliceHeight = Math.min(tileHeight, height - y);
+    const tile = new PNG({ width, height: sliceHeight });
+    PNG.bitblt(source, tile, 0, y, width, sliceHeight, 0, 0);
+
+    const name = `tile_${tiles.length + 1}.png`;
+    const tilePath = path.join(outputDir, name);
+    await fs.writeFile(tilePath, PNG.sync.write(tile));
+
+    tiles.push({
+      name,
+      path: tilePath,
+      y_start: y,
+      y_end: y + sliceHeight,
+      width,
+      height: sliceHeight,
+      size_bytes: await getFileSize(tilePath)
+    });
+
+    if (y + sliceHeight >= height) break;
+  }
+
+  return {
+    tiles,
+    width,
+    height,
+    truncated: tiles.length > 0 && tiles[tiles.length - 1].y_end < height
+  };
+}
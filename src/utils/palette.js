@@ -0,0 +1,111 @@
+/**
+ * Palette quantizer
+ * Computes area-weighted dominant colors from captured PNG screenshots
+ */
+
+import fs from 'fs/promises';
+import { PNG } from 'pngjs';
+import { rgbToHex, rgbToLab, deltaE } from './color-utils.js';
+
+// Pixels sampled per image (images are sampled on an even grid above this)
+const MAX_SAMPLES_PER_IMAGE = 250000;
+// Bins closer than this (CIE76 ΔE) are merged into one palette color
+const MERGE_DELTA_E = 8;
+const MAX_CLUSTERS = 48;
+const MAX_PALETTE_COLORS = 16;
+const MIN_COVERAGE_PERCENT = 0.1;
+
+/**
+ * Quantize the given PNG files into a palette of dominant colors.
+ * Each pixel counts towards coverage, so large backgrounds dominate and small
+ * accents rank by the area they actually occupy.
+ * @param {Array<{path: string, name: string}>} images - PNG files to sample
+ * @returns {Object} { colors: [{hex, coverage, pixel_count}], total_pixels, sources }
+ */
+export async function extractPalette(images) {
+  const binCounts = new Float64Array(32768);
+  const binSums = new Float64Array(32768 * 3);
+  const sources = [];
+  let totalPixels = 0;
+
+  for (const image of images) {
+    const png = PNG.sync.read(await fs.readFile(image.path));
+    const { width, height, data } = png;
+    const step = Math.max(1, Math.ceil(Math.sqrt((width * height) / MAX_SAMPLES_PER_IMAGE)));
+    // Each sample stands for step x step pixels of screen area
+    const weight = step * step;
+    let sampled = 0;
+
+    for (let y = 0; y < height; y += step) {
+      for (let x = 0; x < width; x += step) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < 128) continue;
+
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+        binCounts[bin] += weight;
+        binSums[bin * 3] += r * weight;
+        binSums[bin * 3 + 1] += g * weight;
+        binSums[bin * 3 + 2] += b * weight;
+        sampled += weight;
+      }
+    }
+
+    totalPixels += sampled;
+    sources.push({ name: image.name, width, height, sample_step: step });
+  }
+
+  if (totalPixels === 0) {
+    return { colors: [], total_pixels: 0, sources };
+  }
+
+  // Greedy clustering of bins, largest first, so seeds are the dominant colors
+  const bins = [];
+  for (let bin = 0; bin < binCounts.length; bin++) {
+    if (binCounts[bin] > 0) bins.push(bin);
+  }
+  bins.sort((a, b) => binCounts[b] - binCounts[a] || a - b);
+
+  const clusters = [];
+  bins.forEach(bin => {
+    const count = binCounts[bin];
+    const rgb = [binSums[bin * 3] / count, binSums[bin * 3 + 1] / count, binSums[bin * 3 + 2] / count];
+    const lab = rgbToLab(rgb);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    clusters.forEach(cluster => {
+      const distance = deltaE(cluster.lab, lab);
+      if (distance < nearestDistance) {
+        nearest = cluster;
+        nearestDistance = distance;
+      }
+    });
+
+    if (!nearest || (nearestDistance > MERGE_DELTA_E && clusters.length < MAX_CLUSTERS)) {
+      clusters.push({ lab, count, sums: rgb.map(c => c * count) });
+    } else {
+      nearest.count += count;
+      rgb.forEach((c, i) => { nearest.sums[i] += c * count; });
+    }
+  });
+
+  const colors = clusters
+    .map(cluster => ({
+      hex: rgbToHex(cluster.sums.map(s => s / cluster.count)),
+      coverage: Math.round((cluster.count / totalPixels) * 10000) / 100,
+      pixel_count: Math.round(cluster.count)
+    }))
+    .filter(color => color.coverage >= MIN_COVERAGE_PERCENT)
+    .sort((a, b) => b.pixel_count - a.pixel_count)
+    .slice(0, MAX_PALETTE_COLORS);
+
+  return {
+    colors,
+    total_pixels: Math.round(totalPixels),
+    sources
+  };
+}
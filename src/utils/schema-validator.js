@@ -22,11 +22,13 @@ addFormats(ajv);
 
 // Cache for loaded schemas
 const schemaCache = {};
+// Compiled validators for in-memory schemas (e.g. tool input schemas)
+const validatorCache = new WeakMap();
 
 /**
  * Load a schema from the schemas directory
  */
-async function loadSchema(schemaName) {
+export async function loadSchema(schemaName) {
   if (schemaCache[schemaName]) {
     return schemaCache[schemaName];
   }
@@ -53,6 +55,22 @@ export async function validateAgainstSchema(schemaName, data) {
   };
 }
 
+/**
+ * Validate data against an in-memory schema object
+ */
+export function validateAgainstSchemaObject(schema, data) {
+  if (!validatorCache.has(schema)) {
+    validatorCache.set(schema, ajv.compile(schema));
+  }
+  const validate = validatorCache.get(schema);
+  const valid = validate(data);
+
+  return {
+    valid,
+    errors: validate.errors || []
+  };
+}
+
 /**
  * Validate brand_spec.json
  */
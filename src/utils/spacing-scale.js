@@ -0,0 +1,131 @@
+/**
+ * Spacing scale detection
+ * Parses measured padding, margin and gap values into a base unit, a
+ * frequency-ranked scale and usage rules tied to the elements they were seen on
+ */
+
+// Base units the spec allows, in order of preference when equally common
+const BASE_UNIT_GROUPS = [[8, 10], [4]];
+// Share of measured values that must be multiples of the base unit
+const MIN_BASE_UNIT_SHARE = 0.6;
+
+const MAX_SCALE_STEPS = 12;
+const MAX_MEASURED_VALUES = 20;
+
+// Usage rules and the contexts/properties (as captured) they summarize
+const USAGE_RULES = {
+  component_padding: { context: 'component', properties: ['padding'], description: 'inside controls and cards' },
+  stack_gap: { context: 'stack', properties: ['margin-top', 'margin-bottom', 'gap'], description: 'between stacked elements' },
+  section_spacing: { context: 'section', properties: ['padding', 'margin-top', 'margin-bottom'], description: 'around page sections' }
+};
+
+/**
+ * Pixel values of a padding/margin/gap shorthand ("12px 24px" → [12, 24]);
+ * zero and non-pixel parts are dropped
+ */
+export function parseSpacingValue(value) {
+  return String(value || '')
+    .split(/\s+/)
+    .filter(part => /^-?[\d.]+px$/.test(part))
+    .map(part => Math.round(Math.abs(parseFloat(part))))
+    .filter(px => px > 0);
+}
+
+/**
+ * Detect the spacing system from measured spacing samples
+ * @param {Array} spacingSamples - [{ context, property, value, count, elements }] from capture
+ * @param {Array<string>} spacingValues - Distinct padding/margin strings, used when no samples were captured
+ * @returns {Object|null} { base_unit, scale, density, measured_values, usage_rules } where
+ *   usage_rules maps component_padding/stack_gap/section_spacing to { value, count, elements, description }
+ */
+export function detectSpacingScale(spacingSamples = [], spacingValues = []) {
+  const samples = spacingSamples.length > 0
+    ? spacingSamples
+    : spacingValues.map(value => ({ context: null, property: null, value, count: 1, elements: [] }));
+
+  const byValue = new Map();
+  samples.forEach(sample => {
+    parseSpacingValue(sample.value).forEach(px => {
+      const entry = byValue.get(px) || { px, count: 0, contexts: new Set(), elements: [] };
+      entry.count += sample.count || 1;
+      if (sample.context) entry.contexts.add(sample.context);
+      (sample.elements || []).forEach(element => {
+        if (entry.elements.length < 3 && !entry.elements.includes(element)) entry.elements.push(element);
+      });
+      byValue.set(px, entry);
+    });
+  });
+  if (byValue.size === 0) return null;
+
+  const measured = Array.from(byValue.values()).sort((a, b) => b.count - a.count || a.px - b.px);
+  const total = measured.reduce((sum, entry) => sum + entry.count, 0);
+  const share = (unit) => measured
+    .filter(entry => entry.px % unit === 0)
+    .reduce((sum, entry) => sum + entry.count, 0) / total;
+
+  const baseUnit = BASE_UNIT_GROUPS
+    .map(units => units
+      .map(unit => ({ unit, share: share(unit) }))
+      .filter(candidate => candidate.share >= MIN_BASE_UNIT_SHARE)
+      .sort((a, b) => b.share - a.share)[0])
+    .find(Boolean)?.unit || null;
+
+  // The most used on-grid values (half steps allowed), smallest first
+  const step = baseUnit ? baseUnit / 2 : 1;
+  const scale = measured
+    .filter(entry => entry.px % step === 0)
+    .slice(0, MAX_SCALE_STEPS)
+    .map(entry => entry.px)
+    .sort((a, b) => a - b);
+
+  return {
+    base_unit: baseUnit,
+    scale,
+    density: getDensity(measured),
+    measured_values: measured.slice(0, MAX_MEASURED_VALUES).map(entry => ({
+      value: `${entry.px}px`,
+      count: entry.count,
+      contexts: Array.from(entry.contexts),
+      elements: entry.elements
+    })),
+    usage_rules: getUsageRules(samples)
+  };
+}
+
+/**
+ * Compact below a 12px median spacing, spacious above 24px
+ */
+function getDensity(measured) {
+  const values = measured.flatMap(entry => Array(Math.min(entry.count, 100)).fill(entry.px)).sort((a, b) => a - b);
+  const median = values[Math.floor(values.length / 2)];
+  return median < 12 ? 'compact' : median > 24 ? 'spacious' : 'comfortable';
+}
+
+/**
+ * The most used value for each usage rule, with the elements it was seen on
+ */
+function getUsageRules(samples) {
+  const rules = {};
+
+  Object.entries(USAGE_RULES).forEach(([name, rule]) => {
+    const matching = samples.filter(sample =>
+      sample.context === rule.context && rule.properties.includes(sample.property) &&
+      parseSpacingValue(sample.value).length > 0);
+    if (matching.length === 0) return;
+
+    const counts = new Map();
+    matching.forEach(sample => {
+      const entry = counts.get(sample.value) || { value: sample.value, count: 0, elements: [] };
+      entry.count += sample.count || 1;
+      (sample.elements || []).forEach(element => {
+        if (entry.elements.length < 3 && !entry.elements.includes(element)) entry.elements.push(element);
+      });
+      counts.set(sample.value, entry);
+    });
+
+    const top = Array.from(counts.values()).sort((a, b) => b.count - a.count)[0];
+    rules[name] = { ...top, description: rule.description };
+  });
+
+  return rules;
+}
@@ -0,0 +1,165 @@
+/**
+ * Brand token merging
+ * Combines partial brand tokens from separately analyzed screenshot slices
+ */
+
+import { normalizeHex, hexDeltaE } from './color-utils.js';
+
+// Colors closer than this ΔE are reported as one color
+const DUPLICATE_COLOR_DELTA_E = 3;
+const FREQUENCY_RANK = { high: 3, medium: 2, low: 1 };
+const MAX_ADJECTIVES = 8;
+
+/**
+ * Merge partial brand tokens into one token set. Partials are ordered from
+ * the top of the page down, so on conflicts the earliest finding wins; list
+ * findings are de-duplicated and tagged with the slices they came from.
+ * @param {Array<{slices: Array<string>, tokens: Object}>} partials
+ * @returns {Object} Merged brand tokens
+ */
+export function mergeBrandTokens(partials) {
+  const merged = {
+    brand_essence: null,
+    colors: { all_colors: [], semantic_mapping: {} },
+    typography: { font_families: [], font_scale: [] },
+    spacing: null,
+    components: [],
+    effects: { shadows: [], border_radius_scale: [], animations: [] },
+    layout_patterns: [],
+    accessibility_observations: { contrast_issues: [] },
+    notes: { strengths: [], distinctive_elements: [], edge_cases: [] }
+  };
+
+  partials.forEach(({ slices, tokens }) => {
+    mergeEssence(merged, tokens.brand_essence);
+    mergeColors(merged.colors, tokens.colors || {}, slices);
+    mergeTypography(merged.typography, tokens.typography || {});
+    mergeSpacing(merged, tokens.spacing);
+
+    (tokens.components || []).forEach(component => {
+      const key = findingKey(component);
+      const existing = merged.components.find(c => findingKey(c) === key);
+      if (existing) {
+        addSlices(existing, slices);
+      } else {
+        merged.components.push({ ...component, source_slices: [...slices] });
+      }
+    });
+
+    const effects = tokens.effects || {};
+    (effects.shadows || []).forEach(shadow => {
+      if (!merged.effects.shadows.some(s => s.value === shadow.value)) merged.effects.shadows.push(shadow);
+    });
+    merged.effects.border_radius_scale = union(merged.effects.border_radius_scale, effects.border_radius_scale)
+      .sort((a, b) => parseFloat(a) - parseFloat(b));
+    merged.effects.animations = union(merged.effects.animations, effects.animations);
+
+    (tokens.layout_patterns || []).forEach(pattern => {
+      const existing = merged.layout_patterns.find(p => p.name.toLowerCase() === pattern.name.toLowerCase());
+      if (existing) {
+        existing.components_used = union(existing.components_used, pattern.components_used);
+        addSlices(existing, slices);
+      } else {
+        merged.layout_patterns.push({ ...pattern, source_slices: [...slices] });
+      }
+    });
+
+    mergeAccessibility(merged.accessibility_observations, tokens.accessibility_observations || {});
+
+    const notes = tokens.notes || {};
+    Object.keys(merged.notes).forEach(key => {
+      merged.notes[key] = union(merged.notes[key], notes[key]);
+    });
+  });
+
+  return merged;
+}
+
+function mergeEssence(merged, essence) {
+  if (!essence) return;
+  if (!merged.brand_essence) {
+    merged.brand_essence = { ...essence, adjectives: [...(essence.adjectives || [])] };
+    return;
+  }
+  merged.brand_essence.adjectives = union(merged.brand_essence.adjectives, essence.adjectives).slice(0, MAX_ADJECTIVES);
+}
+
+/**
+ * Near-identical colors collapse into the first one reported, keeping the
+ * highest frequency and every distinct usage context
+ */
+function mergeColors(target, colors, slices) {
+  (colors.all_colors || []).forEach(color => {
+    const existing = target.all_colors.find(c => hexDeltaE(c.hex, color.hex) <= DUPLICATE_COLOR_DELTA_E);
+    if (!existing) {
+      target.all_colors.push({ ...color, hex: normalizeHex(color.hex) || color.hex, source_slices: [...slices] });
+      return;
+    }
+
+    if ((FREQUENCY_RANK[color.frequency] || 0) > (FREQUENCY_RANK[existing.frequency] || 0)) {
+      existing.frequency = color.frequency;
+    }
+    if (color.usage_context && !existing.usage_context.toLowerCase().includes(color.usage_context.toLowerCase())) {
+      existing.usage_context = `${existing.usage_context}; ${color.usage_context}`;
+    }
+    addSlices(existing, slices);
+  });
+
+  Object.entries(colors.semantic_mapping || {}).forEach(([role, hex]) => {
+    if (!target.semantic_mapping[role] && hex) target.semantic_mapping[role] = hex;
+  });
+}
+
+function mergeTypography(target, typography) {
+  (typography.font_families || []).forEach(font => {
+    if (!target.font_families.some(f => f.name.toLowerCase() === font.name.toLowerCase())) {
+      const roleTaken = target.font_families.some(f => f.role === font.role);
+      target.font_families.push(roleTaken && font.role === 'primary' ? { ...font, role: 'secondary' } : font);
+    }
+  });
+
+  (typography.font_scale || []).forEach(style => {
+    if (!target.font_scale.some(s => s.level === style.level)) target.font_scale.push(style);
+  });
+
+  ['line_height_ratio', 'letter_spacing'].forEach(key => {
+    if (target[key] === undefined && typography[key] !== undefined) target[key] = typography[key];
+  });
+}
+
+function mergeSpacing(merged, spacing) {
+  if (!spacing) return;
+  if (!merged.spacing) {
+    merged.spacing = { ...spacing };
+    return;
+  }
+  merged.spacing.padding_patterns = union(merged.spacing.padding_patterns, spacing.padding_patterns);
+  merged.spacing.margin_patterns = union(merged.spacing.margin_patterns, spacing.margin_patterns);
+}
+
+/**
+ * A definite observation ('yes'/'no') beats 'unclear'; a 'no' anywhere wins
+ */
+function mergeAccessibility(target, observations) {
+  target.contrast_issues = union(target.contrast_issues, observations.contrast_issues);
+  ['focus_indicators', 'touch_targets'].forEach(key => {
+    const value = observations[key];
+    if (!value) return;
+    if (!target[key] || target[key] === 'unclear' || value === 'no') target[key] = value;
+  });
+}
+
+/**
+ * Components with the same category and name are one finding
+ */
+function findingKey(finding) {
+  return `${finding.category || ''}|${String(finding.name || '').trim().toLowerCase()}`;
+}
+
+function addSlices(finding, slices) {
+  finding.source_slices = union(finding.source_slices, slices);
+}
+
+function union(a = [], b = []) {
+  return Array.from(new Set([...(a || []), ...(b || [])]));
+}
@@ -0,0 +1,252 @@
+/**
+ * Type scale detection
+ * Clusters measured font sizes, maps them to text levels by the tags they
+ * were rendered on and fits a modular scale ratio
+ */
+
+// Sizes within this many px (or this fraction of the size) are one scale step
+const CLUSTER_TOLERANCE_PX = 1;
+const CLUSTER_TOLERANCE_RATIO = 0.04;
+
+// A ratio fits when sizes land this close (in scale steps) to whole steps
+const MAX_RATIO_FIT_ERROR = 0.12;
+
+export const MODULAR_RATIOS = [
+  { ratio: 1.067, name: 'minor second' },
+  { ratio: 1.125, name: 'major second' },
+  { ratio: 1.2, name: 'minor third' },
+  { ratio: 1.25, name: 'major third' },
+  { ratio: 1.333, name: 'perfect fourth' },
+  { ratio: 1.414, name: 'augmented fourth' },
+  { ratio: 1.5, name: 'perfect fifth' },
+  { ratio: 1.618, name: 'golden ratio' }
+];
+
+const STANDARD_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+const HEADING_LEVELS = ['h1', 'h2', 'h3', 'h4'];
+const BODY_TAGS = ['p', 'li', 'td', 'dd', 'blockquote', 'span', 'div', 'a'];
+const SMALL_TAGS = ['small', 'figcaption', 'caption', 'sub', 'sup', 'time', 'cite'];
+
+/**
+ * Detect the type scale from measured text styles
+ * @param {Array} textStyles - [{ tag, font_size, line_height, letter_spacing, font_weight, text_transform, count, selector }]
+ * @param {Array<string>} fontSizes - Distinct computed font sizes, used when no text styles were captured
+ * @returns {Object|null} { levels, clusters, modular_scale } where levels maps
+ *   each level found among h1-h4/body/small to { size, font_size, line_height, font_weight, letter_spacing?,
+ *   text_transform?, selector?, count, source: 'tag' | 'rank' | 'ratio' }
+ */
+export function detectTypeScale(textStyles = [], fontSizes = []) {
+  const samples = textStyles.length > 0
+    ? textStyles.map(style => ({ ...style, size: parseFloat(style.font_size) }))
+    : fontSizes.map(size => ({ tag: null, font_size: size, size: parseFloat(size), count: 1 }));
+
+  const clusters = clusterSizes(samples.filter(sample => sample.size > 0));
+  if (clusters.length === 0) return null;
+
+  const levels = {};
+
+  // Body: the size most used by running text, else the one closest to 16px
+  const taggedBody = pickCluster(clusters, BODY_TAGS);
+  const body = taggedBody ||
+    clusters.reduce((best, cluster) => Math.abs(cluster.size - 16) < Math.abs(best.size - 16) ? cluster : best);
+  levels.body = describeLevel(body, BODY_TAGS, taggedBody ? 'tag' : 'rank');
+
+  // Headings: the size each heading tag was rendered at
+  HEADING_LEVELS.forEach(level => {
+    const cluster = pickCluster(clusters, [level]);
+    if (cluster) levels[level] = describeLevel(cluster, [level], 'tag');
+  });
+
+  // Small: the size of fine print, else the most used size below body
+  const smaller = clusters.filter(cluster => cluster.size < body.size);
+  const taggedSmall = pickCluster(smaller, SMALL_TAGS);
+  const small = taggedSmall || smaller.sort((a, b) => b.count - a.count)[0];
+  if (small) levels.small = describeLevel(small, SMALL_TAGS, taggedSmall ? 'tag' : 'rank');
+
+  // Headings without their own tag take the remaining larger sizes in order
+  const usedSizes = new Set(Object.values(levels).map(level => level.size));
+  const unused = clusters
+    .filter(cluster => cluster.size > body.size && !usedSizes.has(cluster.size))
+    .sort((a, b) => b.size - a.size);
+  HEADING_LEVELS.forEach((level, index) => {
+    if (levels[level]) return;
+    const larger = index === 0 ? Infinity : (levels[HEADING_LEVELS[index - 1]]?.size ?? Infinity);
+    const candidate = unused.find(cluster => cluster.size < larger);
+    if (candidate) {
+      levels[level] = describeLevel(candidate, [], 'rank');
+      unused.splice(unused.indexOf(candidate), 1);
+    }
+  });
+
+  const modularScale = fitModularScale(body.size, Object.values(levels).map(level => level.size));
+
+  // Headings still missing are one ratio step (or a major third) above the
+  // next level down, when that still leaves them below the next level up
+  const ratio = modularScale?.ratio || 1.25;
+  [...HEADING_LEVELS].reverse().forEach((level, index, smallestFirst) => {
+    if (levels[level]) return;
+    const below = smallestFirst.slice(0, index).reverse().find(lower => levels[lower]);
+    const above = smallestFirst.slice(index + 1).find(higher => levels[higher]);
+    const size = Math.round((below ? levels[below].size : body.size) * ratio * 100) / 100;
+    if (above && size >= levels[above].size) return;
+    levels[level] = {
+      size,
+      font_size: `${size}px`,
+      line_height: '1.2',
+      font_weight: levels.h1?.font_weight || 700,
+      count: 0,
+      source: 'ratio'
+    };
+  });
+
+  return {
+    levels,
+    clusters: clusters.map(cluster => ({
+      font_size: `${cluster.size}px`,
+      count: cluster.count,
+      tags: Object.keys(cluster.tags)
+    })),
+    modular_scale: modularScale
+  };
+}
+
+/**
+ * Greedy clustering from the most used size down; each cluster is
+ * represented by its most used size
+ */
+function clusterSizes(samples) {
+  const bySize = new Map();
+  samples.forEach(sample => {
+    const size = Math.round(sample.size * 100) / 100;
+    if (!bySize.has(size)) bySize.set(size, []);
+    bySize.get(size).push(sample);
+  });
+
+  const sizes = Array.from(bySize.entries())
+    .map(([size, entries]) => ({ size, count: entries.reduce((sum, entry) => sum + (entry.count || 1), 0), entries }))
+    .sort((a, b) => b.count - a.count || a.size - b.size);
+
+  const clusters = [];
+  sizes.forEach(({ size, entries }) => {
+    const cluster = clusters.find(c =>
+      Math.abs(c.size - size) <= Math.max(CLUSTER_TOLERANCE_PX, c.size * CLUSTER_TOLERANCE_RATIO));
+    const target = cluster || { size, count: 0, tags: {}, samples: [] };
+    if (!cluster) clusters.push(target);
+
+    entries.forEach(entry => {
+      target.count += entry.count || 1;
+      target.samples.push(entry);
+      if (entry.tag) target.tags[entry.tag] = (target.tags[entry.tag] || 0) + (entry.count || 1);
+    });
+  });
+
+  return clusters.sort((a, b) => a.size - b.size);
+}
+
+/**
+ * The cluster rendered most often by any of the given tags
+ */
+function pickCluster(clusters, tags) {
+  let best = null;
+  let bestCount = 0;
+  clusters.forEach(cluster => {
+    const count = tags.reduce((sum, tag) => sum + (cluster.tags[tag] || 0), 0);
+    if (count > bestCount) {
+      best = cluster;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Summarize a cluster as a text level using the most common line height,
+ * weight, letter spacing and transform among the given tags (or all samples)
+ */
+function describeLevel(cluster, tags, source) {
+  const tagged = cluster.samples.filter(sample => tags.includes(sample.tag));
+  const samples = tagged.length > 0 ? tagged : cluster.samples;
+  const selector = mostCommon(samples, sample => sample.selector);
+
+  const lineHeight = mostCommon(samples, sample => sample.line_height);
+  const lineHeightPx = parseFloat(lineHeight);
+  const letterSpacingPx = parseFloat(mostCommon(samples, sample => sample.letter_spacing)) || 0;
+  const transform = mostCommon(samples, sample => sample.text_transform);
+
+  return {
+    size: cluster.size,
+    font_size: `${cluster.size}px`,
+    // Line height as a unitless ratio and weight snapped to a standard weight;
+    // either is null when it was not measured
+    line_height: Number.isFinite(lineHeightPx) && /px$/.test(lineHeight)
+      ? String(Math.round((lineHeightPx / cluster.size) * 100) / 100)
+      : null,
+    font_weight: snapFontWeight(mostCommon(samples, sample => sample.font_weight)),
+    ...(letterSpacingPx && { letter_spacing: `${Math.round((letterSpacingPx / cluster.size) * 1000) / 1000}em` }),
+    ...(transform && transform !== 'none' && { text_transform: transform }),
+    ...(selector && { selector }),
+    count: samples.reduce((sum, sample) => sum + (sample.count || 1), 0),
+    source
+  };
+}
+
+/**
+ * Nearest standard weight, or null when no weight was measured
+ */
+function snapFontWeight(weight) {
+  if (!Number.isFinite(weight)) return null;
+  return STANDARD_FONT_WEIGHTS.reduce((best, standard) =>
+    Math.abs(standard - weight) < Math.abs(best - weight) ? standard : best);
+}
+
+/**
+ * Most common value of `pick` weighted by sample count
+ */
+function mostCommon(samples, pick) {
+  const counts = new Map();
+  samples.forEach(sample => {
+    const value = pick(sample);
+    if (value === undefined || value === null || value === '') return;
+    counts.set(value, (counts.get(value) || 0) + (sample.count || 1));
+  });
+  let best;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Find the modular ratio whose whole steps from the body size best match the
+ * measured sizes; null when no candidate fits within MAX_RATIO_FIT_ERROR
+ */
+function fitModularScale(baseSize, sizes) {
+  const steps = sizes.filter(size => size !== baseSize).map(size => Math.log(size / baseSize));
+  if (steps.length < 2) return null;
+
+  const fits = MODULAR_RATIOS.map(candidate => {
+    const error = steps.reduce((sum, step) => {
+      const position = step / Math.log(candidate.ratio);
+      return sum + Math.abs(position - Math.round(position));
+    }, 0) / steps.length;
+    return { ...candidate, error };
+  });
+
+  // Small ratios fit anything; prefer the largest ratio within tolerance
+  const best = fits
+    .filter(fit => fit.error <= MAX_RATIO_FIT_ERROR)
+    .sort((a, b) => b.ratio - a.ratio)[0];
+  if (!best) return null;
+
+  return {
+    ratio: best.ratio,
+    name: best.name,
+    base_size: `${baseSize}px`,
+    fit_error: Math.round(best.error * 100) / 100
+  };
+}
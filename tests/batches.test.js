@@ -0,0 +1,132 @@
+/**
+ * Batch extractions: aggregated progress, cancellation and the summary
+ * report built from each brand's metadata and execution trace
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../src/jobs/job-queue.js';
+import { BatchStore } from '../src/jobs/batches.js';
+
+// What the stand-in extraction leaves on disk for each URL
+const outcomes = {
+  'https://acme.example': { score: 4.2, band: 'excellent', cost: 0.12, tokens: 9000 },
+  'https://globex.example': { score: 3.6, band: 'good', cost: 0.08, tokens: 6000 },
+  'https://initech.example': { failedStage: 'analyze', cost: 0.01, tokens: 800 }
+};
+
+let dataDir;
+let jobQueue;
+let batchStore;
+
+/**
+ * Extraction stand-in that saves the brand's metadata and trace like the
+ * pipeline does
+ */
+async function fakeExtraction({ url }, { onBrand }) {
+  const brandId = new URL(url).hostname.split('.')[0];
+  const outcome = outcomes[url];
+  onBrand(brandId);
+
+  const brandDir = path.join(dataDir, 'brands', brandId);
+  await fs.mkdir(brandDir, { recursive: true });
+  await fs.writeFile(path.join(brandDir, 'metadata.json'), JSON.stringify({
+    brand_id: brandId,
+    brand_name: brandId[0].toUpperCase() + brandId.slice(1),
+    ...(outcome.score && { evaluation_summary: { overall_score: outcome.score, quality_band: outcome.band } })
+  }));
+  await fs.writeFile(path.join(brandDir, 'execution_trace.json'), JSON.stringify({
+    stages: [
+      { name: 'capture', status: 'success' },
+      { name: 'analyze', status: outcome.failedStage === 'analyze' ? 'failed' : 'success' }
+    ],
+    summary: { total_duration_ms: 1000, total_tokens: outcome.tokens, estimated_cost_usd: outcome.cost }
+  }));
+
+  return outcome.failedStage
+    ? { success: false, brand_id: brandId, error: 'Analysis failed' }
+    : { success: true, brand_id: brandId };
+}
+
+/**
+ * Extraction stand-in that runs until the job is cancelled
+ */
+function untilCancelled(params, { onProgress, signal }) {
+  onProgress('capture', 'Capturing');
+  return new Promise(resolve => {
+    signal.addEventListener('abort', () => resolve({ success: false, cancelled: true }));
+  });
+}
+
+function createStores(runner, concurrency) {
+  jobQueue = new JobQueue({ dir: path.join(dataDir, 'jobs'), dataDir, concurrency });
+  jobQueue.register('extract', runner);
+  batchStore = new BatchStore({ dir: path.join(dataDir, 'batches'), dataDir, jobQueue });
+}
+
+async function reportOf(batch) {
+  while (!batch.report) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return batch.report;
+}
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batches-'));
+});
+
+afterEach(async () => {
+  // Let pending job and batch file writes land before the directory goes
+  await Promise.all([...jobQueue.writes.values(), ...batchStore.writes.values()]);
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('BatchStore', () => {
+  test('reports each brand and the batch totals once every job finished', async () => {
+    createStores(fakeExtraction, 3);
+
+    const batch = await batchStore.create(Object.keys(outcomes).map(url => ({ url, adjectives: [] })), { analysisMode: 'llm' });
+    const report = await reportOf(batch);
+
+    expect(batch.status).toBe('completed');
+    expect(report.totals).toEqual({
+      brands: 3,
+      completed: 2,
+      failed: 1,
+      cancelled: 0,
+      average_score: 3.9,
+      estimated_cost_usd: 0.21,
+      total_tokens: 15800
+    });
+    expect(report.brands.map(brand => [brand.brand_id, brand.status, brand.overall_score])).toEqual([
+      ['acme', 'completed', 4.2],
+      ['globex', 'completed', 3.6],
+      ['initech', 'failed', null]
+    ]);
+    expect(report.brands[2]).toMatchObject({ brand_name: 'Initech', error: 'Analysis failed', failed_stage: 'analyze' });
+    expect(jobQueue.get(batch.items[0].job_id).params).toEqual({ analysisMode: 'llm', url: 'https://acme.example', adjectives: [] });
+  });
+
+  test('aggregates the progress of running and queued jobs', async () => {
+    createStores(untilCancelled, 1);
+
+    const batch = await batchStore.create([{ url: 'https://acme.example' }, { url: 'https://globex.example' }]);
+
+    // One job at capture (25%), one waiting (0%)
+    expect(batchStore.progress(batch)).toEqual({
+      total: 2,
+      queued: 1,
+      running: 1,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      progress_percent: 13
+    });
+
+    expect(batchStore.cancel(batch.id)).toBe(2);
+    const report = await reportOf(batch);
+    expect(report.totals).toMatchObject({ brands: 2, completed: 0, cancelled: 2, average_score: null, estimated_cost_usd: 0 });
+    expect(batchStore.progress(batch).progress_percent).toBe(100);
+  });
+});
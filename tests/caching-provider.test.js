@@ -0,0 +1,155 @@
+/**
+ * Response cache: content-addressed keys, reuse of identical requests and
+ * eviction of entries that would be rejected
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CachingProvider, getCacheKey } from '../src/providers/caching-provider.js';
+
+const tool = {
+  name: 'record_palette',
+  description: 'Record the brand palette',
+  input_schema: {
+    type: 'object',
+    required: ['primary'],
+    properties: {
+      primary: { type: 'string', pattern: '^#[0-9a-f]{6}$' }
+    }
+  }
+};
+
+const screenshot = (data) => ({ type: 'image', source: { type: 'base64', media_type: 'image/png', data } });
+
+const request = {
+  stage: 'analyze',
+  model: 'test-model',
+  maxTokens: 1000,
+  tool,
+  messages: [{ role: 'user', content: [screenshot('aGVybw=='), { type: 'text', text: 'Describe the palette' }] }]
+};
+
+/**
+ * Live provider stand-in that answers with the given responses in order
+ */
+class ScriptedProvider {
+  constructor(responses) {
+    this.name = 'live';
+    this.responses = responses;
+    this.calls = 0;
+  }
+
+  async complete() {
+    return {
+      text: '',
+      stopReason: 'tool_use',
+      usage: { input_tokens: 100, output_tokens: 10 },
+      model: 'test-model',
+      ...this.responses[this.calls++]
+    };
+  }
+}
+
+let cacheDir;
+
+beforeEach(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+});
+
+afterEach(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+const cacheEntries = async () => fs.readdir(cacheDir);
+
+describe('getCacheKey', () => {
+  test('hashes screenshots by their bytes', () => {
+    const { key, images } = getCacheKey(request);
+
+    expect(images).toHaveLength(1);
+    expect(getCacheKey(structuredClone(request)).key).toBe(key);
+
+    const otherScreenshot = structuredClone(request);
+    otherScreenshot.messages[0].content[0] = screenshot('b3RoZXI=');
+    expect(getCacheKey(otherScreenshot).key).not.toBe(key);
+  });
+
+  test('changes with the model and tool schema', () => {
+    const { key } = getCacheKey(request);
+
+    expect(getCacheKey({ ...request, model: 'other-model' }).key).not.toBe(key);
+    expect(getCacheKey({ ...request, tool: { ...tool, name: 'record_colors' } }).key).not.toBe(key);
+  });
+});
+
+describe('CachingProvider', () => {
+  test('reuses the response to an identical request at no cost', async () => {
+    const live = new ScriptedProvider([{ toolInput: { primary: '#4f46e5' } }]);
+    const provider = new CachingProvider(live, { cacheDir });
+
+    const first = await provider.complete(request);
+    const second = await provider.complete(request);
+
+    expect(live.calls).toBe(1);
+    expect(first.cached).toBeUndefined();
+    expect(second).toEqual({
+      text: '',
+      toolInput: { primary: '#4f46e5' },
+      stopReason: 'tool_use',
+      usage: { input_tokens: 0, output_tokens: 0 },
+      model: 'test-model',
+      cached: true
+    });
+  });
+
+  test('does not cache responses that fail the tool schema', async () => {
+    const live = new ScriptedProvider([{ toolInput: { primary: 'indigo' } }, { toolInput: { primary: '#4f46e5' } }]);
+    const provider = new CachingProvider(live, { cacheDir });
+
+    await provider.complete(request);
+    expect(await cacheEntries()).toEqual([]);
+
+    const retried = await provider.complete(request);
+    expect(live.calls).toBe(2);
+    expect(retried.toolInput).toEqual({ primary: '#4f46e5' });
+    expect(await cacheEntries()).toHaveLength(1);
+  });
+
+  test('does not cache truncated responses', async () => {
+    const live = new ScriptedProvider([{ toolInput: { primary: '#4f46e5' }, stopReason: 'max_tokens' }]);
+
+    await new CachingProvider(live, { cacheDir }).complete(request);
+
+    expect(await cacheEntries()).toEqual([]);
+  });
+
+  test('evicts an invalid cached entry and calls the live provider', async () => {
+    const { key } = getCacheKey(request);
+    await fs.writeFile(path.join(cacheDir, `${key}.json`), JSON.stringify({
+      key,
+      model: 'test-model',
+      response: { tool_input: { primary: 'indigo' }, stop_reason: 'tool_use' }
+    }));
+    const live = new ScriptedProvider([{ toolInput: { primary: '#4f46e5' } }]);
+
+    const response = await new CachingProvider(live, { cacheDir }).complete(request);
+
+    expect(live.calls).toBe(1);
+    expect(response.cached).toBeUndefined();
+    const entry = JSON.parse(await fs.readFile(path.join(cacheDir, `${key}.json`), 'utf-8'));
+    expect(entry.response.tool_input).toEqual({ primary: '#4f46e5' });
+  });
+
+  test('caches text responses to requests without a tool', async () => {
+    const live = new ScriptedProvider([{ text: 'A calm, confident brand', stopReason: 'end_turn' }]);
+    const provider = new CachingProvider(live, { cacheDir });
+    const textRequest = { ...request, tool: undefined };
+
+    await provider.complete(textRequest);
+    const second = await provider.complete(textRequest);
+
+    expect(live.calls).toBe(1);
+    expect(second.text).toBe('A calm, confident brand');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Color ramps: OKLCH tonal ramps anchored on observed colors
+ */
+
+import { generateRamp, RAMP_STEPS } from '../src/utils/color-ramps.js';
+import { hexToOklch } from '../src/utils/color-utils.js';
+
+describe('generateRamp', () => {
+  test('keeps the observed color at the step nearest its lightness', () => {
+    const ramp = generateRamp('#4F46E5');
+
+    expect(ramp.anchor).toBe('#4f46e5');
+    expect(Object.keys(ramp.steps)).toEqual(RAMP_STEPS);
+    expect(ramp.steps[ramp.anchor_step]).toBe('#4f46e5');
+  });
+
+  test('darkens from 50 to 950', () => {
+    const lightness = Object.values(generateRamp('#4f46e5').steps).map(hex => hexToOklch(hex)[0]);
+
+    lightness.slice(1).forEach((value, index) => {
+      expect(value).toBeLessThan(lightness[index]);
+    });
+  });
+
+  test('pairs every step with a text color', () => {
+    const ramp = generateRamp('#0ea5e9');
+
+    expect(Object.keys(ramp.text_pairings)).toEqual(RAMP_STEPS);
+  });
+
+  test('caps the chroma of neutral ramps', () => {
+    const ramp = generateRamp('#4f46e5', { neutral: true });
+
+    Object.values(ramp.steps).forEach(hex => {
+      expect(hexToOklch(hex)[1]).toBeLessThanOrEqual(0.035);
+    });
+  });
+
+  test('returns null for an unparseable color', () => {
+    expect(generateRamp('not a color')).toBeNull();
+  });
+});
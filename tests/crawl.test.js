@@ -0,0 +1,163 @@
+/**
+ * Multi-page crawl: link filtering and merging crawled pages into the
+ * start page's DOM and styles
+ */
+
+import {
+  collectCrawlLinks,
+  normalizePageUrl,
+  slugForUrl,
+  mergeDOM,
+  mergeStyles
+} from '../src/pipeline/capture.js';
+
+const origin = 'https://acme.example';
+
+describe('collectCrawlLinks', () => {
+  test('keeps same-origin pages, normalized and de-duplicated', () => {
+    const links = [
+      { href: 'https://acme.example/pricing/' },
+      { href: 'https://acme.example/pricing?plan=team#faq' },
+      { href: 'https://acme.example/about' },
+      { href: 'https://other.example/pricing' },
+      { href: 'mailto:hello@acme.example' },
+      { href: 'https://acme.example/brochure.pdf' },
+      { href: 'https://acme.example/logo.SVG' },
+      { href: 'not a url' }
+    ];
+
+    expect(collectCrawlLinks(links, origin, new Set())).toEqual([
+      'https://acme.example/pricing',
+      'https://acme.example/about'
+    ]);
+  });
+
+  test('skips pages already visited', () => {
+    const visited = new Set(['https://acme.example/about']);
+
+    expect(collectCrawlLinks([{ href: 'https://acme.example/about/' }], origin, visited)).toEqual([]);
+  });
+
+  test('accepts missing links', () => {
+    expect(collectCrawlLinks(undefined, origin, new Set())).toEqual([]);
+  });
+});
+
+describe('normalizePageUrl', () => {
+  test('drops the query, hash and trailing slash but keeps the root path', () => {
+    expect(normalizePageUrl('https://acme.example/docs/?q=1#top')).toBe('https://acme.example/docs');
+    expect(normalizePageUrl('https://acme.example/')).toBe('https://acme.example/');
+  });
+});
+
+describe('slugForUrl', () => {
+  test('builds unique directory names from the path', () => {
+    const used = new Set();
+
+    expect(slugForUrl('https://acme.example/', used)).toBe('index');
+    expect(slugForUrl('https://acme.example/Docs/Getting-Started', used)).toBe('docs_getting_started');
+    expect(slugForUrl('https://acme.example/docs/getting.started', used)).toBe('docs_getting_started_2');
+  });
+});
+
+describe('mergeDOM', () => {
+  const startDom = {
+    title: 'Acme',
+    headings: [{ level: 1, text: 'Welcome' }],
+    links: [{ href: 'https://acme.example/about', text: 'About' }],
+    images: [{ src: '/hero.png' }],
+    structure: { sections: 3, buttons: 4 },
+    components: [{ category: 'button', count: 4, samples: [{ text: 'Sign up' }] }]
+  };
+  const crawled = [{
+    dom: {
+      headings: [{ level: 1, text: 'Pricing' }],
+      links: [{ href: 'https://acme.example/about', text: 'About us' }, { href: 'https://acme.example/contact', text: 'Contact' }],
+      images: [{ src: '/hero.png' }, { src: '/plans.png' }],
+      structure: { sections: 2, forms: 1 },
+      components: [
+        { category: 'button', count: 2, samples: [{ text: 'Buy' }] },
+        { category: 'card', count: 3, samples: [{ text: 'Team plan' }] }
+      ]
+    },
+    provenance: { url: 'https://acme.example/pricing' }
+  }];
+
+  test('tags headings and component samples with their page', () => {
+    const merged = mergeDOM(startDom, 'https://acme.example/', crawled);
+
+    expect(merged.headings).toEqual([
+      { level: 1, text: 'Welcome', page: 'https://acme.example/' },
+      { level: 1, text: 'Pricing', page: 'https://acme.example/pricing' }
+    ]);
+    expect(merged.components).toEqual([
+      {
+        category: 'button',
+        count: 6,
+        samples: [{ text: 'Sign up', page: 'https://acme.example/' }, { text: 'Buy', page: 'https://acme.example/pricing' }]
+      },
+      { category: 'card', count: 3, samples: [{ text: 'Team plan', page: 'https://acme.example/pricing' }] }
+    ]);
+  });
+
+  test('sums structure counts and de-duplicates links and images', () => {
+    const merged = mergeDOM(startDom, 'https://acme.example/', crawled);
+
+    expect(merged.structure).toEqual({ sections: 5, buttons: 4, forms: 1 });
+    expect(merged.links.map(link => link.href)).toEqual(['https://acme.example/about', 'https://acme.example/contact']);
+    expect(merged.images.map(image => image.src)).toEqual(['/hero.png', '/plans.png']);
+  });
+
+  test('leaves the start page DOM untouched', () => {
+    mergeDOM(startDom, 'https://acme.example/', crawled);
+
+    expect(startDom.headings).toHaveLength(1);
+    expect(startDom.components[0].count).toBe(4);
+  });
+});
+
+describe('mergeStyles', () => {
+  const startStyles = {
+    colors: ['rgb(255, 255, 255)', 'rgb(79, 70, 229)'],
+    fonts: ['Inter'],
+    fontSizes: ['16px', '32px'],
+    fontWeights: ['700', '400'],
+    spacing: ['16px'],
+    borderRadius: ['8px'],
+    shadows: [],
+    textStyles: [{ tag: 'p', font_size: '16px', line_height: '24px', font_weight: '400', count: 10, selector: 'main p' }],
+    spacingSamples: [{ context: 'component', property: 'padding', value: '12px 24px', count: 3, elements: ['button.cta'] }]
+  };
+  const crawled = [{
+    styles: {
+      colors: ['rgb(79, 70, 229)', 'rgb(17, 24, 39)'],
+      fonts: ['Inter', 'Georgia'],
+      fontSizes: ['14px', '16px'],
+      fontWeights: ['600'],
+      spacing: ['24px'],
+      borderRadius: ['8px', '999px'],
+      shadows: ['0 1px 2px rgba(0,0,0,0.1)'],
+      textStyles: [{ tag: 'p', font_size: '16px', line_height: '24px', font_weight: '400', count: 5, selector: '.pricing p' }],
+      spacingSamples: [{ context: 'component', property: 'padding', value: '12px 24px', count: 2, elements: ['a.plan'] }]
+    }
+  }];
+
+  test('unions values across pages in a stable order', () => {
+    const merged = mergeStyles(startStyles, crawled);
+
+    expect(merged.colors).toEqual(['rgb(17, 24, 39)', 'rgb(255, 255, 255)', 'rgb(79, 70, 229)']);
+    expect(merged.fonts).toEqual(['Inter', 'Georgia']);
+    expect(merged.fontSizes).toEqual(['14px', '16px', '32px']);
+    expect(merged.fontWeights).toEqual(['400', '600', '700']);
+    expect(merged.borderRadius).toEqual(['8px', '999px']);
+  });
+
+  test('sums text style and spacing counts, keeping the first selector', () => {
+    const merged = mergeStyles(startStyles, crawled);
+
+    expect(merged.textStyles).toEqual([{ ...startStyles.textStyles[0], count: 15 }]);
+    expect(merged.spacingSamples).toEqual([
+      { context: 'component', property: 'padding', value: '12px 24px', count: 5, elements: ['button.cta', 'a.plan'] }
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Components derived from the tokens: heuristic synthesis completes the
+ * component set, model synthesis does not, and evaluation gives them no credit
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { synthesizeBrandSpec } from '../src/pipeline/synthesize.js';
+import { evaluateBrandSpec } from '../src/pipeline/evaluate.js';
+import { getBrandPaths } from '../src/utils/file-utils.js';
+
+const analyzeFixture = JSON.parse(await fs.readFile(new URL('../data/fixtures/llm/analyze.json', import.meta.url), 'utf-8'));
+
+// Recorded analysis that observed only two components
+const brandTokens = {
+  ...analyzeFixture.response.tool_input,
+  components: analyzeFixture.response.tool_input.components.slice(0, 2)
+};
+const metadata = { brand_id: 'acme', brand_name: 'Acme', source_url: 'https://acme.example', extracted_at: '2025-01-01T00:00:00.000Z' };
+
+let dataDir;
+let paths;
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'derived-components-'));
+  paths = getBrandPaths('acme', dataDir);
+});
+
+afterEach(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('synthesis', () => {
+  test('completes a heuristic component set from the tokens', async () => {
+    const result = await synthesizeBrandSpec(brandTokens, metadata, paths, 0, { analysisMode: 'heuristic' });
+    const { components } = result.data;
+
+    expect(components).toHaveLength(8);
+    expect(components.filter(component => !component.derived)).toHaveLength(2);
+    expect(result.warnings).toContainEqual(expect.stringMatching(/^Only 2 components observed; added 6 derived/));
+  });
+
+  test('keeps only the observed components of a model analysis', async () => {
+    const result = await synthesizeBrandSpec(brandTokens, metadata, paths, 0, { analysisMode: 'llm' });
+
+    expect(result.data.components).toHaveLength(2);
+    expect(result.data.components.some(component => component.derived)).toBe(false);
+  });
+});
+
+describe('rule-based evaluation', () => {
+  test('scores derived components like missing ones', async () => {
+    const { data: brandSpec } = await synthesizeBrandSpec(brandTokens, metadata, paths, 0, { analysisMode: 'heuristic' });
+    const observedOnly = { ...brandSpec, components: brandSpec.components.filter(component => !component.derived) };
+    const config = { analysisMode: 'heuristic' };
+
+    const withDerived = await evaluateBrandSpec(brandSpec, paths, config);
+    const withoutDerived = await evaluateBrandSpec(observedOnly, paths, config);
+
+    const dimension = (evaluation, name) => evaluation.data.dimensions.find(d => d.name === name);
+
+    // Only schema validity, which the derived components restore, may differ
+    ['brand_fidelity', 'completeness', 'actionability'].forEach(name => {
+      expect(dimension(withDerived, name)).toEqual(dimension(withoutDerived, name));
+    });
+    expect(dimension(withDerived, 'completeness').evidence)
+      .toContainEqual(expect.objectContaining({ description: '2 components documented', type: 'weakness' }));
+  });
+});
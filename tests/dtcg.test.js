@@ -0,0 +1,58 @@
+/**
+ * DTCG export and merge of an edited token file back into the brand spec
+ */
+
+import fs from 'fs';
+import { brandSpecToDTCG, mergeDTCGIntoBrandSpec } from '../src/exporters/dtcg.js';
+import { validateBrandSpec } from '../src/utils/schema-validator.js';
+
+// Synthesized from the mock analysis fixture (data/fixtures/llm/analyze.json)
+const brandSpec = JSON.parse(fs.readFileSync(new URL('./fixtures/brand_spec.json', import.meta.url), 'utf-8'));
+const tokens = brandSpec.design_tokens;
+
+describe('DTCG round trip', () => {
+  test('merging an unedited export changes nothing', () => {
+    const { brandSpec: merged, changes, warnings } = mergeDTCGIntoBrandSpec(brandSpec, brandSpecToDTCG(brandSpec));
+
+    expect(changes).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(merged).toEqual(brandSpec);
+  });
+
+  test('applies an edited color to the aliases that reference it', () => {
+    const dtcg = brandSpecToDTCG(brandSpec);
+    dtcg.color.primary.$value = '#123456';
+
+    const { brandSpec: merged, changes } = mergeDTCGIntoBrandSpec(brandSpec, dtcg);
+
+    expect(changes).toContainEqual({ path: 'color.primary', from: tokens.colors.primary.value, to: '#123456' });
+    expect(merged.design_tokens.colors.primary).toMatchObject({
+      value: '#123456',
+      provenance: { source: 'user_edited', confidence: 1 }
+    });
+    expect(changes).toContainEqual(expect.objectContaining({ path: 'component.primary-button.background', to: '#123456' }));
+    const button = merged.components.find(component => component.name === 'Primary Button');
+    expect(JSON.stringify(button)).toContain('#123456');
+    // The input spec is not modified
+    expect(brandSpec.design_tokens.colors.primary.value).not.toBe('#123456');
+  });
+
+  test('keeps the merged spec valid', async () => {
+    const dtcg = brandSpecToDTCG(brandSpec);
+    dtcg.color.secondary.$value = '#0ea5e9';
+
+    const { brandSpec: merged } = mergeDTCGIntoBrandSpec(brandSpec, dtcg);
+
+    expect((await validateBrandSpec(merged)).valid).toBe(true);
+  });
+
+  test('warns about tokens the brand spec has no place for', () => {
+    const dtcg = brandSpecToDTCG(brandSpec);
+    dtcg.color.ramp.primary['975'] = { $type: 'color', $value: '#000000' };
+
+    const { changes, warnings } = mergeDTCGIntoBrandSpec(brandSpec, dtcg);
+
+    expect(changes).toEqual([]);
+    expect(warnings).toContain('color.ramp.primary.975: no such ramp step in the brand spec');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Token exports for web projects: CSS variables, SCSS, Tailwind theme,
+ * Style Dictionary source and ?format= parsing
+ */
+
+import fs from 'fs';
+import { EXPORT_FORMATS, parseExportFormats, buildExportFiles } from '../src/exporters/index.js';
+
+// Synthesized from the mock analysis fixture (data/fixtures/llm/analyze.json)
+const brandSpec = JSON.parse(fs.readFileSync(new URL('./fixtures/brand_spec.json', import.meta.url), 'utf-8'));
+
+const exportFile = (format, filePath) => buildExportFiles(brandSpec, [format]).find(file => file.path === filePath)?.content;
+
+describe('parseExportFormats', () => {
+  test('selects every format for "all" or no value', () => {
+    const all = Object.keys(EXPORT_FORMATS);
+
+    expect(parseExportFormats('all')).toEqual({ formats: all, unknown: [] });
+    expect(parseExportFormats(undefined)).toEqual({ formats: all, unknown: [] });
+    expect(parseExportFormats(' , ')).toEqual({ formats: all, unknown: [] });
+  });
+
+  test('de-duplicates formats and reports unknown ones', () => {
+    expect(parseExportFormats('CSS, scss,css,less')).toEqual({ formats: ['css', 'scss'], unknown: ['less'] });
+  });
+});
+
+describe('CSS', () => {
+  const css = exportFile('css', 'css/tokens.css');
+
+  test('declares a custom property per token', () => {
+    expect(css).toContain('--color-primary: #4f46e5;');
+    expect(css).toContain('--color-primary-600: #4f46e5;');
+    expect(css).toContain('--font-size-h1: 48px;');
+    expect(css).toContain('--space-16: 16px;');
+    expect(css).toContain('--radius-md: 8px;');
+    expect(css).toContain('--shadow-sm: 0 1px 3px rgba(15, 23, 42, 0.08);');
+  });
+
+  test('adds a class per text style built from the variables', () => {
+    expect(css).toMatch(/\.text-h1 \{\n {2}font-family: var\(--font-family-primary\);\n {2}font-size: var\(--font-size-h1\);/);
+    expect(css).toContain('.text-small {');
+  });
+});
+
+describe('SCSS', () => {
+  const scss = exportFile('scss', 'scss/_tokens.scss');
+
+  test('declares variables and maps', () => {
+    expect(scss).toContain('$color-primary: #4f46e5;');
+    expect(scss).toContain("$colors: (\n  'primary': $color-primary,");
+    expect(scss).toContain("'600': $color-primary-600,");
+    expect(scss).toContain('$font-size-h1: 48px;');
+    expect(scss).toContain('$space-16: 16px;');
+  });
+
+  test('adds a text style mixin that rejects unknown levels', () => {
+    expect(scss).toContain('@mixin text-style($level) {');
+    expect(scss).toContain('@if $level == h1 {');
+    expect(scss).toContain("@error 'Unknown text style #{$level}';");
+  });
+});
+
+describe('Tailwind', () => {
+  const loadConfig = () => {
+    const module = {};
+    new Function('module', exportFile('tailwind', 'tailwind/tailwind.config.js'))(module);
+    return module.exports;
+  };
+
+  test('extends the theme with the brand tokens', () => {
+    const { theme } = loadConfig();
+
+    expect(Object.keys(theme.extend)).toEqual(['colors', 'fontFamily', 'fontSize', 'spacing', 'borderRadius', 'boxShadow']);
+    expect(theme.extend.colors.primary).toMatchObject({ DEFAULT: '#4f46e5', 600: '#4f46e5' });
+    expect(theme.extend.fontSize.h1).toEqual(['48px', { lineHeight: '1.2', fontWeight: '700' }]);
+    expect(theme.extend.spacing['space-16']).toBe('16px');
+    expect(theme.extend.borderRadius.md).toBe('8px');
+  });
+});
+
+describe('Style Dictionary', () => {
+  test('writes a config and token sources it can build', () => {
+    const files = buildExportFiles(brandSpec, ['style-dictionary']);
+    const json = filePath => JSON.parse(files.find(file => file.path === filePath).content);
+
+    expect(files.map(file => file.path)).toEqual([
+      'style-dictionary/config.json',
+      'style-dictionary/tokens/color.json',
+      'style-dictionary/tokens/font.json',
+      'style-dictionary/tokens/size.json',
+      'style-dictionary/tokens/shadow.json'
+    ]);
+    expect(json('style-dictionary/config.json').source).toEqual(['tokens/**/*.json']);
+    expect(json('style-dictionary/tokens/color.json').color.primary).toEqual({
+      value: '#4f46e5',
+      comment: 'Primary brand color used for CTAs, links, and brand accents'
+    });
+    expect(json('style-dictionary/tokens/size.json').size.spacing['16']).toEqual({ value: '16px' });
+  });
+});
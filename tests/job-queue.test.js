@@ -0,0 +1,179 @@
+/**
+ * Job queue: concurrency, cancellation, brand tracking and restart of the
+ * jobs a stopped server left behind
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../src/jobs/job-queue.js';
+
+let dataDir;
+let jobsDir;
+let queue;
+
+/**
+ * Runner whose calls stay pending until the test resolves them or the job
+ * is cancelled
+ */
+function pendingRunner() {
+  const calls = [];
+  const runner = (params, context) => new Promise(resolve => {
+    calls.push({ params, ...context, resolve });
+    context.signal.addEventListener('abort', () => resolve({ success: false, cancelled: true }));
+  });
+  return { runner, calls };
+}
+
+const finished = (jobId) => new Promise(resolve => {
+  queue.onFinish(job => job.id === jobId && resolve(job));
+});
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+  jobsDir = path.join(dataDir, 'jobs');
+});
+
+afterEach(async () => {
+  // Let pending job file writes land before the directory goes
+  await Promise.all([...queue.writes.values()]);
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+describe('JobQueue', () => {
+  test('runs at most `concurrency` jobs and starts queued ones as workers free up', async () => {
+    const { runner, calls } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 2 });
+    queue.register('extract', runner);
+
+    const jobs = ['a', 'b', 'c'].map(url => queue.enqueue('extract', { url }));
+
+    expect(jobs.map(job => job.status)).toEqual(['running', 'running', 'queued']);
+    expect(jobs[2].message).toBe('Waiting for a worker');
+
+    const done = finished(jobs[0].id);
+    calls[0].resolve({ success: true, brand_id: 'a_brand' });
+    expect(await done).toMatchObject({ status: 'completed', brand_id: 'a_brand', error: null });
+    expect(jobs[2].status).toBe('running');
+    expect(calls.map(call => call.params.url)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('cancels a queued job without running it', async () => {
+    const { runner, calls } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 1 });
+    queue.register('extract', runner);
+
+    queue.enqueue('extract', { url: 'a' });
+    const queued = queue.enqueue('extract', { url: 'b' });
+    queue.cancel(queued.id);
+
+    expect(queued).toMatchObject({ status: 'cancelled', error: 'Extraction cancelled' });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('aborts a running job and records it as cancelled', async () => {
+    const { runner, calls } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 1 });
+    queue.register('extract', runner);
+
+    const job = queue.enqueue('extract', { url: 'a' });
+    const done = finished(job.id);
+    queue.cancel(job.id);
+
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(await done).toMatchObject({ status: 'cancelled', cancel_requested: true });
+  });
+
+  test('guards a brand from the moment its job reports it', async () => {
+    const { runner, calls } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 1 });
+    queue.register('extract', runner);
+
+    const job = queue.enqueue('extract', { url: 'a' });
+    expect(queue.activeJobForBrand('acme_brand')).toBeNull();
+
+    calls[0].onBrand('acme_brand');
+    expect(queue.activeJobForBrand('acme_brand')).toBe(job);
+
+    const done = finished(job.id);
+    calls[0].resolve({ success: false, error: 'Capture failed' });
+    expect(await done).toMatchObject({ status: 'failed', brand_id: 'acme_brand', error: 'Capture failed' });
+    expect(queue.activeJobForBrand('acme_brand')).toBeNull();
+  });
+});
+
+describe('JobQueue.load', () => {
+  const storedJob = (id, fields) => ({
+    id,
+    params: {},
+    brand_id: null,
+    batch_id: null,
+    stage: 'capture',
+    message: 'Capturing',
+    progress: 25,
+    events: [],
+    error: null,
+    created_at: new Date(Date.now() - 60000).toISOString(),
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    ...fields
+  });
+
+  async function storeJobs(jobs) {
+    await fs.mkdir(jobsDir, { recursive: true });
+    await Promise.all(jobs.map(job => fs.writeFile(path.join(jobsDir, `${job.id}.json`), JSON.stringify(job))));
+  }
+
+  async function createBrand(brandId) {
+    const brandDir = path.join(dataDir, 'brands', brandId);
+    await fs.mkdir(path.join(brandDir, 'captures'), { recursive: true });
+    return brandDir;
+  }
+
+  const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+  test('starts an interrupted extraction over and removes its partial brand', async () => {
+    const partialDir = await createBrand('partial_brand');
+    await storeJobs([storedJob('interrupted', { type: 'extract', status: 'running', params: { url: 'https://acme.example' }, brand_id: 'partial_brand' })]);
+    const { runner, calls } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 1 });
+    queue.register('extract', runner);
+
+    await queue.load();
+
+    expect(await exists(partialDir)).toBe(false);
+    const job = queue.get('interrupted');
+    expect(job).toMatchObject({ status: 'running', brand_id: null });
+    expect(job.events.map(event => event.message)).toContain('Server restarted; extraction queued again');
+    expect(calls.map(call => call.params)).toEqual([{ url: 'https://acme.example' }]);
+  });
+
+  test('keeps the brand of an interrupted rerun', async () => {
+    const brandDir = await createBrand('acme_brand');
+    await storeJobs([storedJob('rerun', { type: 'rerun', status: 'running', params: { brandId: 'acme_brand', resumeFrom: 'evaluate' }, brand_id: 'acme_brand' })]);
+    const { runner } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 1 });
+    queue.register('rerun', runner);
+
+    await queue.load();
+
+    expect(await exists(brandDir)).toBe(true);
+    expect(queue.activeJobForBrand('acme_brand')).toBe(queue.get('rerun'));
+  });
+
+  test('finishes a job cancelled before the server stopped and runs the queue', async () => {
+    await storeJobs([
+      storedJob('cancelling', { type: 'extract', status: 'running', cancel_requested: true }),
+      storedJob('waiting', { type: 'extract', status: 'queued', started_at: null, params: { url: 'https://acme.example' } })
+    ]);
+    const { runner, calls } = pendingRunner();
+    queue = new JobQueue({ dir: jobsDir, dataDir, concurrency: 1 });
+    queue.register('extract', runner);
+
+    await queue.load();
+
+    expect(queue.get('cancelling').status).toBe('cancelled');
+    expect(queue.get('waiting').status).toBe('running');
+    expect(calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Token exports for native apps: iOS asset catalog and SwiftUI theme,
+ * Android resources and Compose theme, with and without a dark theme
+ */
+
+import fs from 'fs';
+import { exportIOS } from '../src/exporters/ios.js';
+import { exportAndroid } from '../src/exporters/android.js';
+
+// Synthesized from the mock analysis fixture (data/fixtures/llm/analyze.json)
+const brandSpec = JSON.parse(fs.readFileSync(new URL('./fixtures/brand_spec.json', import.meta.url), 'utf-8'));
+
+const withDarkTheme = () => {
+  const spec = structuredClone(brandSpec);
+  spec.design_tokens.colors.dark = { primary: { value: '#818cf8' }, background: { value: '#0f172a' } };
+  return spec;
+};
+
+const fileContent = (files, filePath) => files.find(file => file.path === filePath)?.content;
+
+describe('iOS', () => {
+  test('writes a colorset per color with its sRGB components', () => {
+    const files = exportIOS(brandSpec);
+    const primary = JSON.parse(fileContent(files, 'ios/BrandColors.xcassets/primary.colorset/Contents.json'));
+
+    expect(fileContent(files, 'ios/BrandColors.xcassets/Contents.json')).toBeDefined();
+    expect(files.map(file => file.path)).toContain('ios/BrandColors.xcassets/gray100.colorset/Contents.json');
+    expect(primary.colors).toEqual([{
+      idiom: 'universal',
+      color: { 'color-space': 'srgb', components: { alpha: '1.000', blue: '0xE5', green: '0x46', red: '0x4F' } }
+    }]);
+  });
+
+  test('adds a dark appearance for colors with a dark theme value', () => {
+    const files = exportIOS(withDarkTheme());
+    const colorset = name => JSON.parse(fileContent(files, `ios/BrandColors.xcassets/${name}.colorset/Contents.json`));
+
+    expect(colorset('primary').colors[1]).toEqual({
+      appearances: [{ appearance: 'luminosity', value: 'dark' }],
+      idiom: 'universal',
+      color: { 'color-space': 'srgb', components: { alpha: '1.000', blue: '0xF8', green: '0x8C', red: '0x81' } }
+    });
+    expect(colorset('neutralWhite').colors).toHaveLength(2);
+    expect(colorset('secondary').colors).toHaveLength(1);
+  });
+
+  test('names the catalog colors in the SwiftUI theme', () => {
+    const swift = fileContent(exportIOS(brandSpec), 'ios/BrandTheme.swift');
+
+    expect(swift).toContain('public enum BrandTheme {');
+    expect(swift).toContain('public static let primary = Color("primary")');
+    expect(swift).toContain('public static let neutralWhite = Color("neutralWhite")');
+  });
+});
+
+describe('Android', () => {
+  test('writes color, dimension and text appearance resources', () => {
+    const files = exportAndroid(brandSpec);
+    const colors = fileContent(files, 'android/res/values/colors.xml');
+    const dimens = fileContent(files, 'android/res/values/dimens.xml');
+
+    expect(colors).toContain('<color name="brand_primary">#4F46E5</color>');
+    expect(colors).toContain('<color name="brand_primary_600">#4F46E5</color>');
+    expect(dimens).toContain('<dimen name="brand_text_h1">48sp</dimen>');
+    expect(dimens).toContain('<dimen name="brand_space_4">4dp</dimen>');
+    expect(dimens).toContain('<dimen name="brand_radius_md">8dp</dimen>');
+    expect(fileContent(files, 'android/res/values/type.xml')).toContain('<style name="TextAppearance.Brand.H1" parent="">');
+  });
+
+  test('writes night resources only for a dark theme', () => {
+    expect(fileContent(exportAndroid(brandSpec), 'android/res/values-night/colors.xml')).toBeUndefined();
+
+    const night = fileContent(exportAndroid(withDarkTheme()), 'android/res/values-night/colors.xml');
+    expect(night).toContain('<color name="brand_primary">#818CF8</color>');
+    expect(night).toContain('<color name="brand_neutral_white">#0F172A</color>');
+    expect(night).not.toContain('brand_secondary');
+  });
+
+  test('builds the Compose dark scheme from the dark theme values', () => {
+    const theme = fileContent(exportAndroid(withDarkTheme()), 'android/compose/Theme.kt');
+
+    expect(theme).toContain('val Primary = Color(0xFF4F46E5)');
+    expect(theme).toContain('object BrandDarkColors {\n    val Primary = Color(0xFF818CF8)');
+    expect(theme).toMatch(/private val DarkColorScheme = darkColorScheme\(\n {4}primary = BrandDarkColors\.Primary,/);
+    expect(theme).toContain('colorScheme = if (darkTheme) DarkColorScheme else LightColorScheme');
+  });
+});
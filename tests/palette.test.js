@@ -0,0 +1,61 @@
+/**
+ * Screenshot palette quantizer
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { extractPalette } from '../src/utils/palette.js';
+
+describe('extractPalette', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'palette-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function writePng(name, width, height, colorAt) {
+    const png = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        const [r, g, b, a = 255] = colorAt(x, y);
+        png.data[i] = r;
+        png.data[i + 1] = g;
+        png.data[i + 2] = b;
+        png.data[i + 3] = a;
+      }
+    }
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, PNG.sync.write(png));
+    return { path: filePath, name };
+  }
+
+  test('ranks colors by the area they cover', async () => {
+    // White page with an indigo band across the bottom quarter
+    const image = await writePng('page.png', 40, 40, (x, y) => y >= 30 ? [79, 70, 229] : [255, 255, 255]);
+
+    const palette = await extractPalette([image]);
+
+    expect(palette.total_pixels).toBe(1600);
+    expect(palette.colors).toEqual([
+      { hex: '#ffffff', coverage: 75, pixel_count: 1200 },
+      { hex: '#4f46e5', coverage: 25, pixel_count: 400 }
+    ]);
+    expect(palette.sources).toEqual([{ name: 'page.png', width: 40, height: 40, sample_step: 1 }]);
+  });
+
+  test('ignores transparent pixels', async () => {
+    const image = await writePng('transparent.png', 10, 10, () => [0, 0, 0, 0]);
+
+    const palette = await extractPalette([image]);
+
+    expect(palette.colors).toEqual([]);
+    expect(palette.total_pixels).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * LLM provider layer: fixture replay with the mock provider, fixture
+ * recording and provider selection
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MockProvider, hashRequest } from '../src/providers/mock-provider.js';
+import { RecordingProvider } from '../src/providers/recording-provider.js';
+import { createLLMProvider } from '../src/providers/index.js';
+
+const request = {
+  stage: 'analyze',
+  model: 'test-model',
+  maxTokens: 1000,
+  messages: [{ role: 'user', content: 'Describe the brand' }]
+};
+
+let fixturesDir;
+
+beforeEach(async () => {
+  fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+});
+
+afterEach(async () => {
+  await fs.rm(fixturesDir, { recursive: true, force: true });
+});
+
+async function writeFixture(name, response, model = 'recorded-model') {
+  await fs.writeFile(path.join(fixturesDir, name), JSON.stringify({ stage: 'analyze', model, response }));
+}
+
+describe('MockProvider', () => {
+  test('replays the stage fixture', async () => {
+    await writeFixture('analyze.json', {
+      tool_input: { notes: 'default' },
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 12, output_tokens: 3 }
+    });
+
+    const response = await new MockProvider({ fixturesDir }).complete(request);
+
+    expect(response).toEqual({
+      text: '',
+      toolInput: { notes: 'default' },
+      stopReason: 'tool_use',
+      usage: { input_tokens: 12, output_tokens: 3 },
+      model: 'recorded-model'
+    });
+  });
+
+  test('prefers the fixture recorded for the exact request', async () => {
+    await writeFixture('analyze.json', { text: 'default' });
+    await writeFixture(`analyze-${hashRequest(request)}.json`, { text: 'exact' });
+
+    const provider = new MockProvider({ fixturesDir });
+
+    expect((await provider.complete(request)).text).toBe('exact');
+    expect((await provider.complete({ ...request, model: 'other-model' })).text).toBe('default');
+  });
+
+  test('reports a stage without fixtures', async () => {
+    await expect(new MockProvider({ fixturesDir }).complete({ ...request, stage: 'refine' }))
+      .rejects.toThrow(`No LLM fixture for stage "refine" in ${fixturesDir}`);
+  });
+});
+
+describe('RecordingProvider', () => {
+  test('records responses the mock provider replays', async () => {
+    const live = {
+      name: 'live',
+      complete: async () => ({
+        text: '',
+        toolInput: { notes: 'live' },
+        stopReason: 'tool_use',
+        usage: { input_tokens: 40, output_tokens: 8 },
+        model: 'live-model'
+      })
+    };
+
+    const recorded = await new RecordingProvider(live, { fixturesDir }).complete(request);
+    const replayed = await new MockProvider({ fixturesDir }).complete(request);
+
+    expect(replayed).toEqual(recorded);
+  });
+});
+
+describe('createLLMProvider', () => {
+  test('does not cache or record around the mock provider', () => {
+    const provider = createLLMProvider({
+      llmProvider: 'mock',
+      llmFixturesDir: fixturesDir,
+      llmCache: true,
+      llmRecordFixtures: true
+    });
+
+    expect(provider).toBeInstanceOf(MockProvider);
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => createLLMProvider({ llmProvider: 'other' }))
+      .toThrow('Unknown LLM provider "other" (expected one of: anthropic, mock)');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Pipeline run with the mock provider: a brand with a recorded analysis is
+ * resumed from synthesize and replays the evaluation fixture, offline and
+ * without a browser
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const fixturesDir = new URL('../data/fixtures/llm/', import.meta.url).pathname;
+
+let dataDir;
+let extractBrand;
+let validateBrandSpec;
+let validateExecutionTrace;
+
+beforeAll(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'brand-canonizer-'));
+
+  // config.js reads the environment when it is first imported
+  process.env.DATA_DIR = dataDir;
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_FIXTURES_DIR = fixturesDir;
+  process.env.LLM_CACHE = 'false';
+  process.env.ANALYSIS_MODE = 'llm';
+
+  ({ extractBrand } = await import('../src/pipeline/orchestrator.js'));
+  ({ validateBrandSpec, validateExecutionTrace } = await import('../src/utils/schema-validator.js'));
+});
+
+afterAll(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+async function createAnalyzedBrand(brandId) {
+  const brandDir = path.join(dataDir, 'brands', brandId);
+  const analyzeFixture = JSON.parse(await fs.readFile(path.join(fixturesDir, 'analyze.json'), 'utf-8'));
+
+  await fs.mkdir(path.join(brandDir, 'analysis'), { recursive: true });
+  await fs.writeFile(path.join(brandDir, 'analysis', 'brand_tokens.json'), JSON.stringify(analyzeFixture.response.tool_input));
+  await fs.writeFile(path.join(brandDir, 'metadata.json'), JSON.stringify({
+    brand_id: brandId,
+    brand_name: 'Acme',
+    source_url: 'https://acme.example',
+    extracted_at: '2025-01-01T00:00:00.000Z',
+    version: 1,
+    status: 'failed'
+  }));
+
+  return brandDir;
+}
+
+const readJSON = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+describe('extractBrand with the mock provider', () => {
+  let brandDir;
+  let result;
+  const progress = [];
+
+  beforeAll(async () => {
+    brandDir = await createAnalyzedBrand('acme');
+    result = await extractBrand({
+      brandId: 'acme',
+      resumeFrom: 'synthesize',
+      onProgress: (stage) => progress.push(stage)
+    });
+  });
+
+  test('completes from synthesize to refine', () => {
+    expect(result.success).toBe(true);
+    expect(result.brand_id).toBe('acme');
+    expect(result.execution_trace.resumed_from).toBe('synthesize');
+    expect(result.execution_trace.stages.map(stage => [stage.name, stage.status])).toEqual([
+      ['synthesize', 'success'],
+      ['evaluate', 'success'],
+      ['refine', 'skipped']
+    ]);
+    expect(progress).toEqual(expect.arrayContaining(['setup', 'synthesize', 'evaluate', 'finalize']));
+  });
+
+  test('saves a valid execution trace', async () => {
+    const trace = await readJSON(path.join(brandDir, 'execution_trace.json'));
+
+    expect(trace).toEqual(result.execution_trace);
+    expect((await validateExecutionTrace(trace)).valid).toBe(true);
+  });
+
+  test('saves a valid brand spec built from the recorded analysis', async () => {
+    const brandSpec = await readJSON(path.join(brandDir, 'reports', 'brand_spec.json'));
+
+    expect((await validateBrandSpec(brandSpec)).valid).toBe(true);
+    expect(brandSpec.metadata).toMatchObject({ brand_id: 'acme', brand_name: 'Acme', source_url: 'https://acme.example' });
+    expect(brandSpec.components.length).toBeGreaterThanOrEqual(8);
+  });
+
+  test('scores the spec with the recorded evaluation', async () => {
+    const evaluateFixture = await readJSON(path.join(fixturesDir, 'evaluate.json'));
+    const evaluation = await readJSON(path.join(brandDir, 'evaluations', 'evaluation.json'));
+
+    expect(evaluation.overall_score).toBe(evaluateFixture.response.tool_input.overall_score);
+    expect(result.evaluation.overall_score).toBe(evaluation.overall_score);
+  });
+
+  test('marks the brand completed and counts the replayed tokens', async () => {
+    const evaluateFixture = await readJSON(path.join(fixturesDir, 'evaluate.json'));
+    const { input_tokens: input, output_tokens: output } = evaluateFixture.response.usage;
+    const metadata = await readJSON(path.join(brandDir, 'metadata.json'));
+
+    expect(metadata).toMatchObject({ status: 'completed', version: 1 });
+    expect(metadata.evaluation_summary.overall_score).toBe(result.evaluation.overall_score);
+    expect(result.execution_trace.summary.total_tokens).toBe(input + output);
+  });
+});
+
+describe('extractBrand resuming a traced run', () => {
+  test('keeps the earlier stages in a valid trace', async () => {
+    const brandDir = await createAnalyzedBrand('traced');
+    const earlierStage = (name, displayName) => ({
+      name,
+      display_name: displayName,
+      status: 'success',
+      start_time: '2025-01-01T00:00:00.000Z',
+      end_time: '2025-01-01T00:00:01.000Z',
+      duration_ms: 1000
+    });
+    await fs.writeFile(path.join(brandDir, 'execution_trace.json'), JSON.stringify({
+      version: '1.0.0',
+      pipeline_version: '1.0.0',
+      brand_id: 'traced',
+      stages: [earlierStage('capture', 'Capture'), earlierStage('analyze', 'Analyze'), earlierStage('synthesize', 'Synthesize')],
+      summary: { total_duration_ms: 3000, status: 'failed' }
+    }));
+
+    const result = await extractBrand({ brandId: 'traced', resumeFrom: 'synthesize' });
+
+    expect(result.execution_trace.stages.map(stage => stage.name)).toEqual(['capture', 'analyze', 'synthesize', 'evaluate', 'refine']);
+    expect(result.execution_trace.summary.total_duration_ms).toBeGreaterThanOrEqual(2000);
+    expect((await validateExecutionTrace(result.execution_trace)).valid).toBe(true);
+  });
+});
+
+describe('extractBrand resume checks', () => {
+  test('fails when the brand does not exist', async () => {
+    const result = await extractBrand({ brandId: 'missing', resumeFrom: 'synthesize' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Brand missing not found');
+  });
+
+  test('fails when the analysis is missing', async () => {
+    await fs.mkdir(path.join(dataDir, 'brands', 'empty'), { recursive: true });
+
+    const result = await extractBrand({ brandId: 'empty', resumeFrom: 'synthesize' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('analysis/brand_tokens.json missing');
+  });
+});
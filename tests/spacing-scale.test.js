@@ -0,0 +1,42 @@
+/**
+ * Spacing scale detection from measured padding, margins and gaps
+ */
+
+import { detectSpacingScale } from '../src/utils/spacing-scale.js';
+
+describe('detectSpacingScale', () => {
+  const samples = [
+    { context: 'component', property: 'padding', value: '12px 24px', count: 14, elements: ['button.cta'] },
+    { context: 'stack', property: 'gap', value: '16px', count: 20, elements: ['.card-list'] },
+    { context: 'stack', property: 'margin-bottom', value: '8px', count: 30, elements: ['p'] },
+    { context: 'section', property: 'padding', value: '96px 0px', count: 5, elements: ['section.hero'] },
+    { context: 'component', property: 'padding', value: '7px', count: 1, elements: ['span.badge'] }
+  ];
+
+  test('finds the base unit and an on-grid scale', () => {
+    const spacing = detectSpacingScale(samples);
+
+    expect(spacing.base_unit).toBe(8);
+    expect(spacing.scale).toEqual([8, 12, 16, 24, 96]);
+    expect(spacing.density).toBe('comfortable');
+  });
+
+  test('ties usage rules to the elements they were measured on', () => {
+    const { usage_rules: rules } = detectSpacingScale(samples);
+
+    expect(rules.component_padding).toMatchObject({ value: '12px 24px', count: 14, elements: ['button.cta'] });
+    expect(rules.stack_gap.value).toBe('8px');
+    expect(rules.section_spacing.value).toBe('96px 0px');
+  });
+
+  test('falls back to distinct spacing strings', () => {
+    const spacing = detectSpacingScale([], ['4px', '8px 16px', '20px']);
+
+    expect(spacing.base_unit).toBe(4);
+    expect(spacing.usage_rules).toEqual({});
+  });
+
+  test('returns null without pixel values', () => {
+    expect(detectSpacingScale([], ['auto', '0px'])).toBeNull();
+  });
+});
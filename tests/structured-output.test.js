@@ -0,0 +1,134 @@
+/**
+ * Structured output: tool-constrained responses and the repair loop that
+ * re-prompts with validation errors
+ */
+
+import { completeStructured, parseJSONText } from '../src/providers/structured-output.js';
+
+const tool = {
+  name: 'record_palette',
+  description: 'Record the brand palette',
+  input_schema: {
+    type: 'object',
+    required: ['primary'],
+    properties: {
+      primary: { type: 'string', pattern: '^#[0-9a-f]{6}$' }
+    }
+  }
+};
+
+const request = {
+  stage: 'analyze',
+  model: 'test-model',
+  maxTokens: 1000,
+  messages: [{ role: 'user', content: 'Describe the palette' }]
+};
+
+/**
+ * Provider that answers with the given responses in order and keeps the requests
+ */
+class ScriptedProvider {
+  constructor(responses) {
+    this.responses = responses;
+    this.requests = [];
+  }
+
+  async complete(providerRequest) {
+    this.requests.push(providerRequest);
+    return {
+      text: '',
+      toolInput: null,
+      stopReason: 'tool_use',
+      usage: { input_tokens: 100, output_tokens: 10 },
+      model: 'test-model',
+      ...this.responses[this.requests.length - 1]
+    };
+  }
+}
+
+describe('completeStructured', () => {
+  test('returns a valid tool input on the first attempt', async () => {
+    const llm = new ScriptedProvider([{ toolInput: { primary: '#4f46e5' } }]);
+
+    const result = await completeStructured(llm, request, { tool });
+
+    expect(result).toMatchObject({ data: { primary: '#4f46e5' }, attempts: 1, cacheHits: 0, model: 'test-model' });
+    expect(llm.requests[0].tool).toBe(tool);
+  });
+
+  test('re-prompts with the validation errors until the response is valid', async () => {
+    const llm = new ScriptedProvider([
+      { toolInput: { primary: 'indigo' } },
+      { toolInput: { primary: '#4f46e5' } }
+    ]);
+
+    const result = await completeStructured(llm, request, { tool });
+
+    expect(result.data).toEqual({ primary: '#4f46e5' });
+    expect(result.attempts).toBe(2);
+    expect(result.usage).toEqual({ input_tokens: 200, output_tokens: 20 });
+
+    const [, assistant, repair] = llm.requests[1].messages;
+    expect(assistant).toEqual({ role: 'assistant', content: JSON.stringify({ primary: 'indigo' }) });
+    expect(repair.role).toBe('user');
+    expect(repair.content).toContain('did not match the record_palette input schema');
+    expect(repair.content).toContain('primary');
+    // The caller's messages are left as they were
+    expect(request.messages).toHaveLength(1);
+  });
+
+  test('treats a truncated response as invalid', async () => {
+    const llm = new ScriptedProvider([
+      { toolInput: { primary: '#4f46e5' }, stopReason: 'max_tokens' },
+      { toolInput: { primary: '#4f46e5' } }
+    ]);
+
+    const result = await completeStructured(llm, request, { tool });
+
+    expect(result.attempts).toBe(2);
+    expect(llm.requests[1].messages[2].content).toContain('truncated at the 1000 token limit');
+  });
+
+  test('parses JSON from a text response', async () => {
+    const llm = new ScriptedProvider([{ text: 'Here it is:\n```json\n{ "primary": "#0ea5e9" }\n```' }]);
+
+    const result = await completeStructured(llm, request, { tool });
+
+    expect(result.data).toEqual({ primary: '#0ea5e9' });
+  });
+
+  test('throws with the usage once the repairs are used up', async () => {
+    const llm = new ScriptedProvider([
+      { toolInput: {} },
+      { toolInput: {} },
+      { cached: true, toolInput: {} }
+    ]);
+
+    const error = await completeStructured(llm, request, { tool, maxRepairs: 2 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toContain('record_palette response still invalid after 3 attempts');
+    expect(error.attempts).toBe(3);
+    expect(error.cacheHits).toBe(1);
+    expect(error.usage).toEqual({ input_tokens: 300, output_tokens: 30 });
+    expect(llm.requests).toHaveLength(3);
+  });
+});
+
+describe('parseJSONText', () => {
+  test('parses plain JSON', () => {
+    expect(parseJSONText('{"a": 1}')).toEqual({ a: 1 });
+  });
+
+  test('parses the outermost braces of surrounding prose', () => {
+    expect(parseJSONText('Result: {"a": {"b": 2}} done')).toEqual({ a: { b: 2 } });
+  });
+
+  test('reports text without an object', () => {
+    expect(() => parseJSONText('no json here')).toThrow('Response contained no JSON object');
+  });
+
+  test('reports malformed JSON', () => {
+    expect(() => parseJSONText('{"a": }')).toThrow(/Response was not valid JSON/);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tokens Studio export and import
+ */
+
+import fs from 'fs';
+import { brandSpecToTokensStudio, tokensStudioToDesignTokens } from '../src/exporters/tokens-studio.js';
+
+// Synthesized from the mock analysis fixture (data/fixtures/llm/analyze.json)
+const brandSpec = JSON.parse(fs.readFileSync(new URL('./fixtures/brand_spec.json', import.meta.url), 'utf-8'));
+const tokens = brandSpec.design_tokens;
+
+describe('Tokens Studio round trip', () => {
+  const { designTokens, imported, warnings } = tokensStudioToDesignTokens(brandSpecToTokensStudio(brandSpec));
+
+  test('imports every exported token without warnings', () => {
+    expect(imported).toBeGreaterThan(0);
+    expect(warnings).toEqual([]);
+  });
+
+  test('keeps colors, ramps, spacing and the type scale', () => {
+    ['primary', 'secondary'].forEach(role => {
+      expect(designTokens.colors[role].value).toBe(tokens.colors[role].value);
+    });
+    Object.entries(tokens.colors.ramps).forEach(([name, ramp]) => {
+      expect(designTokens.colors.ramps[name].steps).toEqual(ramp.steps);
+    });
+    expect(designTokens.spacing.scale).toEqual(tokens.spacing.scale);
+    Object.entries(tokens.typography.scale).forEach(([level, style]) => {
+      expect(designTokens.typography.scale[level].size).toBe(style.size);
+    });
+    expect(designTokens.typography.font_families.primary.name).toBe(tokens.typography.font_families.primary.name);
+  });
+
+  test('marks imported tokens as user edited', () => {
+    expect(designTokens.colors.primary.provenance.source).toBe('user_edited');
+  });
+});
+
+describe('Tokens Studio references', () => {
+  test('resolves aliases, embedded references and math', () => {
+    const { designTokens, warnings } = tokensStudioToDesignTokens({
+      spacing: {
+        base: { value: '8', type: 'spacing' },
+        md: { value: '{spacing.base} * 2', type: 'spacing' }
+      },
+      color: {
+        brand: { value: '#4f46e5', type: 'color' },
+        primary: { value: '{color.brand}', type: 'color' }
+      }
+    });
+
+    expect(warnings).toEqual([]);
+    expect(designTokens.colors.primary.value).toBe('#4f46e5');
+    expect(designTokens.spacing.scale).toEqual([8, 16]);
+  });
+
+  test('rejects a value whose nested aliases expand too far', () => {
+    // Each level doubles the one before it: level 40 would be 2^40 characters long
+    const chain = { level0: { value: 'x', type: 'other' } };
+    for (let level = 1; level <= 40; level++) {
+      chain[`level${level}`] = { value: `{chain.level${level - 1}}{chain.level${level - 1}}`, type: 'other' };
+    }
+
+    const { warnings } = tokensStudioToDesignTokens({ chain: { ...chain, primary: { value: '#4f46e5', type: 'color' } } });
+
+    expect(warnings).toContainEqual('chain.level14: expands to more than 10000 characters');
+    expect(warnings).toContainEqual('chain.level40: expands to more than 10000 characters');
+  });
+
+  test('reports circular references', () => {
+    const { warnings } = tokensStudioToDesignTokens({
+      color: {
+        primary: { value: '{color.secondary}', type: 'color' },
+        secondary: { value: '{color.primary}', type: 'color' }
+      }
+    });
+
+    expect(warnings).toContainEqual('color.primary: circular reference color.primary -> color.secondary -> color.primary');
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Type scale detection from measured text styles
+ */
+
+import { detectTypeScale } from '../src/utils/type-scale.js';
+
+describe('detectTypeScale', () => {
+  const textStyles = [
+    { tag: 'p', font_size: '16px', line_height: '24px', font_weight: '400', count: 120 },
+    { tag: 'h1', font_size: '39px', line_height: '44px', font_weight: '700', count: 1 },
+    { tag: 'h2', font_size: '31px', line_height: '36px', font_weight: '700', count: 4 },
+    { tag: 'h3', font_size: '25px', line_height: '30px', font_weight: '600', count: 9 },
+    { tag: 'h4', font_size: '20px', line_height: '26px', font_weight: '600', count: 6 },
+    { tag: 'small', font_size: '13px', line_height: '18px', font_weight: '400', count: 15 }
+  ];
+
+  test('maps sizes to levels by the tags they were rendered on', () => {
+    const { levels } = detectTypeScale(textStyles);
+
+    expect(levels.body).toMatchObject({ size: 16, source: 'tag' });
+    expect(levels.h1).toMatchObject({ size: 39, source: 'tag' });
+    expect(levels.h4).toMatchObject({ size: 20, source: 'tag' });
+    expect(levels.small).toMatchObject({ size: 13, source: 'tag' });
+  });
+
+  test('fits a modular scale ratio', () => {
+    const { modular_scale: modularScale } = detectTypeScale(textStyles);
+
+    expect(modularScale).toMatchObject({ ratio: 1.25, name: 'major third', base_size: '16px' });
+  });
+
+  test('ranks bare font sizes when no text styles were captured', () => {
+    const { levels } = detectTypeScale([], ['16px', '48px', '32px', '24px']);
+
+    expect(levels.body.size).toBe(16);
+    expect(levels.h1).toMatchObject({ size: 48, source: 'rank' });
+    expect(levels.h2.size).toBe(32);
+  });
+
+  test('returns null without sizes', () => {
+    expect(detectTypeScale([], [])).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Responsive capture: viewport profiles parsed from CAPTURE_VIEWPORTS or an
+ * extraction request
+ */
+
+import { parseViewportProfiles, VIEWPORT_LIMITS } from '../src/config.js';
+
+describe('parseViewportProfiles', () => {
+  test('names profiles by device class and width', () => {
+    expect(parseViewportProfiles('375,768,1440')).toEqual([
+      { name: 'mobile_375', width: 375, height: 812 },
+      { name: 'tablet_768', width: 768, height: 1024 },
+      { name: 'desktop_1440', width: 1440, height: 1080 }
+    ]);
+  });
+
+  test('accepts an array of widths', () => {
+    expect(parseViewportProfiles([599, 600, 1024]).map(profile => profile.name))
+      .toEqual(['mobile_599', 'tablet_600', 'desktop_1024']);
+  });
+
+  test('is empty when no widths are configured', () => {
+    expect(parseViewportProfiles('')).toEqual([]);
+    expect(parseViewportProfiles(undefined)).toEqual([]);
+  });
+
+  test('drops widths that are not numbers or fall outside the limits', () => {
+    const widths = ['abc', VIEWPORT_LIMITS.minWidth - 1, VIEWPORT_LIMITS.minWidth, VIEWPORT_LIMITS.maxWidth, VIEWPORT_LIMITS.maxWidth + 1];
+
+    expect(parseViewportProfiles(widths).map(profile => profile.width))
+      .toEqual([VIEWPORT_LIMITS.minWidth, VIEWPORT_LIMITS.maxWidth]);
+  });
+
+  test(`keeps at most ${VIEWPORT_LIMITS.maxCount} profiles`, () => {
+    const widths = Array.from({ length: VIEWPORT_LIMITS.maxCount + 3 }, (_, index) => 320 + index * 100);
+
+    expect(parseViewportProfiles(widths)).toHaveLength(VIEWPORT_LIMITS.maxCount);
+  });
+});